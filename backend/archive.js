@@ -0,0 +1,250 @@
+/**
+ * backend/archive.js
+ * Dependency-free archive formats for session import/export:
+ * - zip: write (deflate) and read (stored / deflate; no zip64, no encryption)
+ * - tar.gz: write-only ustar
+ * - git: a bare repository (loose objects) built from a list of file-tree commits
+ */
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+
+// ===== ZIP =====
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+// entries: [{ name, data?: Buffer | string }]; names ending in "/" are folders.
+function createZip(entries, mtime = new Date()) {
+  const { time, day } = dosDateTime(mtime);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, "utf8");
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data || "", "utf8");
+    const isDir = entry.name.endsWith("/");
+    const compressed = isDir ? data : zlib.deflateRawSync(data);
+    const method = isDir ? 0 : 8;
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(isDir ? 0x10 : 0, 38); // external attributes: MS-DOS directory bit
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDir, end]);
+}
+
+// Files of a zip archive as [{ name, data: Buffer }]; folders are skipped.
+// Throws on archives this reader does not understand. Stops inflating once
+// maxBytes of file data have been read.
+function readZip(buf, { maxBytes = Infinity } = {}) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a zip archive");
+  const count = buf.readUInt16LE(eocd + 10);
+  let pos = buf.readUInt32LE(eocd + 16);
+  if (pos === 0xffffffff) throw new Error("zip64 archives are not supported");
+
+  const files = [];
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(pos) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const flags = buf.readUInt16LE(pos + 8);
+    const method = buf.readUInt16LE(pos + 10);
+    const compressedSize = buf.readUInt32LE(pos + 20);
+    const size = buf.readUInt32LE(pos + 24);
+    const nameLength = buf.readUInt16LE(pos + 28);
+    const extraLength = buf.readUInt16LE(pos + 30);
+    const commentLength = buf.readUInt16LE(pos + 32);
+    const localOffset = buf.readUInt32LE(pos + 42);
+    const name = buf.toString(flags & 0x0800 ? "utf8" : "latin1", pos + 46, pos + 46 + nameLength);
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue;
+    if (flags & 0x1) throw new Error(`${name} is encrypted`);
+    total += size;
+    if (total > maxBytes) throw new Error("Archive is too large");
+    const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    else throw new Error(`${name} uses an unsupported compression method (${method})`);
+    files.push({ name, data });
+  }
+  return files;
+}
+
+// ===== TAR =====
+function tarHeader(name, size, mode, type, mtime) {
+  const header = Buffer.alloc(512);
+  if (Buffer.byteLength(name) > 100) throw new Error(`Path too long for tar: ${name}`);
+  header.write(name, 0, 100, "utf8");
+  header.write(`${mode.toString(8).padStart(7, "0")}\0`, 100);
+  header.write("0000000\0", 108); // uid
+  header.write("0000000\0", 116); // gid
+  header.write(`${size.toString(8).padStart(11, "0")}\0`, 124);
+  header.write(`${Math.floor(mtime / 1000).toString(8).padStart(11, "0")}\0`, 136);
+  header.write("        ", 148); // checksum placeholder
+  header.write(type, 156);
+  header.write("ustar\u000000", 257);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(`${sum.toString(8).padStart(6, "0")}\0 `, 148);
+  return header;
+}
+
+// entries: [{ name, data?: Buffer | string }]; names ending in "/" are folders.
+function createTarGz(entries, mtime = Date.now()) {
+  const parts = [];
+  for (const entry of entries) {
+    if (entry.name.endsWith("/")) {
+      parts.push(tarHeader(entry.name, 0, 0o755, "5", mtime));
+      continue;
+    }
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data || "", "utf8");
+    parts.push(tarHeader(entry.name, data.length, 0o644, "0", mtime), data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  parts.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(parts));
+}
+
+// ===== GIT =====
+function gitObject(type, body) {
+  const raw = Buffer.concat([Buffer.from(`${type} ${body.length}\0`), body]);
+  return { sha: crypto.createHash("sha1").update(raw).digest("hex"), raw };
+}
+
+// Writes the tree for { "dir/file": content } into `objects`, returns its sha.
+function writeTree(files, objects) {
+  const children = new Map(); // name → { files } for folders, or content for files
+  for (const [filename, content] of Object.entries(files)) {
+    const slash = filename.indexOf("/");
+    if (slash < 0) {
+      children.set(filename, { content });
+    } else {
+      const dir = filename.slice(0, slash);
+      if (!children.has(dir)) children.set(dir, { files: {} });
+      children.get(dir).files[filename.slice(slash + 1)] = content;
+    }
+  }
+  const entries = [...children.entries()].map(([name, child]) => {
+    if (child.files) return { name, mode: "40000", sha: writeTree(child.files, objects), sortKey: `${name}/` };
+    const blob = gitObject("blob", Buffer.from(child.content, "utf8"));
+    objects.set(blob.sha, blob.raw);
+    return { name, mode: "100644", sha: blob.sha, sortKey: name };
+  });
+  // Git orders tree entries by byte value, with folder names compared as "name/".
+  entries.sort((a, b) => Buffer.compare(Buffer.from(a.sortKey), Buffer.from(b.sortKey)));
+  const body = Buffer.concat(entries.map((e) => Buffer.concat([Buffer.from(`${e.mode} ${e.name}\0`), Buffer.from(e.sha, "hex")])));
+  const tree = gitObject("tree", body);
+  objects.set(tree.sha, tree.raw);
+  return tree.sha;
+}
+
+function gitIdentity(name, time) {
+  const clean = String(name || "codecollab").replace(/[<>\n]/g, "");
+  const email = `${clean.replace(/[^A-Za-z0-9_.-]/g, "_")}@codecollab.local`;
+  return `${clean} <${email}> ${Math.floor(time / 1000)} +0000`;
+}
+
+// Bare repository (as archive entries under `dir/`) with one commit per item of
+// `commits`: [{ files: { path: content }, author, time, message }], oldest first.
+function gitRepository(dir, commits, branch = "main") {
+  const objects = new Map();
+  let parent = null;
+  for (const commit of commits) {
+    const tree = writeTree(commit.files, objects);
+    const ident = gitIdentity(commit.author, commit.time);
+    const lines = [`tree ${tree}`, ...(parent ? [`parent ${parent}`] : []), `author ${ident}`, `committer ${ident}`, "", `${commit.message}\n`];
+    const object = gitObject("commit", Buffer.from(lines.join("\n"), "utf8"));
+    objects.set(object.sha, object.raw);
+    parent = object.sha;
+  }
+  const entries = [
+    { name: `${dir}/` },
+    { name: `${dir}/HEAD`, data: `ref: refs/heads/${branch}\n` },
+    { name: `${dir}/config`, data: "[core]\n\trepositoryformatversion = 0\n\tfilemode = true\n\tbare = true\n" },
+    { name: `${dir}/description`, data: "Exported from CodeCollab\n" },
+    { name: `${dir}/refs/` },
+    { name: `${dir}/refs/heads/` },
+    { name: `${dir}/refs/tags/` },
+    { name: `${dir}/objects/` },
+  ];
+  if (parent) entries.push({ name: `${dir}/refs/heads/${branch}`, data: `${parent}\n` });
+  const folders = new Set();
+  for (const [sha, raw] of objects) {
+    const folder = `${dir}/objects/${sha.slice(0, 2)}/`;
+    if (!folders.has(folder)) {
+      folders.add(folder);
+      entries.push({ name: folder });
+    }
+    entries.push({ name: `${folder}${sha.slice(2)}`, data: zlib.deflateSync(raw) });
+  }
+  return entries;
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  readZip,
+  createTarGz,
+  gitRepository,
+};
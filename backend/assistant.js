@@ -0,0 +1,137 @@
+/**
+ * backend/assistant.js
+ * AI assistant behind /ai-suggest.
+ * - AI_PROVIDER=openai | gemini | mock picks the backend; without it the first
+ *   provider with an API key wins, and the assistant is off when there is none
+ * - prompts carry the current file, the selection, the language and the
+ *   session's last failed run
+ * - providers stream text chunks; a reply may end with one ```edit block holding
+ *   the replacement for the selection (or the whole file), which the client
+ *   shows as a diff before applying
+ */
+
+const PROVIDER_NAME = process.env.AI_PROVIDER
+  || (process.env.OPENAI_API_KEY && "openai")
+  || ((process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY) && "gemini")
+  || null;
+const MAX_CODE_CHARS = Number(process.env.AI_MAX_CODE_CHARS) || 24000;
+const MAX_ERROR_CHARS = 4000;
+
+// ===== PROVIDERS =====
+// Each provider is stream({ system, prompt, signal }) → async iterable of text chunks.
+const providers = {
+  openai: {
+    model: process.env.AI_MODEL || "gpt-4o-mini",
+    async *stream({ system, prompt, signal }) {
+      const OpenAI = require("openai");
+      const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+      const stream = await client.chat.completions.create({
+        model: this.model,
+        stream: true,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: prompt },
+        ],
+      }, { signal });
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+  },
+  gemini: {
+    model: process.env.AI_MODEL || "gemini-1.5-flash",
+    async *stream({ system, prompt, signal }) {
+      const { GoogleGenerativeAI } = require("@google/generative-ai");
+      const client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY);
+      const model = client.getGenerativeModel({ model: this.model, systemInstruction: system });
+      const result = await model.generateContentStream({ contents: [{ role: "user", parts: [{ text: prompt }] }] }, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  },
+  // Offline provider for development and tests: echoes the request back with
+  // a trivial edit so the apply flow can be exercised without an API key.
+  mock: {
+    model: "mock",
+    async *stream({ prompt, context, signal }) {
+      const target = context.selection ? context.selection.text : context.code;
+      const comment = ["python"].includes(context.language) ? "#" : "//";
+      const parts = [
+        `Mock assistant (${prompt.length} prompt chars).\n`,
+        context.runError ? `The last run failed at the ${context.runError.stage} stage.\n` : "No recent run errors.\n",
+        "Suggested edit:\n",
+        `\`\`\`edit\n${comment} reviewed by the mock assistant\n${target}\n\`\`\`\n`,
+      ];
+      for (const part of parts) {
+        if (signal && signal.aborted) return;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        yield part;
+      }
+    },
+  },
+};
+
+const provider = PROVIDER_NAME ? providers[PROVIDER_NAME] : null;
+if (PROVIDER_NAME && !provider) console.warn(`⚠️  Unknown AI_PROVIDER "${PROVIDER_NAME}" — AI assistant disabled`);
+
+function assistantInfo() {
+  return provider ? { provider: PROVIDER_NAME, model: provider.model } : { provider: null };
+}
+
+// ===== PROMPTS =====
+const SYSTEM_PROMPT = [
+  "You are a coding assistant inside a collaborative code editor.",
+  "Answer briefly. When you propose a change, end your reply with exactly one fenced block",
+  "opened with ```edit that contains the complete replacement for the selected code",
+  "(or for the whole file when nothing is selected) and nothing else.",
+].join(" ");
+
+function clip(text, max) {
+  const value = String(text || "");
+  return value.length > max ? `${value.slice(0, max)}\n… (truncated)` : value;
+}
+
+function buildPrompt({ question, language, filename, code, selection, runError }) {
+  const sections = [
+    `Language: ${language || "unknown"}`,
+    `File: ${filename || "(untitled)"}`,
+    `Current file:\n\`\`\`\n${clip(code, MAX_CODE_CHARS)}\n\`\`\``,
+  ];
+  if (selection) {
+    sections.push(`Selected lines ${selection.startLine}-${selection.endLine}:\n\`\`\`\n${clip(selection.text, MAX_CODE_CHARS)}\n\`\`\``);
+  }
+  if (runError) {
+    sections.push(`Last run of ${runError.filename || "the project"} failed (${runError.stage}, exit ${runError.exitCode}):\n${clip(runError.stderr, MAX_ERROR_CHARS)}`);
+  }
+  sections.push(question ? `Request: ${question}` : "Request: review this code and suggest one concrete improvement or fix.");
+  return sections.join("\n\n");
+}
+
+// Replacement text from the reply's ```edit block, or null. The closing fence
+// must stand on its own line: the code itself may contain ``` (Markdown, template
+// literals).
+function extractEdit(reply) {
+  const match = /```edit[^\n]*\n([\s\S]*?)\n?^```[ \t]*$/m.exec(reply);
+  return match ? match[1] : null;
+}
+
+// Streams the reply through onChunk and resolves with { text, edit }.
+async function suggest(context, { onChunk = () => {}, signal } = {}) {
+  if (!provider) throw new Error("AI assistant is not configured");
+  let text = "";
+  for await (const chunk of provider.stream({ system: SYSTEM_PROMPT, prompt: buildPrompt(context), context, signal })) {
+    text += chunk;
+    onChunk(chunk);
+  }
+  return { text, edit: extractEdit(text) };
+}
+
+module.exports = {
+  assistantInfo,
+  buildPrompt,
+  extractEdit,
+  suggest,
+};
@@ -0,0 +1,105 @@
+/**
+ * backend/auth.js
+ * Local accounts and session roles:
+ * - scrypt password hashes ("scrypt$<salt>$<hash>")
+ * - HMAC-signed bearer tokens ("<base64url payload>.<base64url signature>")
+ * - role → permission table enforced by server.js on every event and route
+ * - site admins (ADMIN_USERS, comma-separated usernames) for the admin API
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+const TOKEN_TTL_MS = Number(process.env.AUTH_TOKEN_TTL_MS) || 7 * 24 * 60 * 60 * 1000;
+const SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.AUTH_SECRET) {
+  console.warn("⚠️  AUTH_SECRET not set — using a random secret, tokens will not survive a restart");
+}
+
+// ===== ROLES =====
+const PERMISSIONS = {
+  owner: ["read", "chat", "edit", "run", "manage"],
+  editor: ["read", "chat", "edit", "run"],
+  runner: ["read", "chat", "run"],
+  viewer: ["read", "chat"],
+};
+const ROLES = Object.keys(PERMISSIONS);
+
+function can(role, permission) {
+  return Boolean(role && PERMISSIONS[role] && PERMISSIONS[role].includes(permission));
+}
+
+const ADMINS = new Set((process.env.ADMIN_USERS || "").split(",").map((name) => normalizeUsername(name)).filter(Boolean));
+
+function isAdmin(userName) {
+  return ADMINS.has(userName);
+}
+
+// ===== PASSWORDS =====
+// Usernames are case-insensitive; the lower-cased form is the account key.
+function normalizeUsername(name) {
+  const clean = String(name || "").trim().toLowerCase();
+  return /^[a-z0-9_.-]{3,32}$/.test(clean) ? clean : null;
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const expected = Buffer.from(hex, "hex");
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// ===== TOKENS =====
+function sign(data) {
+  return crypto.createHmac("sha256", SECRET).update(data).digest("base64url");
+}
+
+function signToken(payload, ttlMs = TOKEN_TTL_MS) {
+  const body = Buffer.from(JSON.stringify({ ...payload, exp: Date.now() + ttlMs })).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+// Payload of a valid, unexpired token, otherwise null. Preview tokens (a
+// `preview` claim naming their session) sit in iframe URLs where the previewed
+// page can read them, so they are only accepted when `preview` names the same
+// session, and never as a sign-in.
+function verifyToken(token, { preview = null } = {}) {
+  const [body, signature] = String(token || "").split(".");
+  if (!body || !signature) return null;
+  const expected = Buffer.from(sign(body));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (!(payload.exp > Date.now()) || (payload.preview || null) !== preview) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function bearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || "");
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  ROLES,
+  can,
+  ADMINS,
+  isAdmin,
+  normalizeUsername,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  bearerToken,
+};
@@ -0,0 +1,378 @@
+/**
+ * backend/formatter.js
+ * Formatting and linting for the Format button and format-on-save (see server.js):
+ * - prettier for JS/TS, HTML, CSS, JSON and Markdown; black or autopep8 for
+ *   Python (the session picks, the other is used if only it is installed);
+ *   clang-format for C/C++; google-java-format for Java, or
+ *   GOOGLE_JAVA_FORMAT_JAR run with java
+ * - linting: flake8 or pyflakes for Python; ESLint's recommended rules for
+ *   JS/TS; gcc / g++ -fsyntax-only -Wall for C/C++ with the session's C/C++
+ *   files, so local #includes resolve. Other languages only get the syntax
+ *   errors their formatter reports
+ * - prettier and ESLint run on a worker thread (formatworker.js), every other
+ *   tool in the code runner's sandbox (a formatter's config lookup or an
+ *   #include could otherwise read the server's own files); either is stopped
+ *   after FORMAT_TIMEOUT_MS, by default the runner's RUN_TIMEOUT_MS
+ * - findings use LSP's diagnostic shape (0-based positions) so the editor shows
+ *   them like the language servers' (see frontend/src/lsp.js)
+ * Formatters and linters read the file and never run it.
+ */
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+const runner = require("./runner");
+const { hasCommand } = runner;
+
+// prettier, eslint, @eslint/js, globals, @typescript-eslint/parser and the
+// typescript it parses with are runtime dependencies, not this repo's dev
+// tooling: they format and lint the sessions' code. Each is optional.
+function installed(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+const HAS_PRETTIER = installed("prettier");
+const HAS_ESLINT = ["eslint", "@eslint/js", "globals"].every(installed);
+const HAS_TYPESCRIPT_PARSER = installed("@typescript-eslint/parser");
+
+const TIMEOUT_MS = Number(process.env.FORMAT_TIMEOUT_MS) || runner.LIMITS.timeoutMs;
+const WORKER_MEMORY_MB = 256;
+const OUTPUT_MAX = 4 * 1024 * 1024;
+const PYTHON_FORMATTERS = ["black", "autopep8"];
+const ERROR = 1;
+const WARNING = 2;
+
+const LANGUAGES = {
+  ".js": "javascript", ".jsx": "javascript", ".mjs": "javascript", ".cjs": "javascript",
+  ".ts": "javascript", ".tsx": "javascript",
+  ".html": "html", ".htm": "html",
+  ".css": "css", ".scss": "css", ".less": "css",
+  ".json": "json", ".md": "markdown",
+  ".py": "python",
+  ".c": "c", ".h": "c", ".cpp": "cpp", ".cc": "cpp", ".cxx": "cpp", ".hpp": "cpp", ".hh": "cpp",
+  ".java": "java",
+};
+
+const DEFAULT_CONFIG = { formatOnSave: false, lintOnSave: true, python: "black", printWidth: 80, tabWidth: 2 };
+
+function languageOf(filename) {
+  return LANGUAGES[path.extname(String(filename || "")).toLowerCase()] || null;
+}
+
+// Fills in defaults and drops anything unknown or out of range.
+function normalizeFormatConfig(input) {
+  if (!input || typeof input !== "object") input = {};
+  const number = (value, min, max, fallback) => {
+    const n = Math.floor(Number(value));
+    return n >= min && n <= max ? n : fallback;
+  };
+  return {
+    formatOnSave: Boolean(input.formatOnSave),
+    lintOnSave: input.lintOnSave == null ? DEFAULT_CONFIG.lintOnSave : Boolean(input.lintOnSave),
+    python: PYTHON_FORMATTERS.includes(input.python) ? input.python : DEFAULT_CONFIG.python,
+    printWidth: number(input.printWidth, 40, 200, DEFAULT_CONFIG.printWidth),
+    tabWidth: number(input.tabWidth, 1, 8, DEFAULT_CONFIG.tabWidth),
+  };
+}
+
+// ===== TOOLS =====
+function diagnostic(line, character, message, source, severity = ERROR) {
+  const position = { line: Math.max(0, line), character: Math.max(0, character) };
+  return { range: { start: position, end: position }, severity, message, source };
+}
+
+// Run `command` in the runner's sandbox, in a scratch job directory, with
+// `input` on stdin: { code, stdout, stderr }; rejects when the runner may not
+// run anything here, or the tool runs over TIMEOUT_MS or prints more than OUTPUT_MAX.
+async function pipe(command, args, input, { sessionId } = {}, limits = {}) {
+  const dir = runner.createJobDir(sessionId || "format");
+  try {
+    const proc = runner.startProcess(command, args, {
+      dir,
+      limits: { ...runner.LIMITS, timeoutMs: TIMEOUT_MS, outputBytes: OUTPUT_MAX, ...limits },
+      env: { LANG: "C.UTF-8" },
+    });
+    proc.write(input);
+    proc.end();
+    const { exitCode, timedOut, truncated, stdout, stderr } = await proc.done;
+    if (timedOut) throw new Error(`${command} timed out`);
+    if (truncated) throw new Error(`${command} printed too much`);
+    return { code: exitCode, stdout, stderr };
+  } finally {
+    runner.removeJobDir(dir);
+  }
+}
+
+// Whether an external tool can run: the runner must allow it, and under
+// RUNNER=docker the tool comes from the runner image.
+function sandboxed(command) {
+  const info = runner.sandboxInfo();
+  return !info.disabled && (info.runner === "docker" || hasCommand(command));
+}
+
+// ===== WORKER =====
+// Tasks for formatworker.js run one at a time. One that outlives TIMEOUT_MS
+// (or its memory) takes the worker with it, and the next task starts a new one.
+let worker = null;
+let queue = Promise.resolve();
+
+function inWorker(task, args) {
+  const run = queue.catch(() => {}).then(() => new Promise((resolve, reject) => {
+    if (!worker) {
+      worker = new Worker(path.join(__dirname, "formatworker.js"), { resourceLimits: { maxOldGenerationSizeMb: WORKER_MEMORY_MB } });
+      worker.unref();
+    }
+    const current = worker;
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      current.off("message", onMessage).off("error", onError).off("exit", onExit);
+      settle(value);
+    };
+    const discard = () => {
+      if (worker === current) worker = null;
+      current.terminate();
+    };
+    const onMessage = ({ result, error }) => {
+      if (!error) return finish(resolve, result);
+      finish(reject, Object.assign(new Error(error.message), error.loc ? { loc: error.loc } : {}));
+    };
+    const onError = (err) => {
+      discard();
+      finish(reject, err);
+    };
+    const onExit = () => onError(new Error(`${task} stopped`));
+    const timer = setTimeout(() => {
+      discard();
+      finish(reject, new Error(`${task} timed out`));
+    }, TIMEOUT_MS);
+    current.on("message", onMessage).on("error", onError).on("exit", onExit);
+    current.postMessage({ task, args });
+  }));
+  queue = run;
+  return run;
+}
+
+// First line of a tool's complaint, for errors that carry no position.
+function firstLine(text, fallback) {
+  return String(text || "").split("\n").map((l) => l.trim()).find(Boolean) || fallback;
+}
+
+const FORMATTERS = {
+  prettier: {
+    available: () => HAS_PRETTIER,
+    async format(content, filename, config) {
+      try {
+        return { content: await inWorker("prettier", { content, filename, printWidth: config.printWidth, tabWidth: config.tabWidth }) };
+      } catch (err) {
+        if (!err.loc) throw err;
+        const { line, column } = err.loc.start;
+        return { diagnostics: [diagnostic(line - 1, column - 1, firstLine(err.message).replace(/ \(\d+:\d+\)$/, ""), "prettier")] };
+      }
+    },
+  },
+  black: {
+    available: () => sandboxed("black"),
+    async format(content, filename, config, context) {
+      const { code, stdout, stderr } = await pipe("black", ["-q", "--line-length", String(config.printWidth), "--stdin-filename", filename, "-"], content, context);
+      if (code === 0) return { content: stdout };
+      const parsed = /Cannot parse[^:]*: (\d+):(\d+): (.*)/.exec(stderr);
+      if (!parsed) throw new Error(firstLine(stderr, "black failed"));
+      return { diagnostics: [diagnostic(parsed[1] - 1, Number(parsed[2]), `Cannot parse: ${parsed[3]}`, "black")] };
+    },
+  },
+  autopep8: {
+    available: () => sandboxed("autopep8"),
+    async format(content, filename, config, context) {
+      const { code, stdout, stderr } = await pipe("autopep8", ["--max-line-length", String(config.printWidth), "-"], content, context);
+      if (code !== 0) throw new Error(firstLine(stderr, "autopep8 failed"));
+      return { content: stdout };
+    },
+  },
+  "clang-format": {
+    available: () => sandboxed("clang-format"),
+    async format(content, filename, config, context) {
+      const style = `{BasedOnStyle: LLVM, ColumnLimit: ${config.printWidth}, IndentWidth: ${config.tabWidth}}`;
+      const { code, stdout, stderr } = await pipe("clang-format", [`--assume-filename=${filename}`, `--style=${style}`], content, context);
+      if (code !== 0) throw new Error(firstLine(stderr, "clang-format failed"));
+      return { content: stdout };
+    },
+  },
+  "google-java-format": {
+    available: () => (process.env.GOOGLE_JAVA_FORMAT_JAR ? sandboxed("java") : sandboxed("google-java-format")),
+    async format(content, filename, config, context) {
+      const jar = process.env.GOOGLE_JAVA_FORMAT_JAR;
+      // Address-space limits break the JVM.
+      const { code, stdout, stderr } = jar
+        ? await pipe("java", ["-jar", jar, "-"], content, context, { noAddressLimit: true })
+        : await pipe("google-java-format", ["-"], content, context, { noAddressLimit: true });
+      if (code === 0) return { content: stdout };
+      const diagnostics = [...stderr.matchAll(/:(\d+):(\d+): error: (.*)/g)]
+        .map(([, line, column, message]) => diagnostic(line - 1, column - 1, message, "google-java-format"));
+      if (!diagnostics.length) throw new Error(firstLine(stderr, "google-java-format failed"));
+      return { diagnostics };
+    },
+  },
+};
+
+// flake8's "will not run" codes; everything else is a warning.
+const FLAKE8_ERRORS = /^(E9|F63|F7|F82)/;
+
+// ESLint rules whose findings would throw when the code runs.
+const ESLINT_ERRORS = new Set(["no-undef", "no-const-assign", "no-class-assign", "no-func-assign", "no-import-assign", "no-obj-calls"]);
+const TYPESCRIPT = /\.tsx?$/i;
+
+// gcc's own findings about `file`, the one being linted: "main.c:3:5: warning: ... [-Wall]".
+function compilerDiagnostics(output, file, source) {
+  const escaped = file.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^(?:\\./)?${escaped}:(\\d+):(\\d+): (fatal error|error|warning): (.*)$`, "gm");
+  return [...output.matchAll(pattern)].map(([, line, column, kind, message]) => {
+    const flag = /\[-W([\w=+-]+)\]$/.exec(message);
+    const found = diagnostic(line - 1, column - 1, message.replace(/ \[-W[\w=+-]+\]$/, ""), source, kind === "warning" ? WARNING : ERROR);
+    return flag ? { ...found, code: flag[1] } : found;
+  });
+}
+
+// -fsyntax-only parses and type-checks without compiling. The job directory
+// holds the session's C/C++ sources and headers so local #includes resolve.
+function compilerLinter(compiler, language) {
+  return {
+    available: () => sandboxed(compiler),
+    async lint(content, filename, config, { sessionId, loadFiles } = {}) {
+      const file = runner.safeRelativePath(filename, `main.${language === "c" ? "c" : "cpp"}`);
+      const dir = runner.createJobDir(sessionId || "lint");
+      try {
+        const files = loadFiles ? await loadFiles() : {};
+        Object.entries(files || {}).forEach(([name, text]) => {
+          const rel = runner.safeRelativePath(name, "");
+          if (rel && rel !== file && ["c", "cpp"].includes(languageOf(rel))) runner.writeJobFile(dir, rel, text);
+        });
+        runner.writeJobFile(dir, file, content);
+        const { stderr } = await runner.runProcess(compiler, [
+          "-fsyntax-only", "-Wall", "-fno-diagnostics-show-caret", "-fdiagnostics-color=never",
+          "-x", language === "c" ? "c" : "c++", file,
+        ], { dir, limits: { ...runner.LIMITS, timeoutMs: TIMEOUT_MS }, env: { LC_ALL: "C" } });
+        return compilerDiagnostics(stderr, file, compiler);
+      } finally {
+        runner.removeJobDir(dir);
+      }
+    },
+  };
+}
+
+const LINTERS = {
+  eslint: {
+    available: () => HAS_ESLINT,
+    async lint(content, filename) {
+      if (TYPESCRIPT.test(filename) && !HAS_TYPESCRIPT_PARSER) return [];
+      return (await inWorker("eslint", { content, filename })).map((m) => {
+        const severity = m.fatal || ESLINT_ERRORS.has(m.ruleId) ? ERROR : WARNING;
+        const found = diagnostic(m.line - 1, m.column - 1, m.message, "eslint", severity);
+        if (m.endLine) found.range.end = { line: m.endLine - 1, character: Math.max(0, m.endColumn - 1) };
+        return m.ruleId ? { ...found, code: m.ruleId } : found;
+      });
+    },
+  },
+  gcc: compilerLinter("gcc", "c"),
+  "g++": compilerLinter("g++", "cpp"),
+  flake8: {
+    available: () => sandboxed("flake8"),
+    async lint(content, filename, config, context) {
+      const { stdout } = await pipe("flake8", ["--max-line-length", String(config.printWidth), "--stdin-display-name", filename, "-"], content, context);
+      return [...stdout.matchAll(/^.*?:(\d+):(\d+): (\w+) (.*)$/gm)].map(([, line, column, code, message]) => ({
+        ...diagnostic(line - 1, column - 1, message, "flake8", FLAKE8_ERRORS.test(code) ? ERROR : WARNING),
+        code,
+      }));
+    },
+  },
+  pyflakes: {
+    available: () => sandboxed("pyflakes"),
+    async lint(content, filename, config, context) {
+      const { stdout, stderr } = await pipe("pyflakes", [], content, context);
+      return [...`${stdout}\n${stderr}`.matchAll(/^<stdin>:(\d+):(?:(\d+):?)? (.*)$/gm)].map(([, line, column, message]) => (
+        diagnostic(line - 1, (Number(column) || 1) - 1, message, "pyflakes", /undefined name|syntax|invalid/i.test(message) ? ERROR : WARNING)
+      ));
+    },
+  },
+};
+
+// Formatter names for each language, preferred first.
+function formattersFor(language, config) {
+  if (["javascript", "html", "css", "json", "markdown"].includes(language)) return ["prettier"];
+  if (language === "python") return [config.python, ...PYTHON_FORMATTERS.filter((f) => f !== config.python)];
+  if (language === "c" || language === "cpp") return ["clang-format"];
+  if (language === "java") return ["google-java-format"];
+  return [];
+}
+
+function formatterFor(filename, config) {
+  return formattersFor(languageOf(filename), config).find((name) => FORMATTERS[name].available()) || null;
+}
+
+// Linter names for each language, preferred first.
+function lintersFor(language) {
+  if (language === "python") return ["flake8", "pyflakes"];
+  if (language === "javascript") return ["eslint"];
+  if (language === "c") return ["gcc"];
+  if (language === "cpp") return ["g++"];
+  return [];
+}
+
+function linterFor(filename) {
+  return lintersFor(languageOf(filename)).find((name) => LINTERS[name].available()) || null;
+}
+
+// What is installed, per language: { javascript: "prettier", python: null, ... }.
+function formatterInfo() {
+  const languages = [...new Set(Object.values(LANGUAGES))];
+  return Object.fromEntries(languages.map((language) => [
+    language,
+    formattersFor(language, DEFAULT_CONFIG).find((name) => FORMATTERS[name].available()) || null,
+  ]));
+}
+
+// The same for linters: { python: "flake8", javascript: "eslint", html: null, ... }.
+// Languages missing here are never linted beyond their formatter's syntax errors.
+function linterInfo() {
+  const languages = [...new Set(Object.values(LANGUAGES))];
+  return Object.fromEntries(languages.map((language) => [
+    language,
+    lintersFor(language).find((name) => LINTERS[name].available()) || null,
+  ]));
+}
+
+// ===== FORMAT & LINT =====
+// Lint findings for `content`; [] when there is no linter for the file.
+// `context` is { sessionId, loadFiles }, for linters that need the rest of the
+// project (C/C++ headers).
+async function lint(filename, content, config = DEFAULT_CONFIG, context = {}) {
+  const name = linterFor(filename);
+  return name ? LINTERS[name].lint(content, filename, normalizeFormatConfig(config), context) : [];
+}
+
+// { formatter, content, diagnostics }: the formatted file linted, or, when the
+// formatter could not parse it, `content` null and where it got stuck.
+// Throws an error with code "unavailable" when no formatter handles the file.
+async function format(filename, content, config = DEFAULT_CONFIG, context = {}) {
+  config = normalizeFormatConfig(config);
+  const name = formatterFor(filename, config);
+  if (!name) {
+    const err = new Error(`No formatter for ${path.basename(String(filename))} is installed on the server`);
+    err.code = "unavailable";
+    throw err;
+  }
+  const result = await FORMATTERS[name].format(content, filename, config, context);
+  if (result.content == null) return { formatter: name, content: null, diagnostics: result.diagnostics };
+  return { formatter: name, content: result.content, diagnostics: await lint(filename, result.content, config, context) };
+}
+
+module.exports = {
+  formatterInfo,
+  linterInfo,
+  normalizeFormatConfig,
+  languageOf,
+  format,
+  lint,
+};
@@ -0,0 +1,70 @@
+/**
+ * backend/formatworker.js
+ * Worker thread for the tools formatter.js runs in-process, prettier and
+ * ESLint: a file that keeps them busy would otherwise stall the server, while
+ * a worker can be terminated after FORMAT_TIMEOUT_MS. Takes one task at a time,
+ * { task, args }, and answers { result } or { error: { message, loc } }.
+ */
+
+const path = require("path");
+const { parentPort } = require("worker_threads");
+
+// formatter.js only sends tasks for the tools that are installed.
+let prettier = null;
+try {
+  prettier = require("prettier");
+} catch {
+  // Only ESLint is installed.
+}
+let eslint = null;
+try {
+  eslint = {
+    linter: new (require("eslint").Linter)({ configType: "flat" }),
+    recommended: require("@eslint/js").configs.recommended,
+    globals: require("globals"),
+  };
+} catch {
+  // Only prettier is installed.
+}
+let typescriptParser = null;
+try {
+  typescriptParser = require("@typescript-eslint/parser");
+} catch {
+  // formatter.js does not lint TypeScript then.
+}
+
+const TYPESCRIPT = /\.tsx?$/i;
+
+function eslintConfig(filename) {
+  const typescript = TYPESCRIPT.test(filename);
+  return [{
+    ...eslint.recommended,
+    files: ["**/*.{js,jsx,mjs,cjs,ts,tsx}"],
+    languageOptions: {
+      ecmaVersion: "latest",
+      sourceType: /\.cjs$/i.test(filename) ? "commonjs" : "module",
+      globals: { ...eslint.globals.browser, ...eslint.globals.node },
+      ...(typescript ? { parser: typescriptParser } : {}),
+      parserOptions: { ecmaFeatures: { jsx: !/\.ts$/i.test(filename) } },
+    },
+    rules: {
+      ...eslint.recommended.rules,
+      // Types look like undefined or unused names to the core rules.
+      ...(typescript ? { "no-undef": "off", "no-unused-vars": "off" } : {}),
+    },
+  }];
+}
+
+const TASKS = {
+  prettier: ({ content, filename, printWidth, tabWidth }) => prettier.format(content, { filepath: filename, printWidth, tabWidth }),
+  // ESLint's messages: { line, column, endLine, endColumn, message, ruleId, fatal }.
+  eslint: ({ content, filename }) => eslint.linter.verify(content, eslintConfig(filename), { filename: path.basename(filename) }),
+};
+
+parentPort.on("message", async ({ task, args }) => {
+  try {
+    parentPort.postMessage({ result: await TASKS[task](args) });
+  } catch (err) {
+    parentPort.postMessage({ error: { message: err.message, loc: err.loc || null } });
+  }
+});
@@ -0,0 +1,215 @@
+/**
+ * backend/grader.js
+ * Test suites and grading for coding exercises:
+ * - a suite is a list of tests: input/output cases (stdin → expected stdout)
+ *   and unit-test files run with pytest, node:test or JUnit (see runner.js)
+ * - hidden tests are graded like any other, but members who cannot manage the
+ *   session only see how many of them passed
+ * - output is compared ignoring trailing whitespace unless a test asks for "exact"
+ * - reports carry per-test pass/fail, a line diff, timing and a points score
+ */
+
+const crypto = require("crypto");
+const { runWithInputs, runUnitTests, languageOf } = require("./runner");
+
+const MAX_TESTS = Number(process.env.TESTS_MAX) || 100;
+const MAX_TEXT = 200000;
+const MAX_TEST_FILES = 20;
+const DIFF_LINES = 20;
+const OUTPUT_TAIL = 8000;
+
+// ===== SUITES =====
+function text(value) {
+  return String(value ?? "").replace(/\r\n/g, "\n").slice(0, MAX_TEXT);
+}
+
+function normalizeTest(input = {}, index) {
+  const test = {
+    id: /^[A-Za-z0-9_-]{1,32}$/.test(input.id || "") ? input.id : crypto.randomBytes(6).toString("hex"),
+    name: String(input.name || `Test ${index + 1}`).trim().slice(0, 100),
+    kind: input.kind === "unit" ? "unit" : "io",
+    hidden: Boolean(input.hidden),
+    points: Math.min(1000, Math.max(0, Number(input.points ?? 1) || 0)),
+  };
+  if (test.kind === "io") {
+    test.stdin = text(input.stdin);
+    test.expected = text(input.expected);
+    test.compare = input.compare === "exact" ? "exact" : "trim";
+    if (input.timeoutMs) test.timeoutMs = Math.max(100, Number(input.timeoutMs) || 0);
+    return test;
+  }
+  const files = Object.entries(input.files || {}).filter(([name]) => name.trim());
+  if (!files.length) throw new Error(`${test.name}: a unit test needs at least one test file`);
+  if (files.length > MAX_TEST_FILES) throw new Error(`${test.name}: at most ${MAX_TEST_FILES} test files`);
+  const language = languageOf(files[0][0]);
+  if (files.some(([name]) => languageOf(name) !== language)) throw new Error(`${test.name}: test files must share one language`);
+  test.files = Object.fromEntries(files.map(([name, content]) => [name.trim(), text(content)]));
+  return test;
+}
+
+// Validated copy of a suite; throws with a message for the client.
+function normalizeSuite(input) {
+  if (!Array.isArray(input)) throw new Error("tests must be a list");
+  if (input.length > MAX_TESTS) throw new Error(`At most ${MAX_TESTS} tests per session`);
+  const tests = input.map(normalizeTest);
+  const ids = new Set();
+  tests.forEach((t) => {
+    if (ids.has(t.id)) t.id = crypto.randomBytes(6).toString("hex");
+    ids.add(t.id);
+  });
+  return tests;
+}
+
+// The suite as a member sees it: hidden tests only as a count unless they manage the session.
+function redactSuite(tests, canManage) {
+  return {
+    tests: canManage ? tests : tests.filter((t) => !t.hidden),
+    hidden: tests.filter((t) => t.hidden).length,
+  };
+}
+
+// ===== COMPARISON =====
+function outputLines(value, compare) {
+  const lines = String(value || "").replace(/\r\n/g, "\n").split("\n");
+  if (compare === "exact") return lines;
+  const trimmed = lines.map((line) => line.replace(/\s+$/, ""));
+  while (trimmed.length && trimmed[trimmed.length - 1] === "") trimmed.pop();
+  return trimmed;
+}
+
+// First mismatching lines as [{ line, expected, actual }]; null marks a missing line.
+function lineDiff(expected, actual) {
+  const diff = [];
+  for (let i = 0; i < Math.max(expected.length, actual.length) && diff.length < DIFF_LINES; i++) {
+    if (expected[i] !== actual[i]) diff.push({ line: i + 1, expected: expected[i] ?? null, actual: actual[i] ?? null });
+  }
+  return diff;
+}
+
+function tail(value) {
+  const s = String(value || "");
+  return s.length > OUTPUT_TAIL ? `…${s.slice(-OUTPUT_TAIL)}` : s;
+}
+
+function runStatus(run) {
+  if (run.stage === "compile") return "compile-error";
+  if (run.timedOut) return "timeout";
+  return "error";
+}
+
+function gradeOutput(test, run) {
+  const expected = outputLines(test.expected, test.compare);
+  const actual = outputLines(run.stdout, test.compare);
+  const diff = lineDiff(expected, actual);
+  const passed = run.ok && diff.length === 0;
+  return {
+    passed,
+    status: passed ? "passed" : run.ok ? "failed" : runStatus(run),
+    durationMs: run.durationMs,
+    exitCode: run.exitCode,
+    stdin: test.stdin,
+    expected: test.expected,
+    actual: tail(run.stdout),
+    stderr: tail(run.stderr),
+    diff,
+  };
+}
+
+// ===== JUNIT REPORTS =====
+function unescapeXml(value) {
+  return String(value || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, "\"").replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function xmlAttributes(source) {
+  const attrs = {};
+  for (const [, key, value] of source.matchAll(/([\w:-]+)="([^"]*)"/g)) attrs[key] = unescapeXml(value);
+  return attrs;
+}
+
+// Test cases of JUnit XML documents (pytest, node:test and JUnit all write it).
+function parseJUnit(reports) {
+  const cases = [];
+  for (const xml of reports) {
+    for (const [, attrSource, body = ""] of xml.matchAll(/<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g)) {
+      const attrs = xmlAttributes(attrSource);
+      const failure = /<(failure|error)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/.exec(body);
+      const skipped = /<skipped\b/.test(body);
+      cases.push({
+        name: attrs.name || "(unnamed)",
+        group: attrs.classname || "",
+        status: failure ? (failure[1] === "error" ? "error" : "failed") : skipped ? "skipped" : "passed",
+        message: failure ? tail(xmlAttributes(failure[2]).message || unescapeXml(failure[3]).trim()) : "",
+        durationMs: Math.round((Number(attrs.time) || 0) * 1000),
+      });
+    }
+  }
+  return cases;
+}
+
+function gradeUnit(run) {
+  const cases = parseJUnit(run.reports);
+  const passed = run.ok && cases.length > 0 && cases.every((c) => c.status !== "failed" && c.status !== "error");
+  let status = passed ? "passed" : "failed";
+  if (!passed && (!cases.length || run.stage !== "run" || run.timedOut)) status = runStatus(run);
+  return {
+    passed,
+    status,
+    durationMs: run.durationMs,
+    exitCode: run.exitCode,
+    cases,
+    output: tail(`${run.stdout}${run.stderr}`),
+  };
+}
+
+// ===== RUNNING =====
+// Run every test against the session's files. Resolves with
+// { passed, total, score, maxScore, durationMs, results }, results in suite order.
+async function runSuite(tests, { sessionId, language, filename, files, config }) {
+  const started = Date.now();
+  const graded = new Map();
+  const ioTests = tests.filter((t) => t.kind === "io");
+  if (ioTests.length) {
+    const { compile, runs } = await runWithInputs({
+      sessionId, language, filename, files, config,
+      inputs: ioTests.map((t) => ({ stdin: t.stdin, timeoutMs: t.timeoutMs })),
+    });
+    ioTests.forEach((t, i) => graded.set(t.id, gradeOutput(t, compile || runs[i])));
+  }
+  for (const test of tests.filter((t) => t.kind === "unit")) {
+    const testFiles = test.files;
+    const run = await runUnitTests({ sessionId, language: languageOf(Object.keys(testFiles)[0]), files, config, testFiles });
+    graded.set(test.id, gradeUnit(run));
+  }
+  const results = tests.map((t) => ({ id: t.id, name: t.name, kind: t.kind, hidden: t.hidden, points: t.points, ...graded.get(t.id) }));
+  const sum = (list) => list.reduce((total, r) => total + r.points, 0);
+  return {
+    passed: results.filter((r) => r.passed).length,
+    total: results.length,
+    score: sum(results.filter((r) => r.passed)),
+    maxScore: sum(results),
+    durationMs: Date.now() - started,
+    results,
+  };
+}
+
+// A report as a member sees it: hidden results collapse into a pass count.
+function redactReport(report, canManage) {
+  const hidden = report.results.filter((r) => r.hidden);
+  return {
+    ...report,
+    results: canManage ? report.results : report.results.filter((r) => !r.hidden),
+    hidden: { passed: hidden.filter((r) => r.passed).length, total: hidden.length },
+  };
+}
+
+module.exports = {
+  normalizeSuite,
+  redactSuite,
+  runSuite,
+  redactReport,
+  parseJUnit,
+};
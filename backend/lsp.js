@@ -0,0 +1,476 @@
+/**
+ * backend/lsp.js
+ * Language servers behind the editor's diagnostics, hover, completion and
+ * go-to-definition:
+ * - one process per session and server kind: python (pyright or pylsp), clangd
+ *   for C/C++, jdtls for Java — whichever is installed; LSP_PYTHON, LSP_CLANGD
+ *   and LSP_JAVA ("command args") override the command
+ * - servers work on a mirror of the session's files under temp/lsp/<session>/
+ *   that follows every committed edit, so imports and includes across files resolve;
+ *   build files (pom.xml, build.gradle, compile_commands.json, ...) are left out
+ *   so that no server imports a build that runs code
+ * - servers run in the runner's sandbox (runner.js) with LSP_* limits, and are
+ *   unavailable where the runner refuses to run code
+ * - requests are proxied with session file paths instead of URIs; files outside
+ *   the session (standard library, headers) are left out of results
+ * - a session's servers stop LSP_IDLE_MS after its last member leaves
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { pathToFileURL, fileURLToPath } = require("url");
+const {
+  BASE_TEMP, LIMITS, sanitizeSegment, safeRelativePath, giveToRunner, writeJobFile, removeJobFile, hasCommand, sandboxSpec,
+} = require("./runner");
+
+const LSP_ROOT = path.join(BASE_TEMP, "lsp");
+const IDLE_MS = Number(process.env.LSP_IDLE_MS) || 2 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = Number(process.env.LSP_REQUEST_TIMEOUT_MS) || 10000;
+const INITIALIZE_TIMEOUT_MS = 60000; // jdtls takes a while to come up
+const MAX_SERVERS = Number(process.env.LSP_MAX_SERVERS) || 8;
+const MAX_COMPLETIONS = 200;
+const BUILD_FILES = new Set([
+  "pom.xml", "build.gradle", "build.gradle.kts", "settings.gradle", "settings.gradle.kts", "gradlew", "gradle-wrapper.properties", "mvnw",
+  "compile_commands.json", "compile_flags.txt", ".clangd",
+]);
+
+// A server lives as long as its session is open, so it gets more CPU time and
+// memory than a run.
+const LIMITS_LSP = {
+  ...LIMITS,
+  cpuSeconds: Number(process.env.LSP_CPU_SECONDS) || 600,
+  memoryMb: Number(process.env.LSP_MEMORY_MB) || 1024,
+};
+
+// `limits` adds to LIMITS_LSP; address-space limits break pyright (Node) and the JVM.
+const SERVERS = {
+  python: { extensions: { ".py": "python" }, candidates: [["pyright-langserver", "--stdio"], ["pylsp"]], limits: { noAddressLimit: true } },
+  clangd: {
+    extensions: { ".c": "c", ".h": "c", ".cpp": "cpp", ".cc": "cpp", ".cxx": "cpp", ".hpp": "cpp", ".hh": "cpp" },
+    candidates: [["clangd", "--log=error"]],
+  },
+  java: {
+    extensions: { ".java": "java" },
+    candidates: [["jdtls"]],
+    limits: { noAddressLimit: true },
+    // Belt and braces with BUILD_FILES: never import a Gradle or Maven build.
+    initializationOptions: { settings: { java: { import: { gradle: { enabled: false }, maven: { enabled: false } } } } },
+  },
+};
+
+// ===== SERVER COMMANDS =====
+const commands = new Map();
+
+// [command, ...args] for a server kind, or null when none is installed.
+function commandFor(name) {
+  if (!commands.has(name)) {
+    const override = process.env[`LSP_${name.toUpperCase()}`];
+    const command = override
+      ? override.trim().split(/\s+/)
+      : SERVERS[name].candidates.find(([cmd]) => hasCommand(cmd)) || null;
+    commands.set(name, command);
+  }
+  return commands.get(name);
+}
+
+// Server kind and LSP language id for a file, or null.
+function serverFor(filename) {
+  const ext = path.extname(String(filename || "")).toLowerCase();
+  for (const [name, server] of Object.entries(SERVERS)) {
+    if (server.extensions[ext]) return { name, languageId: server.extensions[ext] };
+  }
+  return null;
+}
+
+function lspInfo() {
+  return Object.fromEntries(Object.keys(SERVERS).map((name) => [name, commandFor(name)?.[0] || null]));
+}
+
+// ===== JSON-RPC OVER STDIO =====
+// The server runs sandboxed in `dir`, which it sees as `workDir`. Throws when
+// the runner may not run anything here.
+class Connection {
+  constructor(command, args, dir, limits) {
+    this.pending = new Map();
+    this.nextId = 1;
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+    this.onNotification = () => {};
+    this.onClose = () => {};
+    const spec = sandboxSpec(command, args, { dir, limits, env: { LANG: "C.UTF-8" } });
+    this.workDir = spec.workDir;
+    this.onKill = spec.onKill;
+    this.child = spawn(spec.command, spec.args, { ...spec.options, stdio: ["pipe", "pipe", "ignore"] });
+    this.child.stdout.on("data", (chunk) => this.receive(chunk));
+    this.child.stdin.on("error", () => {});
+    this.child.on("error", (err) => this.close(err));
+    this.child.on("exit", (code, signal) => this.close(new Error(`language server exited (${signal || code})`)));
+  }
+
+  kill() {
+    if (this.onKill) this.onKill();
+    this.child.kill("SIGKILL");
+  }
+
+  close(err) {
+    if (this.closed) return;
+    this.closed = true;
+    for (const { reject, timer } of this.pending.values()) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    this.pending.clear();
+    this.onClose(err);
+  }
+
+  send(message) {
+    if (this.closed) return;
+    const body = Buffer.from(JSON.stringify({ jsonrpc: "2.0", ...message }), "utf8");
+    this.child.stdin.write(`Content-Length: ${body.length}\r\n\r\n`);
+    this.child.stdin.write(body);
+  }
+
+  request(method, params, timeoutMs = REQUEST_TIMEOUT_MS) {
+    if (this.closed) return Promise.reject(new Error("language server is not running"));
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new Error(`${method} timed out`));
+      }, timeoutMs);
+      this.pending.set(id, { resolve, reject, timer });
+      this.send({ id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    this.send({ method, params });
+  }
+
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const headerEnd = this.buffer.indexOf("\r\n\r\n");
+      if (headerEnd < 0) return;
+      const match = /Content-Length:\s*(\d+)/i.exec(this.buffer.toString("ascii", 0, headerEnd));
+      if (!match) {
+        this.buffer = this.buffer.subarray(headerEnd + 4);
+        continue;
+      }
+      const end = headerEnd + 4 + Number(match[1]);
+      if (this.buffer.length < end) return;
+      const body = this.buffer.toString("utf8", headerEnd + 4, end);
+      this.buffer = this.buffer.subarray(end);
+      try {
+        this.dispatch(JSON.parse(body));
+      } catch (err) {
+        console.error("LSP message error:", err.message);
+      }
+    }
+  }
+
+  dispatch(message) {
+    if (message.method && message.id != null) {
+      // Requests from the server: answer the ones that matter, null the rest.
+      const result = message.method === "workspace/configuration" ? (message.params?.items || []).map(() => null) : null;
+      this.send({ id: message.id, result });
+    } else if (message.method) {
+      this.onNotification(message.method, message.params);
+    } else if (this.pending.has(message.id)) {
+      const { resolve, reject, timer } = this.pending.get(message.id);
+      clearTimeout(timer);
+      this.pending.delete(message.id);
+      if (message.error) reject(new Error(message.error.message));
+      else resolve(message.result);
+    }
+  }
+}
+
+// ===== SESSIONS =====
+// sessionId → { root, paths: Map(relPath → filename), servers: Map(name → Server), idleTimer }
+const sessions = new Map();
+let serverCount = 0;
+
+function mirrorPath(session, filename) {
+  const rel = safeRelativePath(filename, null);
+  if (rel) session.paths.set(rel, filename);
+  return rel;
+}
+
+function isBuildFile(filename) {
+  return BUILD_FILES.has(path.posix.basename(String(filename)));
+}
+
+function writeMirror(session, filename, content) {
+  if (isBuildFile(filename)) return;
+  const rel = mirrorPath(session, filename);
+  try {
+    if (rel) writeJobFile(session.root, rel, content);
+  } catch (err) {
+    // The server put something else in its place.
+    console.error("LSP mirror:", err.message);
+  }
+}
+
+function removeMirror(session, filename) {
+  const rel = safeRelativePath(filename, null);
+  if (!rel || isBuildFile(filename)) return;
+  session.paths.delete(rel);
+  removeJobFile(session.root, rel);
+}
+
+class Server {
+  constructor(session, name, command, onDiagnostics) {
+    this.session = session;
+    this.name = name;
+    this.documents = new Map(); // filename → version
+    this.diagnostics = new Map(); // filename → latest published diagnostics
+    this.connection = new Connection(command[0], command.slice(1), session.root, { ...LIMITS_LSP, ...SERVERS[name].limits });
+    this.connection.onNotification = (method, params) => {
+      if (method !== "textDocument/publishDiagnostics") return;
+      const filename = this.filename(params.uri);
+      if (!filename) return;
+      const diagnostics = (params.diagnostics || []).map(({ range, severity, message, source, code }) => ({ range, severity, message, source, code }));
+      this.diagnostics.set(filename, diagnostics);
+      onDiagnostics(filename, diagnostics);
+    };
+    this.connection.onClose = () => {
+      serverCount--;
+      if (session.servers.get(name) === this) session.servers.delete(name);
+    };
+    serverCount++;
+  }
+
+  uri(filename) {
+    return pathToFileURL(path.join(this.connection.workDir, mirrorPath(this.session, filename))).href;
+  }
+
+  // Session file for a URI, or null when it is outside the session.
+  filename(uri) {
+    try {
+      const rel = path.relative(this.connection.workDir, fileURLToPath(uri)).split(path.sep).join("/");
+      return this.session.paths.get(rel) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  owns(filename) {
+    return serverFor(filename)?.name === this.name;
+  }
+
+  async start(files) {
+    const rootUri = pathToFileURL(this.connection.workDir).href;
+    await this.connection.request("initialize", {
+      // The sandbox may not see this process; the server exits when its stdin closes.
+      processId: null,
+      rootUri,
+      initializationOptions: SERVERS[this.name].initializationOptions,
+      workspaceFolders: [{ uri: rootUri, name: "session" }],
+      capabilities: {
+        textDocument: {
+          synchronization: { dynamicRegistration: false },
+          hover: { contentFormat: ["markdown", "plaintext"] },
+          completion: { completionItem: { snippetSupport: true, documentationFormat: ["markdown", "plaintext"] } },
+          definition: { linkSupport: true },
+          publishDiagnostics: {},
+        },
+        workspace: { workspaceFolders: true, configuration: true },
+      },
+    }, INITIALIZE_TIMEOUT_MS);
+    this.connection.notify("initialized", {});
+    for (const [filename, content] of Object.entries(files)) this.update(filename, content);
+  }
+
+  update(filename, content) {
+    if (!this.owns(filename)) return;
+    const textDocument = { uri: this.uri(filename) };
+    if (this.documents.has(filename)) {
+      const version = this.documents.get(filename) + 1;
+      this.documents.set(filename, version);
+      this.connection.notify("textDocument/didChange", { textDocument: { ...textDocument, version }, contentChanges: [{ text: content }] });
+    } else {
+      this.documents.set(filename, 1);
+      this.connection.notify("textDocument/didOpen", { textDocument: { ...textDocument, languageId: serverFor(filename).languageId, version: 1, text: content } });
+    }
+  }
+
+  close(filename) {
+    this.diagnostics.delete(filename);
+    if (!this.documents.delete(filename)) return;
+    this.connection.notify("textDocument/didClose", { textDocument: { uri: this.uri(filename) } });
+  }
+
+  async stop() {
+    try {
+      await this.connection.request("shutdown", null, 2000);
+      this.connection.notify("exit", null);
+    } catch {
+      // already gone or unresponsive
+    }
+    setTimeout(() => { if (!this.connection.closed) this.connection.kill(); }, 1000).unref();
+  }
+}
+
+// Start (or reuse) the server for `filename`'s language in a session.
+// loadFiles() returns the session's { path: content }; onDiagnostics(filename, diagnostics)
+// receives everything the server publishes. Resolves with { available, server, reason }
+// plus the diagnostics published so far when the server is running.
+async function ensureServer(sessionId, filename, { loadFiles, onDiagnostics }) {
+  const kind = serverFor(filename);
+  if (!kind) return { available: false, reason: "No language server for this file type" };
+  const command = commandFor(kind.name);
+  if (!command) return { available: false, server: kind.name, reason: `No ${kind.name} language server is installed` };
+
+  let session = sessions.get(sessionId);
+  if (session) {
+    clearTimeout(session.idleTimer);
+    session.idleTimer = null;
+  }
+  const running = session?.servers.get(kind.name);
+  if (running) {
+    try {
+      await running.ready;
+    } catch (err) {
+      return { available: false, server: kind.name, reason: `${command[0]} failed to start: ${err.message}` };
+    }
+    return { available: true, server: kind.name, command: command[0], diagnostics: Object.fromEntries(running.diagnostics) };
+  }
+  if (serverCount >= MAX_SERVERS) return { available: false, server: kind.name, reason: "Language servers are busy, try again later" };
+
+  const files = await loadFiles();
+  if (!session) {
+    session = { root: path.join(LSP_ROOT, sanitizeSegment(sessionId)), paths: new Map(), servers: new Map(), idleTimer: null };
+    fs.rmSync(session.root, { recursive: true, force: true });
+    fs.mkdirSync(session.root, { recursive: true });
+    giveToRunner(session.root);
+    sessions.set(sessionId, session);
+    for (const [fn, content] of Object.entries(files)) writeMirror(session, fn, content);
+  }
+  if (kind.name === "clangd") writeJobFile(session.root, "compile_flags.txt", "-I.\n-Wall\n");
+
+  let server;
+  try {
+    server = new Server(session, kind.name, command, onDiagnostics);
+  } catch (err) {
+    if (err.code === "unavailable") return { available: false, server: kind.name, reason: err.message };
+    throw err;
+  }
+  session.servers.set(kind.name, server);
+  server.ready = server.start(files);
+  try {
+    await server.ready;
+  } catch (err) {
+    server.connection.close(err);
+    server.connection.kill();
+    return { available: false, server: kind.name, reason: `${command[0]} failed to start: ${err.message}` };
+  }
+  return { available: true, server: kind.name, command: command[0], diagnostics: Object.fromEntries(server.diagnostics) };
+}
+
+// ===== REQUESTS =====
+function toLocations(result, server) {
+  const list = Array.isArray(result) ? result : result ? [result] : [];
+  return list
+    .map((loc) => ({
+      filename: server.filename(loc.targetUri || loc.uri),
+      range: loc.targetSelectionRange || loc.targetRange || loc.range,
+    }))
+    .filter((loc) => loc.filename && loc.range);
+}
+
+function toCompletions(result) {
+  const items = Array.isArray(result) ? result : result?.items || [];
+  return items.slice(0, MAX_COMPLETIONS).map((item) => ({
+    label: item.label,
+    kind: item.kind,
+    detail: item.detail,
+    documentation: item.documentation,
+    sortText: item.sortText,
+    filterText: item.filterText,
+    insertText: item.textEdit?.newText ?? item.insertText ?? item.label,
+    insertTextFormat: item.insertTextFormat,
+    range: item.textEdit?.range || item.textEdit?.insert || null,
+  }));
+}
+
+const REQUESTS = {
+  hover: { method: "textDocument/hover", map: (result) => result || null },
+  completion: { method: "textDocument/completion", map: toCompletions, extra: { context: { triggerKind: 1 } } },
+  definition: { method: "textDocument/definition", map: toLocations },
+};
+
+// kind is "hover", "completion" or "definition"; position is LSP's { line, character }.
+async function request(sessionId, filename, kind, position) {
+  const spec = REQUESTS[kind];
+  const server = sessions.get(sessionId)?.servers.get(serverFor(filename)?.name);
+  if (!spec || !server) return null;
+  await server.ready;
+  const result = await server.connection.request(spec.method, {
+    textDocument: { uri: server.uri(filename) },
+    position: { line: Number(position?.line) || 0, character: Number(position?.character) || 0 },
+    ...spec.extra,
+  });
+  return spec.map(result, server);
+}
+
+// ===== FILE SYNC =====
+// Called for every committed change; a no-op for sessions without servers.
+function updateFile(sessionId, filename, content) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  writeMirror(session, filename, content);
+  for (const server of session.servers.values()) server.update(filename, content);
+}
+
+function removeFiles(sessionId, filenames) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  for (const filename of filenames) {
+    for (const server of session.servers.values()) server.close(filename);
+    removeMirror(session, filename);
+  }
+}
+
+// pairs: [[from, to], ...] with the moved files' content in `contents`.
+function moveFiles(sessionId, pairs, contents) {
+  removeFiles(sessionId, pairs.map(([from]) => from));
+  pairs.forEach(([, to], i) => { if (contents[i] != null) updateFile(sessionId, to, contents[i]); });
+}
+
+// ===== LIFECYCLE =====
+function stopSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  sessions.delete(sessionId);
+  clearTimeout(session.idleTimer);
+  for (const server of session.servers.values()) server.stop();
+  fs.rm(session.root, { recursive: true, force: true }, () => {});
+}
+
+// Whether this process mirrors the session for a language server.
+function hasSession(sessionId) {
+  return sessions.has(sessionId);
+}
+
+// The session has no members left; stop its servers unless someone comes back.
+function releaseSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session || session.idleTimer) return;
+  session.idleTimer = setTimeout(() => stopSession(sessionId), IDLE_MS);
+  session.idleTimer.unref();
+}
+
+module.exports = {
+  lspInfo,
+  serverFor,
+  ensureServer,
+  request,
+  hasSession,
+  updateFile,
+  removeFiles,
+  moveFiles,
+  stopSession,
+  releaseSession,
+};
@@ -0,0 +1,461 @@
+/**
+ * backend/memorystore.js
+ * The store for STORAGE=memory and STORAGE=file (interface in storage.js):
+ * plain objects in this process. Given a file, it is loaded from there and
+ * written back (atomically, via a temporary file) shortly after each change,
+ * and at once on flush() or close().
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SAVE_DELAY_MS = 1000;
+
+// Values are stored and handed out as copies, as they would be through Redis,
+// so a caller changing what it was given leaves the store as it was.
+function copy(value) {
+  return value === undefined ? null : structuredClone(value);
+}
+
+// Values that expire are { value, expiresAt }.
+function expiring(value, ttlMs) {
+  return { value: copy(value), expiresAt: ttlMs ? Date.now() + ttlMs : null };
+}
+
+function live(entry) {
+  return entry && (entry.expiresAt == null || entry.expiresAt > Date.now()) ? entry : null;
+}
+
+function ttlSeconds(entry) {
+  return entry.expiresAt == null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+}
+
+function emptyState() {
+  return {
+    users: {}, // userName -> { username, passwordHash, createdAt }
+    joined: {}, // userName -> { sessionId: last joined }
+    sessions: {},
+    activity: {}, // sessionId -> last time a member was online
+    audit: [],
+    counters: {},
+    locks: {},
+    runs: {},
+  };
+}
+
+function emptySession() {
+  return {
+    meta: {},
+    roles: {},
+    invites: {},
+    files: {}, // filename -> { content, version }
+    ops: {},
+    history: {},
+    comments: {}, // filename -> { threadId: thread }
+    folders: [],
+    chat: [],
+    timeline: { base: null, events: [] },
+    sockets: {}, // socketId -> { userName, beat }
+    presence: {},
+    config: {},
+    tests: null,
+    results: {},
+    terminal: null,
+    scrollback: null,
+    lastRunError: null,
+    audit: [],
+  };
+}
+
+const META_FIELDS = ["owner", "name", "createdAt", "archived", "forkedFrom", "locked"];
+
+function pushCapped(list, item, keep) {
+  list.push(copy(item));
+  if (list.length > keep) list.splice(0, list.length - keep);
+}
+
+// options.file: where to keep the data between restarts.
+function createMemoryStore({ file = null } = {}) {
+  const state = file && fs.existsSync(file) ? { ...emptyState(), ...JSON.parse(fs.readFileSync(file, "utf8")) } : emptyState();
+  const channels = new Map(); // channel -> handler
+  let timer = null;
+
+  function save() {
+    clearTimeout(timer);
+    timer = null;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(state));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // Every method resolves like a Redis call would; one that writes runs
+  // synchronously to the end, so it is applied as one step, then schedules a save.
+  const read = (fn) => async (...args) => fn(...args);
+  const write = (fn) => async (...args) => {
+    const result = fn(...args);
+    if (file && !timer) timer = setTimeout(save, SAVE_DELAY_MS);
+    return result;
+  };
+
+  // The session's data, created on first write; readers get an empty one.
+  const session = (id) => state.sessions[id] || (state.sessions[id] = emptySession());
+  const peek = (id) => state.sessions[id] || emptySession();
+  const logEvent = (s, event) => s.timeline.events.push(copy(event));
+
+  const users = {
+    create: write((userName, passwordHash) => {
+      if (state.users[userName]) return false;
+      state.users[userName] = { username: userName, passwordHash, createdAt: Date.now() };
+      return true;
+    }),
+    passwordHash: read((userName) => state.users[userName]?.passwordHash ?? null),
+    exists: read((userName) => Boolean(state.users[userName])),
+    sessions: read((userName) => copy(state.joined[userName] || {})),
+    forgetSessions: write((userName, ids) => {
+      ids.forEach((id) => delete state.joined[userName]?.[id]);
+    }),
+  };
+
+  const join = (userName, id, time) => {
+    state.joined[userName] = { ...state.joined[userName], [id]: time };
+  };
+
+  const sessions = {
+    exists: read((id) => Boolean(state.sessions[id]?.meta.owner)),
+    meta: read((id) => Object.fromEntries(META_FIELDS.map((field) => [field, copy(peek(id).meta[field] ?? null)]))),
+    create: write((id, owner, { files = {}, folders = [], name = "", forkedFrom = null, runConfig = null, formatConfig = null } = {}) => {
+      const existing = state.sessions[id];
+      if (existing && (existing.meta.owner || Object.keys(existing.files).length)) return false;
+      const now = Date.now();
+      const s = session(id);
+      s.meta = { owner, createdAt: now, ...(name ? { name } : {}), ...(forkedFrom ? { forkedFrom } : {}) };
+      s.roles[owner] = "owner";
+      for (const [filename, content] of Object.entries(files)) s.files[filename] = { content, version: 0 };
+      s.timeline.base = { t: now, files: copy(files) };
+      s.folders = [...new Set([...s.folders, ...folders])];
+      if (runConfig) s.config.run = copy(runConfig);
+      if (formatConfig) s.config.format = copy(formatConfig);
+      state.activity[id] = now;
+      join(owner, id, now);
+      return true;
+    }),
+    claim: write((id, userName) => {
+      if (peek(id).meta.owner) return false;
+      const s = session(id);
+      s.meta.owner = userName;
+      s.meta.createdAt = Date.now();
+      s.roles[userName] = "owner";
+      return true;
+    }),
+    update: write((id, fields) => {
+      const { meta } = session(id);
+      for (const [field, value] of Object.entries(fields)) {
+        if (value == null) delete meta[field];
+        else meta[field] = copy(value);
+      }
+    }),
+    role: read((id, userName) => peek(id).roles[userName] ?? null),
+    roles: read((id) => copy(peek(id).roles)),
+    setRole: write((id, userName, role) => {
+      if (role) {
+        session(id).roles[userName] = role;
+        return;
+      }
+      delete state.sessions[id]?.roles[userName];
+      delete state.joined[userName]?.[id];
+    }),
+    invite: read((id, token) => copy(peek(id).invites[token])),
+    addInvite: write((id, token, invite) => {
+      session(id).invites[token] = copy(invite);
+    }),
+    abandoned: read((before) => Object.keys(state.activity).filter((id) => state.activity[id] <= before)),
+    delete: write((id) => {
+      Object.keys(peek(id).roles).forEach((userName) => delete state.joined[userName]?.[id]);
+      delete state.sessions[id];
+      delete state.activity[id];
+    }),
+  };
+
+  const files = {
+    read: read((id, filename) => {
+      const doc = peek(id).files[filename];
+      return { content: doc ? doc.content : null, version: doc ? doc.version : 0 };
+    }),
+    all: read((id) => Object.fromEntries(Object.entries(peek(id).files).map(([filename, f]) => [filename, f.content]))),
+    names: read((id) => Object.keys(peek(id).files)),
+    versions: read((id) => Object.fromEntries(Object.entries(peek(id).files).map(([filename, f]) => [filename, f.version]))),
+    ops: read((id, filename, count) => (count > 0 ? copy((peek(id).ops[filename] || []).slice(-count)) : [])),
+    commit: write((id, filename, { content, version, entry, comments = [], keep }, event) => {
+      const s = session(id);
+      const length = logEvent(s, event);
+      s.files[filename] = { content, version };
+      pushCapped(s.ops[filename] || (s.ops[filename] = []), entry, keep);
+      comments.forEach((thread) => {
+        (s.comments[filename] || (s.comments[filename] = {}))[thread.id] = copy(thread);
+      });
+      return length;
+    }),
+    reset: write((id, filename, content, event) => {
+      const s = session(id);
+      const length = logEvent(s, event);
+      s.files[filename] = { content, version: 0 };
+      delete s.ops[filename];
+      delete s.comments[filename];
+      return length;
+    }),
+    move: write((id, pairs, event) => {
+      const s = session(id);
+      const length = logEvent(s, event);
+      const moving = pairs.map(([from]) => ["files", "ops", "history", "comments"].map((part) => s[part][from]));
+      pairs.forEach(([from]) => ["files", "ops", "history", "comments"].forEach((part) => delete s[part][from]));
+      pairs.forEach(([, to], i) => ["files", "ops", "history", "comments"].forEach((part, j) => {
+        if (moving[i][j] !== undefined) s[part][to] = moving[i][j];
+      }));
+      return length;
+    }),
+    remove: write((id, filenames, event) => {
+      const s = session(id);
+      const length = logEvent(s, event);
+      filenames.forEach((f) => ["files", "ops", "history", "comments"].forEach((part) => delete s[part][f]));
+      return length;
+    }),
+    folders: read((id) => [...peek(id).folders]),
+    updateFolders: write((id, { add = [], remove = [] }) => {
+      const s = session(id);
+      s.folders = [...new Set([...s.folders.filter((f) => !remove.includes(f)), ...add])];
+    }),
+  };
+
+  const history = {
+    add: write((id, filename, snapshot, keep) => {
+      const s = session(id);
+      pushCapped(s.history[filename] || (s.history[filename] = []), snapshot, keep);
+    }),
+    list: read((id, filename) => copy(peek(id).history[filename] || [])),
+    last: read((id, filename) => copy((peek(id).history[filename] || []).at(-1))),
+  };
+
+  const comments = {
+    list: read((id, filename) => copy(Object.values(peek(id).comments[filename] || {}))),
+    get: read((id, filename, threadId) => copy(peek(id).comments[filename]?.[threadId])),
+    save: write((id, filename, thread) => {
+      const s = session(id);
+      (s.comments[filename] || (s.comments[filename] = {}))[thread.id] = copy(thread);
+    }),
+    remove: write((id, filename, threadId) => {
+      const threads = state.sessions[id]?.comments[filename];
+      if (!threads) return;
+      delete threads[threadId];
+      if (!Object.keys(threads).length) delete state.sessions[id].comments[filename];
+    }),
+  };
+
+  const chat = {
+    add: write((id, message, event, keep) => {
+      const s = session(id);
+      const length = logEvent(s, event);
+      pushCapped(s.chat, message, keep);
+      return length;
+    }),
+    list: read((id) => copy(peek(id).chat)),
+  };
+
+  const timeline = {
+    add: write((id, event) => logEvent(session(id), event)),
+    read: read((id) => copy(peek(id).timeline)),
+    head: read((id, count) => {
+      const { base, events } = peek(id).timeline;
+      return copy({ base, events: events.slice(0, count) });
+    }),
+    fold: write((id, base, count) => {
+      const s = session(id);
+      s.timeline = { base: copy(base), events: s.timeline.events.slice(count) };
+    }),
+    start: write((id, base) => {
+      const s = session(id);
+      if (!s.timeline.base) s.timeline.base = copy(base);
+    }),
+  };
+
+  const config = {
+    get: read((id, name) => copy(peek(id).config[name])),
+    set: write((id, name, value) => {
+      session(id).config[name] = copy(value);
+    }),
+  };
+
+  const tests = {
+    suite: read((id) => copy(peek(id).tests)),
+    setSuite: write((id, suite) => {
+      session(id).tests = copy(suite);
+    }),
+    results: read((id) => copy(peek(id).results)),
+    setResult: write((id, userName, grade) => {
+      session(id).results[userName] = copy(grade);
+    }),
+  };
+
+  const online = (id, since) => [...new Set(Object.values(peek(id).sockets).filter((s) => s.beat >= since).map((s) => s.userName))];
+
+  const presence = {
+    connect: write((id, socketId, userName) => {
+      const now = Date.now();
+      session(id).sockets[socketId] = { userName, beat: now };
+      state.activity[id] = now;
+      join(userName, id, now);
+    }),
+    disconnect: write((id, socketId) => {
+      const s = state.sessions[id];
+      const socket = s?.sockets[socketId];
+      if (!socket) return null;
+      delete s.sockets[socketId];
+      delete s.presence[socketId];
+      return socket.userName;
+    }),
+    online: read(online),
+    beat: write((sockets) => {
+      const now = Date.now();
+      for (const [id, socketId] of sockets) {
+        const socket = state.sessions[id]?.sockets[socketId];
+        if (socket) socket.beat = now;
+        state.activity[id] = now;
+      }
+    }),
+    sweep: read((before) => Object.entries(state.sessions).flatMap(([id, s]) => Object.entries(s.sockets)
+      .filter(([, socket]) => socket.beat <= before)
+      .map(([socketId]) => [id, socketId]))),
+    update: write((id, socketId, value) => {
+      session(id).presence[socketId] = copy(value);
+    }),
+    list: read((id) => copy(Object.values(peek(id).presence))),
+  };
+
+  const terminals = {
+    get: read((id) => copy(live(peek(id).terminal)?.value)),
+    start: write((id, value, ttlMs) => {
+      if (live(peek(id).terminal)) return false;
+      session(id).terminal = expiring(value, ttlMs);
+      return true;
+    }),
+    update: write((id, value, ttlMs) => {
+      if (live(peek(id).terminal)) session(id).terminal = expiring(value, ttlMs);
+    }),
+    stop: write((id) => {
+      const s = state.sessions[id];
+      if (s) s.terminal = s.scrollback = null;
+    }),
+    refresh: write((id, ttlMs) => {
+      const s = state.sessions[id];
+      for (const part of ["terminal", "scrollback"]) {
+        if (live(s?.[part])) s[part].expiresAt = Date.now() + ttlMs;
+      }
+    }),
+    scrollback: read((id) => live(peek(id).scrollback)?.value ?? ""),
+    saveScrollback: write((id, text, ttlMs) => {
+      session(id).scrollback = expiring(text, ttlMs);
+    }),
+  };
+
+  const runs = {
+    register: write((run, ttlMs) => {
+      state.runs[run.runId] = expiring(run, ttlMs);
+    }),
+    get: read((runId) => copy(live(state.runs[runId])?.value)),
+    unregister: write((runId) => {
+      delete state.runs[runId];
+    }),
+    lastError: read((id) => copy(live(peek(id).lastRunError)?.value)),
+    setLastError: write((id, error, ttlMs) => {
+      if (error) session(id).lastRunError = expiring(error, ttlMs);
+      else if (state.sessions[id]) state.sessions[id].lastRunError = null;
+    }),
+  };
+
+  const audit = {
+    add: write((entry, { global = false, keep }) => {
+      pushCapped(session(entry.sessionId).audit, entry, keep);
+      if (global) pushCapped(state.audit, entry, keep);
+    }),
+    list: read((id) => copy(id == null ? state.audit : peek(id).audit)),
+  };
+
+  const counter = (key, ttlMs) => {
+    const entry = live(state.counters[key]);
+    if (entry) return entry;
+    return (state.counters[key] = { value: 0, expiresAt: Date.now() + ttlMs });
+  };
+
+  const counters = {
+    hit: write((keys, windowS) => keys.map((key) => {
+      const entry = counter(key, windowS * 1000);
+      entry.value++;
+      return { count: entry.value, ttl: ttlSeconds(entry) };
+    })),
+    take: write((keys, ttlS) => keys.map((key) => {
+      const entry = counter(key, ttlS * 1000);
+      entry.expiresAt = Date.now() + ttlS * 1000;
+      return ++entry.value;
+    })),
+    give: write((keys) => {
+      for (const key of keys) {
+        const entry = live(state.counters[key]);
+        if (entry && entry.value > 0) entry.value--;
+        else delete state.counters[key];
+      }
+    }),
+  };
+
+  const locks = {
+    acquire: write((key, token, ttlMs) => {
+      if (live(state.locks[key])) return false;
+      state.locks[key] = expiring(token, ttlMs);
+      return true;
+    }),
+    release: write((key, token) => {
+      if (live(state.locks[key])?.value === token) delete state.locks[key];
+    }),
+  };
+
+  return {
+    users,
+    sessions,
+    files,
+    history,
+    comments,
+    chat,
+    timeline,
+    config,
+    tests,
+    presence,
+    terminals,
+    runs,
+    audit,
+    counters,
+    locks,
+
+    async publish(channel, message) {
+      const handler = channels.get(channel);
+      if (handler) setImmediate(() => handler(copy(message)));
+      return handler ? 1 : 0;
+    },
+    async subscribe(channel, handler) {
+      channels.set(channel, handler);
+    },
+    async unsubscribe(channel) {
+      channels.delete(channel);
+    },
+
+    async ping() {
+      return "PONG";
+    },
+    async flush() {
+      if (timer) save();
+    },
+    async close() {
+      channels.clear();
+      if (timer) save();
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
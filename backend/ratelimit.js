@@ -0,0 +1,43 @@
+/**
+ * backend/ratelimit.js
+ * Rate limits and concurrency caps kept in the store, so they hold across
+ * instances (see server.js). Each check names a budget ("run", "socket", ...)
+ * and the ids it is counted under, usually the user and the client IP:
+ * - hit(): fixed-window request counters
+ * - acquire() / release(): slots for work in progress; a slot expires after
+ *   SLOT_TTL_S in case the instance holding it dies, and releasing it after
+ *   that never takes the count below zero
+ */
+
+const SLOT_TTL_S = 15 * 60;
+
+function createRateLimiter(store) {
+  const counterKey = (name, id) => `ratelimit:${name}:${id}`;
+  const slotKey = (name, id) => `concurrency:${name}:${id}`;
+
+  // limits: [[id, limit], ...]. Resolves the seconds until the window resets
+  // for the first id over its limit, otherwise 0.
+  async function hit(name, limits, windowS) {
+    const counts = await store.counters.hit(limits.map(([id]) => counterKey(name, id)), windowS);
+    const over = counts.find(({ count }, i) => count > limits[i][1]);
+    return over ? (over.ttl > 0 ? over.ttl : windowS) : 0;
+  }
+
+  // Takes a slot under every id, or none: resolves the first id already at its
+  // limit, otherwise null.
+  async function acquire(name, limits) {
+    const counts = await store.counters.take(limits.map(([id]) => slotKey(name, id)), SLOT_TTL_S);
+    const full = limits.find(([, limit], i) => counts[i] > limit);
+    if (!full) return null;
+    await release(name, limits.map(([id]) => id));
+    return full[0];
+  }
+
+  function release(name, ids) {
+    return store.counters.give(ids.map((id) => slotKey(name, id)));
+  }
+
+  return { hit, acquire, release };
+}
+
+module.exports = { createRateLimiter };
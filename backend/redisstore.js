@@ -0,0 +1,514 @@
+/**
+ * backend/redisstore.js
+ * The store for STORAGE=redis (interface in storage.js), shared by every
+ * backend instance and run worker connected to the same server. `client` is
+ * the ioredis connection, for the Socket.IO adapter's duplicates.
+ */
+
+// Ids never contain ":", so no session's keys can name another's.
+function sessionKey(sessionId) { return `session:${sessionId}`; }
+function filesKey(sessionId) { return `${sessionKey(sessionId)}:files`; }
+function socketsKey(sessionId) { return `${sessionKey(sessionId)}:sockets`; }
+function heartbeatsKey(sessionId) { return `${sessionKey(sessionId)}:heartbeats`; }
+function metaKey(sessionId) { return `${sessionKey(sessionId)}:meta`; }
+function rolesKey(sessionId) { return `${sessionKey(sessionId)}:roles`; }
+function invitesKey(sessionId) { return `${sessionKey(sessionId)}:invites`; }
+function userKey(userName) { return `user:${userName}`; }
+function userSessionsKey(userName) { return `${userKey(userName)}:sessions`; } // sessionId -> last joined
+function versionsKey(sessionId) { return `${sessionKey(sessionId)}:versions`; }
+function opsKey(sessionId, filename) { return `${sessionKey(sessionId)}:ops:${filename}`; }
+function presenceKey(sessionId) { return `${sessionKey(sessionId)}:presence`; }
+function configKey(sessionId, name) { return `${sessionKey(sessionId)}:${name}config`; }
+function foldersKey(sessionId) { return `${sessionKey(sessionId)}:folders`; }
+function historyKey(sessionId, filename) { return `${sessionKey(sessionId)}:history:${filename}`; }
+function commentsKey(sessionId, filename) { return `${sessionKey(sessionId)}:comments:${filename}`; }
+function timelineKey(sessionId) { return `${sessionKey(sessionId)}:timeline`; }
+function timelineBaseKey(sessionId) { return `${sessionKey(sessionId)}:timeline:base`; }
+function terminalKey(sessionId) { return `${sessionKey(sessionId)}:terminal`; }
+function terminalScrollbackKey(sessionId) { return `${sessionKey(sessionId)}:terminal:scrollback`; }
+function chatKey(sessionId) { return `${sessionKey(sessionId)}:chat`; }
+function auditKey(sessionId) { return `${sessionKey(sessionId)}:audit`; }
+function lastRunErrorKey(sessionId) { return `${sessionKey(sessionId)}:lastrunerror`; }
+function testsKey(sessionId) { return `${sessionKey(sessionId)}:tests`; }
+function testResultsKey(sessionId) { return `${sessionKey(sessionId)}:tests:results`; }
+function runKey(runId) { return `run:${runId}`; }
+const PRESENCE_SESSIONS_KEY = "presence:sessions";
+const SESSION_ACTIVITY_KEY = "sessions:activity"; // sessionId -> last time a member was online
+const AUDIT_KEY = "audit"; // admin actions and deleted sessions, which outlive the session's own log
+const QUEUE_KEY = "runs:queue";
+
+// Every key a session owns (locks and counters expire by themselves); keep in
+// step with the key functions above.
+function sessionKeys(sessionId, filenames) {
+  return [
+    filesKey, socketsKey, heartbeatsKey, metaKey, rolesKey, invitesKey, versionsKey, presenceKey, foldersKey, chatKey,
+    lastRunErrorKey, testsKey, testResultsKey, timelineKey, timelineBaseKey, terminalKey, terminalScrollbackKey, auditKey,
+  ].map((key) => key(sessionId))
+    .concat(["run", "format"].map((name) => configKey(sessionId, name)))
+    .concat(filenames.flatMap((filename) => [opsKey(sessionId, filename), historyKey(sessionId, filename), commentsKey(sessionId, filename)]));
+}
+
+const RELEASE_LOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) end return 0";
+
+function parse(raw) {
+  return raw == null ? null : JSON.parse(raw);
+}
+
+function parseValues(hash, parseValue = parse) {
+  return Object.fromEntries(Object.entries(hash).map(([field, raw]) => [field, parseValue(raw)]));
+}
+
+// Entries written before ops carried ids are bare ops.
+function parseLogEntry(raw) {
+  const entry = JSON.parse(raw);
+  return Array.isArray(entry) ? { op: entry, id: null, userName: null } : entry;
+}
+
+function parseMeta(raw) {
+  return {
+    owner: raw.owner || null,
+    name: raw.name || null,
+    createdAt: Number(raw.createdAt) || null,
+    archived: Number(raw.archived) || null,
+    forkedFrom: raw.forkedFrom || null,
+    locked: parse(raw.locked),
+  };
+}
+
+// Log connection errors instead of ioredis's unhandled-error warnings, for the
+// duplicates (subscribers, blocking pops) as well.
+function logErrors(client) {
+  client.on("error", (err) => console.error("❌ Redis:", err.message));
+  const duplicate = client.duplicate.bind(client);
+  client.duplicate = (...args) => logErrors(duplicate(...args));
+  return client;
+}
+
+function createRedisStore(url) {
+  const Redis = require("ioredis");
+  const client = logErrors(new Redis(url, { tls: url.startsWith("rediss://") ? {} : undefined }));
+  const handlers = new Map(); // channel -> handler
+  let subscriber = null;
+  const idle = []; // connections for blocking pops, BLPOP blocks its connection
+  const blocking = new Set();
+
+  // Runs a MULTI and resolves the first command's result, the timeline's
+  // length for changes that log an event first.
+  async function first(multi) {
+    const [[err, result]] = await multi.exec();
+    if (err) throw err;
+    return result;
+  }
+
+  const users = {
+    async create(userName, passwordHash) {
+      if (!(await client.hsetnx(userKey(userName), "passwordHash", passwordHash))) return false;
+      await client.hset(userKey(userName), "username", userName, "createdAt", Date.now());
+      return true;
+    },
+    passwordHash: (userName) => client.hget(userKey(userName), "passwordHash"),
+    exists: async (userName) => Boolean(await client.exists(userKey(userName))),
+    sessions: async (userName) => parseValues(await client.hgetall(userSessionsKey(userName)), Number),
+    async forgetSessions(userName, ids) {
+      if (ids.length) await client.hdel(userSessionsKey(userName), ...ids);
+    },
+  };
+
+  const sessions = {
+    exists: async (id) => Boolean(await client.exists(metaKey(id))),
+    meta: async (id) => parseMeta(await client.hgetall(metaKey(id))),
+    async create(id, owner, { files = {}, folders = [], name = "", forkedFrom = null, runConfig = null, formatConfig = null } = {}) {
+      if (await client.exists(filesKey(id))) return false;
+      if (!(await client.hsetnx(metaKey(id), "owner", owner))) return false;
+      const now = Date.now();
+      const tx = client.multi()
+        .hset(metaKey(id), "createdAt", now)
+        .hset(rolesKey(id), owner, "owner")
+        .zadd(SESSION_ACTIVITY_KEY, now, id)
+        .hset(userSessionsKey(owner), id, now);
+      if (name) tx.hset(metaKey(id), "name", name);
+      if (forkedFrom) tx.hset(metaKey(id), "forkedFrom", forkedFrom);
+      for (const [filename, content] of Object.entries(files)) {
+        tx.hset(filesKey(id), filename, content).hset(versionsKey(id), filename, 0);
+      }
+      tx.set(timelineBaseKey(id), JSON.stringify({ t: now, files }));
+      if (folders.length) tx.sadd(foldersKey(id), ...folders);
+      if (runConfig) tx.set(configKey(id, "run"), JSON.stringify(runConfig));
+      if (formatConfig) tx.set(configKey(id, "format"), JSON.stringify(formatConfig));
+      await tx.exec();
+      return true;
+    },
+    async claim(id, userName) {
+      if (!(await client.hsetnx(metaKey(id), "owner", userName))) return false;
+      await client.multi()
+        .hset(metaKey(id), "createdAt", Date.now())
+        .hset(rolesKey(id), userName, "owner")
+        .exec();
+      return true;
+    },
+    async update(id, fields) {
+      const multi = client.multi();
+      for (const [field, value] of Object.entries(fields)) {
+        if (value == null) multi.hdel(metaKey(id), field);
+        else multi.hset(metaKey(id), field, field === "locked" ? JSON.stringify(value) : value);
+      }
+      await multi.exec();
+    },
+    role: (id, userName) => client.hget(rolesKey(id), userName),
+    roles: (id) => client.hgetall(rolesKey(id)),
+    async setRole(id, userName, role) {
+      if (role) await client.hset(rolesKey(id), userName, role);
+      else await client.multi().hdel(rolesKey(id), userName).hdel(userSessionsKey(userName), id).exec();
+    },
+    invite: async (id, token) => parse(await client.hget(invitesKey(id), token)),
+    async addInvite(id, token, invite) {
+      await client.hset(invitesKey(id), token, JSON.stringify(invite));
+    },
+    abandoned: (before) => client.zrangebyscore(SESSION_ACTIVITY_KEY, "-inf", before),
+    async delete(id) {
+      const [filenames, versioned, members] = await Promise.all([
+        client.hkeys(filesKey(id)),
+        client.hkeys(versionsKey(id)),
+        client.hkeys(rolesKey(id)),
+      ]);
+      const multi = client.multi()
+        .del(...sessionKeys(id, [...new Set([...filenames, ...versioned])]))
+        .zrem(SESSION_ACTIVITY_KEY, id)
+        .srem(PRESENCE_SESSIONS_KEY, id);
+      members.forEach((userName) => multi.hdel(userSessionsKey(userName), id));
+      await multi.exec();
+    },
+  };
+
+  const files = {
+    async read(id, filename) {
+      const [content, version] = await Promise.all([client.hget(filesKey(id), filename), client.hget(versionsKey(id), filename)]);
+      return { content, version: Number(version) || 0 };
+    },
+    all: (id) => client.hgetall(filesKey(id)),
+    names: (id) => client.hkeys(filesKey(id)),
+    versions: async (id) => parseValues(await client.hgetall(versionsKey(id)), Number),
+    async ops(id, filename, count) {
+      if (count <= 0) return [];
+      return (await client.lrange(opsKey(id, filename), -count, -1)).map(parseLogEntry);
+    },
+    commit(id, filename, { content, version, entry, comments = [], keep }, event) {
+      const multi = client.multi()
+        .rpush(timelineKey(id), JSON.stringify(event))
+        .hset(filesKey(id), filename, content)
+        .hset(versionsKey(id), filename, version)
+        .rpush(opsKey(id, filename), JSON.stringify(entry))
+        .ltrim(opsKey(id, filename), -keep, -1);
+      comments.forEach((thread) => multi.hset(commentsKey(id, filename), thread.id, JSON.stringify(thread)));
+      return first(multi);
+    },
+    reset(id, filename, content, event) {
+      return first(client.multi()
+        .rpush(timelineKey(id), JSON.stringify(event))
+        .hset(filesKey(id), filename, content)
+        .hset(versionsKey(id), filename, 0)
+        .del(opsKey(id, filename))
+        .del(commentsKey(id, filename)));
+    },
+    async move(id, pairs, event) {
+      const froms = pairs.map(([from]) => from);
+      // RENAME fails on a missing key: only the lists and hashes there are renamed.
+      const [contents, versions, hasOps, hasHistory, hasComments] = await Promise.all([
+        client.hmget(filesKey(id), ...froms),
+        client.hmget(versionsKey(id), ...froms),
+        Promise.all(froms.map((f) => client.exists(opsKey(id, f)))),
+        Promise.all(froms.map((f) => client.exists(historyKey(id, f)))),
+        Promise.all(froms.map((f) => client.exists(commentsKey(id, f)))),
+      ]);
+      const multi = client.multi().rpush(timelineKey(id), JSON.stringify(event));
+      froms.forEach((from) => multi.hdel(filesKey(id), from).hdel(versionsKey(id), from));
+      pairs.forEach(([from, to], i) => {
+        multi.hset(filesKey(id), to, contents[i]).hset(versionsKey(id), to, versions[i] || 0);
+        if (hasOps[i]) multi.rename(opsKey(id, from), opsKey(id, to));
+        if (hasHistory[i]) multi.rename(historyKey(id, from), historyKey(id, to));
+        if (hasComments[i]) multi.rename(commentsKey(id, from), commentsKey(id, to));
+      });
+      return first(multi);
+    },
+    remove(id, filenames, event) {
+      const multi = client.multi().rpush(timelineKey(id), JSON.stringify(event));
+      filenames.forEach((f) => multi
+        .hdel(filesKey(id), f)
+        .hdel(versionsKey(id), f)
+        .del(opsKey(id, f))
+        .del(historyKey(id, f))
+        .del(commentsKey(id, f)));
+      return first(multi);
+    },
+    folders: (id) => client.smembers(foldersKey(id)),
+    async updateFolders(id, { add = [], remove = [] }) {
+      const multi = client.multi();
+      if (remove.length) multi.srem(foldersKey(id), ...remove);
+      if (add.length) multi.sadd(foldersKey(id), ...add);
+      await multi.exec();
+    },
+  };
+
+  const history = {
+    async add(id, filename, snapshot, keep) {
+      await client.multi()
+        .rpush(historyKey(id, filename), JSON.stringify(snapshot))
+        .ltrim(historyKey(id, filename), -keep, -1)
+        .exec();
+    },
+    list: async (id, filename) => (await client.lrange(historyKey(id, filename), 0, -1)).map(parse),
+    last: async (id, filename) => parse(await client.lindex(historyKey(id, filename), -1)),
+  };
+
+  const comments = {
+    list: async (id, filename) => Object.values(await client.hgetall(commentsKey(id, filename))).map(parse),
+    get: async (id, filename, threadId) => parse(await client.hget(commentsKey(id, filename), threadId)),
+    async save(id, filename, thread) {
+      await client.hset(commentsKey(id, filename), thread.id, JSON.stringify(thread));
+    },
+    async remove(id, filename, threadId) {
+      await client.hdel(commentsKey(id, filename), threadId);
+    },
+  };
+
+  const chat = {
+    add(id, message, event, keep) {
+      return first(client.multi()
+        .rpush(timelineKey(id), JSON.stringify(event))
+        .rpush(chatKey(id), JSON.stringify(message))
+        .ltrim(chatKey(id), -keep, -1));
+    },
+    list: async (id) => (await client.lrange(chatKey(id), 0, -1)).map(parse),
+  };
+
+  const timeline = {
+    add: (id, event) => client.rpush(timelineKey(id), JSON.stringify(event)),
+    async read(id) {
+      const [base, events] = await Promise.all([client.get(timelineBaseKey(id)), client.lrange(timelineKey(id), 0, -1)]);
+      return { base: parse(base), events: events.map(parse) };
+    },
+    async head(id, count) {
+      const [base, events] = await Promise.all([client.get(timelineBaseKey(id)), client.lrange(timelineKey(id), 0, count - 1)]);
+      return { base: parse(base), events: events.map(parse) };
+    },
+    async fold(id, base, count) {
+      await client.multi()
+        .set(timelineBaseKey(id), JSON.stringify(base))
+        .ltrim(timelineKey(id), count, -1)
+        .exec();
+    },
+    async start(id, base) {
+      await client.set(timelineBaseKey(id), JSON.stringify(base), "NX");
+    },
+  };
+
+  const config = {
+    get: async (id, name) => parse(await client.get(configKey(id, name))),
+    async set(id, name, value) {
+      await client.set(configKey(id, name), JSON.stringify(value));
+    },
+  };
+
+  const tests = {
+    suite: async (id) => parse(await client.get(testsKey(id))),
+    async setSuite(id, suite) {
+      await client.set(testsKey(id), JSON.stringify(suite));
+    },
+    results: async (id) => parseValues(await client.hgetall(testResultsKey(id))),
+    async setResult(id, userName, grade) {
+      await client.hset(testResultsKey(id), userName, JSON.stringify(grade));
+    },
+  };
+
+  async function online(id, since) {
+    const live = await client.zrangebyscore(heartbeatsKey(id), since, "+inf");
+    if (!live.length) return [];
+    return [...new Set((await client.hmget(socketsKey(id), ...live)).filter(Boolean))];
+  }
+
+  const presence = {
+    async connect(id, socketId, userName) {
+      const now = Date.now();
+      await client.multi()
+        .hset(socketsKey(id), socketId, userName)
+        .zadd(heartbeatsKey(id), now, socketId)
+        .sadd(PRESENCE_SESSIONS_KEY, id)
+        .zadd(SESSION_ACTIVITY_KEY, now, id)
+        .hset(userSessionsKey(userName), id, now)
+        .exec();
+    },
+    async disconnect(id, socketId) {
+      const [[, userName], , [, removed]] = await client.multi()
+        .hget(socketsKey(id), socketId)
+        .zrem(heartbeatsKey(id), socketId)
+        .hdel(socketsKey(id), socketId)
+        .hdel(presenceKey(id), socketId)
+        .exec();
+      return removed ? userName : null;
+    },
+    online,
+    async beat(sockets) {
+      const now = Date.now();
+      const multi = client.multi();
+      for (const [id, socketId] of sockets) {
+        multi
+          .zadd(heartbeatsKey(id), "XX", now, socketId)
+          .sadd(PRESENCE_SESSIONS_KEY, id)
+          .zadd(SESSION_ACTIVITY_KEY, now, id);
+      }
+      await multi.exec();
+    },
+    // Sessions left with no sockets at all drop out of the sweep.
+    async sweep(before) {
+      const stale = [];
+      for (const id of await client.smembers(PRESENCE_SESSIONS_KEY)) {
+        const socketIds = await client.zrangebyscore(heartbeatsKey(id), "-inf", before);
+        socketIds.forEach((socketId) => stale.push([id, socketId]));
+        if (!socketIds.length && !(await client.zcard(heartbeatsKey(id)))) await client.srem(PRESENCE_SESSIONS_KEY, id);
+      }
+      return stale;
+    },
+    async update(id, socketId, value) {
+      await client.hset(presenceKey(id), socketId, JSON.stringify(value));
+    },
+    list: async (id) => Object.values(await client.hgetall(presenceKey(id))).map(parse),
+  };
+
+  const terminals = {
+    get: async (id) => parse(await client.get(terminalKey(id))),
+    start: async (id, state, ttlMs) => Boolean(await client.set(terminalKey(id), JSON.stringify(state), "NX", "PX", ttlMs)),
+    async update(id, state, ttlMs) {
+      await client.set(terminalKey(id), JSON.stringify(state), "XX", "PX", ttlMs);
+    },
+    async stop(id) {
+      await client.del(terminalKey(id), terminalScrollbackKey(id));
+    },
+    async refresh(id, ttlMs) {
+      await client.multi().pexpire(terminalKey(id), ttlMs).pexpire(terminalScrollbackKey(id), ttlMs).exec();
+    },
+    scrollback: async (id) => (await client.get(terminalScrollbackKey(id))) || "",
+    async saveScrollback(id, text, ttlMs) {
+      await client.set(terminalScrollbackKey(id), text, "PX", ttlMs);
+    },
+  };
+
+  const runs = {
+    async register(run, ttlMs) {
+      await client.set(runKey(run.runId), JSON.stringify(run), "PX", ttlMs);
+    },
+    get: async (runId) => parse(await client.get(runKey(runId))),
+    async unregister(runId) {
+      await client.del(runKey(runId));
+    },
+    lastError: async (id) => parse(await client.get(lastRunErrorKey(id))),
+    async setLastError(id, error, ttlMs) {
+      if (error) await client.set(lastRunErrorKey(id), JSON.stringify(error), "PX", ttlMs);
+      else await client.del(lastRunErrorKey(id));
+    },
+    async enqueue(job) {
+      await client.rpush(QUEUE_KEY, JSON.stringify(job));
+    },
+    withdraw: async (job) => (await client.lrem(QUEUE_KEY, 1, JSON.stringify(job))) > 0,
+    async next() {
+      const connection = idle.pop() || client.duplicate();
+      blocking.add(connection);
+      try {
+        const [, payload] = await connection.blpop(QUEUE_KEY, 0);
+        return JSON.parse(payload);
+      } finally {
+        idle.push(connection);
+      }
+    },
+  };
+
+  const audit = {
+    async add(entry, { global = false, keep }) {
+      const raw = JSON.stringify(entry);
+      const multi = client.multi();
+      for (const key of global ? [auditKey(entry.sessionId), AUDIT_KEY] : [auditKey(entry.sessionId)]) {
+        multi.rpush(key, raw).ltrim(key, -keep, -1);
+      }
+      await multi.exec();
+    },
+    list: async (id) => (await client.lrange(id == null ? AUDIT_KEY : auditKey(id), 0, -1)).map(parse),
+  };
+
+  const counters = {
+    async hit(keys, windowS) {
+      const multi = client.multi();
+      keys.forEach((key) => multi.incr(key).ttl(key));
+      const results = await multi.exec();
+      return Promise.all(keys.map(async (key, i) => {
+        const [[, count], [, ttl]] = results.slice(i * 2, i * 2 + 2);
+        if (ttl >= 0) return { count, ttl };
+        await client.expire(key, windowS);
+        return { count, ttl: windowS };
+      }));
+    },
+    async take(keys, ttlS) {
+      const multi = client.multi();
+      keys.forEach((key) => multi.incr(key).expire(key, ttlS));
+      return (await multi.exec()).filter((result, i) => i % 2 === 0).map(([, count]) => count);
+    },
+    async give(keys) {
+      const multi = client.multi();
+      keys.forEach((key) => multi.decr(key));
+      const results = await multi.exec();
+      // The key expired (or was never there) while the slot was held: a negative
+      // count would let the id take an extra slot for good.
+      const negative = keys.filter((key, i) => results[i][1] < 0);
+      if (negative.length) await client.del(...negative);
+    },
+  };
+
+  const locks = {
+    acquire: async (key, token, ttlMs) => Boolean(await client.set(key, token, "PX", ttlMs, "NX")),
+    async release(key, token) {
+      await client.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+    },
+  };
+
+  return {
+    client,
+    users,
+    sessions,
+    files,
+    history,
+    comments,
+    chat,
+    timeline,
+    config,
+    tests,
+    presence,
+    terminals,
+    runs,
+    audit,
+    counters,
+    locks,
+
+    publish: (channel, message) => client.publish(channel, JSON.stringify(message)),
+    // One subscriber connection, dispatching by channel.
+    async subscribe(channel, handler) {
+      if (!subscriber) {
+        subscriber = client.duplicate();
+        subscriber.on("message", (name, message) => handlers.get(name)?.(JSON.parse(message)));
+      }
+      handlers.set(channel, handler);
+      await subscriber.subscribe(channel);
+    },
+    async unsubscribe(channel) {
+      handlers.delete(channel);
+      await subscriber?.unsubscribe(channel);
+    },
+
+    ping: () => client.ping(),
+    // Redis keeps what it was sent; there is nothing to write out here.
+    async flush() {},
+    async close() {
+      blocking.forEach((connection) => connection.disconnect());
+      await Promise.all([client.quit(), subscriber?.quit()]);
+    },
+  };
+}
+
+module.exports = { createRedisStore };
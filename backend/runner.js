@@ -0,0 +1,772 @@
+/**
+ * backend/runner.js
+ * Sandboxed code execution for /run.
+ * - every job gets its own scratch directory under temp/<session>/
+ * - session ids and filenames are sanitised before they touch the filesystem
+ * - commands are spawned without a shell; arguments are never interpolated
+ * - CPU, memory, output, file-size and process limits, no network when the
+ *   host allows it (prlimit / unshare)
+ * - RUNNER=process (default) runs on the host as RUNNER_UID, a dedicated
+ *   unprivileged user that must not be able to read the backend's files;
+ *   RUNNER=docker runs in a container. Without either, jobs are refused unless
+ *   RUN_UNSANDBOXED=1 (local development only: jobs then run as the server's
+ *   own user and can read everything it can)
+ * - startJob streams output and accepts stdin for interactive runs
+ * - jobs materialise the whole session (folders included) and honour the
+ *   session's run config: entry point, compiler flags, program args, env
+ * - runWithInputs / runUnitTests execute test suites (see grader.js): one
+ *   compile and a run per stdin input, or pytest / node:test / JUnit with
+ *   JUnit XML reports
+ * - sandboxSpec wraps any command the same way, for the shared terminal (see
+ *   terminal.js) and the language servers (see lsp.js)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn, spawnSync } = require("child_process");
+
+const isWindows = process.platform === "win32";
+const BASE_TEMP = path.join(process.cwd(), "temp");
+
+const LIMITS = {
+  timeoutMs: Number(process.env.RUN_TIMEOUT_MS) || 10000,
+  cpuSeconds: Number(process.env.RUN_CPU_SECONDS) || 10,
+  memoryMb: Number(process.env.RUN_MEMORY_MB) || 256,
+  outputBytes: Number(process.env.RUN_OUTPUT_BYTES) || 64 * 1024,
+  fileSizeMb: Number(process.env.RUN_FILE_SIZE_MB) || 16,
+  processes: Number(process.env.RUN_MAX_PROCESSES) || 64,
+  // Wall-clock limit for interactive runs, which may sit waiting for input.
+  interactiveTimeoutMs: Number(process.env.RUN_INTERACTIVE_TIMEOUT_MS) || 5 * 60 * 1000,
+  // Wall-clock limit for a whole unit-test framework run.
+  testTimeoutMs: Number(process.env.RUN_TEST_TIMEOUT_MS) || 30000,
+};
+const RUNNER_UID = process.env.RUNNER_UID ? Number(process.env.RUNNER_UID) : undefined;
+const RUNNER_GID = process.env.RUNNER_GID ? Number(process.env.RUNNER_GID) : RUNNER_UID;
+const DEDICATED_USER = RUNNER_UID > 0;
+
+// ===== PATHS =====
+function sanitizeSegment(value, fallback = "default") {
+  const clean = String(value || "").replace(/[^A-Za-z0-9_.-]/g, "_").replace(/^\.+/, "").slice(0, 64);
+  return clean || fallback;
+}
+
+// Relative, normalised path that cannot escape its base directory.
+function safeRelativePath(filename, fallback) {
+  const parts = String(filename || "")
+    .replace(/\\/g, "/")
+    .split("/")
+    .filter((p) => p && p !== "." && p !== "..")
+    .map((p) => sanitizeSegment(p, "_"));
+  return parts.length ? parts.join("/") : fallback;
+}
+
+// Jobs running as RUNNER_UID write into their directory (compiler output, files
+// the program creates), so it and everything written into it is theirs.
+// lchown: the directory may hold the program's symlinks.
+function giveToRunner(target) {
+  if (DEDICATED_USER) fs.lchownSync(target, RUNNER_UID, RUNNER_GID);
+}
+
+function createJobDir(sessionId) {
+  const sessionDir = path.join(BASE_TEMP, sanitizeSegment(sessionId));
+  fs.mkdirSync(sessionDir, { recursive: true });
+  const dir = fs.mkdtempSync(path.join(sessionDir, "job-"));
+  giveToRunner(dir);
+  return dir;
+}
+
+// ===== FILES IN JOB DIRECTORIES =====
+// Sandboxed programs write to their directory as they like, and the server
+// runs as root: it must not follow a link they planted to its own files. Every
+// directory on the way is lstat'ed, the file opened O_NOFOLLOW (a FIFO cannot
+// block it: O_NONBLOCK), and, where /proc shows it, the opened file checked to
+// be inside `dir`, which catches a directory swapped for a link in between.
+const { O_RDONLY, O_WRONLY, O_CREAT, O_EXCL, O_NOFOLLOW = 0, O_NONBLOCK = 0 } = fs.constants;
+
+function jobPath(dir, relPath) {
+  const target = path.join(dir, relPath);
+  if (!target.startsWith(dir + path.sep)) throw new Error(`Invalid path: ${relPath}`);
+  return target;
+}
+
+// Walk to the parent of `target`, refusing links; missing directories are
+// created (and given to the runner) when `create` is set, else null is returned.
+function jobParent(dir, target, create) {
+  let current = dir;
+  for (const part of path.relative(dir, path.dirname(target)).split(path.sep).filter(Boolean)) {
+    current = path.join(current, part);
+    let stat = fs.lstatSync(current, { throwIfNoEntry: false });
+    if (!stat && !create) return null;
+    if (!stat) {
+      fs.mkdirSync(current);
+      giveToRunner(current);
+      stat = fs.lstatSync(current);
+    }
+    if (!stat.isDirectory()) throw new Error(`Not a directory: ${path.relative(dir, current)}`);
+  }
+  return current;
+}
+
+// Whether the file open as `fd` is inside `dir`; true where /proc is missing.
+function openedInside(fd, dir) {
+  let real;
+  try {
+    real = fs.readlinkSync(`/proc/self/fd/${fd}`);
+  } catch {
+    return true;
+  }
+  return real.startsWith(fs.realpathSync(dir) + path.sep);
+}
+
+function writeJobFile(dir, relPath, content) {
+  const target = jobPath(dir, relPath);
+  jobParent(dir, target, true);
+  const exists = Boolean(fs.lstatSync(target, { throwIfNoEntry: false }));
+  // No O_TRUNC: nothing is changed before the file is known to be the right one.
+  const fd = fs.openSync(target, O_WRONLY | O_NOFOLLOW | O_NONBLOCK | (exists ? 0 : O_CREAT | O_EXCL), 0o644);
+  try {
+    const stat = fs.fstatSync(fd);
+    if (!openedInside(fd, dir)) {
+      if (!exists) fs.unlinkSync(fs.readlinkSync(`/proc/self/fd/${fd}`));
+      throw new Error(`Not inside the job directory: ${relPath}`);
+    }
+    if (!stat.isFile() || stat.nlink > 1) throw new Error(`Not a plain file: ${relPath}`);
+    fs.ftruncateSync(fd, 0);
+    fs.writeFileSync(fd, content, "utf8");
+    if (DEDICATED_USER) fs.fchownSync(fd, RUNNER_UID, RUNNER_GID);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return target;
+}
+
+// A file's content, or null when it is missing, not a plain file, a link, or
+// larger than `maxBytes`.
+function readJobFile(dir, relPath, maxBytes = Infinity) {
+  const target = jobPath(dir, relPath);
+  let fd;
+  try {
+    if (!jobParent(dir, target, false)) return null;
+    fd = fs.openSync(target, O_RDONLY | O_NOFOLLOW | O_NONBLOCK);
+  } catch {
+    return null;
+  }
+  try {
+    const stat = fs.fstatSync(fd);
+    if (!stat.isFile() || stat.size > maxBytes || !openedInside(fd, dir)) return null;
+    return fs.readFileSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// unlink does not follow the last component; the lstat walk covers the rest.
+function removeJobFile(dir, relPath) {
+  const target = jobPath(dir, relPath);
+  try {
+    if (jobParent(dir, target, false)) fs.unlinkSync(target);
+  } catch {
+    // already gone, or not ours to remove
+  }
+}
+
+function removeJobDir(dir) {
+  fs.rm(dir, { recursive: true, force: true }, () => {});
+}
+
+// Remove job directories a crash or restart left behind (untouched for
+// `maxAgeMs`) and session directories with no jobs left. `skip` lists top-level
+// directories owned by others, such as lsp.js's mirrors.
+function cleanTempDirs(maxAgeMs, skip = []) {
+  if (!fs.existsSync(BASE_TEMP)) return;
+  for (const entry of fs.readdirSync(BASE_TEMP, { withFileTypes: true })) {
+    if (!entry.isDirectory() || skip.includes(entry.name)) continue;
+    const sessionDir = path.join(BASE_TEMP, entry.name);
+    try {
+      for (const job of fs.readdirSync(sessionDir)) {
+        const dir = path.join(sessionDir, job);
+        if (Date.now() - fs.statSync(dir).mtimeMs > maxAgeMs) fs.rmSync(dir, { recursive: true, force: true });
+      }
+      if (!fs.readdirSync(sessionDir).length) fs.rmdirSync(sessionDir);
+    } catch (err) {
+      // Another instance sharing temp/ got there first.
+      if (err.code !== "ENOENT" && err.code !== "ENOTEMPTY") throw err;
+    }
+  }
+}
+
+// ===== SANDBOXES =====
+function hasCommand(cmd) {
+  if (isWindows) return false;
+  return (process.env.PATH || "").split(path.delimiter).some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, cmd), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// Probe once which network isolation the host permits.
+const UNSHARE_ARGS = (() => {
+  if (process.env.RUN_NETWORK === "allow" || !hasCommand("unshare")) return null;
+  for (const args of [["-n"], ["-r", "-n"]]) {
+    const probe = spawnSync("unshare", [...args, "true"], { stdio: "ignore", uid: RUNNER_UID, gid: RUNNER_GID });
+    if (probe.status === 0) return args;
+  }
+  return null;
+})();
+const HAS_PRLIMIT = hasCommand("prlimit");
+const HAS_STDBUF = hasCommand("stdbuf");
+
+function prlimitArgs(limits) {
+  const args = [
+    `--cpu=${limits.cpuSeconds}`,
+    `--fsize=${limits.fileSizeMb * 1024 * 1024}`,
+    "--core=0",
+  ];
+  // Address-space limits break the JVM, which reserves far more than it uses.
+  if (limits.memoryMb && !limits.noAddressLimit) args.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+  // RLIMIT_NPROC counts every process of the uid, so only cap it for a dedicated one.
+  if (DEDICATED_USER) args.push(`--nproc=${limits.processes}`);
+  return args;
+}
+
+// Why the process runner may not run anything here, or null.
+const PROCESS_UNSAFE = DEDICATED_USER || process.env.RUN_UNSANDBOXED === "1"
+  ? null
+  : "Code execution is disabled: set RUNNER_UID to a dedicated unprivileged user or RUNNER=docker";
+
+// `limits.network` lets this command reach the network whatever RUN_NETWORK says;
+// `tty` asks for a terminal, which the caller provides. `sandboxed` is whether
+// jobs are kept away from the server's own files and processes.
+const sandboxes = {
+  process: {
+    wrap(command, args, dir, limits, env) {
+      if (PROCESS_UNSAFE) {
+        const err = new Error(PROCESS_UNSAFE);
+        err.code = "unavailable";
+        throw err;
+      }
+      let argv = [command, ...args];
+      if (HAS_PRLIMIT) argv = ["prlimit", ...prlimitArgs(limits), "--", ...argv];
+      if (UNSHARE_ARGS && !limits.network) argv = ["unshare", ...UNSHARE_ARGS, "--", ...argv];
+      return {
+        command: argv[0],
+        args: argv.slice(1),
+        options: { cwd: dir, env: { ...jobEnv(dir), ...env }, uid: RUNNER_UID, gid: RUNNER_GID },
+        workDir: dir,
+      };
+    },
+    isolated: Boolean(HAS_PRLIMIT),
+    network: !UNSHARE_ARGS,
+    sandboxed: DEDICATED_USER,
+  },
+  docker: {
+    wrap(command, args, dir, limits, env = {}, { tty = false } = {}) {
+      const name = `cc-run-${crypto.randomBytes(6).toString("hex")}`;
+      return {
+        command: "docker",
+        // Killing the docker CLI leaves the container running; stop it by name.
+        onKill: () => spawn("docker", ["kill", name], { stdio: "ignore" }).on("error", () => {}),
+        args: [
+          "run", "--rm", tty ? "-it" : "-i", "--name", name,
+          "--network", limits.network ? "bridge" : "none",
+          "--memory", `${limits.memoryMb}m`,
+          "--cpus", "1",
+          "--pids-limit", String(limits.processes),
+          "--ulimit", `fsize=${limits.fileSizeMb * 1024 * 1024}`,
+          "-v", `${dir}:/work`, "-w", "/work",
+          ...Object.entries(env).flatMap(([k, v]) => ["-e", `${k}=${v}`]),
+          process.env.RUNNER_IMAGE || "codecollab-runner",
+          command, ...args,
+        ],
+        options: { cwd: dir, env: process.env },
+        workDir: "/work",
+      };
+    },
+    isolated: true,
+    network: false,
+    sandboxed: true,
+  },
+};
+const SANDBOX = sandboxes[process.env.RUNNER || "process"] || sandboxes.process;
+
+function jobEnv(dir) {
+  const env = { PATH: process.env.PATH, HOME: dir, TMPDIR: dir, LANG: process.env.LANG || "C.UTF-8" };
+  if (process.env.JAVA_HOME) env.JAVA_HOME = process.env.JAVA_HOME;
+  if (isWindows) env.SystemRoot = process.env.SystemRoot;
+  return env;
+}
+
+// ===== PROCESSES =====
+function result(fields) {
+  return { ok: false, exitCode: null, signal: null, timedOut: false, truncated: false, stdout: "", stderr: "", durationMs: 0, ...fields };
+}
+
+// Start a sandboxed process. `done` resolves with the structured result;
+// output beyond the limit is dropped and the process killed.
+function startProcess(command, args, { dir, limits = LIMITS, env, onStdout, onStderr } = {}) {
+  const started = Date.now();
+  const spec = SANDBOX.wrap(command, args, dir, limits, env);
+  const child = spawn(spec.command, spec.args, { ...spec.options, detached: !isWindows, windowsHide: true });
+  child.stdin.on("error", () => {}); // EPIPE when the program exits without reading stdin
+  const out = { stdout: "", stderr: "", bytes: 0 };
+  let timedOut = false;
+  let truncated = false;
+
+  const kill = () => {
+    if (spec.onKill) spec.onKill();
+    try {
+      if (isWindows) child.kill("SIGKILL");
+      else process.kill(-child.pid, "SIGKILL");
+    } catch {
+      // already gone
+    }
+  };
+  // setEncoding keeps a character split between two chunks whole.
+  const collect = (stream, listener) => child[stream].setEncoding("utf8").on("data", (text) => {
+    if (truncated) return;
+    const bytes = Buffer.byteLength(text);
+    if (out.bytes + bytes > limits.outputBytes) {
+      text = text.slice(0, Math.max(0, limits.outputBytes - out.bytes));
+      truncated = true;
+      kill();
+    }
+    out.bytes += bytes;
+    out[stream] += text;
+    if (listener && text) listener(text);
+  });
+  collect("stdout", onStdout);
+  collect("stderr", onStderr);
+
+  const timer = setTimeout(() => { timedOut = true; kill(); }, limits.timeoutMs);
+  const done = new Promise((resolve) => {
+    let spawnError = null;
+    child.on("error", (err) => { spawnError = err; });
+    child.on("close", (exitCode, signal) => {
+      clearTimeout(timer);
+      if (spawnError && spawnError.code === "ENOENT") {
+        out.stderr += `${command}: command not found\n`;
+        exitCode = 127;
+      } else if (spawnError) {
+        out.stderr += `${spawnError.message}\n`;
+      }
+      if (truncated) out.stderr += `\n[output truncated at ${limits.outputBytes} bytes]\n`;
+      resolve(result({
+        ok: exitCode === 0 && !timedOut && !truncated,
+        exitCode,
+        signal,
+        timedOut,
+        truncated,
+        stdout: out.stdout,
+        stderr: out.stderr,
+        durationMs: Date.now() - started,
+      }));
+    });
+  });
+
+  return { child, done, kill, write: (data) => child.stdin.write(data), end: () => child.stdin.end() };
+}
+
+// { command, args, options, onKill, workDir } that runs `command` sandboxed in
+// `dir`; workDir is where `dir` appears inside the sandbox.
+function sandboxSpec(command, args, { dir, limits = LIMITS, env, tty = false }) {
+  return SANDBOX.wrap(command, args, dir, limits, env, { tty });
+}
+
+function runProcess(command, args, opts) {
+  const proc = startProcess(command, args, opts);
+  proc.end();
+  return proc.done;
+}
+
+// ===== RUN CONFIG =====
+const LANGUAGES = ["python", "javascript", "java", "c", "cpp", "html"];
+const EXT_LANGUAGE = {
+  ".py": "python", ".js": "javascript", ".mjs": "javascript", ".cjs": "javascript", ".java": "java",
+  ".c": "c", ".cpp": "cpp", ".cc": "cpp", ".cxx": "cpp", ".html": "html", ".htm": "html",
+};
+const SOURCE_EXTS = { c: [".c"], cpp: [".cpp", ".cc", ".cxx"], java: [".java"] };
+const RESERVED_ENV = new Set(["PATH", "HOME", "TMPDIR", "LD_PRELOAD", "LD_LIBRARY_PATH", "NODE_OPTIONS", "JAVA_TOOL_OPTIONS"]);
+
+function languageOf(filename) {
+  return EXT_LANGUAGE[path.extname(filename || "").toLowerCase()];
+}
+
+// Whitespace-separated arguments with "double" and 'single' quoting.
+function splitArgs(value) {
+  if (Array.isArray(value)) return value.map(String);
+  const args = [];
+  const re = /"((?:\\.|[^"\\])*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(value || "")))) args.push(m[1] != null ? m[1].replace(/\\(.)/g, "$1") : m[2] != null ? m[2] : m[3]);
+  return args;
+}
+
+// Compiler flags a run config may use: optimisation, debug info, warnings,
+// language standard, macros, include directories inside the project, libraries
+// and javac's lint and release options. Anything else (output paths, plugins,
+// linker or assembler pass-through such as -Wl, or -Xlinker, response files)
+// is refused.
+const ALLOWED_FLAGS = [
+  /^-O([0-3sgz]|fast)?$/,
+  /^-g[0-3]?$/,
+  /^-W[\w=+-]*$/,
+  /^-(w|ansi|pedantic|pedantic-errors|pthread|march=native|nowarn|deprecation|parameters)$/,
+  /^--?std=[\w+]+$/,
+  /^-[DU][A-Za-z_]\w*(=\S*)?$/,
+  /^-I(?!\/)[\w./-]+$/,
+  /^-l[\w+.-]+$/,
+  /^-f(?!plugin)[a-z][\w=+-]*$/,
+  /^-Xlint(:[\w,-]+)?$/,
+];
+// javac options whose value is the next argument.
+const FLAGS_WITH_VALUE = /^--?(source|target|release|encoding)$/;
+
+// The first flag not allowed, or null.
+function disallowedFlag(flags) {
+  for (let i = 0; i < flags.length; i++) {
+    const arg = flags[i];
+    if (FLAGS_WITH_VALUE.test(arg) && /^[\w.-]+$/.test(flags[i + 1] || "")) {
+      i++;
+      continue;
+    }
+    if (arg.includes("..") || !ALLOWED_FLAGS.some((re) => re.test(arg))) return arg;
+  }
+  return null;
+}
+
+// Validate a session's run config: { entry, language, compilerFlags, args, env }.
+function normalizeRunConfig(input) {
+  if (!input || typeof input !== "object") input = {};
+  const config = {
+    entry: input.entry ? safeRelativePath(input.entry, "") : "",
+    language: LANGUAGES.includes(input.language) ? input.language : "",
+    compilerFlags: String(input.compilerFlags || "").slice(0, 500),
+    args: String(Array.isArray(input.args) ? input.args.join(" ") : input.args || "").slice(0, 1000),
+    env: {},
+  };
+  const bad = disallowedFlag(splitArgs(config.compilerFlags));
+  if (bad) throw new Error(`Compiler flag not allowed: ${bad}`);
+  Object.entries(input.env || {}).slice(0, 50).forEach(([key, value]) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) throw new Error(`Invalid environment variable name: ${key}`);
+    if (RESERVED_ENV.has(key)) throw new Error(`Environment variable ${key} cannot be overridden`);
+    config.env[key] = String(value).slice(0, 1000);
+  });
+  return config;
+}
+
+// ===== LANGUAGES =====
+function javaBin(name) {
+  return process.env.JAVA_HOME ? path.join(process.env.JAVA_HOME, "bin", isWindows ? `${name}.exe` : name) : name;
+}
+
+function javaPublicClass(source) {
+  const match = source.match(/public\s+(?:final\s+|abstract\s+)*(?:class|interface|enum|record)\s+([A-Za-z_]\w*)/);
+  return match && match[1];
+}
+
+// Fully-qualified class to launch for a Java entry file.
+function javaMainClass(file, source) {
+  const pkg = source.match(/^\s*package\s+([\w.]+)\s*;/m);
+  const name = javaPublicClass(source) || path.posix.basename(file, ".java");
+  return pkg ? `${pkg[1]}.${name}` : name;
+}
+
+// Work out the project to materialise: every session file (sanitised paths),
+// the editor's current code overlaid on its file, and the entry point.
+function resolveProject({ language, filename, code, files = {}, config = {} }) {
+  const project = {};
+  Object.entries(files).forEach(([name, content]) => {
+    const rel = safeRelativePath(name, "");
+    if (rel) project[rel] = content;
+  });
+  const lang = (config.entry && languageOf(config.entry)) || config.language || language || languageOf(filename);
+  const current = filename ? safeRelativePath(filename, "") : "";
+  if (current && code != null) project[current] = code;
+  let entry = config.entry || current;
+  if (!entry || project[entry] == null) {
+    const ext = { python: "py", javascript: "js", node: "js", java: "java", c: "c", cpp: "cpp" }[lang] || "txt";
+    entry = entry && code != null ? entry : `main.${ext}`;
+    project[entry] = code != null ? code : "";
+  }
+  return { language: lang, entry, files: project };
+}
+
+// Files to write plus the compile step (if any) and the run step for a job.
+function plan({ language, entry, files, config = {} }) {
+  const args = splitArgs(config.args);
+  const flags = splitArgs(config.compilerFlags);
+  const sources = (lang) => Object.keys(files).filter((f) => SOURCE_EXTS[lang].includes(path.extname(f).toLowerCase()));
+
+  if (language === "python") {
+    return {
+      files,
+      run: [process.env.PYTHON || (isWindows ? "python" : "python3"), [entry, ...args]],
+      env: { ...config.env, PYTHONUNBUFFERED: "1", PYTHONPATH: "." },
+    };
+  }
+  if (language === "javascript" || language === "node") {
+    const heap = `--max-old-space-size=${LIMITS.memoryMb}`;
+    return { files, run: [process.env.NODE || "node", [heap, entry, ...args]], env: config.env, limits: { noAddressLimit: true } };
+  }
+  if (language === "java") {
+    // javac insists a public class lives in <Class>.java; rename snippets that don't.
+    const javaPath = (rel) => {
+      const cls = javaPublicClass(files[rel]);
+      return cls && path.posix.basename(rel, ".java") !== cls ? path.posix.join(path.posix.dirname(rel), `${cls}.java`) : rel;
+    };
+    const written = {};
+    Object.entries(files).forEach(([rel, content]) => { written[rel.endsWith(".java") ? javaPath(rel) : rel] = content; });
+    return {
+      files: written,
+      compile: [javaBin("javac"), ["-J-Xmx256m", "-d", "build", ...flags, ...sources("java").map(javaPath)]],
+      run: [javaBin("java"), ["-Xmx256m", "-cp", "build", javaMainClass(entry, files[entry]), ...args]],
+      env: config.env,
+      limits: { noAddressLimit: true },
+    };
+  }
+  if (language === "c" || language === "cpp") {
+    const exe = isWindows ? "main.exe" : "main";
+    const includeDirs = [...new Set(Object.keys(files).filter((f) => /\.(h|hh|hpp|hxx)$/i.test(f)).map((f) => path.posix.dirname(f)).filter((d) => d !== "."))];
+    return {
+      files,
+      // Libraries in the flags (-lm) must follow the sources for the linker.
+      compile: [language === "c" ? "gcc" : "g++", [...sources(language), "-I.", ...includeDirs.map((d) => `-I${d}`), ...flags, "-o", exe]],
+      // stdio is block-buffered on pipes; line-buffer it so prompts show up.
+      run: HAS_STDBUF ? ["stdbuf", ["-oL", "-eL", `./${exe}`, ...args]] : [isWindows ? exe : `./${exe}`, args],
+      env: config.env,
+    };
+  }
+  return null;
+}
+
+// Compile (when needed) and run one program with live output. Input written
+// before the program starts is buffered; `kill` stops whichever stage is
+// active. `done` resolves with the structured result, `stage` telling whether
+// it stopped at compile or run and `stopped` whether it was killed on request.
+// `files` is the session's file map and `config` its run config; without them
+// the job is just `code` saved as `filename`.
+function startJob({ sessionId, language, filename, code, files, config, interactive = false, onOutput = () => {} }) {
+  let active = null;
+  let stage = "setup";
+  let stopped = false;
+  let inputClosed = !interactive;
+  const pendingInput = [];
+  const streams = { onStdout: (d) => onOutput("stdout", d), onStderr: (d) => onOutput("stderr", d) };
+
+  const done = (async () => {
+    let runConfig;
+    try {
+      runConfig = normalizeRunConfig(config);
+    } catch (err) {
+      return result({ stage, stderr: err.message });
+    }
+    const project = resolveProject({ language, filename, code, files, config: runConfig });
+    if (project.language === "html") return result({ ok: true, stage: "run", exitCode: 0, stdout: project.files[project.entry] });
+    const steps = plan({ ...project, config: runConfig });
+    if (!steps) return result({ stage, stderr: "Language not supported" });
+    const limits = { ...LIMITS, ...steps.limits };
+    const dir = createJobDir(sessionId);
+    try {
+      Object.entries(steps.files).forEach(([rel, content]) => writeJobFile(dir, rel, content));
+      if (steps.compile) {
+        stage = "compile";
+        active = startProcess(steps.compile[0], steps.compile[1], { dir, limits: { ...limits, noAddressLimit: true }, ...streams });
+        active.end();
+        const compiled = await active.done;
+        if (!compiled.ok || stopped) return { ...compiled, stage, stopped };
+      }
+      stage = "run";
+      const runLimits = interactive ? { ...limits, timeoutMs: LIMITS.interactiveTimeoutMs } : limits;
+      active = startProcess(steps.run[0], steps.run[1], { dir, limits: runLimits, env: steps.env, ...streams });
+      pendingInput.splice(0).forEach((data) => active.write(data));
+      if (inputClosed) active.end();
+      return { ...(await active.done), stage, stopped };
+    } finally {
+      removeJobDir(dir);
+    }
+  })();
+
+  return {
+    done,
+    write(data) {
+      if (inputClosed) return;
+      if (stage === "run" && active) active.write(data);
+      else pendingInput.push(data);
+    },
+    end() {
+      inputClosed = true;
+      if (stage === "run" && active) active.end();
+    },
+    kill() {
+      stopped = true;
+      if (active) active.kill();
+    },
+  };
+}
+
+// Batch run with stdin closed; resolves with the structured result.
+function runJob(job) {
+  return startJob(job).done;
+}
+
+// ===== TEST SUITES =====
+// Compile the project once, then run it once per input ({ stdin, timeoutMs })
+// with stdin closed after the input. onRun(index, result) reports each run as
+// it finishes. Resolves with { compile, runs }; `compile` is the failed compile
+// result (runs is then empty) or null.
+async function runWithInputs({ sessionId, language, filename, files, config, inputs, onRun = () => {} }) {
+  let runConfig;
+  try {
+    runConfig = normalizeRunConfig(config);
+  } catch (err) {
+    return { compile: result({ stage: "setup", stderr: err.message }), runs: [] };
+  }
+  const project = resolveProject({ language, filename, files, config: runConfig });
+  const steps = project.language === "html" ? null : plan({ ...project, config: runConfig });
+  if (!steps) return { compile: result({ stage: "setup", stderr: "Language not supported" }), runs: [] };
+  const limits = { ...LIMITS, ...steps.limits };
+  const dir = createJobDir(sessionId);
+  try {
+    Object.entries(steps.files).forEach(([rel, content]) => writeJobFile(dir, rel, content));
+    if (steps.compile) {
+      const compiled = await runProcess(steps.compile[0], steps.compile[1], { dir, limits: { ...limits, noAddressLimit: true } });
+      if (!compiled.ok) return { compile: { ...compiled, stage: "compile" }, runs: [] };
+    }
+    const runs = [];
+    for (const [index, input] of inputs.entries()) {
+      const timeoutMs = Math.min(input.timeoutMs || limits.timeoutMs, limits.timeoutMs);
+      const proc = startProcess(steps.run[0], steps.run[1], { dir, limits: { ...limits, timeoutMs }, env: steps.env });
+      if (input.stdin) proc.write(input.stdin);
+      proc.end();
+      const run = { ...(await proc.done), stage: "run" };
+      runs.push(run);
+      onRun(index, run);
+    }
+    return { compile: null, runs };
+  } finally {
+    removeJobDir(dir);
+  }
+}
+
+const JUNIT_JAR = process.env.JUNIT_JAR || "";
+
+// Framework invocation for unit-test files; every framework writes JUnit XML into reports/.
+function unitTestPlan(language, files, testFiles) {
+  const all = { ...files, ...testFiles };
+  const tests = Object.keys(testFiles);
+  if (language === "python") {
+    return {
+      files: all,
+      run: [process.env.PYTHON || (isWindows ? "python" : "python3"), ["-m", "pytest", "-q", "-p", "no:cacheprovider", "--junitxml=reports/pytest.xml", ...tests]],
+      env: { PYTHONUNBUFFERED: "1", PYTHONPATH: "." },
+    };
+  }
+  if (language === "javascript") {
+    return {
+      files: all,
+      run: [process.env.NODE || "node", [
+        "--test", "--test-reporter=spec", "--test-reporter-destination=stdout",
+        "--test-reporter=junit", "--test-reporter-destination=reports/node.xml", ...tests,
+      ]],
+      limits: { noAddressLimit: true },
+    };
+  }
+  if (language === "java") {
+    if (!JUNIT_JAR) return { error: "JUnit is not available on this server (JUNIT_JAR is not set)" };
+    const sources = Object.keys(all).filter((f) => f.endsWith(".java"));
+    return {
+      files: all,
+      compile: [javaBin("javac"), ["-J-Xmx256m", "-cp", JUNIT_JAR, "-d", "build", ...sources]],
+      run: [javaBin("java"), ["-Xmx256m", "-jar", JUNIT_JAR, "execute", "--disable-banner", "-cp", "build", "--scan-class-path", "--reports-dir=reports"]],
+      limits: { noAddressLimit: true },
+    };
+  }
+  return { error: `Unit tests are not supported for ${language || "this language"}; use input/output tests` };
+}
+
+// Run the unit-test files `testFiles` ({ path: content }) against the session's
+// files. Resolves with the structured result plus `reports`, the JUnit XML
+// documents the framework wrote (empty when it crashed before reporting).
+async function runUnitTests({ sessionId, language, files = {}, config, testFiles }) {
+  let runConfig;
+  try {
+    runConfig = normalizeRunConfig(config);
+  } catch (err) {
+    return { ...result({ stage: "setup", stderr: err.message }), reports: [] };
+  }
+  const project = {};
+  Object.entries(files).forEach(([name, content]) => {
+    const rel = safeRelativePath(name, "");
+    if (rel) project[rel] = content;
+  });
+  const tests = {};
+  Object.entries(testFiles).forEach(([name, content]) => { tests[safeRelativePath(name, "test.txt")] = content; });
+  const steps = unitTestPlan(language, project, tests);
+  if (steps.error) return { ...result({ stage: "setup", stderr: steps.error }), reports: [] };
+  const limits = { ...LIMITS, ...steps.limits, timeoutMs: LIMITS.testTimeoutMs };
+  const dir = createJobDir(sessionId);
+  try {
+    Object.entries(steps.files).forEach(([rel, content]) => writeJobFile(dir, rel, content));
+    fs.mkdirSync(path.join(dir, "reports"), { recursive: true });
+    giveToRunner(path.join(dir, "reports"));
+    if (steps.compile) {
+      const compiled = await runProcess(steps.compile[0], steps.compile[1], { dir, limits });
+      if (!compiled.ok) return { ...compiled, stage: "compile", reports: [] };
+    }
+    const run = await runProcess(steps.run[0], steps.run[1], { dir, limits, env: { ...runConfig.env, ...steps.env } });
+    // The tests wrote these; readJobFile skips links they may have left instead.
+    const reports = fs.readdirSync(path.join(dir, "reports"))
+      .filter((f) => f.endsWith(".xml"))
+      .map((f) => readJobFile(dir, `reports/${f}`))
+      .filter(Boolean)
+      .map((buffer) => buffer.toString("utf8"));
+    return { ...run, stage: "run", reports };
+  } finally {
+    removeJobDir(dir);
+  }
+}
+
+function sandboxInfo() {
+  return {
+    runner: SANDBOX === sandboxes.docker ? "docker" : "process",
+    limits: LIMITS,
+    resourceLimits: SANDBOX.isolated,
+    networkIsolated: !SANDBOX.network,
+    dedicatedUser: DEDICATED_USER,
+    sandboxed: SANDBOX.sandboxed,
+    // The shared terminal is an interactive shell, so it needs the real sandbox
+    // whatever RUN_UNSANDBOXED says (see terminal.js).
+    terminal: SANDBOX.sandboxed,
+    ...(SANDBOX === sandboxes.process && PROCESS_UNSAFE ? { disabled: PROCESS_UNSAFE } : {}),
+  };
+}
+
+module.exports = {
+  BASE_TEMP,
+  LIMITS,
+  sanitizeSegment,
+  safeRelativePath,
+  createJobDir,
+  giveToRunner,
+  writeJobFile,
+  readJobFile,
+  removeJobFile,
+  removeJobDir,
+  cleanTempDirs,
+  hasCommand,
+  sandboxSpec,
+  startProcess,
+  runProcess,
+  startJob,
+  runJob,
+  runWithInputs,
+  runUnitTests,
+  languageOf,
+  normalizeRunConfig,
+  sandboxInfo,
+};
@@ -0,0 +1,146 @@
+/**
+ * backend/runpool.js
+ * Where runs execute, and how every backend instance reaches them:
+ * - RUN_WORKERS=local (default) runs jobs in this process with runner.js
+ * - RUN_WORKERS=remote queues them in Redis for worker processes (worker.js),
+ *   which stream output and the exit status back over the store's channels
+ * - stdin, end of input and kill go over a per-run channel either way, so input
+ *   from a member connected to another instance still reaches the program
+ */
+
+const { startJob, LIMITS } = require("./runner");
+const storage = require("./storage");
+
+const MODE = process.env.RUN_WORKERS === "remote" ? "remote" : "local";
+const PICKUP_TIMEOUT_MS = Number(process.env.RUN_PICKUP_TIMEOUT_MS) || 15000;
+// A run whose worker vanished is given up after the longest a run may take.
+const ORPHAN_TIMEOUT_MS = LIMITS.interactiveTimeoutMs + 60000;
+
+function controlChannel(runId) { return `runs:${runId}:control`; }
+function eventsChannel(runId) { return `runs:${runId}:events`; }
+
+function dispatch(job, message) {
+  if (message.type === "stdin") job.write(String(message.data || ""));
+  else if (message.type === "eof") job.end();
+  else if (message.type === "kill") job.kill();
+}
+
+// Listen on a run's control channel before its job exists. Resolves with
+// bind(job): messages that came early are replayed, later ones go straight to
+// the job, and the channel is dropped when it finishes.
+async function controlled(store, runId) {
+  let job = null;
+  const early = [];
+  await store.subscribe(controlChannel(runId), (message) => (job ? dispatch(job, message) : early.push(message)));
+  return (started) => {
+    job = started;
+    early.splice(0).forEach((message) => dispatch(job, message));
+    job.done.finally(() => store.unsubscribe(controlChannel(runId))).catch(() => {});
+    return job;
+  };
+}
+
+// ===== INSTANCES =====
+function createRunPool(store) {
+  if (MODE === "remote" && !storage.shared) throw new Error("RUN_WORKERS=remote needs STORAGE=redis");
+  const stopListening = (channel) => store.unsubscribe(channel).catch(() => {});
+
+  // Start `spec` (startJob's options) as run `runId`. Resolves with { done }
+  // once the program is starting, `done` resolving with runner.js's result.
+  // Rejects when no worker picks the run up in time.
+  async function start(runId, spec, { onOutput = () => {} } = {}) {
+    if (MODE === "local") {
+      const bind = await controlled(store, runId);
+      return { done: bind(startJob({ ...spec, onOutput })).done };
+    }
+
+    let started = false;
+    let onStarted = () => {};
+    let finish;
+    let fail;
+    const done = new Promise((resolve, reject) => { finish = resolve; fail = reject; });
+    const orphanTimer = setTimeout(() => {
+      stopListening(eventsChannel(runId));
+      fail(new Error("Lost contact with the run worker"));
+    }, ORPHAN_TIMEOUT_MS);
+    await store.subscribe(eventsChannel(runId), (event) => {
+      if (event.type === "started") {
+        started = true;
+        onStarted();
+      }
+      else if (event.type === "output") onOutput(event.stream, event.data);
+      else if (event.type === "exit") {
+        clearTimeout(orphanTimer);
+        stopListening(eventsChannel(runId));
+        finish(event.result);
+      }
+    });
+    const job = { runId, spec };
+    await store.runs.enqueue(job);
+    const pickedUp = () => new Promise((resolve) => {
+      if (started) return resolve(true);
+      const timer = setTimeout(() => resolve(false), PICKUP_TIMEOUT_MS);
+      onStarted = () => {
+        clearTimeout(timer);
+        resolve(true);
+      };
+    });
+    let picked = await pickedUp();
+    // Still queued: withdraw it. Otherwise a worker took it just now.
+    if (!picked && !(await store.runs.withdraw(job))) picked = await pickedUp();
+    if (!picked) {
+      clearTimeout(orphanTimer);
+      stopListening(eventsChannel(runId));
+      const error = new Error("No run worker is available, try again later");
+      error.code = "unavailable";
+      throw error;
+    }
+    return { done };
+  }
+
+  // Batch run with stdin closed; resolves with the result.
+  async function run(runId, spec) {
+    const { done } = await start(runId, { ...spec, interactive: false });
+    return done;
+  }
+
+  // message: { type: "stdin", data } | { type: "eof" } | { type: "kill" }
+  function control(runId, message) {
+    return store.publish(controlChannel(runId), message);
+  }
+
+  return { mode: MODE, start, run, control };
+}
+
+// ===== WORKERS =====
+// Take runs off the queue, `concurrency` at a time, and execute them here.
+function work(store, { concurrency = 2 } = {}) {
+  const publish = (runId, event) => store.publish(eventsChannel(runId), event).catch(() => {});
+
+  async function slot() {
+    for (;;) {
+      const { runId, spec } = await store.runs.next();
+      try {
+        const bind = await controlled(store, runId);
+        await publish(runId, { type: "started" });
+        const job = bind(startJob({ ...spec, onOutput: (stream, data) => publish(runId, { type: "output", stream, data }) }));
+        await publish(runId, { type: "exit", result: await job.done });
+      } catch (err) {
+        console.error(`Run ${runId} failed:`, err);
+        await publish(runId, { type: "exit", result: { ok: false, stage: "setup", stdout: "", stderr: `Worker error: ${err.message}` } });
+      }
+    }
+  }
+
+  for (let i = 0; i < concurrency; i++) {
+    slot().catch((err) => {
+      console.error("Run worker stopped:", err);
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = {
+  createRunPool,
+  work,
+};
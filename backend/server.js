@@ -1,185 +1,2076 @@
 /**
  * backend/server.js
  * Real-time collaborative backend:
- * - Socket.IO for real-time edits, files, users, chat
- * - Redis (Cloud or Local) for shared file storage
- * - /run endpoint to compile/run code (java, python, js, c, cpp, html)
- * - /ai-suggest endpoint (disabled for now)
+ * - Socket.IO for real-time edits (operational transform), files, users, chat
+ * - Reconnecting clients rejoin and replay missed ops (file:catchup) to rebase
+ *   edits made offline; logged ops carry the client's op id for this
+ * - Accounts (see auth.js), session ownership, invites and per-session roles
+ *   (owner / editor / runner / viewer) checked on every event and route
+ * - Path-based file tree: folders, rename and move of files and folders
+ * - Ephemeral presence (cursor, selection, open file) per connected socket
+ * - Redis (Cloud or Local) for shared file storage, or an in-memory or JSON file
+ *   store for development without Redis (STORAGE, see storage.js); on SIGINT or
+ *   SIGTERM the store writes out what is pending before the process exits
+ * - Abandoned sessions (nobody connected for SESSION_TTL_DAYS) are deleted, and
+ *   scratch directories left under temp/ are cleaned up
+ * - /run endpoint to compile/run code (java, python, js, c, cpp, html) in a sandbox (see runner.js)
+ * - run:* socket events for interactive runs with streamed output and stdin
+ * - per-session run config (entry point, compiler flags, args, env) for project runs
+ * - Format and lint: files formatted on request or on save and committed as one
+ *   shared edit, with lint findings for the editor (see formatter.js)
+ * - Version history: snapshots on save and periodically while editing, diff and restore
+ * - Persistent chat (replayed on join) with @mentions and code-snippet messages
+ * - Review comments: threads anchored to a line range of a file that follow
+ *   the text as it is edited, with replies and resolve/reopen
+ * - Session replay: a timestamped log of edits, file changes, runs with their
+ *   output and chat, served whole for playback and export (see timeline.js)
+ * - terminal:* socket events for a shared shell per session that the owner
+ *   starts and lets others type into, synced with the session's files (see terminal.js)
+ * - /ai-suggest: streamed AI assistant (see assistant.js), rate limited per session
+ * - /preview/:sessionId/<token>/<path>: session files served for the sandboxed HTML preview
+ * - Zip import/export of whole sessions and a git export of the saved history (see archive.js)
+ * - lsp:* socket events bridging the editor to language servers (see lsp.js)
+ * - Session dashboard API: list, create from a template, fork, rename, archive
+ *   and delete sessions (see templates.js)
+ * - Per-session test suites (input/output and unit tests, optionally hidden)
+ *   with a grading report per member (see grader.js)
+ * - Runs on several instances behind a load balancer: the Socket.IO Redis
+ *   adapter shares rooms, document locks live in Redis, presence is kept per
+ *   socket with heartbeats so a crashed instance's users expire, and runs can go
+ *   to a separate worker pool (see runpool.js, worker.js). Locally: start two
+ *   instances on different PORTs with the same REDIS_URL and AUTH_SECRET
+ * - Audit log per session (joins, file changes, runs, deletions) and an admin
+ *   API (ADMIN_USERS) to query it, kick members and lock sessions read-only
+ * - Per-user and per-IP rate limits on runs, sign-in and socket events, and
+ *   caps on concurrent runs (see ratelimit.js); CORS_ORIGINS limits the origins
+ *   allowed to call the API
  */
 
 require("dotenv").config();
 const express = require("express");
 const http = require("http");
+const crypto = require("crypto");
+const path = require("path");
 const { Server } = require("socket.io");
+const { createAdapter } = require("@socket.io/redis-adapter");
 const cors = require("cors");
 const bodyParser = require("body-parser");
-const fs = require("fs");
-const path = require("path");
-const { exec } = require("child_process");
-const Redis = require("ioredis");
+const storage = require("./storage");
+const ot = require("./ot");
+const auth = require("./auth");
+const { sandboxInfo, normalizeRunConfig, cleanTempDirs } = require("./runner");
+const assistant = require("./assistant");
+const archive = require("./archive");
+const lsp = require("./lsp");
+const terminal = require("./terminal");
+const grader = require("./grader");
+const templates = require("./templates");
+const timeline = require("./timeline");
+const formatter = require("./formatter");
+const { createRunPool } = require("./runpool");
+const { createRateLimiter } = require("./ratelimit");
 
 const PORT = process.env.PORT || 4000;
-const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+const OP_LOG_LIMIT = Number(process.env.OP_LOG_LIMIT) || 500;
+const HISTORY_LIMIT = Number(process.env.HISTORY_LIMIT) || 100;
+const AUTO_SNAPSHOT_MS = Number(process.env.AUTO_SNAPSHOT_MS) || 2 * 60 * 1000;
+const CHAT_LIMIT = Number(process.env.CHAT_LIMIT) || 200;
+const CHAT_TEXT_MAX = 4000;
+const CHAT_SNIPPET_MAX = 20000;
+const COMMENT_TEXT_MAX = 4000;
+const COMMENT_THREADS_LIMIT = Number(process.env.COMMENT_THREADS_LIMIT) || 200;
+const TIMELINE_LIMIT = Number(process.env.TIMELINE_LIMIT) || 50000;
+const TIMELINE_OUTPUT_MAX = 64 * 1024;
+const AI_RATE_LIMIT = Number(process.env.AI_RATE_LIMIT) || 30;
+const AI_RATE_WINDOW_S = Number(process.env.AI_RATE_WINDOW_S) || 60 * 60;
+const RUN_ERROR_TTL_MS = 30 * 60 * 1000;
+const PREVIEW_TOKEN_TTL_MS = 60 * 60 * 1000;
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 20 * 1024 * 1024;
+const IMPORT_MAX_FILES = Number(process.env.IMPORT_MAX_FILES) || 2000;
+const DOC_LOCK_TTL_MS = 10000;
+const PRESENCE_HEARTBEAT_MS = Number(process.env.PRESENCE_HEARTBEAT_MS) || 10000;
+// A socket not refreshed for this long belongs to an instance that went away.
+const PRESENCE_TTL_MS = PRESENCE_HEARTBEAT_MS * 3;
+const RUN_REGISTRY_TTL_MS = 60 * 60 * 1000;
+const TERMINAL_INPUT_MAX = 4096;
+const TERMINAL_SCROLLBACK_SAVE_MS = 1000;
+const AUDIT_LIMIT = Number(process.env.AUDIT_LIMIT) || 5000;
+const RUN_RATE_LIMIT = Number(process.env.RUN_RATE_LIMIT) || 30;
+const RUN_RATE_LIMIT_IP = Number(process.env.RUN_RATE_LIMIT_IP) || 60;
+const RUN_RATE_WINDOW_S = Number(process.env.RUN_RATE_WINDOW_S) || 60;
+const RUN_MAX_CONCURRENT = Number(process.env.RUN_MAX_CONCURRENT) || 2;
+const RUN_MAX_CONCURRENT_IP = Number(process.env.RUN_MAX_CONCURRENT_IP) || 4;
+const SOCKET_RATE_LIMIT = Number(process.env.SOCKET_RATE_LIMIT) || 300;
+const SOCKET_RATE_LIMIT_IP = Number(process.env.SOCKET_RATE_LIMIT_IP) || 600;
+const SOCKET_RATE_WINDOW_S = Number(process.env.SOCKET_RATE_WINDOW_S) || 10;
+const AUTH_RATE_LIMIT_IP = Number(process.env.AUTH_RATE_LIMIT_IP) || 20;
+const AUTH_RATE_WINDOW_S = Number(process.env.AUTH_RATE_WINDOW_S) || 10 * 60;
+// Comma-separated origins allowed to call the API; any origin when unset.
+const CORS_ORIGINS = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(",").map((o) => o.trim()).filter(Boolean) : "*";
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = Number(process.env.CLEANUP_INTERVAL_MS) || 60 * 60 * 1000;
+// Older than any run or test suite can take, so only leftovers are removed.
+const TEMP_MAX_AGE_MS = 2 * 60 * 60 * 1000;
 
-// Redis client (supports both local & Redis Cloud)
-let redis;
-try {
-  redis = new Redis(REDIS_URL, {
-    tls: REDIS_URL.startsWith("rediss://") ? {} : undefined,
-  });
-  console.log(`✅ Connected to Redis at ${REDIS_URL}`);
-} catch (err) {
-  console.error("❌ Failed to connect to Redis:", err);
-  process.exit(1);
-}
+// Redis, or an in-memory / file store for development (see storage.js)
+const store = storage.createStore();
 
 // Express + Socket setup
 const app = express();
-app.use(cors({ origin: "*", methods: ["GET", "POST"] }));
-app.use(bodyParser.json());
+// Behind a load balancer the client's IP (for rate limits and the audit log)
+// comes from X-Forwarded-For; TRUST_PROXY is the number of proxies to trust.
+if (process.env.TRUST_PROXY) app.set("trust proxy", Number(process.env.TRUST_PROXY) || true);
+app.use(cors({ origin: CORS_ORIGINS, methods: ["GET", "POST", "DELETE"] }));
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || "5mb" }));
 
 const server = http.createServer(app);
-const io = new Server(server, { cors: { origin: "*" } });
-
-// Temp directory for code execution
-const BASE_TEMP = path.join(process.cwd(), "temp");
-if (!fs.existsSync(BASE_TEMP)) fs.mkdirSync(BASE_TEMP, { recursive: true });
-
-function sessionKey(sessionId) { return `session:${sessionId}`; }
-function filesKey(sessionId) { return `${sessionKey(sessionId)}:files`; }
-function usersKey(sessionId) { return `${sessionKey(sessionId)}:users`; }
-const socketUser = new Map();
-const isWindows = process.platform === "win32";
-
-async function writeTempFile(folder, filename, content) {
-  if (!fs.existsSync(folder)) fs.mkdirSync(folder, { recursive: true });
-  const p = path.join(folder, filename);
-  fs.writeFileSync(p, content, "utf8");
-  return p;
-}
-
-function runCommand(command, options = {}, timeoutMs = 10000) {
-  return new Promise((resolve) => {
-    exec(command, { timeout: timeoutMs, shell: true, ...options }, (err, stdout, stderr) => {
-      if (err) {
-        resolve({ ok: false, out: stderr || err.message });
-      } else {
-        resolve({ ok: true, out: stdout });
+const io = new Server(server, { cors: { origin: CORS_ORIGINS } });
+// Rooms and broadcasts span every instance connected to the same Redis.
+if (storage.shared) io.adapter(createAdapter(store.client.duplicate(), store.client.duplicate()));
+const runPool = createRunPool(store);
+const limiter = createRateLimiter(store);
+
+// Ids never contain ":", so no session's locks can name another's.
+function isSessionId(value) { return typeof value === "string" && /^[A-Za-z0-9_.-]{1,64}$/.test(value); }
+function docLockKey(sessionId, filename) { return `session:${sessionId}:lock:${filename}`; }
+function timelineLockKey(sessionId) { return `session:${sessionId}:timeline:lock`; }
+function testLockKey(sessionId, userName) { return `session:${sessionId}:tests:running:${userName}`; }
+
+// Runs started from this instance's sockets; other instances find them in the store.
+const activeRuns = new Map(); // runId -> { runId, sessionId, owner, shared }
+
+// ===== ACCOUNTS & ROLES =====
+async function createUser(userName, password) {
+  return store.users.create(userName, await auth.hashPassword(password));
+}
+
+// Role of `userName` in a session. The first member of an unowned session
+// claims it; otherwise a valid invite token grants the invite's role.
+async function resolveRole(sessionId, userName, inviteToken) {
+  const role = await store.sessions.role(sessionId, userName);
+  if (role) return role;
+  if (await store.sessions.claim(sessionId, userName)) return "owner";
+  if (!inviteToken) return null;
+  const invite = await store.sessions.invite(sessionId, String(inviteToken));
+  if (!invite || invite.expiresAt < Date.now()) return null;
+  await store.sessions.setRole(sessionId, userName, invite.role);
+  return invite.role;
+}
+
+// Store a member's new role (null removes them, telling them `reason`) and apply
+// it to their live sockets, on whichever instance they are connected to.
+async function setMemberRole(sessionId, userName, role, reason = "You were removed from this session") {
+  await store.sessions.setRole(sessionId, userName, role);
+  const change = { sessionId, userName, role, reason };
+  if (storage.shared) io.serverSideEmit("member:role", change);
+  await applyMemberRole(change);
+}
+
+async function applyMemberRole({ sessionId, userName, role, reason }) {
+  for (const memberSocket of io.sockets.sockets.values()) {
+    const member = memberSocket.data.member;
+    if (!member || member.sessionId !== sessionId || member.userName !== userName) continue;
+    if (role) {
+      member.role = role;
+      memberSocket.emit("session:role", { role });
+    } else {
+      memberSocket.emit("auth:error", { error: reason, code: "removed" });
+      await leaveSession(memberSocket);
+    }
+  }
+}
+io.on("member:role", (change) => applyMemberRole(change).catch((err) => console.error("Role change failed:", err)));
+
+// Send a member's live sockets away without touching their role; they can come
+// back by reloading unless they were also removed.
+async function kickMember({ sessionId, userName, reason }) {
+  for (const memberSocket of io.sockets.sockets.values()) {
+    const member = memberSocket.data.member;
+    if (!member || member.sessionId !== sessionId || member.userName !== userName) continue;
+    memberSocket.emit("auth:error", { error: reason, code: "kicked" });
+    await leaveSession(memberSocket);
+    memberSocket.disconnect(true);
+  }
+}
+io.on("member:kick", (kick) => kickMember(kick).catch((err) => console.error("Kick failed:", err)));
+
+// A session an admin locked is read-only for everyone, its owner included:
+// `lock` is { by, reason, at } or null.
+const LOCKED_PERMISSIONS = ["edit", "run"];
+
+async function sessionLock(sessionId) {
+  return (await store.sessions.meta(sessionId)).locked;
+}
+
+async function lockError(sessionId, permission) {
+  if (!LOCKED_PERMISSIONS.includes(permission)) return null;
+  const lock = await sessionLock(sessionId);
+  return lock && `This session was locked read-only by an administrator${lock.reason ? `: ${lock.reason}` : ""}`;
+}
+
+function clientIp(req) {
+  return req.ip || req.socket.remoteAddress || "unknown";
+}
+
+// The first X-Forwarded-For hop when proxies are trusted, like Express's req.ip.
+function socketIp(socket) {
+  const forwarded = process.env.TRUST_PROXY && socket.handshake.headers["x-forwarded-for"];
+  return (forwarded ? forwarded.split(",")[0].trim() : socket.handshake.address) || "unknown";
+}
+
+function requireAuth(req, res, next) {
+  const user = auth.verifyToken(auth.bearerToken(req.headers.authorization));
+  if (!user) return res.status(401).json({ error: "Sign in required" });
+  req.userName = user.sub;
+  next();
+}
+
+// Member of the route's session (for /run, the body's) whose role grants `permission`.
+function requireRole(permission) {
+  return async (req, res, next) => {
+    const sessionId = req.params.sessionId || req.body?.sessionId || "default";
+    if (!isSessionId(sessionId)) return res.status(400).json({ error: SESSION_ID_ERROR });
+    const role = await store.sessions.role(sessionId, req.userName);
+    if (!auth.can(role, permission)) return res.status(403).json({ error: `Your role does not allow this (${permission})` });
+    const locked = await lockError(sessionId, permission);
+    if (locked) return res.status(423).json({ error: locked });
+    req.sessionId = sessionId;
+    req.role = role;
+    next();
+  };
+}
+
+function requireAdmin(req, res, next) {
+  if (!auth.isAdmin(req.userName)) return res.status(403).json({ error: "Admins only" });
+  next();
+}
+
+// Per-user and per-IP budget for `name`; answers 429 once either is spent.
+function rateLimit(name, { limit, limitIp, windowS, message }) {
+  return async (req, res, next) => {
+    const ids = [[`ip:${clientIp(req)}`, limitIp]];
+    if (req.userName && limit) ids.push([`user:${req.userName}`, limit]);
+    const retryAfter = await limiter.hit(name, ids, windowS);
+    if (!retryAfter) return next();
+    res.set("Retry-After", String(retryAfter));
+    res.status(429).json({ error: `${message} — try again in ${retryAfter}s`, retryAfter });
+  };
+}
+
+// A run's place in the per-user and per-IP run budget and concurrency cap:
+// { error, retryAfter? } when refused, otherwise { release } to call when it ends.
+async function takeRunSlot(userName, ip) {
+  const retryAfter = await limiter.hit("run", [[`user:${userName}`, RUN_RATE_LIMIT], [`ip:${ip}`, RUN_RATE_LIMIT_IP]], RUN_RATE_WINDOW_S);
+  if (retryAfter) return { error: `Run limit reached — try again in ${retryAfter}s`, retryAfter };
+  const slots = [[`user:${userName}`, RUN_MAX_CONCURRENT], [`ip:${ip}`, RUN_MAX_CONCURRENT_IP]];
+  const full = await limiter.acquire("run", slots);
+  if (full) {
+    const limit = full.startsWith("user:") ? RUN_MAX_CONCURRENT : RUN_MAX_CONCURRENT_IP;
+    return { error: `At most ${limit} program${limit === 1 ? "" : "s"} can run at once${full.startsWith("ip:") ? " from your network" : ""} — wait for one to finish` };
+  }
+  return { release: () => limiter.release("run", slots.map(([id]) => id)).catch((err) => console.error("Run slot release failed:", err)) };
+}
+
+// ===== AUDIT LOG =====
+// Who did what in a session, oldest first and capped at AUDIT_LIMIT entries:
+// { t, sessionId, type, userName, ip, ...details }. Entries also meant for the
+// admins' own log (admin actions, deleted sessions) go there as well.
+// Writing is best-effort: a failure is logged and the action goes ahead.
+function audit(sessionId, type, actor, details = {}, { global = false } = {}) {
+  const entry = { t: Date.now(), sessionId, type, userName: actor.userName || null, ip: actor.ip || null, ...details };
+  store.audit.add(entry, { global, keep: AUDIT_LIMIT }).catch((err) => console.error("Audit log write failed:", err));
+}
+
+// A finished run: what ran, for how long (wall clock, queueing included) and how it ended.
+function auditRun(sessionId, actor, run, result, started) {
+  audit(sessionId, "run", actor, {
+    ...run,
+    durationMs: Date.now() - started,
+    ok: Boolean(result.ok),
+    stage: result.stage || "run",
+    exitCode: result.exitCode ?? null,
+    timedOut: Boolean(result.timedOut),
+    stopped: Boolean(result.stopped),
+  });
+}
+
+function requestActor(req) {
+  return { userName: req.userName, ip: clientIp(req) };
+}
+
+// The session's log, or the admins' own for a null sessionId, newest first.
+// Filters: userName, type (exact, or a prefix ending in ":"), since (ms timestamp), limit.
+async function queryAudit(sessionId, { userName, type, since, limit } = {}) {
+  const entries = (await store.audit.list(sessionId)).reverse();
+  const max = Math.min(Math.max(Number(limit) || 200, 1), 1000);
+  return entries
+    .filter((e) => !userName || e.userName === userName)
+    .filter((e) => !type || (type.endsWith(":") ? e.type.startsWith(type) : e.type === type))
+    .filter((e) => !since || e.t >= Number(since))
+    .slice(0, max);
+}
+
+// ===== FILE SYNC =====
+// The store keeps every file's content, its revision number and its last
+// OP_LOG_LIMIT operations, which is what edits based on an older revision are
+// transformed against.
+const docLocks = new Map();
+
+// Hold a Redis lock while `fn` runs, so instances sharing the session take turns.
+// It expires after DOC_LOCK_TTL_MS in case its holder dies.
+async function withRedisLock(key, fn) {
+  const token = crypto.randomUUID();
+  const deadline = Date.now() + DOC_LOCK_TTL_MS;
+  while (!(await store.locks.acquire(key, token, DOC_LOCK_TTL_MS))) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${key}`);
+    await new Promise((resolve) => setTimeout(resolve, 5 + Math.random() * 20));
+  }
+  try {
+    return await fn();
+  } finally {
+    await store.locks.release(key, token).catch(() => {});
+  }
+}
+
+// Serialise read-transform-write cycles per document: in order within this
+// instance, then under the document's Redis lock across instances.
+function withDocLock(sessionId, filename, fn) {
+  const key = `${sessionId}\u0000${filename}`;
+  const locked = storage.shared ? () => withRedisLock(docLockKey(sessionId, filename), fn) : fn;
+  const run = (docLocks.get(key) || Promise.resolve()).catch(() => {}).then(locked);
+  docLocks.set(key, run);
+  run.finally(() => { if (docLocks.get(key) === run) docLocks.delete(key); }).catch(() => {});
+  return run;
+}
+
+// Lock several documents, always in the same order so two movers can't deadlock.
+function withDocLocks(sessionId, filenames, fn) {
+  const [first, ...rest] = [...new Set(filenames)].sort();
+  if (first === undefined) return fn();
+  return withDocLock(sessionId, first, () => withDocLocks(sessionId, rest, fn));
+}
+
+// Language servers and terminals keep a copy of the session's files on
+// whichever instance runs them: file changes are applied here and announced to
+// the other instances, which read the new content from the store if they hold a copy.
+function syncMirrors(sessionId, { updated = [], removed = [] }) {
+  if (storage.shared) io.serverSideEmit("mirrors:sync", { sessionId, updated, removed });
+}
+
+io.on("mirrors:sync", async ({ sessionId, updated, removed }) => {
+  if (!lsp.hasSession(sessionId) && !terminal.has(sessionId)) return;
+  lsp.removeFiles(sessionId, removed);
+  terminal.removeFiles(sessionId, removed);
+  if (!updated.length) return;
+  const docs = await Promise.all(updated.map((filename) => store.files.read(sessionId, filename)));
+  updated.forEach((filename, i) => {
+    const { content } = docs[i];
+    if (content == null) return;
+    lsp.updateFile(sessionId, filename, content);
+    terminal.updateFile(sessionId, filename, content);
+  });
+});
+
+// Op log entries are { op, id, userName }; `id` is the client's id for the op,
+// used to recognise it when the client resyncs after a reconnect. Comment
+// anchors in the file move with the op in the same transaction.
+async function commitOperation(sessionId, filename, content, version, op, meta = {}) {
+  const comments = await shiftedComments(sessionId, filename, op);
+  const change = { content, version, entry: { op, ...meta }, comments, keep: OP_LOG_LIMIT };
+  const length = await store.files.commit(sessionId, filename, change, timelineEvent("edit", { filename, op, userName: meta.userName }));
+  await foldTimeline(sessionId, length);
+  lsp.updateFile(sessionId, filename, content);
+  terminal.updateFile(sessionId, filename, content);
+  syncMirrors(sessionId, { updated: [filename] });
+}
+
+// Ops committed after `version` with the version each produced, or `{ resync }`
+// with the head content when the log no longer reaches back that far.
+function opsSince(sessionId, filename, version) {
+  return withDocLock(sessionId, filename, async () => {
+    const doc = await store.files.read(sessionId, filename);
+    if (doc.content == null) return { missing: true };
+    const resync = { resync: true, content: doc.content, version: doc.version };
+    const missed = doc.version - version;
+    if (missed < 0 || missed > OP_LOG_LIMIT) return resync;
+    const log = await store.files.ops(sessionId, filename, missed);
+    if (log.length < missed) return resync;
+    return { version: doc.version, entries: log.map((entry, i) => ({ ...entry, version: version + i + 1 })) };
+  });
+}
+
+// Changes committed between reading a joining client's state and adding it to
+// the session's room reached everyone but that client: send them to it now.
+// `sent` maps each file it was sent to that file's version; the client orders
+// ops by version and drops those it already has (see collab.js).
+async function sendMissed(socket, sessionId, sent) {
+  const versions = await store.files.versions(sessionId);
+  for (const [filename, version] of Object.entries(versions)) {
+    if (!(filename in sent)) {
+      const doc = await store.files.read(sessionId, filename);
+      if (doc.content != null) socket.emit("file:created", { filename, content: doc.content, version: doc.version });
+    } else if (version > sent[filename]) {
+      const missed = await opsSince(sessionId, filename, sent[filename]);
+      if (missed.resync) socket.emit("file:sync", { filename, content: missed.content, version: missed.version });
+      else if (!missed.missing) missed.entries.forEach((e) => socket.emit("file:op", { filename, version: e.version, op: e.op, userName: e.userName }));
+    }
+  }
+  Object.keys(sent).filter((filename) => !(filename in versions)).forEach((filename) => socket.emit("file:deleted", { filename }));
+}
+
+// Apply a client operation made against `baseVersion`. Returns the transformed
+// op and new version, or `{ resync }` when the client must reload the file
+// (including when the op, by its id, was already applied).
+function applyOperation(sessionId, filename, baseVersion, op, meta = {}) {
+  return withDocLock(sessionId, filename, async () => {
+    const doc = await store.files.read(sessionId, filename);
+    if (doc.content == null) return { missing: true };
+    const resync = { resync: true, content: doc.content, version: doc.version };
+    const missed = doc.version - baseVersion;
+    if (missed < 0 || missed > OP_LOG_LIMIT) return resync;
+    if (missed > 0) {
+      const log = await store.files.ops(sessionId, filename, missed);
+      if (log.length < missed) return resync;
+      try {
+        for (const entry of log) {
+          if (meta.id && entry.id === meta.id) return resync;
+          op = ot.transform(op, entry.op)[0];
+        }
+      } catch {
+        return resync;
       }
-    });
+    }
+    let content;
+    try {
+      content = ot.apply(doc.content, op);
+    } catch {
+      return resync;
+    }
+    const version = doc.version + 1;
+    await commitOperation(sessionId, filename, content, version, op, meta);
+    return { op, version, content };
+  });
+}
+
+// Replace a file's content at the head revision (HTTP saves, server-side
+// rewrites); expressed as a diff so open editors only see the changed region.
+function replaceContent(sessionId, filename, next) {
+  return withDocLock(sessionId, filename, async () => {
+    const doc = await store.files.read(sessionId, filename);
+    if (doc.content == null) return resetDoc(sessionId, filename, next);
+    const op = ot.diff(doc.content, next);
+    if (ot.isNoop(op)) return { version: doc.version, op: null };
+    const version = doc.version + 1;
+    await commitOperation(sessionId, filename, next, version, op);
+    return { op, version, content: next };
   });
 }
 
+// Comments on a file replaced wholesale no longer point anywhere.
+async function resetDoc(sessionId, filename, content) {
+  const length = await store.files.reset(sessionId, filename, content, timelineEvent("create", { filename, content }));
+  await foldTimeline(sessionId, length);
+  lsp.updateFile(sessionId, filename, content);
+  terminal.updateFile(sessionId, filename, content);
+  syncMirrors(sessionId, { updated: [filename] });
+  return { created: true, version: 0, content };
+}
+
+function broadcastReplace(sessionId, filename, result) {
+  if (result.created) io.in(sessionId).emit("file:created", { filename, content: result.content, version: 0 });
+  else if (result.op) io.in(sessionId).emit("file:op", { filename, version: result.version, op: result.op });
+}
+
+// ===== FILE TREE =====
+// Files are keyed by "/"-separated paths; folders are implied by those paths,
+// and `folders` additionally records folders created empty.
+function normalizePath(p) {
+  const parts = String(p || "").replace(/\\/g, "/").split("/").filter(Boolean);
+  if (!parts.length || parts.some((s) => s === "." || s === "..")) return null;
+  return parts.join("/");
+}
+
+function isInside(filename, folder) {
+  return filename.startsWith(`${folder}/`);
+}
+
+// Move files [[from, to], ...] in one transaction, carrying content, version,
+// op log, history and comments.
+function moveFiles(sessionId, pairs) {
+  if (!pairs.length) return Promise.resolve();
+  return withDocLocks(sessionId, pairs.flat(), async () => {
+    const froms = pairs.map(([from]) => from);
+    const tos = pairs.map(([, to]) => to);
+    const [sources, targets] = await Promise.all([
+      Promise.all(froms.map((f) => store.files.read(sessionId, f))),
+      Promise.all(tos.map((f) => store.files.read(sessionId, f))),
+    ]);
+    const contents = sources.map((doc) => doc.content);
+    const taken = tos.find((to, i) => targets[i].content != null && !froms.includes(to));
+    if (taken) throw new Error(`${taken} already exists`);
+    const missing = froms.find((from, i) => contents[i] == null);
+    if (missing) throw new Error(`${missing} not found`);
+    const length = await store.files.move(sessionId, pairs, timelineEvent("rename", { pairs }));
+    await foldTimeline(sessionId, length);
+    lsp.moveFiles(sessionId, pairs, contents);
+    terminal.moveFiles(sessionId, pairs, contents);
+    syncMirrors(sessionId, { updated: tos, removed: froms });
+  });
+}
+
+async function deleteFiles(sessionId, filenames) {
+  if (!filenames.length) return;
+  await withDocLocks(sessionId, filenames, async () => {
+    const length = await store.files.remove(sessionId, filenames, timelineEvent("delete", { filenames }));
+    await foldTimeline(sessionId, length);
+  });
+  lsp.removeFiles(sessionId, filenames);
+  terminal.removeFiles(sessionId, filenames);
+  syncMirrors(sessionId, { removed: filenames });
+}
+
+// Keep the run config's entry point pointing at a moved file.
+async function followRename(sessionId, rename) {
+  const config = await getRunConfig(sessionId);
+  const entry = config.entry && rename(config.entry);
+  if (entry && entry !== config.entry) await setRunConfig(sessionId, { ...config, entry });
+}
+
+// ===== VERSION HISTORY =====
+// A file's history keeps its last HISTORY_LIMIT snapshots, oldest first:
+// explicit saves, restores, and an automatic one at most every
+// AUTO_SNAPSHOT_MS while the file is being edited.
+const lastAutoSnapshot = new Map();
+
+function snapshotMeta({ content, ...meta }) {
+  return { ...meta, size: content.length };
+}
+
+async function snapshotFile(sessionId, filename, { author = null, reason = "save" } = {}) {
+  const { content, version } = await store.files.read(sessionId, filename);
+  if (content == null) return null;
+  if (reason === "auto") {
+    const last = await store.history.last(sessionId, filename);
+    if (last && last.content === content) return null;
+  }
+  const snapshot = { id: crypto.randomUUID(), filename, version, author, reason, time: Date.now(), content };
+  await store.history.add(sessionId, filename, snapshot, HISTORY_LIMIT);
+  lastAutoSnapshot.set(`${sessionId}\u0000${filename}`, snapshot.time);
+  const meta = snapshotMeta(snapshot);
+  io.in(sessionId).emit("history:snapshot", meta);
+  return meta;
+}
+
+function maybeAutoSnapshot(sessionId, filename, author) {
+  const last = lastAutoSnapshot.get(`${sessionId}\u0000${filename}`) || 0;
+  if (Date.now() - last < AUTO_SNAPSHOT_MS) return null;
+  return snapshotFile(sessionId, filename, { author, reason: "auto" });
+}
+
+function listSnapshots(sessionId, filename) {
+  return store.history.list(sessionId, filename);
+}
+
+// ===== TIMELINE =====
+// The timeline logs what happened in the session for replay (event format in
+// timeline.js) and its base is { t, files }, the contents it starts from. Past
+// TIMELINE_LIMIT events the oldest tenth is folded into the base.
+function timelineEvent(type, fields) {
+  return { t: Date.now(), type, ...fields };
+}
+
+async function recordEvent(sessionId, type, fields) {
+  await foldTimeline(sessionId, await store.timeline.add(sessionId, timelineEvent(type, fields)));
+}
+
+async function foldTimeline(sessionId, length) {
+  if (length <= TIMELINE_LIMIT) return;
+  const token = crypto.randomUUID();
+  if (!(await store.locks.acquire(timelineLockKey(sessionId), token, DOC_LOCK_TTL_MS))) return;
+  try {
+    const count = length - TIMELINE_LIMIT + Math.ceil(TIMELINE_LIMIT / 10);
+    const head = await store.timeline.head(sessionId, count);
+    const base = head.base || { t: 0, files: {} };
+    const files = head.events.reduce((acc, event) => timeline.applyEvent(acc, event), base.files);
+    const t = head.events.length ? head.events[head.events.length - 1].t : base.t;
+    // New events only ever go to the tail, so the head is still what was read.
+    await store.timeline.fold(sessionId, { t, files }, head.events.length);
+  } finally {
+    await store.locks.release(timelineLockKey(sessionId), token).catch(() => {});
+  }
+}
+
+// Records a run's start now and, on exit(status), its status and, for a shared
+// run, its output (the first TIMELINE_OUTPUT_MAX characters, each chunk with its
+// time). A private run's output was only for its author, and anyone who can
+// read the session can read the timeline, so it is left out.
+function recordRun(sessionId, runId, fields) {
+  const started = recordEvent(sessionId, "run", { runId, ...fields });
+  const output = [];
+  let size = 0;
+  let outputTruncated = false;
+  return {
+    output(stream, data) {
+      if (!fields.shared) return;
+      const text = String(data).slice(0, TIMELINE_OUTPUT_MAX - size);
+      if (text.length < String(data).length) outputTruncated = true;
+      if (!text) return;
+      size += text.length;
+      output.push({ t: Date.now(), stream, data: text });
+    },
+    async exit(status) {
+      await started;
+      await recordEvent(sessionId, "exit", { runId, output, outputTruncated, outputPrivate: !fields.shared, ...status, userName: fields.userName });
+    },
+  };
+}
+
+// ===== RUN CONFIG =====
+async function getRunConfig(sessionId) {
+  return (await store.config.get(sessionId, "run")) || normalizeRunConfig();
+}
+
+// Validates, stores and broadcasts; throws on an invalid config.
+async function setRunConfig(sessionId, input) {
+  const config = normalizeRunConfig(input);
+  await store.config.set(sessionId, "run", config);
+  io.in(sessionId).emit("run:config", config);
+  return config;
+}
+
+// ===== FORMATTING =====
+async function getFormatConfig(sessionId) {
+  return formatter.normalizeFormatConfig((await store.config.get(sessionId, "format")) || {});
+}
+
+async function setFormatConfig(sessionId, input) {
+  const config = formatter.normalizeFormatConfig(input);
+  await store.config.set(sessionId, "format", config);
+  io.in(sessionId).emit("format:config", config);
+  return config;
+}
+
+// What formatter.lint needs to lint a file in its project (C/C++ headers).
+function lintContext(sessionId) {
+  return { sessionId, loadFiles: () => store.files.all(sessionId) };
+}
+
+// Formats the file as it is now and commits the result as a single edit,
+// rebased over whatever was typed while the formatter ran, so collaborators
+// keep their changes. Resolves { formatter, changed, diagnostics }, or null
+// when the file does not exist; throws when nothing can format it.
+async function formatFile(sessionId, filename, userName) {
+  const [doc, config] = await Promise.all([store.files.read(sessionId, filename), getFormatConfig(sessionId)]);
+  if (doc.content == null) return null;
+  const result = await formatter.format(filename, doc.content, config, lintContext(sessionId));
+  const outcome = { formatter: result.formatter, changed: false, diagnostics: result.diagnostics };
+  if (result.content == null || result.content === doc.content) return outcome;
+  const applied = await applyOperation(sessionId, filename, doc.version, ot.diff(doc.content, result.content), { userName });
+  // Deleted meanwhile, or edited too much to rebase onto: leave it unformatted.
+  if (applied.missing || applied.resync) return outcome;
+  io.in(sessionId).emit("file:op", { filename, version: applied.version, op: applied.op, userName });
+  return { ...outcome, changed: true };
+}
+
+// ===== CHAT =====
+// The chat keeps the last CHAT_LIMIT messages, oldest first. A message is
+// { id, userName, text, time, mentions, snippet? } where the snippet is
+// { filename, startLine, endLine, language, code } copied from an editor selection.
+function normalizeSnippet(snippet) {
+  if (!snippet || typeof snippet !== "object") return null;
+  const filename = normalizePath(snippet.filename);
+  const startLine = Math.max(1, Math.floor(Number(snippet.startLine)) || 1);
+  const endLine = Math.max(startLine, Math.floor(Number(snippet.endLine)) || startLine);
+  const code = String(snippet.code || "").slice(0, CHAT_SNIPPET_MAX);
+  if (!filename || !code) return null;
+  return { filename, startLine, endLine, language: String(snippet.language || ""), code };
+}
+
+// Stores and broadcasts a message; returns null when there is nothing to send.
+// Mentions only count for members of the session.
+async function postChatMessage(sessionId, userName, { text = "", snippet = null }) {
+  const body = String(text || "").trim().slice(0, CHAT_TEXT_MAX);
+  const attached = normalizeSnippet(snippet);
+  if (!body && !attached) return null;
+  const roles = await store.sessions.roles(sessionId);
+  const named = Array.from(body.matchAll(/@([a-z0-9_.-]{3,32})/gi), (m) => m[1].toLowerCase());
+  const message = {
+    id: crypto.randomUUID(),
+    userName,
+    text: body,
+    time: Date.now(),
+    mentions: Array.from(new Set(named)).filter((name) => roles[name]),
+  };
+  if (attached) message.snippet = attached;
+  const length = await store.chat.add(sessionId, message, timelineEvent("chat", { message, userName }), CHAT_LIMIT);
+  await foldTimeline(sessionId, length);
+  io.in(sessionId).emit("chat:message", message);
+  return message;
+}
+
+function listChat(sessionId) {
+  return store.chat.list(sessionId);
+}
+
+// The last failed run (stderr tail) is kept for a while as context for the AI
+// assistant; a successful run clears it.
+async function recordRunResult(sessionId, filename, result) {
+  if (result.ok || result.stopped) return store.runs.setLastError(sessionId, null);
+  const runError = {
+    filename: filename || null,
+    stage: result.stage || "run",
+    exitCode: result.exitCode ?? null,
+    stderr: String(result.stderr || result.error || "").slice(-4000),
+    time: Date.now(),
+  };
+  await store.runs.setLastError(sessionId, runError, RUN_ERROR_TTL_MS);
+}
+
+// Everything a project run needs from the session.
+async function loadRunContext(sessionId) {
+  const [files, config] = await Promise.all([store.files.all(sessionId), getRunConfig(sessionId)]);
+  return { files, config };
+}
+
+// A run config whose entry point is a session file runs the stored project, so
+// the editor's code is optional then.
+function entryApplies({ files, config }) {
+  return Boolean(config.entry) && files[config.entry] != null;
+}
+
+// ===== REVIEW COMMENTS =====
+// A file's comment threads are { id, start, end, author, time, resolved,
+// resolvedBy, messages: [{ id, author, text, time }] }; start and end are
+// character offsets of the commented lines, moved by commitOperation as the
+// file is edited. Changes take the document lock so they don't race an edit.
+
+// The threads `op` moves, at their new offsets.
+async function shiftedComments(sessionId, filename, op) {
+  const threads = await store.comments.list(sessionId, filename);
+  return threads.flatMap((thread) => {
+    const start = ot.shiftOffset(op, thread.start);
+    const end = Math.max(start, ot.shiftOffset(op, thread.end));
+    return start === thread.start && end === thread.end ? [] : [{ ...thread, start, end }];
+  });
+}
+
+// Every thread of the given files, as sent to clients: [{ filename, ...thread }].
+async function listComments(sessionId, filenames) {
+  const perFile = await Promise.all(filenames.map((f) => store.comments.list(sessionId, f)));
+  return perFile.flatMap((threads, i) => threads
+    .map((thread) => ({ filename: filenames[i], ...thread }))
+    .sort((a, b) => a.start - b.start));
+}
+
+function commentMessage(author, text) {
+  const body = String(text || "").trim().slice(0, COMMENT_TEXT_MAX);
+  return body ? { id: crypto.randomUUID(), author, text: body, time: Date.now() } : null;
+}
+
+// Start a thread on [start, end) of the file as it is on the server.
+function addComment(sessionId, filename, author, { start, end, text }) {
+  return withDocLock(sessionId, filename, async () => {
+    const [doc, threads] = await Promise.all([store.files.read(sessionId, filename), store.comments.list(sessionId, filename)]);
+    if (doc.content == null) throw new Error(`${filename} not found`);
+    if (threads.length >= COMMENT_THREADS_LIMIT) throw new Error(`A file can have at most ${COMMENT_THREADS_LIMIT} comment threads`);
+    const message = commentMessage(author, text);
+    if (!message) throw new Error("Comment is empty");
+    const from = Math.min(Math.max(0, Math.floor(Number(start)) || 0), doc.content.length);
+    const to = Math.min(Math.max(from, Math.floor(Number(end)) || 0), doc.content.length);
+    const thread = { id: crypto.randomUUID(), start: from, end: to, author, time: message.time, resolved: false, resolvedBy: null, messages: [message] };
+    await store.comments.save(sessionId, filename, thread);
+    return thread;
+  });
+}
+
+// Read-modify-write one thread; `change` returns the new thread, or null to delete it.
+function updateComment(sessionId, filename, threadId, change) {
+  return withDocLock(sessionId, filename, async () => {
+    const current = await store.comments.get(sessionId, filename, String(threadId));
+    if (!current) throw new Error("That comment no longer exists");
+    const thread = change(current);
+    if (thread) await store.comments.save(sessionId, filename, thread);
+    else await store.comments.remove(sessionId, filename, String(threadId));
+    return thread;
+  });
+}
+
+// ===== TERMINAL =====
+// One shell per session, on the instance that started it (see terminal.js).
+// Its registry entry { startedBy, startedAt, controllers } tells every instance
+// that it runs and who besides the owner may type in it; the entry is refreshed
+// with the presence heartbeat so it goes away with a crashed instance. Input
+// from members on other instances is forwarded to the shell's instance, and
+// they replay its scrollback from the store when they open the terminal.
+const scrollbackSaves = new Map(); // sessionId -> pending save timer
+const terminalSyncs = new Map(); // sessionId -> promise of the last file sync
+
+function terminalState(sessionId) {
+  return store.terminals.get(sessionId);
+}
+
+// What members are shown: whether terminals work here, and the running one.
+async function terminalStatus(sessionId) {
+  const { available, reason, limits } = terminal.terminalInfo();
+  return { available, reason, limits, running: await terminalState(sessionId) };
+}
+
+function canControlTerminal(state, { userName, role }) {
+  return Boolean(state) && (auth.can(role, "manage") || state.controllers.includes(userName));
+}
+
+async function terminalScrollback(sessionId) {
+  if (terminal.has(sessionId)) return terminal.scrollback(sessionId);
+  return store.terminals.scrollback(sessionId);
+}
+
+function saveScrollback(sessionId) {
+  if (!storage.shared || scrollbackSaves.has(sessionId)) return;
+  scrollbackSaves.set(sessionId, setTimeout(() => {
+    scrollbackSaves.delete(sessionId);
+    store.terminals.saveScrollback(sessionId, terminal.scrollback(sessionId), PRESENCE_TTL_MS)
+      .catch((err) => console.error("Terminal scrollback save failed:", err));
+  }, TERMINAL_SCROLLBACK_SAVE_MS));
+}
+
+// Files the shell created, changed or deleted become edits like any other.
+// Nothing is applied once the registry entry is gone: the session was deleted.
+async function applyTerminalFiles(sessionId, { changed, removed }) {
+  if (!(await terminalState(sessionId))) return;
+  for (const [name, content] of Object.entries(changed)) {
+    const filename = normalizePath(name);
+    if (filename) broadcastReplace(sessionId, filename, await replaceContent(sessionId, filename, content));
+  }
+  const existing = new Set(await store.files.names(sessionId));
+  const gone = removed.filter((filename) => existing.has(filename));
+  await deleteFiles(sessionId, gone);
+  gone.forEach((filename) => io.in(sessionId).emit("file:deleted", { filename }));
+}
+
+// Runs after the file syncs already queued for the session.
+function afterTerminalSync(sessionId, fn) {
+  const next = (terminalSyncs.get(sessionId) || Promise.resolve())
+    .then(fn)
+    .catch((err) => console.error("Terminal sync failed:", err));
+  terminalSyncs.set(sessionId, next);
+}
+
+async function startTerminal(sessionId, userName, { cols, rows }) {
+  const state = { startedBy: userName, startedAt: Date.now(), controllers: [] };
+  if (!(await store.terminals.start(sessionId, state, PRESENCE_TTL_MS))) {
+    throw new Error("A terminal is already running in this session");
+  }
+  try {
+    terminal.start(sessionId, {
+      files: await store.files.all(sessionId),
+      cols,
+      rows,
+      onOutput: (data) => {
+        io.in(sessionId).emit("terminal:output", { data });
+        saveScrollback(sessionId);
+      },
+      onFiles: (changes) => afterTerminalSync(sessionId, () => applyTerminalFiles(sessionId, changes)),
+      onExit: ({ reason, exitCode }) => afterTerminalSync(sessionId, async () => {
+        clearTimeout(scrollbackSaves.get(sessionId));
+        scrollbackSaves.delete(sessionId);
+        terminalSyncs.delete(sessionId);
+        await store.terminals.stop(sessionId);
+        io.in(sessionId).emit("terminal:exit", { reason, exitCode });
+      }),
+    });
+  } catch (err) {
+    await store.terminals.stop(sessionId);
+    throw err;
+  }
+  return state;
+}
+
+// Input, resizes and stop requests reach the shell wherever it runs.
+function controlTerminal(sessionId, message) {
+  if (terminal.has(sessionId)) applyTerminalControl(sessionId, message);
+  else if (storage.shared) io.serverSideEmit("terminal:control", { sessionId, ...message });
+}
+
+function applyTerminalControl(sessionId, { type, data, cols, rows }) {
+  if (type === "input") terminal.write(sessionId, data);
+  else if (type === "resize") terminal.resize(sessionId, cols, rows);
+  else if (type === "stop") terminal.stop(sessionId);
+}
+
+io.on("terminal:control", ({ sessionId, ...message }) => {
+  if (terminal.has(sessionId)) applyTerminalControl(sessionId, message);
+});
+
+// ===== PRESENCE =====
+// Who is online is tracked per socket, not per name: the store keeps each
+// socket's user and last heartbeat. Every instance refreshes its own sockets;
+// sockets older than PRESENCE_TTL_MS were left by an instance that died and are
+// swept by whichever sees them.
+function onlineUsers(sessionId) {
+  return store.presence.online(sessionId, Date.now() - PRESENCE_TTL_MS);
+}
+
+// Resolves true when this is the user's first live connection to the session.
+async function addConnection(sessionId, socketId, userName) {
+  const wasOnline = (await onlineUsers(sessionId)).includes(userName);
+  await store.presence.connect(sessionId, socketId, userName);
+  return !wasOnline;
+}
+
+// Remove a socket. Resolves with its userName when that was the user's last
+// live connection, otherwise null; only the call that actually removed the
+// socket gets the name, so a sweep racing a disconnect announces it once.
+async function dropConnection(sessionId, socketId) {
+  const userName = await store.presence.disconnect(sessionId, socketId);
+  if (!userName) return null;
+  return (await onlineUsers(sessionId)).includes(userName) ? null : userName;
+}
+
+function announceLeave(sessionId, socketId, userName) {
+  io.in(sessionId).emit("presence:left", { id: socketId });
+  if (userName) io.in(sessionId).emit("user:left", { userName });
+}
+
+async function heartbeat() {
+  const now = Date.now();
+  const sockets = [...io.sockets.sockets.values()].filter((socket) => socket.data.member);
+  await store.presence.beat(sockets.map((socket) => [socket.data.member.sessionId, socket.id]));
+  for (const sessionId of terminal.sessions()) await store.terminals.refresh(sessionId, PRESENCE_TTL_MS);
+  for (const [sessionId, socketId] of await store.presence.sweep(now - PRESENCE_TTL_MS)) {
+    announceLeave(sessionId, socketId, await dropConnection(sessionId, socketId));
+  }
+}
+setInterval(() => heartbeat().catch((err) => console.error("Presence heartbeat failed:", err)), PRESENCE_HEARTBEAT_MS).unref();
+
+// ===== CLEANUP =====
+// A session nobody has been online in for SESSION_TTL_DAYS is deleted with all
+// its files, history and chat, unless its owner archived it to keep it;
+// scratch directories runs left behind go too.
+async function cleanup() {
+  const abandoned = await store.sessions.abandoned(Date.now() - SESSION_TTL_MS);
+  for (const sessionId of abandoned) {
+    if ((await onlineUsers(sessionId)).length) continue;
+    if ((await store.sessions.meta(sessionId)).archived) continue;
+    await store.sessions.delete(sessionId);
+    console.log(`🧹 Deleted abandoned session ${sessionId}`);
+  }
+  cleanTempDirs(TEMP_MAX_AGE_MS, ["lsp", "terminal"]);
+}
+
 // ===== SOCKET.IO =====
+io.use((socket, next) => {
+  const user = auth.verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+  if (!user) return next(new Error("unauthorized"));
+  socket.data.userName = user.sub;
+  socket.data.ip = socketIp(socket);
+  next();
+});
+
+// Drop a socket from its session: stop its private runs, clear its presence and
+// take the user off the online list when this was their last connection.
+async function leaveSession(socket) {
+  const member = socket.data.member;
+  if (!member) return;
+  const { sessionId } = member;
+  delete socket.data.member;
+  socket.leave(sessionId);
+  for (const run of activeRuns.values()) {
+    if (run.owner === socket.id && !run.shared) runPool.control(run.runId, { type: "kill" });
+  }
+  if (!io.sockets.adapter.rooms.get(sessionId)?.size) lsp.releaseSession(sessionId);
+  announceLeave(sessionId, socket.id, await dropConnection(sessionId, socket.id));
+}
+
 io.on("connection", (socket) => {
-  socket.on("join", async ({ sessionId = "default", userName = "Anonymous" }) => {
-    socket.join(sessionId);
-    socketUser.set(socket.id, { sessionId, userName });
-    await redis.sadd(usersKey(sessionId), userName);
-    const files = await redis.hgetall(filesKey(sessionId));
-    socket.emit("session:init", { files, users: await redis.smembers(usersKey(sessionId)) });
-    socket.to(sessionId).emit("user:join", { userName });
-  });
+  // A handler that fails is logged and answered (through its ack when it has
+  // one) rather than left to reject.
+  const safe = (handler) => async (...args) => {
+    try {
+      return await handler(...args);
+    } catch (err) {
+      console.error("Socket handler error:", err);
+      const ack = args[args.length - 1];
+      const error = `Server error: ${err.message}`;
+      if (typeof ack === "function") ack({ error });
+      else socket.emit("server:error", { error });
+    }
+  };
 
-  socket.on("file:update", async ({ sessionId = "default", filename, content }) => {
-    if (!filename) return;
-    await redis.hset(filesKey(sessionId), filename, content);
-    socket.to(sessionId).emit("file:updated", { filename, content });
+  // Wrap a handler so it only runs for a member of the payload's session whose
+  // role grants `permission`; the handler gets the payload and the member info.
+  const guard = (permission, handler) => safe(async (payload, ...rest) => {
+    if (!payload || typeof payload !== "object") payload = {};
+    const member = socket.data.member;
+    const sessionId = payload.sessionId || (member && member.sessionId);
+    if (!member || member.sessionId !== sessionId || !auth.can(member.role, permission)) {
+      return socket.emit("auth:error", { error: `Your role does not allow this (${permission})` });
+    }
+    const locked = await lockError(sessionId, permission);
+    if (locked) return socket.emit("auth:error", { error: locked });
+    return handler({ ...payload, sessionId }, member, ...rest);
   });
+  const actor = () => ({ userName: socket.data.userName, ip: socket.data.ip });
 
-  socket.on("file:create", async ({ sessionId = "default", filename, content = "" }) => {
-    if (!filename) return;
-    await redis.hset(filesKey(sessionId), filename, content);
-    io.in(sessionId).emit("file:created", { filename, content });
+  // Per-user and per-IP event budget. Edits are exempt: a client keeps one op
+  // in flight, so dropping one would stall its editor until it resyncs.
+  let limitedUntil = 0;
+  socket.use(async (packet, next) => {
+    const [event] = packet;
+    if (event === "file:op" || event === "file:catchup") return next();
+    const retryAfter = await limiter.hit("socket", [
+      [`user:${socket.data.userName}`, SOCKET_RATE_LIMIT],
+      [`ip:${socket.data.ip}`, SOCKET_RATE_LIMIT_IP],
+    ], SOCKET_RATE_WINDOW_S).catch((err) => {
+      console.error("Rate limit check failed:", err);
+      return 0;
+    });
+    if (!retryAfter) return next();
+    // Dropped: answer an ack so the client is not left waiting on it.
+    const ack = packet[packet.length - 1];
+    if (typeof ack === "function") ack({ error: "rate limited", retryAfter });
+    // Say so once per window rather than once per dropped event.
+    if (Date.now() >= limitedUntil) {
+      limitedUntil = Date.now() + retryAfter * 1000;
+      socket.emit("rate:limited", { event, retryAfter, error: `Slow down — too many actions, try again in ${retryAfter}s` });
+    }
   });
 
-  socket.on("file:delete", async ({ sessionId = "default", filename }) => {
-    if (!filename) return;
-    await redis.hdel(filesKey(sessionId), filename);
+  socket.on("join", safe(async (payload) => {
+    const { sessionId = "default", invite } = payload || {};
+    if (!isSessionId(sessionId)) return socket.emit("auth:error", { error: SESSION_ID_ERROR, code: "invalid" });
+    const userName = socket.data.userName;
+    const role = await resolveRole(sessionId, userName, invite);
+    if (!role) return socket.emit("auth:error", { error: "You need an invite to join this session", code: "forbidden" });
+    await leaveSession(socket);
+    socket.data.member = { sessionId, userName, role };
+    const firstConnection = await addConnection(sessionId, socket.id, userName);
+    if (firstConnection) audit(sessionId, "join", actor(), { role });
+    const [files, folders, versions, presence, runConfig, meta, chat, users] = await Promise.all([
+      store.files.all(sessionId),
+      store.files.folders(sessionId),
+      store.files.versions(sessionId),
+      store.presence.list(sessionId),
+      getRunConfig(sessionId),
+      store.sessions.meta(sessionId),
+      listChat(sessionId),
+      onlineUsers(sessionId),
+    ]);
+    const [comments, terminalInfo, formatConfig] = await Promise.all([
+      listComments(sessionId, Object.keys(files)),
+      terminalStatus(sessionId),
+      getFormatConfig(sessionId),
+    ]);
+    // Sessions older than the timeline start their replay from here.
+    await store.timeline.start(sessionId, { t: Date.now(), files });
+    socket.emit("session:init", {
+      files,
+      folders,
+      versions,
+      users,
+      presence,
+      runConfig,
+      formatConfig,
+      formatters: formatter.formatterInfo(),
+      linters: formatter.linterInfo(),
+      userName,
+      role,
+      owner: meta.owner,
+      name: meta.name || sessionId,
+      chat,
+      comments,
+      terminal: terminalInfo,
+      locked: meta.locked,
+    });
+    // Only now, so no broadcast reaches the client before its initial state.
+    socket.join(sessionId);
+    await sendMissed(socket, sessionId, Object.fromEntries(Object.keys(files).map((f) => [f, versions[f] || 0])));
+    if (firstConnection) socket.to(sessionId).emit("user:join", { userName });
+  }));
+
+  socket.on("file:op", guard("edit", async ({ sessionId, filename, version, op, id }, { userName }) => {
+    filename = normalizePath(filename);
+    if (!filename || !ot.isValid(op)) return;
+    const meta = { id: typeof id === "string" ? id.slice(0, 64) : null, userName };
+    const result = await applyOperation(sessionId, filename, Number(version) || 0, op, meta);
+    // Deleted or renamed meanwhile; the client already has that broadcast.
+    if (result.missing) return;
+    if (result.resync) return socket.emit("file:sync", { filename, content: result.content, version: result.version });
+    socket.emit("file:ack", { filename, version: result.version });
+    socket.to(sessionId).emit("file:op", { filename, version: result.version, op: result.op, userName });
+    await maybeAutoSnapshot(sessionId, filename, userName);
+  }));
+
+  // Resync after a reconnect: what the client missed since `version`, so it can
+  // rebase the edits it made offline (see collab.js).
+  socket.on("file:catchup", guard("read", async ({ sessionId, filename, version }, info, ack) => {
+    if (typeof ack !== "function") return;
+    filename = normalizePath(filename);
+    ack(filename ? await opsSince(sessionId, filename, Number(version) || 0) : { missing: true });
+  }));
+
+  socket.on("file:create", guard("edit", async ({ sessionId, filename, content = "" }) => {
+    filename = normalizePath(filename);
+    if (!filename) return socket.emit("file:error", { error: "Invalid file name" });
+    if (typeof content !== "string") return socket.emit("file:error", { error: "File content must be text" });
+    // Checked under the lock: resetting a live file would drop its ops and comments.
+    const created = await withDocLock(sessionId, filename, async () => {
+      if ((await store.files.read(sessionId, filename)).content != null) return false;
+      await resetDoc(sessionId, filename, content);
+      return true;
+    });
+    if (!created) return socket.emit("file:error", { error: `${filename} already exists` });
+    io.in(sessionId).emit("file:created", { filename, content, version: 0 });
+    audit(sessionId, "file:create", actor(), { filename });
+  }));
+
+  socket.on("file:delete", guard("edit", async ({ sessionId, filename }) => {
+    filename = normalizePath(filename);
+    if (!filename) return socket.emit("file:error", { error: "Invalid file name" });
+    await deleteFiles(sessionId, [filename]);
     io.in(sessionId).emit("file:deleted", { filename });
-  });
+    audit(sessionId, "file:delete", actor(), { filename });
+  }));
+
+  // Rename and move are the same operation: a new path.
+  socket.on("file:rename", guard("edit", async ({ sessionId, from, to }) => {
+    from = normalizePath(from);
+    to = normalizePath(to);
+    if (!from || !to) return socket.emit("file:error", { error: "Invalid file name" });
+    if (from === to) return;
+    try {
+      await moveFiles(sessionId, [[from, to]]);
+    } catch (err) {
+      return socket.emit("file:error", { error: err.message });
+    }
+    io.in(sessionId).emit("file:renamed", { from, to });
+    audit(sessionId, "file:rename", actor(), { from, to });
+    await followRename(sessionId, (f) => (f === from ? to : f));
+  }));
+
+  socket.on("folder:create", guard("edit", async ({ sessionId, path: folder }) => {
+    folder = normalizePath(folder);
+    if (!folder) return socket.emit("file:error", { error: "Invalid folder name" });
+    await store.files.updateFolders(sessionId, { add: [folder] });
+    io.in(sessionId).emit("folder:created", { path: folder });
+    audit(sessionId, "folder:create", actor(), { path: folder });
+  }));
+
+  socket.on("folder:rename", guard("edit", async ({ sessionId, from, to }) => {
+    from = normalizePath(from);
+    to = normalizePath(to);
+    if (!from || !to) return socket.emit("file:error", { error: "Invalid folder name" });
+    if (from === to) return;
+    if (isInside(to, from)) return socket.emit("file:error", { error: "Cannot move a folder into itself" });
+    const rename = (p) => (p === from || isInside(p, from) ? to + p.slice(from.length) : p);
+    const [filenames, folders] = await Promise.all([store.files.names(sessionId), store.files.folders(sessionId)]);
+    try {
+      await moveFiles(sessionId, filenames.filter((f) => isInside(f, from)).map((f) => [f, rename(f)]));
+    } catch (err) {
+      return socket.emit("file:error", { error: err.message });
+    }
+    const moved = folders.filter((f) => f === from || isInside(f, from));
+    await store.files.updateFolders(sessionId, { remove: moved, add: [to, ...moved.map(rename)] });
+    io.in(sessionId).emit("folder:renamed", { from, to });
+    audit(sessionId, "folder:rename", actor(), { from, to });
+    await followRename(sessionId, rename);
+  }));
+
+  socket.on("folder:delete", guard("edit", async ({ sessionId, path: folder }) => {
+    folder = normalizePath(folder);
+    if (!folder) return;
+    const [filenames, folders] = await Promise.all([store.files.names(sessionId), store.files.folders(sessionId)]);
+    await deleteFiles(sessionId, filenames.filter((f) => isInside(f, folder)));
+    const gone = folders.filter((f) => f === folder || isInside(f, folder));
+    if (gone.length) await store.files.updateFolders(sessionId, { remove: gone });
+    io.in(sessionId).emit("folder:deleted", { path: folder });
+    audit(sessionId, "folder:delete", actor(), { path: folder });
+  }));
 
-  socket.on("chat:message", ({ sessionId = "default", userName, text }) => {
-    io.in(sessionId).emit("chat:message", { userName, text, time: Date.now() });
+  // Clients throttle these; volatile emits drop rather than queue when a peer lags.
+  socket.on("presence:update", guard("read", async ({ filename = null, selections = [] }, info) => {
+    if (!Array.isArray(selections)) return;
+    const presence = {
+      id: socket.id,
+      userName: info.userName,
+      filename,
+      selections: selections.slice(0, 20).map(({ anchor, head }) => ({ anchor: Number(anchor) || 0, head: Number(head) || 0 })),
+    };
+    await store.presence.update(info.sessionId, socket.id, presence);
+    socket.volatile.to(info.sessionId).emit("presence:update", presence);
+  }));
+
+  // Interactive runs stream to the starter, or to the whole room when shared.
+  // The run may execute on a worker (see runpool.js); its registry entry lets
+  // members connected to other instances type into a shared console.
+  socket.on("run:start", guard("run", async ({ sessionId, language, filename, code, shared = false }, { userName }) => {
+    const context = await loadRunContext(sessionId);
+    if (!language || (code == null && !entryApplies(context))) return socket.emit("run:error", { error: "language & code required" });
+    for (const run of activeRuns.values()) {
+      if (run.owner === socket.id) return socket.emit("run:error", { error: "A program is already running — stop it first" });
+    }
+    const slot = await takeRunSlot(userName, socket.data.ip);
+    if (slot.error) return socket.emit("run:error", { error: slot.error, retryAfter: slot.retryAfter });
+    const runId = crypto.randomUUID();
+    const run = { runId, sessionId, owner: socket.id, shared: Boolean(shared) };
+    const target = shared ? io.in(sessionId) : socket;
+    activeRuns.set(runId, run);
+    await store.runs.register(run, RUN_REGISTRY_TTL_MS);
+    target.emit("run:started", { runId, owner: socket.id, userName, language, filename, shared: Boolean(shared) });
+    const recorder = recordRun(sessionId, runId, { userName, language, filename, shared: Boolean(shared) });
+    const started = Date.now();
+    let exit = { ok: false, stage: "setup" };
+    try {
+      const { done } = await runPool.start(runId, { sessionId, language, filename, code: code == null ? undefined : String(code), ...context, interactive: true }, {
+        onOutput: (stream, data) => {
+          target.emit("run:output", { runId, stream, data });
+          recorder.output(stream, data);
+        },
+      });
+      // Output has already been streamed; the exit event only carries the status.
+      const result = await done;
+      const { stdout, stderr, ...status } = result;
+      exit = status;
+      target.emit("run:exit", { runId, ...status });
+      await Promise.all([recordRunResult(sessionId, filename, result), recorder.exit(status)]);
+    } catch (err) {
+      console.error("Run error:", err);
+      target.emit("run:exit", { runId, ok: false, stage: "setup", error: err.message });
+      await recorder.exit({ ok: false, stage: "setup", error: err.message });
+    } finally {
+      slot.release();
+      auditRun(sessionId, actor(), { runId, language, filename: filename || null, interactive: true, shared: Boolean(shared) }, exit, started);
+      activeRuns.delete(runId);
+      await store.runs.unregister(runId);
+    }
+  }));
+
+  // Owner may always control a run; anyone in the room may for a shared one.
+  async function controllableRun(runId) {
+    const run = activeRuns.get(runId) || (await store.runs.get(String(runId)));
+    if (!run) return null;
+    if (run.owner === socket.id) return run;
+    return run.shared && socket.data.member?.sessionId === run.sessionId ? run : null;
+  }
+
+  socket.on("run:stdin", guard("run", async ({ runId, data = "", eof = false }) => {
+    const run = await controllableRun(runId);
+    if (!run) return;
+    if (data) {
+      await runPool.control(run.runId, { type: "stdin", data: String(data) });
+      // Echo so every watcher of a shared console sees what was typed.
+      (run.shared ? io.in(run.sessionId) : io.to(run.owner)).emit("run:output", { runId, stream: "stdin", data: String(data) });
+    }
+    if (eof) await runPool.control(run.runId, { type: "eof" });
+  }));
+
+  socket.on("run:stop", guard("run", async ({ runId }) => {
+    const run = await controllableRun(runId);
+    if (run) await runPool.control(run.runId, { type: "kill" });
+  }));
+
+  socket.on("run:config", guard("edit", async ({ sessionId, config = {} }) => {
+    try {
+      await setRunConfig(sessionId, config);
+    } catch (err) {
+      socket.emit("run:error", { error: err.message });
+    }
+  }));
+
+  socket.on("format:config", guard("edit", ({ sessionId, config = {} }) => setFormatConfig(sessionId, config)));
+
+  socket.on("chat:message", guard("chat", ({ sessionId, text, snippet }, { userName }) => postChatMessage(sessionId, userName, { text, snippet })));
+
+  // Anyone who can chat can review: start threads, reply and resolve. Deleting
+  // a thread is for its author and the owner.
+  const commentEvent = (handler) => guard("chat", async (payload, member) => {
+    const filename = normalizePath(payload.filename);
+    if (!filename) return;
+    try {
+      const thread = await handler({ ...payload, filename }, member);
+      if (thread) io.in(member.sessionId).emit("comment:thread", { filename, thread });
+    } catch (err) {
+      socket.emit("comment:error", { error: err.message });
+    }
   });
 
-  socket.on("disconnect", async () => {
-    const info = socketUser.get(socket.id);
-    if (info) {
-      const { sessionId, userName } = info;
-      await redis.srem(usersKey(sessionId), userName);
-      socket.to(sessionId).emit("user:left", { userName });
-      socketUser.delete(socket.id);
+  socket.on("comment:add", commentEvent(({ sessionId, filename, start, end, text }, { userName }) => (
+    addComment(sessionId, filename, userName, { start, end, text })
+  )));
+
+  socket.on("comment:reply", commentEvent(({ sessionId, filename, threadId, text }, { userName }) => {
+    const message = commentMessage(userName, text);
+    if (!message) return null;
+    return updateComment(sessionId, filename, threadId, (thread) => ({ ...thread, messages: [...thread.messages, message] }));
+  }));
+
+  socket.on("comment:resolve", commentEvent(({ sessionId, filename, threadId, resolved = true }, { userName }) => (
+    updateComment(sessionId, filename, threadId, (thread) => ({ ...thread, resolved: Boolean(resolved), resolvedBy: resolved ? userName : null }))
+  )));
+
+  socket.on("comment:delete", commentEvent(async ({ sessionId, filename, threadId }, { userName, role }) => {
+    await updateComment(sessionId, filename, threadId, (thread) => {
+      if (thread.author !== userName && !auth.can(role, "manage")) throw new Error("Only its author or the owner can delete a comment");
+      return null;
+    });
+    io.in(sessionId).emit("comment:deleted", { filename, threadId });
+  }));
+
+  // The owner starts and stops the session's shell and picks who else may type
+  // in it; every member watches its output.
+  socket.on("terminal:start", guard("manage", async ({ sessionId, cols, rows }, { userName }) => {
+    const locked = await lockError(sessionId, "edit");
+    if (locked) return socket.emit("terminal:error", { error: locked });
+    try {
+      io.in(sessionId).emit("terminal:started", await startTerminal(sessionId, userName, { cols, rows }));
+      audit(sessionId, "terminal:start", actor());
+    } catch (err) {
+      socket.emit("terminal:error", { error: err.message });
+    }
+  }));
+
+  socket.on("terminal:stop", guard("manage", ({ sessionId }) => controlTerminal(sessionId, { type: "stop" })));
+
+  socket.on("terminal:input", guard("read", async ({ sessionId, data }, member) => {
+    if (typeof data !== "string" || !data) return;
+    if (!canControlTerminal(await terminalState(sessionId), member)) {
+      return socket.emit("terminal:error", { error: "The owner has not given you control of the terminal" });
     }
+    controlTerminal(sessionId, { type: "input", data: data.slice(0, TERMINAL_INPUT_MAX) });
+  }));
+
+  socket.on("terminal:resize", guard("read", async ({ sessionId, cols, rows }, member) => {
+    if (canControlTerminal(await terminalState(sessionId), member)) controlTerminal(sessionId, { type: "resize", cols, rows });
+  }));
+
+  socket.on("terminal:grant", guard("manage", async ({ sessionId, userName, control = true }) => {
+    const state = await terminalState(sessionId);
+    if (!state) return socket.emit("terminal:error", { error: "No terminal is running" });
+    const others = state.controllers.filter((name) => name !== userName);
+    const controllers = control && userName ? [...others, String(userName)] : others;
+    await store.terminals.update(sessionId, { ...state, controllers }, PRESENCE_TTL_MS);
+    io.in(sessionId).emit("terminal:controllers", { controllers });
+  }));
+
+  // Status and what the terminal has printed so far, for a member opening it.
+  socket.on("terminal:attach", guard("read", async ({ sessionId }, info, ack) => {
+    if (typeof ack !== "function") return;
+    const [status, scrollback] = await Promise.all([terminalStatus(sessionId), terminalScrollback(sessionId)]);
+    ack({ ...status, scrollback });
+  }));
+
+  // Starts the language server for the file's language; diagnostics for the
+  // session's files are then broadcast as lsp:diagnostics.
+  socket.on("lsp:open", guard("read", async ({ sessionId, filename }, info, ack = () => {}) => {
+    filename = normalizePath(filename);
+    if (!filename) return ack({ available: false, reason: "Invalid file name" });
+    try {
+      ack(await lsp.ensureServer(sessionId, filename, {
+        loadFiles: () => store.files.all(sessionId),
+        onDiagnostics: (file, diagnostics) => io.in(sessionId).emit("lsp:diagnostics", { filename: file, diagnostics }),
+      }));
+    } catch (err) {
+      console.error("LSP error:", err);
+      ack({ available: false, reason: err.message });
+    }
+  }));
+
+  // kind: "hover" | "completion" | "definition"; position in LSP coordinates.
+  socket.on("lsp:request", guard("read", async ({ sessionId, filename, kind, position }, info, ack = () => {}) => {
+    filename = normalizePath(filename);
+    if (!filename) return ack({ error: "Invalid file name" });
+    try {
+      ack({ result: await lsp.request(sessionId, filename, kind, position) });
+    } catch (err) {
+      ack({ error: err.message });
+    }
+  }));
+
+  socket.on("disconnect", safe(() => leaveSession(socket)));
+});
+
+// ===== AUTH API =====
+// Both respond with { token, user: { username } }; attempts are limited per IP.
+const authRateLimit = rateLimit("auth", { limitIp: AUTH_RATE_LIMIT_IP, windowS: AUTH_RATE_WINDOW_S, message: "Too many sign-in attempts" });
+
+app.post("/auth/register", authRateLimit, async (req, res) => {
+  const username = auth.normalizeUsername(req.body?.username);
+  const password = String(req.body?.password || "");
+  if (!username) return res.status(400).json({ error: "Username must be 3-32 letters, digits, '.', '_' or '-'" });
+  if (password.length < 8) return res.status(400).json({ error: "Password must be at least 8 characters" });
+  if (!(await createUser(username, password))) return res.status(409).json({ error: "Username is taken" });
+  res.json({ token: auth.signToken({ sub: username }), user: { username } });
+});
+
+app.post("/auth/login", authRateLimit, async (req, res) => {
+  const username = auth.normalizeUsername(req.body?.username);
+  const stored = username && (await store.users.passwordHash(username));
+  if (!stored || !(await auth.verifyPassword(req.body?.password, stored))) {
+    return res.status(401).json({ error: "Wrong username or password" });
+  }
+  res.json({ token: auth.signToken({ sub: username }), user: { username } });
+});
+
+app.get("/auth/me", requireAuth, (req, res) => {
+  res.json({ user: { username: req.userName } });
+});
+
+// ===== MEMBERS API =====
+app.get("/sessions/:sessionId/members", requireAuth, requireRole("read"), async (req, res) => {
+  const [roles, online, meta] = await Promise.all([
+    store.sessions.roles(req.sessionId),
+    onlineUsers(req.sessionId),
+    store.sessions.meta(req.sessionId),
+  ]);
+  const members = Object.entries(roles).map(([username, role]) => ({ username, role, online: online.includes(username) }));
+  res.json({ owner: meta.owner, members });
+});
+
+// Add or change a member; the owner's own role cannot be changed.
+app.post("/sessions/:sessionId/members", requireAuth, requireRole("manage"), async (req, res) => {
+  const username = auth.normalizeUsername(req.body?.username);
+  const { role } = req.body || {};
+  if (!username || !auth.ROLES.includes(role) || role === "owner") return res.status(400).json({ error: "username and a non-owner role required" });
+  if (!(await store.users.exists(username))) return res.status(404).json({ error: "no such user" });
+  if ((await store.sessions.meta(req.sessionId)).owner === username) return res.status(400).json({ error: "the owner's role cannot be changed" });
+  await setMemberRole(req.sessionId, username, role);
+  audit(req.sessionId, "member:role", requestActor(req), { member: username, role });
+  res.json({ ok: true, member: { username, role } });
+});
+
+app.delete("/sessions/:sessionId/members/:username", requireAuth, requireRole("manage"), async (req, res) => {
+  const { username } = req.params;
+  if ((await store.sessions.meta(req.sessionId)).owner === username) return res.status(400).json({ error: "the owner cannot be removed" });
+  await setMemberRole(req.sessionId, username, null);
+  audit(req.sessionId, "member:remove", requestActor(req), { member: username });
+  res.json({ ok: true });
+});
+
+// Invite links grant `role` to whoever joins with the token before it expires.
+app.post("/sessions/:sessionId/invites", requireAuth, requireRole("manage"), async (req, res) => {
+  const { role = "editor" } = req.body || {};
+  if (!auth.ROLES.includes(role) || role === "owner") return res.status(400).json({ error: "invalid role" });
+  const hours = Math.min(Math.max(Number(req.body?.expiresInHours) || 24, 1), 24 * 30);
+  const token = crypto.randomBytes(16).toString("base64url");
+  const invite = { role, createdBy: req.userName, expiresAt: Date.now() + hours * 60 * 60 * 1000 };
+  await store.sessions.addInvite(req.sessionId, token, invite);
+  res.json({ token, ...invite });
+});
+
+// ===== ADMIN API =====
+// For the users named in ADMIN_USERS, whatever their role in the session.
+// Without a sessionId the audit query reads the admins' own log.
+app.get("/admin/audit", requireAuth, requireAdmin, async (req, res) => {
+  const { sessionId, ...filters } = req.query;
+  res.json({ entries: await queryAudit(sessionId ? String(sessionId) : null, filters) });
+});
+
+async function requireSession(req, res, next) {
+  if (!(await store.sessions.exists(req.params.sessionId))) return res.status(404).json({ error: "session not found" });
+  req.sessionId = req.params.sessionId;
+  next();
+}
+
+// Disconnect a user from the session; `remove` also takes away their role.
+app.post("/admin/sessions/:sessionId/kick", requireAuth, requireAdmin, requireSession, async (req, res) => {
+  const userName = auth.normalizeUsername(req.body?.userName);
+  if (!userName) return res.status(400).json({ error: "userName required" });
+  if (req.body?.remove && (await store.sessions.meta(req.sessionId)).owner === userName) {
+    return res.status(400).json({ error: "the owner cannot be removed" });
+  }
+  const reason = String(req.body?.reason || "").slice(0, 200) || "An administrator removed you from this session";
+  const kick = { sessionId: req.sessionId, userName, reason };
+  if (storage.shared) io.serverSideEmit("member:kick", kick);
+  await kickMember(kick);
+  if (req.body?.remove) await setMemberRole(req.sessionId, userName, null);
+  audit(req.sessionId, "admin:kick", requestActor(req), { member: userName, reason, removed: Boolean(req.body?.remove) }, { global: true });
+  res.json({ ok: true });
+});
+
+// Lock (read-only for everyone, owner included) or unlock a session. Locking
+// stops its terminal; runs already going finish.
+app.post("/admin/sessions/:sessionId/lock", requireAuth, requireAdmin, requireSession, async (req, res) => {
+  const locked = req.body?.locked !== false;
+  const lock = locked ? { by: req.userName, reason: String(req.body?.reason || "").slice(0, 200), at: Date.now() } : null;
+  await store.sessions.update(req.sessionId, { locked: lock });
+  if (lock) controlTerminal(req.sessionId, { type: "stop" });
+  io.in(req.sessionId).emit("session:locked", { locked: lock });
+  audit(req.sessionId, locked ? "admin:lock" : "admin:unlock", requestActor(req), { reason: lock?.reason || null }, { global: true });
+  res.json({ ok: true, locked: lock });
+});
+
+// ===== SESSIONS API =====
+const SESSION_ID_ERROR = "Session ids may only use letters, digits, '.', '_' and '-'";
+
+// The requested id for a new session, or a random one; null when invalid.
+function newSessionId(requested) {
+  const sessionId = String(requested || crypto.randomBytes(4).toString("hex"));
+  return isSessionId(sessionId) ? sessionId : null;
+}
+
+function sessionName(value) {
+  return String(value || "").trim().slice(0, 100);
+}
+
+// Creates a new session owned by `userName` holding `files`; false when the id is taken.
+function seedSession(sessionId, userName, files, { name = "", folders = [], runConfig = null, formatConfig = null, forkedFrom = null } = {}) {
+  return store.sessions.create(sessionId, userName, {
+    files,
+    folders,
+    name,
+    forkedFrom,
+    runConfig: runConfig && normalizeRunConfig(runConfig),
+    formatConfig: formatConfig && formatter.normalizeFormatConfig(formatConfig),
+  });
+}
+
+// Sessions the user owns or has joined, most recently joined first. Sessions
+// they were removed from, or that no longer exist, drop off the list.
+app.get("/sessions", requireAuth, async (req, res) => {
+  const joined = await store.users.sessions(req.userName);
+  const sessions = await Promise.all(Object.entries(joined).map(async ([id, lastJoined]) => {
+    const [meta, role, files, online] = await Promise.all([
+      store.sessions.meta(id),
+      store.sessions.role(id, req.userName),
+      store.files.names(id),
+      onlineUsers(id),
+    ]);
+    if (!role || !meta.owner) return { id, gone: true };
+    return {
+      id,
+      name: meta.name || id,
+      owner: meta.owner,
+      role,
+      createdAt: meta.createdAt,
+      lastJoined,
+      archived: Boolean(meta.archived),
+      forkedFrom: meta.forkedFrom,
+      files: files.length,
+      online: online.length,
+    };
+  }));
+  const gone = sessions.filter((s) => s.gone).map((s) => s.id);
+  if (gone.length) await store.users.forgetSessions(req.userName, gone);
+  res.json({ sessions: sessions.filter((s) => !s.gone).sort((a, b) => b.lastJoined - a.lastJoined) });
+});
+
+app.get("/sessions/templates", requireAuth, (req, res) => {
+  res.json({ templates: templates.listTemplates() });
+});
+
+// Body: { template, name, sessionId }; a random id is used when none is given.
+app.post("/sessions", requireAuth, async (req, res) => {
+  const template = templates.getTemplate(req.body?.template || "blank");
+  if (!template) return res.status(400).json({ error: "Unknown template" });
+  const sessionId = newSessionId(req.body?.sessionId);
+  if (!sessionId) return res.status(400).json({ error: SESSION_ID_ERROR });
+  const options = { name: sessionName(req.body?.name), runConfig: template.runConfig };
+  if (!(await seedSession(sessionId, req.userName, template.files, options))) return res.status(409).json({ error: `Session "${sessionId}" already exists` });
+  res.json({ ok: true, sessionId });
+});
+
+// A new session owned by the caller with a copy of the files, folders, run and
+// format config (not the history, chat, members or tests).
+app.post("/sessions/:sessionId/fork", requireAuth, requireRole("read"), async (req, res) => {
+  const sessionId = newSessionId(req.body?.sessionId);
+  if (!sessionId) return res.status(400).json({ error: SESSION_ID_ERROR });
+  const [files, folders, runConfig, formatConfig, meta] = await Promise.all([
+    store.files.all(req.sessionId),
+    store.files.folders(req.sessionId),
+    getRunConfig(req.sessionId),
+    getFormatConfig(req.sessionId),
+    store.sessions.meta(req.sessionId),
+  ]);
+  const options = { name: sessionName(req.body?.name) || `${meta.name || req.sessionId} (fork)`, folders, runConfig, formatConfig, forkedFrom: req.sessionId };
+  if (!(await seedSession(sessionId, req.userName, files, options))) return res.status(409).json({ error: `Session "${sessionId}" already exists` });
+  res.json({ ok: true, sessionId });
+});
+
+// Renames the session's display name; its id (and so its links) stay the same.
+app.post("/sessions/:sessionId/rename", requireAuth, requireRole("manage"), async (req, res) => {
+  const name = sessionName(req.body?.name);
+  if (!name) return res.status(400).json({ error: "name required" });
+  await store.sessions.update(req.sessionId, { name });
+  io.in(req.sessionId).emit("session:renamed", { name });
+  res.json({ ok: true, name });
+});
+
+// Archived sessions are kept out of the dashboard's main list and are never
+// cleaned up as abandoned. Body: { archived } (default true).
+app.post("/sessions/:sessionId/archive", requireAuth, requireRole("manage"), async (req, res) => {
+  const archived = req.body?.archived !== false;
+  await store.sessions.update(req.sessionId, { archived: archived ? Date.now() : null });
+  res.json({ ok: true, archived });
+});
+
+// The whole timeline for the replay view; also what "Export" saves as JSON.
+app.get("/sessions/:sessionId/timeline", requireAuth, requireRole("read"), async (req, res) => {
+  const [meta, { base, events }] = await Promise.all([
+    store.sessions.meta(req.sessionId),
+    store.timeline.read(req.sessionId),
+  ]);
+  res.json({
+    sessionId: req.sessionId,
+    name: meta.name || req.sessionId,
+    exportedAt: Date.now(),
+    base: base || { t: 0, files: {} },
+    events,
   });
 });
 
+// Deletes the session and everything stored for it; connected members are sent away.
+app.delete("/sessions/:sessionId", requireAuth, requireRole("manage"), async (req, res) => {
+  const members = Object.keys(await store.sessions.roles(req.sessionId));
+  for (const userName of members) await setMemberRole(req.sessionId, userName, null, "This session was deleted");
+  await store.sessions.delete(req.sessionId);
+  lsp.stopSession(req.sessionId);
+  controlTerminal(req.sessionId, { type: "stop" });
+  audit(req.sessionId, "session:delete", requestActor(req), { members }, { global: true });
+  res.json({ ok: true });
+});
+
 // ===== RUN ENDPOINT =====
-app.post("/run", async (req, res) => {
-  const { sessionId = "default", language, filename, code } = req.body;
-  if (!language || !code) return res.status(400).json({ error: "language & code required" });
+// Responds with { ok, stage, exitCode, signal, timedOut, truncated, stdout, stderr, durationMs },
+// or 429 with { error, retryAfter } over the run limits.
+function refuseRun(res, slot) {
+  if (slot.retryAfter) res.set("Retry-After", String(slot.retryAfter));
+  res.status(429).json({ error: slot.error, retryAfter: slot.retryAfter || null });
+}
 
-  const sessionTemp = path.join(BASE_TEMP, sessionId);
-  if (!fs.existsSync(sessionTemp)) fs.mkdirSync(sessionTemp, { recursive: true });
+app.post("/run", requireAuth, requireRole("run"), async (req, res) => {
+  const { sessionId } = req;
+  const { language, filename, code } = req.body;
+  const context = await loadRunContext(sessionId);
+  if (!language || (!code && !entryApplies(context))) return res.status(400).json({ error: "language & code required" });
+  const slot = await takeRunSlot(req.userName, clientIp(req));
+  if (slot.error) return refuseRun(res, slot);
 
+  const runId = crypto.randomUUID();
+  const recorder = recordRun(sessionId, runId, { userName: req.userName, language, filename, shared: false });
+  const started = Date.now();
+  let exit = { ok: false, stage: "setup" };
   try {
-    if (language === "python") {
-      const filePath = await writeTempFile(sessionTemp, filename || "main.py", code);
-      return res.json(await runCommand(`python "${filePath}"`, { cwd: sessionTemp }, 15000));
-    }
-    if (language === "javascript" || language === "node") {
-      const filePath = await writeTempFile(sessionTemp, filename || "main.js", code);
-      return res.json(await runCommand(`node "${filePath}"`, { cwd: sessionTemp }, 15000));
-    }
-    if (language === "java") {
-      const match = code.match(/public\s+class\s+([A-Za-z_]\w*)/);
-      const className = match ? match[1] : (filename ? path.basename(filename, ".java") : "Main");
-      const javaFileName = `${className}.java`;
-      const filePath = await writeTempFile(sessionTemp, javaFileName, code);
-      const javac = process.env.JAVA_HOME ? `"${path.join(process.env.JAVA_HOME, "bin", isWindows ? "javac.exe" : "javac")}"` : "javac";
-      const javaCmd = process.env.JAVA_HOME ? `"${path.join(process.env.JAVA_HOME, "bin", isWindows ? "java.exe" : "java")}"` : "java";
-      const compileResult = await runCommand(`${javac} "${filePath}"`, { cwd: sessionTemp }, 10000);
-      if (!compileResult.ok) return res.json(compileResult);
-      return res.json(await runCommand(`${javaCmd} -cp "${sessionTemp}" ${className}`, { cwd: sessionTemp }, 10000));
-    }
-    if (language === "c" || language === "cpp") {
-      const ext = language === "c" ? "c" : "cpp";
-      const filePath = await writeTempFile(sessionTemp, filename || `main.${ext}`, code);
-      const outExe = isWindows ? `${sessionTemp}\\main.exe` : `${sessionTemp}/a.out`;
-      const compiler = language === "c" ? "gcc" : "g++";
-      const compileResult = await runCommand(`${compiler} "${filePath}" -o "${outExe}"`, { cwd: sessionTemp }, 15000);
-      if (!compileResult.ok) return res.json(compileResult);
-      return res.json(await runCommand(`"${outExe}"`, { cwd: sessionTemp }, 10000));
-    }
-    if (language === "html") {
-      return res.json({ ok: true, output: code });
-    }
-    return res.json({ ok: false, output: "Language not supported" });
+    const result = await runPool.run(runId, { sessionId, language, filename, code: code ? String(code) : undefined, ...context });
+    const { stdout, stderr, ...status } = result;
+    exit = status;
+    recorder.output("stdout", stdout || "");
+    recorder.output("stderr", stderr || "");
+    await Promise.all([recordRunResult(sessionId, filename, result), recorder.exit(status)]);
+    return res.json(result);
   } catch (err) {
     console.error("Run error:", err);
-    return res.status(500).json({ ok: false, output: `Server error: ${err.message}` });
+    await recorder.exit({ ok: false, stage: "setup", error: err.message });
+    return res.status(err.code === "unavailable" ? 503 : 500).json({ ok: false, stage: "setup", stderr: `Server error: ${err.message}` });
+  } finally {
+    slot.release();
+    auditRun(sessionId, requestActor(req), { runId, language, filename: filename || null, interactive: false, shared: false }, exit, started);
+  }
+});
+
+app.get("/run-config/:sessionId", requireAuth, requireRole("read"), async (req, res) => {
+  res.json({ config: await getRunConfig(req.sessionId) });
+});
+app.post("/run-config/:sessionId", requireAuth, requireRole("edit"), async (req, res) => {
+  try {
+    res.json({ ok: true, config: await setRunConfig(req.sessionId, req.body || {}) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// ===== TESTS =====
+const TEST_LOCK_TTL_MS = 15 * 60 * 1000;
+
+async function getTests(sessionId) {
+  return (await store.tests.suite(sessionId)) || [];
+}
+
+app.get("/sessions/:sessionId/tests", requireAuth, requireRole("read"), async (req, res) => {
+  const tests = await getTests(req.sessionId);
+  res.json(grader.redactSuite(tests, auth.can(req.role, "manage")));
+});
+
+// Replaces the whole suite; members are told to reload their (redacted) copy.
+app.post("/sessions/:sessionId/tests", requireAuth, requireRole("manage"), async (req, res) => {
+  let tests;
+  try {
+    tests = grader.normalizeSuite(req.body?.tests);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  await store.tests.setSuite(req.sessionId, tests);
+  io.in(req.sessionId).emit("tests:updated", { count: tests.length });
+  res.json(grader.redactSuite(tests, true));
+});
+
+// Runs the suite against the saved session files and records the member's grade.
+app.post("/sessions/:sessionId/tests/run", requireAuth, requireRole("run"), async (req, res) => {
+  const { sessionId, userName } = req;
+  const tests = await getTests(sessionId);
+  if (!tests.length) return res.status(400).json({ error: "This session has no tests" });
+  // Held in the store so a second request to another instance is refused too.
+  const lock = testLockKey(sessionId, userName);
+  const token = crypto.randomUUID();
+  if (!(await store.locks.acquire(lock, token, TEST_LOCK_TTL_MS))) return res.status(409).json({ error: "Your tests are already running" });
+  const slot = await takeRunSlot(userName, clientIp(req));
+  if (slot.error) {
+    await store.locks.release(lock, token);
+    return refuseRun(res, slot);
+  }
+  const { language, filename } = req.body || {};
+  const started = Date.now();
+  let outcome = { ok: false };
+  try {
+    const report = await grader.runSuite(tests, { sessionId, language, filename, ...(await loadRunContext(sessionId)) });
+    const grade = { passed: report.passed, total: report.total, score: report.score, maxScore: report.maxScore, time: Date.now() };
+    outcome = { ok: true, passed: report.passed, total: report.total };
+    await store.tests.setResult(sessionId, userName, grade);
+    res.json(grader.redactReport(report, auth.can(req.role, "manage")));
+  } catch (err) {
+    console.error("Test run error:", err);
+    res.status(500).json({ error: `Server error: ${err.message}` });
+  } finally {
+    slot.release();
+    audit(sessionId, "tests:run", requestActor(req), { language: language || null, filename: filename || null, durationMs: Date.now() - started, ...outcome });
+    await store.locks.release(lock, token);
   }
 });
 
-// ===== AI SUGGEST (disabled) =====
-app.post("/ai-suggest", async (req, res) => {
-  res.json({ suggestion: "AI suggestions are temporarily disabled." });
+// Latest grade of every member who ran the suite.
+app.get("/sessions/:sessionId/tests/results", requireAuth, requireRole("manage"), async (req, res) => {
+  const results = await store.tests.results(req.sessionId);
+  const grades = Object.entries(results).map(([userName, grade]) => ({ userName, ...grade }));
+  grades.sort((a, b) => b.score - a.score || a.userName.localeCompare(b.userName));
+  res.json({ grades });
+});
+
+// ===== AI SUGGEST =====
+// Fixed window of AI_RATE_LIMIT requests per session; resolves to the seconds
+// until the window resets when the limit is exceeded, otherwise 0.
+function takeAiQuota(sessionId) {
+  return limiter.hit("ai", [[`session:${sessionId}`, AI_RATE_LIMIT]], AI_RATE_WINDOW_S);
+}
+
+// Body: { sessionId, filename, language, code, selection?: { startLine, endLine, text }, question? }.
+// Streams newline-delimited JSON: { type: "chunk", text } … then
+// { type: "done", edit } or { type: "error", error }.
+app.post("/ai-suggest", requireAuth, requireRole("edit"), async (req, res) => {
+  const { filename = null, language = "", code = "", selection = null, question = "" } = req.body || {};
+  if (!assistant.assistantInfo().provider) return res.status(503).json({ error: "AI assistant is not configured" });
+  const retryAfter = await takeAiQuota(req.sessionId);
+  if (retryAfter) {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({ error: `AI request limit reached for this session — try again in ${Math.ceil(retryAfter / 60)} min` });
+  }
+
+  const runError = await store.runs.lastError(req.sessionId);
+  const context = {
+    question: String(question || "").slice(0, 2000),
+    language: String(language),
+    filename,
+    code: String(code),
+    selection: selection && selection.text ? { startLine: Number(selection.startLine) || 1, endLine: Number(selection.endLine) || 1, text: String(selection.text) } : null,
+    runError,
+  };
+
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+  res.set("Content-Type", "application/x-ndjson");
+  res.set("Cache-Control", "no-cache");
+  const send = (msg) => res.write(`${JSON.stringify(msg)}\n`);
+  try {
+    const { edit } = await assistant.suggest(context, { onChunk: (text) => send({ type: "chunk", text }), signal: controller.signal });
+    send({ type: "done", edit });
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      console.error("AI error:", err);
+      send({ type: "error", error: err.message });
+    }
+  }
+  res.end();
 });
 
 // ===== FILES API =====
-app.get("/files/:sessionId", async (req, res) => {
-  const files = await redis.hgetall(filesKey(req.params.sessionId || "default"));
+app.get("/files/:sessionId", requireAuth, requireRole("read"), async (req, res) => {
+  const files = await store.files.all(req.sessionId);
   res.json({ files });
 });
-app.post("/files/:sessionId/save", async (req, res) => {
-  const { filename, content } = req.body;
-  if (!filename || content == null) return res.status(400).json({ error: "filename & content required" });
-  await redis.hset(filesKey(req.params.sessionId || "default"), filename, content);
-  io.in(req.params.sessionId || "default").emit("file:updated", { filename, content });
-  res.json({ ok: true });
+// Without `content` this only confirms the current snapshot; with it the
+// content replaces the file at the head revision.
+// Every save records a snapshot in the file's version history, formatted
+// first and linted when the session's format config asks for it; `diagnostics`
+// is null when nothing was linted.
+app.post("/files/:sessionId/save", requireAuth, requireRole("edit"), async (req, res) => {
+  const { sessionId, userName } = req;
+  const filename = normalizePath(req.body?.filename);
+  if (!filename) return res.status(400).json({ error: "Invalid file name" });
+  const { content } = req.body;
+  if (content != null) broadcastReplace(sessionId, filename, await replaceContent(sessionId, filename, String(content)));
+  const config = await getFormatConfig(sessionId);
+  let diagnostics = null;
+  try {
+    if (config.formatOnSave) diagnostics = (await formatFile(sessionId, filename, userName))?.diagnostics || null;
+  } catch (err) {
+    if (err.code !== "unavailable") console.error("Format on save failed:", err);
+  }
+  const snapshot = await snapshotFile(sessionId, filename, { author: userName, reason: "save" });
+  if (!snapshot) return res.status(404).json({ error: "file not found" });
+  if (!diagnostics && config.lintOnSave) diagnostics = await formatter.lint(filename, snapshot.content, config, lintContext(sessionId)).catch(() => null);
+  audit(sessionId, "file:save", requestActor(req), { filename, version: snapshot.version });
+  res.json({ ok: true, version: snapshot.version, snapshot, diagnostics });
 });
 
-// ===== START SERVER =====
-server.listen(PORT, () => {
-  console.log(`🚀 Backend running on port ${PORT}`);
+// Formats the file for everyone as one edit; responds { formatter, changed, diagnostics }.
+app.post("/files/:sessionId/format", requireAuth, requireRole("edit"), async (req, res) => {
+  const filename = normalizePath(req.body?.filename);
+  if (!filename) return res.status(400).json({ error: "Invalid file name" });
+  try {
+    const result = await formatFile(req.sessionId, filename, req.userName);
+    if (!result) return res.status(404).json({ error: "file not found" });
+    if (result.changed) audit(req.sessionId, "file:format", requestActor(req), { filename, formatter: result.formatter });
+    res.json(result);
+  } catch (err) {
+    if (err.code === "unavailable") return res.status(400).json({ error: err.message });
+    console.error("Format error:", err);
+    res.status(500).json({ error: `Formatting failed: ${err.message}` });
+  }
+});
+
+// Snapshot metadata, newest first.
+app.get("/files/:sessionId/history", requireAuth, requireRole("read"), async (req, res) => {
+  const filename = normalizePath(req.query.filename);
+  if (!filename) return res.status(400).json({ error: "Invalid file name" });
+  const snapshots = await listSnapshots(req.sessionId, filename);
+  res.json({ snapshots: snapshots.map(snapshotMeta).reverse() });
+});
+
+app.get("/files/:sessionId/history/:snapshotId", requireAuth, requireRole("read"), async (req, res) => {
+  const filename = normalizePath(req.query.filename);
+  if (!filename) return res.status(400).json({ error: "Invalid file name" });
+  const snapshots = await listSnapshots(req.sessionId, filename);
+  const snapshot = snapshots.find((s) => s.id === req.params.snapshotId);
+  if (!snapshot) return res.status(404).json({ error: "snapshot not found" });
+  res.json({ snapshot });
+});
+
+// Restoring is an ordinary edit to the shared document, then a new snapshot.
+app.post("/files/:sessionId/history/:snapshotId/restore", requireAuth, requireRole("edit"), async (req, res) => {
+  const { sessionId, userName } = req;
+  const filename = normalizePath(req.body?.filename);
+  if (!filename) return res.status(400).json({ error: "Invalid file name" });
+  const snapshot = (await listSnapshots(sessionId, filename)).find((s) => s.id === req.params.snapshotId);
+  if (!snapshot) return res.status(404).json({ error: "snapshot not found" });
+  broadcastReplace(sessionId, filename, await replaceContent(sessionId, filename, snapshot.content));
+  const restored = await snapshotFile(sessionId, filename, { author: userName, reason: "restore" });
+  audit(sessionId, "file:restore", requestActor(req), { filename, snapshotId: snapshot.id });
+  res.json({ ok: true, snapshot: restored });
 });
+
+// ===== HTML PREVIEW =====
+// The iframe cannot send an Authorization header, so a short-lived preview
+// token travels as the first path segment; relative links in the page keep it.
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml; charset=utf-8",
+  ".xml": "application/xml; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".csv": "text/csv; charset=utf-8",
+};
+
+// Injected into HTML pages: forwards console output and uncaught errors to the
+// parent window, where the Output panel picks them up.
+const PREVIEW_BRIDGE = `<script>(function () {
+  function format(v) {
+    if (typeof v === "string") return v;
+    if (v instanceof Error) return v.stack || String(v);
+    try { return JSON.stringify(v); } catch (e) { return String(v); }
+  }
+  function send(level, args) {
+    try { parent.postMessage({ source: "codecollab-preview", level: level, text: Array.prototype.map.call(args, format).join(" ") }, "*"); } catch (e) {}
+  }
+  ["log", "info", "warn", "error", "debug"].forEach(function (level) {
+    var original = console[level];
+    console[level] = function () { send(level, arguments); return original.apply(console, arguments); };
+  });
+  window.addEventListener("error", function (e) {
+    send("error", [e.message + (e.filename ? " (" + e.filename.split("/").pop() + ":" + e.lineno + ")" : "")]);
+  });
+  window.addEventListener("unhandledrejection", function (e) { send("error", ["Unhandled rejection: " + format(e.reason)]); });
+})();</script>`;
+
+function injectPreviewBridge(html) {
+  const head = /<head[^>]*>/i.exec(html) || /<html[^>]*>/i.exec(html);
+  if (!head) return PREVIEW_BRIDGE + html;
+  const at = head.index + head[0].length;
+  return html.slice(0, at) + PREVIEW_BRIDGE + html.slice(at);
+}
+
+app.post("/preview/:sessionId/token", requireAuth, requireRole("read"), (req, res) => {
+  res.json({ token: auth.signToken({ sub: req.userName, preview: req.sessionId }, PREVIEW_TOKEN_TTL_MS) });
+});
+
+app.get("/preview/:sessionId/*path", async (req, res) => {
+  const { sessionId } = req.params;
+  const [token, ...parts] = req.params.path;
+  const payload = auth.verifyToken(token, { preview: sessionId });
+  const role = payload ? await store.sessions.role(sessionId, payload.sub) : null;
+  if (!auth.can(role, "read")) return res.status(403).type("text/plain").send("Preview link expired — reopen the preview.");
+  if (!parts.length) return res.redirect(`/preview/${encodeURIComponent(sessionId)}/${token}/index.html`);
+
+  const filename = normalizePath(parts.join("/"));
+  const content = filename ? (await store.files.read(sessionId, filename)).content : null;
+  if (content == null) return res.status(404).type("text/plain").send(`${filename || "file"} not found in this session`);
+  const type = MIME_TYPES[path.extname(filename).toLowerCase()] || "text/plain; charset=utf-8";
+  res.set({
+    "Content-Type": type,
+    "Cache-Control": "no-store",
+    "X-Content-Type-Options": "nosniff",
+    // Even when opened directly the page runs in an opaque origin.
+    "Content-Security-Policy": "sandbox allow-scripts allow-forms allow-modals allow-popups",
+  });
+  res.send(type.startsWith("text/html") ? injectPreviewBridge(content) : content);
+});
+
+// ===== IMPORT / EXPORT =====
+const IMPORT_IGNORED = /(^|\/)(__MACOSX|\.git|\.DS_Store)(\/|$)/;
+
+// Text files from uploaded entries [{ name, data }], keyed by normalised path.
+// A single top-level folder wrapping everything (as in GitHub zips) is dropped.
+function importableFiles(entries) {
+  const files = {};
+  const skipped = [];
+  for (const { name, data } of entries) {
+    const filename = normalizePath(name);
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data ?? ""), "utf8");
+    if (!filename || IMPORT_IGNORED.test(filename)) continue;
+    if (buf.includes(0)) skipped.push(filename);
+    else files[filename] = buf.toString("utf8");
+  }
+  const names = Object.keys(files);
+  const root = names.length && names[0].includes("/") ? names[0].split("/")[0] : null;
+  if (root && names.every((fn) => fn.startsWith(`${root}/`))) {
+    return { files: Object.fromEntries(names.map((fn) => [fn.slice(root.length + 1), files[fn]])), skipped };
+  }
+  return { files, skipped };
+}
+
+// Body: a zip archive (Content-Type application/zip) or JSON { files: { path: content } }
+// from a folder upload. `?sessionId=` names the new session, otherwise one is generated.
+app.post(
+  "/sessions/import",
+  requireAuth,
+  express.raw({ type: ["application/zip", "application/x-zip-compressed", "application/octet-stream"], limit: IMPORT_MAX_BYTES }),
+  async (req, res) => {
+    const sessionId = newSessionId(req.query.sessionId);
+    if (!sessionId) return res.status(400).json({ error: SESSION_ID_ERROR });
+
+    let entries;
+    try {
+      entries = Buffer.isBuffer(req.body)
+        ? archive.readZip(req.body, { maxBytes: IMPORT_MAX_BYTES })
+        : Object.entries(req.body?.files || {}).map(([name, data]) => ({ name, data }));
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const { files, skipped } = importableFiles(entries);
+    const count = Object.keys(files).length;
+    if (!count) return res.status(400).json({ error: "No text files to import", skipped });
+    if (count > IMPORT_MAX_FILES) return res.status(400).json({ error: `Too many files (limit ${IMPORT_MAX_FILES})` });
+    if (!(await seedSession(sessionId, req.userName, files))) return res.status(409).json({ error: `Session "${sessionId}" already exists` });
+    res.json({ ok: true, sessionId, files: count, skipped });
+  }
+);
+
+function attachmentName(sessionId, ext) {
+  return `codecollab-${sessionId.replace(/[^A-Za-z0-9_.-]/g, "_").slice(0, 32)}${ext}`;
+}
+
+app.get("/files/:sessionId/export.zip", requireAuth, requireRole("read"), async (req, res) => {
+  const [files, folders] = await Promise.all([store.files.all(req.sessionId), store.files.folders(req.sessionId)]);
+  const entries = [
+    ...folders.sort().map((folder) => ({ name: `${folder}/` })),
+    ...Object.keys(files).sort().map((name) => ({ name, data: files[name] })),
+  ];
+  res.set("Content-Type", "application/zip");
+  res.attachment(attachmentName(req.sessionId, ".zip"));
+  res.send(archive.createZip(entries));
+});
+
+// A bare git repository (as .tar.gz) with one commit per saved or restored
+// snapshot, across all files in time order, plus a final commit for the
+// current content when it differs from the last save.
+app.get("/files/:sessionId/export.git.tar.gz", requireAuth, requireRole("read"), async (req, res) => {
+  const files = await store.files.all(req.sessionId);
+  // A file's history moves with it, but each snapshot keeps the name it was
+  // saved under: commit it at the file's current path.
+  const snapshots = (await Promise.all(Object.keys(files).map(async (fn) => (await listSnapshots(req.sessionId, fn)).map((s) => ({ ...s, filename: fn })))))
+    .flat()
+    .filter((s) => s.reason === "save" || s.reason === "restore")
+    .sort((a, b) => a.time - b.time);
+
+  const commits = [];
+  let tree = {};
+  for (const snapshot of snapshots) {
+    if (tree[snapshot.filename] === snapshot.content) continue;
+    tree = { ...tree, [snapshot.filename]: snapshot.content };
+    const verb = snapshot.reason === "restore" ? "Restore" : "Save";
+    commits.push({ files: tree, author: snapshot.author, time: snapshot.time, message: `${verb} ${snapshot.filename} (v${snapshot.version})` });
+  }
+  const changed = Object.keys(files).length !== Object.keys(tree).length
+    || Object.entries(files).some(([fn, content]) => tree[fn] !== content);
+  if (changed) commits.push({ files, author: req.userName, time: Date.now(), message: "Unsaved changes at export" });
+
+  const dir = attachmentName(req.sessionId, ".git");
+  res.set("Content-Type", "application/gzip");
+  res.attachment(attachmentName(req.sessionId, ".git.tar.gz"));
+  res.send(archive.createTarGz(archive.gitRepository(dir, commits)));
+});
+
+// ===== START SERVER =====
+const SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+// Stop taking connections and close the store, which writes out what is
+// pending; a store that hangs is given SHUTDOWN_TIMEOUT_MS.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`👋 ${signal}: shutting down`);
+  setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+  io.close();
+  try {
+    await store.close();
+  } catch (err) {
+    console.error("Closing the store failed:", err);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+
+storage.connectStore(store)
+  .then(() => {
+    console.log(`✅ Storage: ${storage.storeInfo()}`);
+    const runCleanup = () => cleanup().catch((err) => console.error("Cleanup failed:", err));
+    runCleanup();
+    setInterval(runCleanup, CLEANUP_INTERVAL_MS).unref();
+    server.listen(PORT, () => {
+      console.log(`🚀 Backend running on port ${PORT}`);
+      console.log(`🧪 Code runner (${runPool.mode} workers):`, sandboxInfo());
+      console.log("💡 AI assistant:", assistant.assistantInfo());
+      console.log("🔎 Language servers:", lsp.lspInfo());
+      console.log("🧹 Formatters:", formatter.formatterInfo());
+      console.log("🧹 Linters:", formatter.linterInfo());
+      if (CORS_ORIGINS === "*") console.warn("⚠️  CORS_ORIGINS not set: any site may call this API");
+      console.log("🛡️  Admins:", auth.ADMINS.size ? [...auth.ADMINS].join(", ") : "none (set ADMIN_USERS)");
+    });
+  })
+  .catch((err) => {
+    console.error("❌ Storage unavailable:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,118 @@
+/**
+ * backend/storage.js
+ * Where the backend keeps its data, chosen with STORAGE:
+ * - redis (default): the server at REDIS_URL; the only store several instances
+ *   can share (Socket.IO adapter, document locks, remote run workers)
+ * - memory: inside this process and gone on restart — for development and tests
+ * - file: in memory, saved to STORAGE_FILE as JSON so it survives restarts
+ * The stores (redisstore.js, memorystore.js) answer the same domain-level
+ * interface, below, so callers don't care which one they were given. Every
+ * method resolves; what one call writes is written as one step. Changes that
+ * show in the session's replay take its timeline event (see timeline.js) and
+ * resolve the timeline's new length, for server.js to fold it.
+ *
+ * users
+ *   create(userName, passwordHash) → false when the name is taken
+ *   passwordHash(userName), exists(userName)
+ *   sessions(userName) → { sessionId: last joined }; forgetSessions(userName, ids)
+ * sessions
+ *   exists(id); meta(id) → { owner, name, createdAt, archived, forkedFrom, locked }
+ *   create(id, owner, { files, folders, name, forkedFrom, runConfig, formatConfig })
+ *     → false when the id is taken
+ *   claim(id, userName) → makes them owner of a session nobody owns yet
+ *   update(id, { name?, archived?, locked? }), a null field removes it
+ *   role(id, userName), roles(id) → { userName: role }
+ *   setRole(id, userName, role), null removes the member
+ *   invite(id, token), addInvite(id, token, invite)
+ *   abandoned(before) → ids nobody was online in since `before`
+ *   delete(id) → everything the session owns
+ * files
+ *   read(id, filename) → { content (null when missing), version }
+ *   all(id) → { filename: content }; names(id); versions(id) → { filename: version }
+ *   ops(id, filename, count) → the last `count` op log entries { op, id, userName }
+ *   commit(id, filename, { content, version, entry, comments, keep }, event):
+ *     the new content, its op log entry (the log keeps the last `keep`) and
+ *     the comment threads the op moved
+ *   reset(id, filename, content, event): version 0, no op log or comments
+ *   move(id, [[from, to], ...], event) with op logs, history and comments
+ *   remove(id, filenames, event) with op logs, history and comments
+ *   folders(id); updateFolders(id, { add, remove })
+ * history: add(id, filename, snapshot, keep), list(id, filename), last(id, filename)
+ * comments: list(id, filename), get(id, filename, threadId),
+ *   save(id, filename, thread), remove(id, filename, threadId)
+ * chat: add(id, message, event, keep), list(id)
+ * timeline: add(id, event), read(id) → { base, events }, head(id, count),
+ *   fold(id, base, count) replaces the first `count` events with `base`,
+ *   start(id, base) sets the base unless there is one
+ * config: get(id, name), set(id, name, value) — "run" and "format" configs
+ * tests: suite(id), setSuite(id, tests), results(id) → { userName: grade },
+ *   setResult(id, userName, grade)
+ * presence (per socket, with heartbeats)
+ *   connect(id, socketId, userName); disconnect(id, socketId) → its userName
+ *     for the call that removed it, otherwise null
+ *   online(id, since) → userNames with a heartbeat since `since`
+ *   beat([[id, socketId], ...]); sweep(before) → [[id, socketId], ...] not
+ *     refreshed since `before`
+ *   update(id, socketId, presence); list(id)
+ * terminals: get(id), start(id, state, ttlMs) → false when one runs,
+ *   update(id, state, ttlMs) while it runs, stop(id), refresh(id, ttlMs),
+ *   scrollback(id), saveScrollback(id, text, ttlMs)
+ * runs: register(run, ttlMs), get(runId), unregister(runId),
+ *   lastError(id), setLastError(id, error, ttlMs) (null clears it);
+ *   Redis only: enqueue(job), withdraw(job) → whether it was still queued,
+ *   next() → the oldest job, waiting for one
+ * audit: add(entry, { global, keep }) to the entry's session log and, when
+ *   global, the admins' log; list(id) oldest first, list(null) the admins' log
+ * counters (for ratelimit.js)
+ *   hit(keys, windowS) → [{ count, ttl }] in fixed windows
+ *   take(keys, ttlS) → counts, each key expiring after ttlS; give(keys) takes
+ *     one back, dropping keys that would go below zero
+ * locks: acquire(key, token, ttlMs) → whether it was free; release(key, token)
+ *   unless it expired and is someone else's now
+ * publish(channel, message), subscribe(channel, handler), unsubscribe(channel):
+ *   messages to every instance, one handler per channel
+ * ping(); flush() writes out what is pending; close() flushes and disconnects
+ */
+
+const path = require("path");
+const { createMemoryStore } = require("./memorystore");
+const { createRedisStore } = require("./redisstore");
+
+const STORAGE = ["memory", "file"].includes(process.env.STORAGE) ? process.env.STORAGE : "redis";
+const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+const REDIS_CONNECT_TIMEOUT_MS = Number(process.env.REDIS_CONNECT_TIMEOUT_MS) || 5000;
+const STORAGE_FILE = path.resolve(process.env.STORAGE_FILE || "data/store.json");
+
+function createStore() {
+  if (STORAGE === "memory") return createMemoryStore();
+  if (STORAGE === "file") return createMemoryStore({ file: STORAGE_FILE });
+  return createRedisStore(REDIS_URL);
+}
+
+// Resolves once the store answers; rejects when Redis is unreachable, where
+// ioredis would otherwise queue every command until it connects.
+async function connectStore(store) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer from ${REDIS_URL} after ${REDIS_CONNECT_TIMEOUT_MS} ms (set STORAGE=memory or STORAGE=file to run without Redis)`)), REDIS_CONNECT_TIMEOUT_MS);
+  });
+  try {
+    await Promise.race([store.ping(), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function storeInfo() {
+  if (STORAGE === "memory") return "in memory (lost on restart, single instance)";
+  if (STORAGE === "file") return `${STORAGE_FILE} (single instance)`;
+  return REDIS_URL;
+}
+
+module.exports = {
+  STORAGE,
+  shared: STORAGE === "redis",
+  createStore,
+  connectStore,
+  storeInfo,
+};
@@ -0,0 +1,99 @@
+/**
+ * backend/templates.js
+ * Starter projects offered when creating a session from the dashboard: the
+ * files it starts with and, where it helps, the run config (see runner.js).
+ */
+
+const TEMPLATES = {
+  blank: {
+    label: "Blank",
+    language: "javascript",
+    files: { "main.js": "// Start coding here\n" },
+  },
+  java: {
+    label: "Java: Main class",
+    language: "java",
+    files: {
+      "Main.java": [
+        "public class Main {",
+        "    public static void main(String[] args) {",
+        "        System.out.println(\"Hello, world!\");",
+        "    }",
+        "}",
+        "",
+      ].join("\n"),
+    },
+    runConfig: { entry: "Main.java", language: "java" },
+  },
+  cpp: {
+    label: "C++: Hello world",
+    language: "cpp",
+    files: {
+      "main.cpp": [
+        "#include <iostream>",
+        "",
+        "int main() {",
+        "    std::cout << \"Hello, world!\" << std::endl;",
+        "    return 0;",
+        "}",
+        "",
+      ].join("\n"),
+    },
+    runConfig: { entry: "main.cpp", language: "cpp", compilerFlags: "-std=c++17 -Wall" },
+  },
+  python: {
+    label: "Python script",
+    language: "python",
+    files: {
+      "main.py": [
+        "def main():",
+        "    print(\"Hello, world!\")",
+        "",
+        "",
+        "if __name__ == \"__main__\":",
+        "    main()",
+        "",
+      ].join("\n"),
+    },
+    runConfig: { entry: "main.py", language: "python" },
+  },
+  html: {
+    label: "HTML starter page",
+    language: "html",
+    files: {
+      "index.html": [
+        "<!DOCTYPE html>",
+        "<html lang=\"en\">",
+        "<head>",
+        "  <meta charset=\"utf-8\" />",
+        "  <meta name=\"viewport\" content=\"width=device-width, initial-scale=1\" />",
+        "  <title>Hello</title>",
+        "  <link rel=\"stylesheet\" href=\"style.css\" />",
+        "</head>",
+        "<body>",
+        "  <h1>Hello, world!</h1>",
+        "  <button id=\"greet\">Click me</button>",
+        "  <script src=\"script.js\"></script>",
+        "</body>",
+        "</html>",
+        "",
+      ].join("\n"),
+      "style.css": "body {\n  font-family: system-ui, sans-serif;\n  margin: 2rem;\n}\n",
+      "script.js": "document.getElementById(\"greet\").addEventListener(\"click\", () => {\n  alert(\"Hello!\");\n});\n",
+    },
+  },
+};
+
+// For the dashboard's picker: [{ id, label, language }].
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([id, { label, language }]) => ({ id, label, language }));
+}
+
+function getTemplate(id) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATES, id) ? TEMPLATES[id] : null;
+}
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+};
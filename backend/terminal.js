@@ -0,0 +1,321 @@
+/**
+ * backend/terminal.js
+ * Shared terminals: one shell per session on a pseudo-terminal (node-pty),
+ * started by the owner, watched by every member and typed into by those the
+ * owner gives control (see server.js):
+ * - the shell runs in the runner's sandbox (runner.js) with TERMINAL_* limits,
+ *   in a work directory under temp/terminal/<session>/ holding the session's files;
+ *   TERMINAL_NETWORK=allow lets it reach the network (pip install, npm install)
+ * - committed edits are written into the directory as they happen, and files
+ *   the shell creates, changes or deletes are reported back: the directory is
+ *   scanned every TERMINAL_SCAN_MS, leaving out dot-directories, node_modules,
+ *   virtualenvs, binary files and files over TERMINAL_SYNC_MAX_BYTES
+ * - symlinks the shell makes are never followed, neither when writing edits
+ *   nor when reading its files (see runner.js's writeJobFile and readJobFile)
+ * - a terminal ends TERMINAL_IDLE_MS after the last input or output, after
+ *   TERMINAL_MAX_MS in any case, or when its shell exits
+ * - output is sent in batches and the shell paused while they drain; the last
+ *   TERMINAL_SCROLLBACK characters are kept for members who open it later
+ * Without node-pty installed terminals are unavailable, and so they are unless
+ * the runner really isolates the shell (RUNNER_UID or RUNNER=docker): as the
+ * server's own user it could read the server's secrets and signal it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  BASE_TEMP, LIMITS, sanitizeSegment, safeRelativePath, giveToRunner, writeJobFile, readJobFile, removeJobFile, hasCommand, sandboxSpec, sandboxInfo,
+} = require("./runner");
+
+let pty = null;
+try {
+  pty = require("node-pty");
+} catch {
+  // Optional dependency; terminalInfo() explains.
+}
+
+const TERMINAL_ROOT = path.join(BASE_TEMP, "terminal");
+const MAX_TERMINALS = Number(process.env.TERMINAL_MAX) || 4;
+const IDLE_MS = Number(process.env.TERMINAL_IDLE_MS) || 10 * 60 * 1000;
+const MAX_MS = Number(process.env.TERMINAL_MAX_MS) || 60 * 60 * 1000;
+const SCAN_MS = Number(process.env.TERMINAL_SCAN_MS) || 1000;
+const SYNC_MAX_BYTES = Number(process.env.TERMINAL_SYNC_MAX_BYTES) || 256 * 1024;
+const SYNC_MAX_FILES = 500;
+const SCROLLBACK = Number(process.env.TERMINAL_SCROLLBACK) || 100 * 1024;
+const FLUSH_MS = 30;
+const FLUSH_BYTES = 16 * 1024;
+const HIGH_WATER = 256 * 1024;
+const SKIP_DIRS = new Set(["node_modules", "__pycache__", "venv", "env", "target"]);
+
+const LIMITS_TERMINAL = {
+  ...LIMITS,
+  cpuSeconds: Number(process.env.TERMINAL_CPU_SECONDS) || 300,
+  memoryMb: Number(process.env.TERMINAL_MEMORY_MB) || 1024,
+  fileSizeMb: Number(process.env.TERMINAL_FILE_SIZE_MB) || 64,
+  processes: Number(process.env.TERMINAL_MAX_PROCESSES) || 128,
+  network: process.env.TERMINAL_NETWORK === "allow",
+};
+
+const SHELL = process.env.TERMINAL_SHELL || (hasCommand("bash") ? "bash" : "sh");
+
+function terminalInfo() {
+  if (!pty) return { available: false, reason: "Terminals need node-pty, which is not installed on the server" };
+  if (!sandboxInfo().terminal) {
+    return { available: false, reason: "Terminals need a sandboxed runner (RUNNER_UID or RUNNER=docker) on the server" };
+  }
+  const { cpuSeconds, memoryMb, fileSizeMb, processes, network } = LIMITS_TERMINAL;
+  return { available: true, shell: SHELL, limits: { idleMs: IDLE_MS, maxMs: MAX_MS, cpuSeconds, memoryMb, fileSizeMb, processes, network } };
+}
+
+// sessionId → { root, pty, known: Map(relPath → { filename, content }), stats: Map(relPath → "mtime:size"),
+//   scrollback, pending, paused, reason, started, lastActivity, onKill, timers }
+const terminals = new Map();
+
+// ===== FILE SYNC =====
+// `known` is what the session and the directory agree on; a file whose
+// content differs from it on disk was changed by the shell.
+function stamp(stat) {
+  return `${stat.mtimeMs}:${stat.size}`;
+}
+
+function writeFile(term, filename, content) {
+  const rel = safeRelativePath(filename, null);
+  if (!rel) return;
+  term.known.set(rel, { filename, content });
+  try {
+    term.stats.set(rel, stamp(fs.lstatSync(writeJobFile(term.root, rel, content))));
+  } catch {
+    // The shell put a link or a directory in its place; the next scan reports it.
+    term.stats.delete(rel);
+  }
+}
+
+function removeFile(term, filename) {
+  const rel = safeRelativePath(filename, null);
+  if (!rel) return;
+  term.known.delete(rel);
+  term.stats.delete(rel);
+  removeJobFile(term.root, rel);
+}
+
+// Text files under the work directory: Map(relPath → stat).
+function listFiles(root) {
+  const found = new Map();
+  const walk = (dir, prefix) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name.startsWith(".")) continue;
+      const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name) && !fs.existsSync(path.join(full, "pyvenv.cfg"))) walk(full, rel);
+      } else if (entry.isFile()) {
+        const stat = fs.lstatSync(full, { throwIfNoEntry: false });
+        if (stat?.isFile() && stat.size <= SYNC_MAX_BYTES) found.set(rel, stat);
+      }
+    }
+  };
+  walk(root, "");
+  return found;
+}
+
+// What changed on disk since the last scan: { changed: { filename: content }, removed: [filename] }.
+function scan(term) {
+  const changed = {};
+  const removed = [];
+  const files = listFiles(term.root);
+  for (const [rel, stat] of files) {
+    if (term.stats.get(rel) === stamp(stat)) continue;
+    term.stats.set(rel, stamp(stat));
+    const known = term.known.get(rel);
+    if (!known && term.known.size >= SYNC_MAX_FILES) continue;
+    const buffer = readJobFile(term.root, rel, SYNC_MAX_BYTES);
+    if (!buffer || buffer.includes(0)) continue;
+    const content = buffer.toString("utf8");
+    if (known && known.content === content) continue;
+    const filename = known ? known.filename : rel;
+    term.known.set(rel, { filename, content });
+    changed[filename] = content;
+  }
+  for (const [rel, { filename }] of term.known) {
+    if (files.has(rel)) continue;
+    term.known.delete(rel);
+    term.stats.delete(rel);
+    removed.push(filename);
+  }
+  return { changed, removed };
+}
+
+// Called for every committed change; a no-op for sessions without a terminal.
+function updateFile(sessionId, filename, content) {
+  const term = terminals.get(sessionId);
+  if (!term) return;
+  const rel = safeRelativePath(filename, null);
+  if (rel && term.known.get(rel)?.content === content) return;
+  writeFile(term, filename, content);
+}
+
+function removeFiles(sessionId, filenames) {
+  const term = terminals.get(sessionId);
+  if (term) filenames.forEach((filename) => removeFile(term, filename));
+}
+
+// pairs: [[from, to], ...] with the moved files' content in `contents`.
+function moveFiles(sessionId, pairs, contents) {
+  removeFiles(sessionId, pairs.map(([from]) => from));
+  pairs.forEach(([, to], i) => { if (contents[i] != null) updateFile(sessionId, to, contents[i]); });
+}
+
+// ===== LIFECYCLE =====
+// Start the session's shell in a fresh directory holding `files`. Output goes
+// to onOutput(data), file changes made by the shell to onFiles({ changed, removed })
+// and the end to onExit({ reason: "exited" | "stopped" | "idle" | "limit", exitCode }).
+function start(sessionId, { files, cols = 80, rows = 24, onOutput, onFiles, onExit }) {
+  const info = terminalInfo();
+  if (!info.available) throw new Error(info.reason);
+  if (terminals.has(sessionId)) throw new Error("A terminal is already running in this session");
+  if (terminals.size >= MAX_TERMINALS) throw new Error("Terminals are busy, try again later");
+
+  const root = path.join(TERMINAL_ROOT, sanitizeSegment(sessionId));
+  fs.rmSync(root, { recursive: true, force: true });
+  fs.mkdirSync(root, { recursive: true });
+  giveToRunner(root);
+  const term = { root, known: new Map(), stats: new Map(), scrollback: "", pending: "", reason: null, started: Date.now(), lastActivity: Date.now() };
+  for (const [filename, content] of Object.entries(files)) writeFile(term, filename, content);
+
+  const spec = sandboxSpec(SHELL, SHELL === "bash" ? ["--norc", "--noprofile"] : [], {
+    dir: root,
+    limits: LIMITS_TERMINAL,
+    env: { TERM: "xterm-256color", PS1: "\\w$ " },
+    tty: true,
+  });
+  try {
+    term.pty = pty.spawn(spec.command, spec.args, {
+      name: "xterm-256color",
+      cols: size(cols, 80),
+      rows: size(rows, 24),
+      cwd: spec.options.cwd,
+      env: spec.options.env,
+      uid: spec.options.uid,
+      gid: spec.options.gid,
+    });
+  } catch (err) {
+    fs.rm(root, { recursive: true, force: true }, () => {});
+    throw new Error(`The shell failed to start: ${err.message}`);
+  }
+  term.onKill = spec.onKill;
+  terminals.set(sessionId, term);
+
+  const flush = () => {
+    term.flushTimer = null;
+    if (!term.pending) return;
+    const data = term.pending.slice(0, FLUSH_BYTES);
+    term.pending = term.pending.slice(data.length);
+    onOutput(data);
+    if (term.pending) term.flushTimer = setTimeout(flush, FLUSH_MS);
+    else if (term.paused) {
+      term.paused = false;
+      term.pty.resume();
+    }
+  };
+  term.pty.onData((data) => {
+    term.lastActivity = Date.now();
+    term.scrollback = (term.scrollback + data).slice(-SCROLLBACK);
+    term.pending += data;
+    if (term.pending.length > HIGH_WATER && !term.paused) {
+      term.paused = true;
+      term.pty.pause();
+    }
+    if (!term.flushTimer) term.flushTimer = setTimeout(flush, FLUSH_MS);
+  });
+
+  const sync = () => {
+    const changes = scan(term);
+    if (Object.keys(changes.changed).length || changes.removed.length) onFiles(changes);
+  };
+  term.scanTimer = setInterval(sync, SCAN_MS);
+  term.limitTimer = setInterval(() => {
+    if (Date.now() - term.started > MAX_MS) stop(sessionId, "limit");
+    else if (Date.now() - term.lastActivity > IDLE_MS) stop(sessionId, "idle");
+  }, Math.min(IDLE_MS, 10000));
+
+  term.pty.onExit(({ exitCode }) => {
+    clearInterval(term.scanTimer);
+    clearInterval(term.limitTimer);
+    clearTimeout(term.flushTimer);
+    if (term.pending) onOutput(term.pending);
+    sync();
+    terminals.delete(sessionId);
+    fs.rm(root, { recursive: true, force: true }, () => {});
+    onExit({ reason: term.reason || "exited", exitCode });
+  });
+}
+
+function size(value, fallback) {
+  return Math.min(500, Math.max(2, Math.floor(Number(value)) || fallback));
+}
+
+function write(sessionId, data) {
+  const term = terminals.get(sessionId);
+  if (!term) return false;
+  term.lastActivity = Date.now();
+  term.pty.write(String(data));
+  return true;
+}
+
+function resize(sessionId, cols, rows) {
+  const term = terminals.get(sessionId);
+  if (term) term.pty.resize(size(cols, term.pty.cols), size(rows, term.pty.rows));
+}
+
+// Hang up the shell, then kill whatever is left of its process group.
+function stop(sessionId, reason = "stopped") {
+  const term = terminals.get(sessionId);
+  if (!term || term.reason) return;
+  term.reason = reason;
+  if (term.onKill) term.onKill();
+  try {
+    term.pty.kill("SIGHUP");
+  } catch {
+    // already gone
+  }
+  setTimeout(() => {
+    try {
+      process.kill(-term.pty.pid, "SIGKILL");
+    } catch {
+      // already gone
+    }
+  }, 2000).unref();
+}
+
+function has(sessionId) {
+  return terminals.has(sessionId);
+}
+
+function scrollback(sessionId) {
+  return terminals.get(sessionId)?.scrollback || "";
+}
+
+// Sessions with a terminal on this instance.
+function sessions() {
+  return [...terminals.keys()];
+}
+
+module.exports = {
+  terminalInfo,
+  start,
+  write,
+  resize,
+  stop,
+  has,
+  scrollback,
+  sessions,
+  updateFile,
+  removeFiles,
+  moveFiles,
+};
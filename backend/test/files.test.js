@@ -0,0 +1,61 @@
+// test/files.test.js
+// The file API end to end: every route and event takes file names through
+// normalizePath, so one file has one key however its name is spelled.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, next } = require("./harness");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+test("routes normalise file names and refuse ones that escape the tree", async () => {
+  const owner = await server.signUp("files-owner");
+  const { socket } = await server.join(owner, "files-a");
+  const save = (filename, content) => server.request("POST", "/files/files-a/save", { token: owner, body: { filename, content } });
+
+  assert.equal((await save("/src//main.py", "print(1)\n")).status, 200);
+  const { body } = await server.request("GET", "/files/files-a", { token: owner });
+  assert.deepEqual(Object.keys(body.files), ["src/main.py"]);
+
+  for (const bad of ["../x.py", "src/../../x.py", "./x.py", "", null]) {
+    assert.equal((await save(bad, "x")).status, 400, `save ${bad}`);
+  }
+  const history = await server.request("GET", `/files/files-a/history?filename=${encodeURIComponent("src\\main.py")}`, { token: owner });
+  assert.equal(history.status, 200);
+  assert.equal(history.body.snapshots.length, 1);
+  assert.equal((await server.request("GET", "/files/files-a/history?filename=..%2Fx", { token: owner })).status, 400);
+  const restore = await server.request("POST", `/files/files-a/history/${history.body.snapshots[0].id}/restore`, { token: owner, body: { filename: "src/./main.py" } });
+  assert.equal(restore.status, 400);
+
+  const refused = next(socket, "file:error", "file:renamed");
+  socket.emit("file:rename", { sessionId: "files-a", from: "src/../src/main.py", to: "main.py" });
+  assert.equal((await refused).event, "file:error");
+  const renamed = next(socket, "file:renamed");
+  socket.emit("file:rename", { sessionId: "files-a", from: "/src/main.py", to: "main.py" });
+  assert.deepEqual((await renamed).payload, { from: "src/main.py", to: "main.py" });
+});
+
+test("file:create refuses existing files and content that is not text", async () => {
+  const owner = await server.signUp("files-creator");
+  const { socket } = await server.join(owner, "files-b");
+  const create = (filename, content) => {
+    const reply = next(socket, "file:created", "file:error");
+    socket.emit("file:create", { sessionId: "files-b", filename, content });
+    return reply;
+  };
+
+  assert.equal((await create("a.txt", "first\n")).event, "file:created");
+  await server.request("POST", "/files/files-b/save", { token: owner, body: { filename: "a.txt", content: "first\nedited\n" } });
+  assert.deepEqual(await create("a.txt", ""), { event: "file:error", payload: { error: "a.txt already exists" } });
+  assert.equal((await create("b.txt", { length: 3 })).event, "file:error");
+
+  const { body } = await server.request("GET", "/files/files-b", { token: owner });
+  assert.deepEqual(body.files, { "a.txt": "first\nedited\n" });
+  const { payload } = await server.join(owner, "files-b");
+  assert.equal(Number(payload.versions["a.txt"]), 1);
+});
@@ -0,0 +1,39 @@
+// test/formatter.test.js
+// formatter.js with the tools installed here: prettier and ESLint on their
+// worker thread, and the sandboxed tools refused where the runner runs nothing.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const formatter = require("../formatter");
+
+test("prettier formats on the worker and reports where it got stuck", async () => {
+  const formatted = await formatter.format("a.js", "const  x = {a:1}\n");
+  assert.equal(formatted.formatter, "prettier");
+  assert.equal(formatted.content, "const x = { a: 1 };\n");
+  const broken = await formatter.format("a.js", "const = 1\n");
+  assert.equal(broken.content, null);
+  assert.equal(broken.diagnostics[0].range.start.line, 0);
+});
+
+test("ESLint lints JavaScript and TypeScript", async () => {
+  const [undef] = await formatter.lint("a.js", "missing();\n");
+  assert.equal(undef.code, "no-undef");
+  assert.equal(undef.severity, 1);
+  assert.deepEqual(await formatter.lint("a.ts", "const n: number = 1;\nexport default n;\n"), []);
+});
+
+test("a task over FORMAT_TIMEOUT_MS is stopped, and the server is not held up", () => {
+  const script = `require("./formatter").format("a.js", "x").then(() => console.log("done"), (err) => console.log(err.message))`;
+  const output = execFileSync(process.execPath, ["-e", script], {
+    cwd: `${__dirname}/..`,
+    env: { ...process.env, FORMAT_TIMEOUT_MS: "1" },
+    timeout: 20000,
+    encoding: "utf8",
+  });
+  assert.equal(output.trim(), "prettier timed out");
+});
+
+test("external tools are unavailable where the runner may not run code", { skip: Boolean(process.env.RUNNER_UID || process.env.RUN_UNSANDBOXED) }, async () => {
+  await assert.rejects(formatter.format("a.py", "x=1\n"), (err) => err.code === "unavailable");
+  assert.deepEqual(await formatter.lint("a.py", "x=1\n"), []);
+});
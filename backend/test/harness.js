@@ -0,0 +1,80 @@
+// test/harness.js
+// A server.js on the memory store, started in a scratch directory for the
+// end-to-end tests, with helpers to call its API and connect sockets.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+
+async function startServer(env = {}) {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const url = `http://127.0.0.1:${port}`;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "cc-test-"));
+  const sockets = [];
+  const server = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    cwd: workDir,
+    env: { ...process.env, STORAGE: "memory", PORT: String(port), AUTH_SECRET: "test-secret", ADMIN_USERS: "", ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("server did not start")), 15000);
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes("Backend running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.on("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+
+  async function request(method, route, { token, body } = {}) {
+    const res = await fetch(url + route, {
+      method,
+      headers: { "content-type": "application/json", ...(token ? { authorization: `Bearer ${token}` } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  }
+
+  async function signUp(username) {
+    const { body } = await request("POST", "/auth/register", { body: { username, password: "password123" } });
+    return body.token;
+  }
+
+  function connect(token) {
+    const socket = io(url, { transports: ["websocket"], auth: { token }, reconnection: false });
+    sockets.push(socket);
+    return socket;
+  }
+
+  async function join(token, sessionId, invite) {
+    const socket = connect(token);
+    const reply = next(socket, "session:init", "auth:error");
+    socket.emit("join", { sessionId, invite });
+    return { socket, ...(await reply) };
+  }
+
+  function stop() {
+    sockets.forEach((socket) => socket.close());
+    server.kill();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  return { url, request, signUp, connect, join, stop };
+}
+
+// Resolves with the first of `events` the socket receives.
+function next(socket, ...events) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`none of ${events.join(", ")} arrived`)), 3000);
+    const handlers = events.map((event) => [event, (payload) => {
+      clearTimeout(timer);
+      handlers.forEach(([e, h]) => socket.off(e, h));
+      resolve({ event, payload });
+    }]);
+    handlers.forEach(([e, h]) => socket.on(e, h));
+  });
+}
+
+module.exports = { startServer, next };
@@ -0,0 +1,60 @@
+// test/jobfiles.test.js
+// runner.js's job-file helpers in a directory a sandboxed program filled with
+// links: they neither write, read nor delete through them.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeJobFile, readJobFile, removeJobFile } = require("../runner");
+
+let dir;
+let outside;
+
+test.beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "cc-job-"));
+  outside = fs.mkdtempSync(path.join(os.tmpdir(), "cc-outside-"));
+  fs.writeFileSync(path.join(outside, "secret"), "secret\n");
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.rmSync(outside, { recursive: true, force: true });
+});
+
+test("writes, reads and removes plain files, creating folders", () => {
+  writeJobFile(dir, "src/a.py", "print(1)\n");
+  writeJobFile(dir, "src/a.py", "x\n");
+  assert.equal(readJobFile(dir, "src/a.py").toString(), "x\n");
+  assert.equal(readJobFile(dir, "src/a.py", 1), null);
+  assert.equal(readJobFile(dir, "missing/a.py"), null);
+  removeJobFile(dir, "src/a.py");
+  assert.equal(fs.existsSync(path.join(dir, "src/a.py")), false);
+  assert.throws(() => writeJobFile(dir, "../x", ""), /Invalid path/);
+});
+
+test("a link to a file is not followed", () => {
+  fs.symlinkSync(path.join(outside, "secret"), path.join(dir, "a.py"));
+  assert.throws(() => writeJobFile(dir, "a.py", "overwritten"));
+  assert.equal(readJobFile(dir, "a.py"), null);
+  assert.equal(fs.readFileSync(path.join(outside, "secret"), "utf8"), "secret\n");
+});
+
+test("a link to a directory on the way is not followed", () => {
+  fs.symlinkSync(outside, path.join(dir, "src"));
+  assert.throws(() => writeJobFile(dir, "src/secret", "overwritten"), /Not a directory/);
+  assert.throws(() => writeJobFile(dir, "src/new.py", ""), /Not a directory/);
+  assert.equal(readJobFile(dir, "src/secret"), null);
+  removeJobFile(dir, "src/secret");
+  assert.deepEqual(fs.readdirSync(outside), ["secret"]);
+  assert.equal(fs.readFileSync(path.join(outside, "secret"), "utf8"), "secret\n");
+});
+
+test("a FIFO does not block and a hard link is not written through", { skip: process.platform === "win32" }, () => {
+  require("child_process").execFileSync("mkfifo", [path.join(dir, "pipe")]);
+  assert.equal(readJobFile(dir, "pipe"), null);
+  assert.throws(() => writeJobFile(dir, "pipe", "x"));
+  fs.linkSync(path.join(outside, "secret"), path.join(dir, "linked"));
+  assert.throws(() => writeJobFile(dir, "linked", "overwritten"), /Not a plain file/);
+  assert.equal(fs.readFileSync(path.join(outside, "secret"), "utf8"), "secret\n");
+});
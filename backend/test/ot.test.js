@@ -0,0 +1,80 @@
+// test/ot.test.js
+// Transform and compose must keep every client converging on the same text.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ot = require("../ot");
+
+// Small deterministic PRNG so failures reproduce.
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function randomText(rand, max) {
+  const length = Math.floor(rand() * max);
+  return Array.from({ length }, () => "ab\ncd é🙂"[Math.floor(rand() * 9)]).join("");
+}
+
+// A random edit of `doc`: a few inserts and deletes at random places.
+function randomOp(rand, doc) {
+  let text = doc;
+  for (let i = Math.floor(rand() * 3) + 1; i > 0; i--) {
+    const at = Math.floor(rand() * (text.length + 1));
+    const cut = Math.floor(rand() * Math.min(4, text.length - at + 1));
+    text = text.slice(0, at) + randomText(rand, 4) + text.slice(at + cut);
+  }
+  return ot.diff(doc, text);
+}
+
+test("apply and diff round-trip", () => {
+  const op = ot.diff("hello world", "hello, brave world!");
+  assert.equal(ot.apply("hello world", op), "hello, brave world!");
+  assert.equal(ot.baseLength(op), "hello world".length);
+  assert.ok(ot.isNoop(ot.diff("same", "same")));
+});
+
+test("apply rejects an op made for another length", () => {
+  assert.throws(() => ot.apply("abc", ot.diff("abcd", "abXcd")));
+});
+
+test("transform converges for random concurrent edits", () => {
+  const rand = random(42);
+  for (let i = 0; i < 500; i++) {
+    const doc = randomText(rand, 20);
+    const a = randomOp(rand, doc);
+    const b = randomOp(rand, doc);
+    const [a2, b2] = ot.transform(a, b);
+    const left = ot.apply(ot.apply(doc, a), b2);
+    const right = ot.apply(ot.apply(doc, b), a2);
+    assert.equal(left, right, `doc ${JSON.stringify(doc)} a ${JSON.stringify(a)} b ${JSON.stringify(b)}`);
+  }
+});
+
+test("inserts at the same spot: the first operation wins the tie", () => {
+  const [a2, b2] = ot.transform(ot.diff("xy", "xAy"), ot.diff("xy", "xBy"));
+  assert.equal(ot.apply(ot.apply("xy", ot.diff("xy", "xAy")), b2), "xABy");
+  assert.equal(ot.apply(ot.apply("xy", ot.diff("xy", "xBy")), a2), "xABy");
+});
+
+test("compose equals applying both in turn", () => {
+  const rand = random(7);
+  for (let i = 0; i < 300; i++) {
+    const doc = randomText(rand, 20);
+    const a = randomOp(rand, doc);
+    const mid = ot.apply(doc, a);
+    const b = randomOp(rand, mid);
+    assert.equal(ot.apply(doc, ot.compose(a, b)), ot.apply(mid, b));
+  }
+});
+
+test("transform refuses operations on different documents", () => {
+  assert.throws(() => ot.transform(ot.diff("ab", "abc"), ot.diff("abc", "ab")), /not concurrent/);
+});
+
+test("shiftOffset follows a cursor through an edit", () => {
+  const op = ot.diff("hello world", "hey, hello world");
+  assert.equal(ot.shiftOffset(op, 6), 11);
+  assert.equal(ot.shiftOffset(ot.diff("hello world", "world"), 8), 2);
+});
@@ -0,0 +1,35 @@
+// test/ratelimit.test.js
+// Counters and slots over the memory store, the way server.js uses them.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryStore } = require("../memorystore");
+const { createRateLimiter } = require("../ratelimit");
+
+test("hit counts per window and reports the first id over its limit", async () => {
+  const limiter = createRateLimiter(createMemoryStore());
+  const limits = [["user:a", 2], ["ip:1", 10]];
+  assert.equal(await limiter.hit("run", limits, 60), 0);
+  assert.equal(await limiter.hit("run", limits, 60), 0);
+  assert.ok((await limiter.hit("run", limits, 60)) > 0);
+  assert.equal(await limiter.hit("run", [["user:b", 2], ["ip:1", 10]], 60), 0);
+});
+
+test("acquire takes a slot under every id or none", async () => {
+  const limiter = createRateLimiter(createMemoryStore());
+  assert.equal(await limiter.acquire("run", [["user:a", 1], ["ip:1", 2]]), null);
+  assert.equal(await limiter.acquire("run", [["user:a", 1], ["ip:1", 2]]), "user:a");
+  // The refused attempt gave its ip:1 slot back, so one more fits there.
+  assert.equal(await limiter.acquire("run", [["user:b", 1], ["ip:1", 2]]), null);
+  assert.equal(await limiter.acquire("run", [["user:c", 1], ["ip:1", 2]]), "ip:1");
+  await limiter.release("run", ["user:a", "ip:1"]);
+  assert.equal(await limiter.acquire("run", [["user:a", 1], ["ip:1", 2]]), null);
+});
+
+test("releasing a slot that is already gone does not raise the allowance", async () => {
+  const limiter = createRateLimiter(createMemoryStore());
+  assert.equal(await limiter.acquire("run", [["user:a", 1]]), null);
+  await limiter.release("run", ["user:a"]);
+  await limiter.release("run", ["user:a"]); // as if the slot had expired mid-run
+  assert.equal(await limiter.acquire("run", [["user:a", 1]]), null);
+  assert.equal(await limiter.acquire("run", [["user:a", 1]]), "user:a");
+});
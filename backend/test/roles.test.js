@@ -0,0 +1,113 @@
+// test/roles.test.js
+// Role checks end to end: resolveRole on join, guard() on socket events and
+// requireAuth / requireRole on routes, against a server on the memory store.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { io } = require("socket.io-client");
+const { startServer, next } = require("./harness");
+
+let server;
+let request;
+let signUp;
+let join;
+
+test.before(async () => {
+  server = await startServer();
+  ({ request, signUp, join } = server);
+});
+
+test.after(() => server.stop());
+
+test("the first member owns a session; others need an invite", async () => {
+  const owner = await signUp("roles-owner");
+  const stranger = await signUp("roles-stranger");
+  const first = await join(owner, "roles-a");
+  assert.equal(first.event, "session:init");
+  assert.equal(first.payload.role, "owner");
+  const refused = await join(stranger, "roles-a");
+  assert.equal(refused.event, "auth:error");
+  assert.equal(refused.payload.code, "forbidden");
+  const bogus = await join(stranger, "roles-a", "not-an-invite");
+  assert.equal(bogus.payload.code, "forbidden");
+});
+
+test("an invite grants its role, and guard() enforces it", async () => {
+  const owner = await signUp("roles-owner2");
+  const viewer = await signUp("roles-viewer");
+  const editor = await signUp("roles-editor");
+  await join(owner, "roles-b");
+  const viewInvite = await request("POST", "/sessions/roles-b/invites", { token: owner, body: { role: "viewer" } });
+  const editInvite = await request("POST", "/sessions/roles-b/invites", { token: owner, body: { role: "editor" } });
+
+  const asViewer = await join(viewer, "roles-b", viewInvite.body.token);
+  assert.equal(asViewer.payload.role, "viewer");
+  const denied = next(asViewer.socket, "auth:error", "file:created");
+  asViewer.socket.emit("file:create", { sessionId: "roles-b", filename: "v.js" });
+  assert.deepEqual(await denied, { event: "auth:error", payload: { error: "Your role does not allow this (edit)" } });
+
+  const asEditor = await join(editor, "roles-b", editInvite.body.token);
+  assert.equal(asEditor.payload.role, "editor");
+  const created = next(asViewer.socket, "file:created");
+  asEditor.socket.emit("file:create", { sessionId: "roles-b", filename: "e.js", content: "1" });
+  assert.equal((await created).payload.filename, "e.js");
+
+  // Editors cannot manage the session.
+  const notOwner = next(asEditor.socket, "auth:error", "terminal:started", "terminal:error");
+  asEditor.socket.emit("terminal:start", { sessionId: "roles-b" });
+  assert.equal((await notOwner).payload.error, "Your role does not allow this (manage)");
+
+  // A guarded event for another session than the one joined is refused.
+  const elsewhere = next(asEditor.socket, "auth:error", "file:created");
+  asEditor.socket.emit("file:create", { sessionId: "roles-a", filename: "x.js" });
+  assert.equal((await elsewhere).event, "auth:error");
+});
+
+test("role changes apply to live sockets", async () => {
+  const owner = await signUp("roles-owner3");
+  const member = await signUp("roles-member");
+  await join(owner, "roles-c");
+  const invite = await request("POST", "/sessions/roles-c/invites", { token: owner, body: { role: "viewer" } });
+  const { socket } = await join(member, "roles-c", invite.body.token);
+  const changed = next(socket, "session:role");
+  await request("POST", "/sessions/roles-c/members", { token: owner, body: { username: "roles-member", role: "editor" } });
+  assert.equal((await changed).payload.role, "editor");
+  const created = next(socket, "file:created", "auth:error");
+  socket.emit("file:create", { sessionId: "roles-c", filename: "now.js" });
+  assert.equal((await created).event, "file:created");
+});
+
+test("requireAuth and requireRole on routes", async () => {
+  const owner = await signUp("roles-owner4");
+  const viewer = await signUp("roles-viewer4");
+  const stranger = await signUp("roles-stranger4");
+  await join(owner, "roles-d");
+  const invite = await request("POST", "/sessions/roles-d/invites", { token: owner, body: { role: "viewer" } });
+  await join(viewer, "roles-d", invite.body.token);
+
+  assert.equal((await request("GET", "/files/roles-d")).status, 401);
+  assert.equal((await request("GET", "/files/roles-d", { token: "forged.token" })).status, 401);
+  assert.equal((await request("GET", "/files/roles-d", { token: stranger })).status, 403);
+  assert.equal((await request("GET", "/files/roles-d", { token: viewer })).status, 200);
+  assert.equal((await request("POST", "/run-config/roles-d", { token: viewer, body: { args: "x" } })).status, 403);
+  assert.equal((await request("POST", "/run-config/roles-d", { token: owner, body: { args: "x" } })).status, 200);
+  assert.equal((await request("POST", "/sessions/roles-d/invites", { token: viewer, body: { role: "editor" } })).status, 403);
+  assert.equal((await request("GET", "/files/bad:id", { token: owner })).status, 400);
+});
+
+test("preview tokens only open the preview", async () => {
+  const owner = await signUp("roles-owner5");
+  await join(owner, "roles-e");
+  const { body } = await request("POST", "/preview/roles-e/token", { token: owner });
+  assert.equal((await request("GET", "/sessions", { token: body.token })).status, 401);
+  const socket = io(server.url, { transports: ["websocket"], auth: { token: body.token }, reconnection: false });
+  const refused = await new Promise((resolve) => socket.on("connect_error", (err) => resolve(err.message)));
+  socket.close();
+  assert.equal(refused, "unauthorized");
+});
+
+test("join refuses ids that are not session ids", async () => {
+  const owner = await signUp("roles-owner6");
+  const reply = await join(owner, "v:ops:a");
+  assert.equal(reply.event, "auth:error");
+  assert.equal(reply.payload.code, "invalid");
+});
@@ -0,0 +1,151 @@
+// test/storage.test.js
+// The memory store (STORAGE=memory and STORAGE=file) against the interface
+// documented in storage.js, which server.js relies on.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createMemoryStore } = require("../memorystore");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const event = (type) => ({ t: Date.now(), type });
+
+test("users and session ownership", async () => {
+  const store = createMemoryStore();
+  assert.equal(await store.users.create("ann", "hash"), true);
+  assert.equal(await store.users.create("ann", "other"), false);
+  assert.equal(await store.users.passwordHash("ann"), "hash");
+  assert.equal(await store.users.exists("bob"), false);
+
+  assert.equal(await store.sessions.create("s1", "ann", { files: { "a.py": "x" }, name: "One" }), true);
+  assert.equal(await store.sessions.create("s1", "bob"), false);
+  assert.equal(await store.sessions.claim("s1", "bob"), false);
+  assert.equal(await store.sessions.claim("s2", "bob"), true);
+  assert.equal(await store.sessions.role("s2", "bob"), "owner");
+  const meta = await store.sessions.meta("s1");
+  assert.equal(meta.owner, "ann");
+  assert.equal(meta.name, "One");
+  assert.equal(meta.locked, null);
+  assert.deepEqual(Object.keys(await store.users.sessions("ann")), ["s1"]);
+
+  await store.sessions.setRole("s1", "bob", "editor");
+  await store.sessions.update("s1", { locked: { by: "admin" } });
+  assert.deepEqual((await store.sessions.meta("s1")).locked, { by: "admin" });
+  await store.sessions.update("s1", { locked: null });
+  assert.equal((await store.sessions.meta("s1")).locked, null);
+
+  await store.sessions.delete("s1");
+  assert.equal(await store.sessions.exists("s1"), false);
+  assert.deepEqual(await store.files.all("s1"), {});
+  assert.deepEqual(await store.users.sessions("ann"), {});
+});
+
+test("file changes carry their op log, history and comments and log a timeline event", async () => {
+  const store = createMemoryStore();
+  await store.sessions.create("s", "ann", { files: { "a.py": "" } });
+  const thread = { id: "t1", start: 0, end: 1, messages: [] };
+  await store.comments.save("s", "a.py", thread);
+  await store.history.add("s", "a.py", { id: "h1", content: "" }, 2);
+  for (let i = 1; i <= 3; i++) {
+    const length = await store.files.commit("s", "a.py", { content: "x".repeat(i), version: i, entry: { op: [i] }, comments: [{ ...thread, end: i }], keep: 2 }, event("edit"));
+    assert.equal(length, i);
+  }
+  assert.deepEqual(await store.files.read("s", "a.py"), { content: "xxx", version: 3 });
+  assert.deepEqual(await store.files.ops("s", "a.py", 5), [{ op: [2] }, { op: [3] }]);
+  assert.equal((await store.comments.get("s", "a.py", "t1")).end, 3);
+
+  assert.equal(await store.files.move("s", [["a.py", "b.py"]], event("rename")), 4);
+  assert.deepEqual(await store.files.read("s", "a.py"), { content: null, version: 0 });
+  assert.equal((await store.files.read("s", "b.py")).version, 3);
+  assert.equal((await store.files.ops("s", "b.py", 1)).length, 1);
+  assert.equal((await store.history.last("s", "b.py")).id, "h1");
+  assert.equal((await store.comments.list("s", "b.py")).length, 1);
+
+  assert.equal(await store.files.reset("s", "b.py", "new", event("create")), 5);
+  assert.deepEqual(await store.files.ops("s", "b.py", 5), []);
+  assert.deepEqual(await store.comments.list("s", "b.py"), []);
+  assert.equal(await store.files.remove("s", ["b.py"], event("delete")), 6);
+  assert.deepEqual(await store.files.names("s"), []);
+  assert.deepEqual(await store.history.list("s", "b.py"), []);
+
+  const { base, events } = await store.timeline.read("s");
+  assert.deepEqual(base.files, { "a.py": "" });
+  assert.deepEqual(events.map((e) => e.type), ["edit", "edit", "edit", "rename", "create", "delete"]);
+  await store.timeline.fold("s", { t: 1, files: {} }, 4);
+  assert.deepEqual((await store.timeline.head("s", 10)).events.map((e) => e.type), ["create", "delete"]);
+});
+
+test("values go in and out as copies", async () => {
+  const store = createMemoryStore();
+  const message = { id: "m1", text: "hi" };
+  await store.chat.add("s", message, event("chat"), 10);
+  message.text = "changed";
+  const [stored] = await store.chat.list("s");
+  assert.equal(stored.text, "hi");
+  stored.text = "changed too";
+  assert.equal((await store.chat.list("s"))[0].text, "hi");
+  assert.equal(await store.config.get("s", "run"), null);
+});
+
+test("terminals, locks and last run errors expire", async () => {
+  const store = createMemoryStore();
+  assert.equal(await store.terminals.start("s", { controllers: [] }, 20), true);
+  assert.equal(await store.terminals.start("s", { controllers: [] }, 20), false);
+  await store.terminals.refresh("s", 100);
+  assert.equal(await store.locks.acquire("k", "a", 20), true);
+  assert.equal(await store.locks.acquire("k", "b", 20), false);
+  await store.locks.release("k", "b");
+  assert.equal(await store.locks.acquire("k", "b", 20), false);
+  await store.runs.setLastError("s", { stderr: "boom" }, 20);
+  await wait(40);
+  assert.deepEqual(await store.terminals.get("s"), { controllers: [] });
+  assert.equal(await store.locks.acquire("k", "b", 20), true);
+  assert.equal(await store.runs.lastError("s"), null);
+  await store.terminals.stop("s");
+  assert.equal(await store.terminals.get("s"), null);
+});
+
+test("presence is kept per socket and swept without heartbeats", async () => {
+  const store = createMemoryStore();
+  await store.presence.connect("s", "sock1", "ann");
+  await store.presence.connect("s", "sock2", "ann");
+  await store.presence.update("s", "sock1", { id: "sock1", filename: "a.py" });
+  assert.deepEqual(await store.presence.online("s", 0), ["ann"]);
+  assert.equal(await store.presence.disconnect("s", "sock1"), "ann");
+  assert.equal(await store.presence.disconnect("s", "sock1"), null);
+  assert.deepEqual(await store.presence.list("s"), []);
+  const now = Date.now();
+  assert.deepEqual(await store.presence.sweep(now - 1000), []);
+  assert.deepEqual(await store.presence.sweep(now + 1), [["s", "sock2"]]);
+  assert.deepEqual(await store.sessions.abandoned(now - 1000), []);
+  assert.deepEqual(await store.sessions.abandoned(now + 1), ["s"]);
+});
+
+test("publish reaches the channel's handler until it unsubscribes", async () => {
+  const store = createMemoryStore();
+  const message = new Promise((resolve) => store.subscribe("ch", resolve));
+  assert.equal(await store.publish("ch", { type: "stop" }), 1);
+  assert.deepEqual(await message, { type: "stop" });
+  await store.unsubscribe("ch");
+  assert.equal(await store.publish("ch", { type: "stop" }), 0);
+});
+
+test("the file store writes out on flush and close and loads again", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cc-store-"));
+  const file = path.join(dir, "data", "store.json");
+  try {
+    const store = createMemoryStore({ file });
+    await store.sessions.create("s", "ann", { files: { "a.py": "print(1)" } });
+    await store.flush();
+    assert.ok(fs.existsSync(file));
+    await store.users.create("ann", "hash");
+    await store.close();
+    const reopened = createMemoryStore({ file });
+    assert.equal((await reopened.files.read("s", "a.py")).content, "print(1)");
+    assert.equal(await reopened.users.passwordHash("ann"), "hash");
+    await reopened.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,52 @@
+// test/sync.test.js
+// File sync end to end: a client joining while others edit gets its initial
+// state first and every later op exactly once, in a form it can apply.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ot = require("../ot");
+const { startServer, next } = require("./harness");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+test("a member joining mid-edit sees session:init first and converges", async () => {
+  const owner = await server.signUp("sync-owner");
+  const { socket: writer } = await server.join(owner, "sync-a");
+  const created = next(writer, "file:created");
+  writer.emit("file:create", { sessionId: "sync-a", filename: "a.txt", content: "" });
+  await created;
+
+  // Saves with content are committed as ops and broadcast to the room.
+  const saves = [];
+  const edits = (from) => Array.from({ length: 30 }, (_, i) => `${"x".repeat(from + i + 1)}\n`);
+  edits(0).slice(0, 10).forEach((content) => saves.push(server.request("POST", "/files/sync-a/save", { token: owner, body: { filename: "a.txt", content } })));
+
+  const reader = server.connect(owner);
+  const seen = [];
+  ["session:init", "file:op", "file:sync", "file:created", "file:deleted"].forEach((event) => reader.on(event, (payload) => seen.push({ event, payload })));
+  reader.emit("join", { sessionId: "sync-a" });
+  edits(10).slice(0, 20).forEach((content) => saves.push(server.request("POST", "/files/sync-a/save", { token: owner, body: { filename: "a.txt", content } })));
+  await Promise.all(saves);
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  assert.equal(seen[0]?.event, "session:init");
+  let content = seen[0].payload.files["a.txt"];
+  let version = Number(seen[0].payload.versions["a.txt"]);
+  const ops = new Map();
+  for (const { event, payload } of seen.slice(1)) {
+    assert.equal(event, "file:op");
+    if (payload.version > version) ops.set(payload.version, payload.op);
+  }
+  while (ops.has(version + 1)) {
+    content = ot.apply(content, ops.get(version + 1));
+    ops.delete(++version);
+  }
+  assert.equal(ops.size, 0, "a gap was left in the ops");
+  const { body } = await server.request("GET", "/files/sync-a", { token: owner });
+  assert.equal(content, body.files["a.txt"]);
+});
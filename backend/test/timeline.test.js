@@ -0,0 +1,35 @@
+// test/timeline.test.js
+// The session timeline end to end: past TIMELINE_LIMIT events the oldest are
+// folded into the base, again and again, without changing what it replays to.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const timeline = require("../timeline");
+const { startServer, next } = require("./harness");
+
+let server;
+
+test.before(async () => {
+  server = await startServer({ TIMELINE_LIMIT: "20" });
+});
+
+test.after(() => server.stop());
+
+test("folding keeps the timeline short and its replay exact", async () => {
+  const owner = await server.signUp("timeline-owner");
+  const { socket } = await server.join(owner, "timeline-a");
+  const created = next(socket, "file:created");
+  socket.emit("file:create", { sessionId: "timeline-a", filename: "a.txt", content: "" });
+  await created;
+
+  let content = "";
+  for (let i = 0; i < 70; i++) {
+    content += `${i}\n`;
+    await server.request("POST", "/files/timeline-a/save", { token: owner, body: { filename: "a.txt", content } });
+  }
+  const { body } = await server.request("GET", "/sessions/timeline-a/timeline", { token: owner });
+  // 71 events against a limit of 20: folded more than once.
+  assert.ok(body.events.length <= 20, `${body.events.length} events left`);
+  assert.ok(body.base.t > 0);
+  const files = body.events.reduce((acc, event) => timeline.applyEvent(acc, event), { ...body.base.files });
+  assert.equal(files["a.txt"], content);
+});
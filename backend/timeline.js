@@ -0,0 +1,48 @@
+/**
+ * backend/timeline.js
+ * Replaying a session's timeline (the event log kept by server.js for session
+ * replay): the file contents after each event. frontend/src/timeline.js does
+ * the same in the browser — keep them in sync.
+ *
+ * Events are { t, type, userName?, ... } with type one of
+ *   create { filename, content }   edit { filename, op }
+ *   delete { filenames }           rename { pairs: [[from, to], ...] }
+ *   run { runId, language, filename, shared }
+ *   exit { runId, output: [{ t, stream, data }], outputTruncated, outputPrivate, ...status }
+ *     (a private run's output is not recorded: `output` is empty, `outputPrivate` set)
+ *   chat { message }
+ * and only the first four change files.
+ */
+
+const ot = require("./ot");
+
+// Apply one event to `files` (filename -> content) in place; an edit that no
+// longer fits its file (the log was cut short somewhere) is skipped.
+function applyEvent(files, event) {
+  switch (event.type) {
+    case "create":
+      files[event.filename] = event.content;
+      break;
+    case "edit":
+      if (files[event.filename] == null) break;
+      try {
+        files[event.filename] = ot.apply(files[event.filename], event.op);
+      } catch {
+        // Keep the content as it was.
+      }
+      break;
+    case "delete":
+      event.filenames.forEach((f) => { delete files[f]; });
+      break;
+    case "rename": {
+      const moved = event.pairs.map(([from, to]) => [to, files[from]]);
+      event.pairs.forEach(([from]) => { delete files[from]; });
+      moved.forEach(([to, content]) => { if (content != null) files[to] = content; });
+      break;
+    }
+    default:
+  }
+  return files;
+}
+
+module.exports = { applyEvent };
@@ -0,0 +1,30 @@
+/**
+ * backend/worker.js
+ * Run worker for RUN_WORKERS=remote (see runpool.js): takes queued runs from
+ * Redis and executes them with runner.js. Start as many as needed next to the
+ * backend instances: `node worker.js`, RUN_WORKER_CONCURRENCY runs each.
+ */
+
+require("dotenv").config();
+const os = require("os");
+const storage = require("./storage");
+const { work } = require("./runpool");
+const { sandboxInfo } = require("./runner");
+
+const CONCURRENCY = Number(process.env.RUN_WORKER_CONCURRENCY) || os.cpus().length;
+
+if (!storage.shared) {
+  console.error("❌ Run workers share a queue through Redis; unset STORAGE or set it to redis");
+  process.exit(1);
+}
+
+const store = storage.createStore();
+storage.connectStore(store)
+  .then(() => {
+    work(store, { concurrency: CONCURRENCY });
+    console.log(`🧪 Run worker taking ${CONCURRENCY} runs at a time from ${storage.storeInfo()}`, sandboxInfo());
+  })
+  .catch((err) => {
+    console.error("❌ Storage unavailable:", err.message);
+    process.exit(1);
+  });
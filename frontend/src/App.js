@@ -1,83 +1,325 @@
 // src/App.js
-import React, { useEffect, useRef, useState } from "react";
-import Editor from "@monaco-editor/react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import Editor, { DiffEditor } from "@monaco-editor/react";
 import io from "socket.io-client";
 import axios from "axios";
-import { v4 as uuidv4 } from "uuid";
+import CollabClient, { toMonacoEdits } from "./collab";
+import { diff, shiftOffset } from "./ot";
+import { proposedContent, streamSuggestion } from "./assistant";
+import RunConfigPane from "./RunConfigPane";
+import FormatConfigPane from "./FormatConfigPane";
+import FileTree, { basename, renamePath } from "./FileTree";
+import HistoryPane from "./HistoryPane";
+import AuthForm from "./AuthForm";
+import MembersPane from "./MembersPane";
+import ChatPane from "./ChatPane";
+import CommentsPane, { CommentMarkers, shiftThread, threadLines } from "./CommentsPane";
+import PreviewPane from "./PreviewPane";
+import TransferPane from "./TransferPane";
+import TestsPane from "./TestsPane";
+import TerminalPane from "./TerminalPane";
+import Dashboard from "./Dashboard";
+import ReplayView from "./ReplayView";
+import LspBridge, { diagnosticMarkers } from "./lsp";
+import { can, loadAuth, saveAuth } from "./auth";
+import { RemoteCursors, colorIndex, selectionOffsets, throttle } from "./presence";
 import "./App.css";
 
 const BACKEND = "https://codecollab-app.onrender.com";
-const socket = io(BACKEND, { transports: ["websocket"] });
+// Connected once signed in, with the token as handshake auth.
+const socket = io(BACKEND, { transports: ["websocket"], autoConnect: false });
 
-function usePersisted(name, defaultVal = "") {
-  const [v, setV] = useState(() => sessionStorage.getItem(name) || defaultVal);
-  useEffect(() => {
-    if (!v) {
-      const promptVal = prompt(name === "userName" ? "Enter your display name" : "Session ID (room)") || defaultVal;
-      sessionStorage.setItem(name, promptVal || defaultVal);
-      setV(sessionStorage.getItem(name));
-    }
-  }, [name, v, defaultVal]);
-  return [v, (x) => { sessionStorage.setItem(name, x); setV(x); }];
+// Session links look like ?session=<id>, invites add &invite=<token>.
+const urlParams = new URLSearchParams(window.location.search);
+if (urlParams.get("session")) sessionStorage.setItem("sessionId", urlParams.get("session"));
+
+// Switching sessions reloads the page, so no state carries over between them.
+function openSession(id) {
+  window.location.search = new URLSearchParams({ session: id }).toString();
+}
+
+function openDashboard() {
+  sessionStorage.removeItem("sessionId");
+  window.location.search = "";
 }
 
 export default function App() {
-  const [sessionId] = usePersisted("sessionId", "default");
-  const [userName] = usePersisted("userName", `User-${Math.floor(Math.random() * 999)}`);
+  const [sessionId] = useState(() => sessionStorage.getItem("sessionId")); // null shows the dashboard
+  const [sessionName, setSessionName] = useState("");
+  const [auth, setAuth] = useState(loadAuth);
+  const userName = auth?.username;
+  const [role, setRole] = useState(null);
+  const [accessError, setAccessError] = useState("");
+  const [locked, setLocked] = useState(null); // { by, reason, at } while an admin has the session read-only
+  const [notice, setNotice] = useState(""); // brief server notice, e.g. rate limited
   const [files, setFiles] = useState({});
+  const [folders, setFolders] = useState([]);
   const [currentFile, setCurrentFile] = useState(null);
   const [editorValue, setEditorValue] = useState("// Welcome!");
   const [language, setLanguage] = useState("javascript");
   const [users, setUsers] = useState([]);
   const [chatMessages, setChatMessages] = useState([]);
   const [historyItems, setHistoryItems] = useState([]);
-  const [output, setOutput] = useState("");
+  const [snapshots, setSnapshots] = useState([]);
+  const [diffView, setDiffView] = useState(null); // { filename, snapshot } being compared
+  const [output, setOutput] = useState([]); // console segments: { stream, text }
+  const [activeRun, setActiveRun] = useState(null);
+  const [shareRun, setShareRun] = useState(false);
+  const [runConfig, setRunConfig] = useState(null);
+  const [formatConfig, setFormatConfig] = useState(null);
+  const [formatters, setFormatters] = useState({}); // language -> formatter installed on the server, or null
+  const [linters, setLinters] = useState({}); // language -> linter installed on the server, or null
+  const [lintResults, setLintResults] = useState({}); // filename -> diagnostics from the last format or save
   const [aiSuggestion, setAiSuggestion] = useState("");
+  const [aiBusy, setAiBusy] = useState(false);
+  const [aiEdit, setAiEdit] = useState(null); // { filename, target: { start, end, text }, replacement } from the last reply
+  const [aiReview, setAiReview] = useState(false);
+  const [previewEntry, setPreviewEntry] = useState(null); // page shown in the preview pane, null when closed
+  const [previewTick, setPreviewTick] = useState(0); // bumped on every committed file change
+  const [testsTick, setTestsTick] = useState(0); // bumped when the owner changes the test suite
+  const [connection, setConnection] = useState("connecting"); // connecting | online | offline | resyncing
+  const [conflicts, setConflicts] = useState([]); // offline edits that met changes from others, see collab.resume
+  const [peers, setPeers] = useState({});
+  const [comments, setComments] = useState([]); // review threads of every file, anchors kept in step with edits
+  const [activeComment, setActiveComment] = useState(null);
+  const [monaco, setMonaco] = useState(null); // set once the editor mounts
+  const [lspStatus, setLspStatus] = useState({}); // language → lsp:open result
+  const [replaying, setReplaying] = useState(false);
+  const [terminal, setTerminal] = useState(null); // { available, reason, limits, running: { startedBy, startedAt, controllers } | null }
   const editorRef = useRef(null);
+  const collabRef = useRef(null);
+  const currentFileRef = useRef(null);
+  const applyingRemoteRef = useRef(false);
+  const cursorsRef = useRef(null);
+  const commentMarkersRef = useRef(null);
+  const terminalRef = useRef(null);
+  const sendPresenceRef = useRef(() => {});
+  const activeRunRef = useRef(null);
+  const pendingRevealRef = useRef(null);
+  const aiAbortRef = useRef(null);
+  const lspRef = useRef(null);
+
+  useEffect(() => { currentFileRef.current = currentFile; }, [currentFile]);
+
+  // Sign the socket and every API request with the stored token.
+  useEffect(() => {
+    saveAuth(auth);
+    if (!auth) return;
+    axios.defaults.headers.common.Authorization = `Bearer ${auth.token}`;
+    socket.auth = { token: auth.token };
+    socket.connect();
+    const onConnectError = (err) => { if (err.message === "unauthorized") setAuth(null); };
+    socket.on("connect_error", onConnectError);
+    return () => {
+      socket.off("connect_error", onConnectError);
+      socket.disconnect();
+      delete axios.defaults.headers.common.Authorization;
+    };
+  }, [auth]);
 
   // Connect to socket and handle events
   useEffect(() => {
     if (!sessionId || !userName) return;
-    socket.emit("join", { sessionId, userName });
-
-    socket.on("session:init", ({ files: initialFiles = {}, users: initialUsers = [] }) => {
-      setFiles(initialFiles);
-      const first = Object.keys(initialFiles)[0];
-      if (first) {
-        setCurrentFile(first);
-        setEditorValue(initialFiles[first] || "");
-        autoSetLangFromFilename(first);
+    const collab = new CollabClient(socket, sessionId, (filename, content, op) => {
+      setFiles((f) => ({ ...f, [filename]: content }));
+      setPreviewTick((t) => t + 1);
+      if (op) {
+        setComments((list) => list.map((t) => (t.filename === filename ? shiftThread(t, op) : t)));
+        setPeers((p) => {
+          const next = {};
+          Object.values(p).forEach((peer) => {
+            next[peer.id] = peer.filename !== filename ? peer : {
+              ...peer,
+              selections: peer.selections.map((sel) => ({ anchor: shiftOffset(op, sel.anchor), head: shiftOffset(op, sel.head) })),
+            };
+          });
+          return next;
+        });
+      }
+      if (filename !== currentFileRef.current) return;
+      // Apply remote edits in place so the local cursor and selection survive.
+      const model = editorRef.current?.getModel();
+      if (op && model) {
+        applyingRemoteRef.current = true;
+        model.pushEditOperations([], toMonacoEdits(model, op), () => null);
+        applyingRemoteRef.current = false;
+      }
+      setEditorValue(content);
+    }, (conflict) => setConflicts((list) => [...list.filter((c) => c.filename !== conflict.filename), conflict]));
+    collabRef.current = collab;
+
+    // The server forgets a dropped socket, so every (re)connect joins, and a
+    // session:init after the first resyncs instead of starting over.
+    let joined = false;
+    const join = () => socket.emit("join", { sessionId, invite: urlParams.get("invite") });
+    const onConnect = () => {
+      if (joined) setConnection("resyncing");
+      join();
+    };
+    if (socket.connected) join();
+    const onDisconnect = () => {
+      setConnection("offline");
+      pushHistory("Connection lost, edits are kept until it is back");
+      if (activeRunRef.current) {
+        activeRunRef.current = null;
+        setActiveRun(null);
+        appendOutput("status", "\n— Disconnected\n");
+      }
+    };
+    // Events emitted while offline would reach the server before the rejoin;
+    // edits are replayed by the resync instead.
+    const dropBuffered = () => { socket.sendBuffer = []; };
+    socket.on("connect", onConnect);
+    socket.on("disconnect", onDisconnect);
+    socket.io.on("reconnect", dropBuffered);
+
+    socket.on("session:init", async ({ files: initialFiles = {}, versions = {}, folders: initialFolders = [], users: initialUsers = [], presence = [], runConfig: initialRunConfig = null, formatConfig: initialFormatConfig = null, formatters: initialFormatters = {}, linters: initialLinters = {}, role: initialRole = null, name = sessionId, chat = [], comments: initialComments = [], terminal: initialTerminal = null, locked: initialLocked = null }) => {
+      setRole(initialRole);
+      setLocked(initialLocked);
+      setSessionName(name);
+      setAccessError("");
+      if (urlParams.get("invite")) window.history.replaceState(null, "", window.location.pathname);
+      if (joined) {
+        const found = await collab.resume(initialFiles, versions);
+        setFiles(Object.fromEntries(collab.filenames().map((fn) => [fn, collab.content(fn)])));
+        if (currentFileRef.current && collab.content(currentFileRef.current) == null) {
+          currentFileRef.current = null;
+          setCurrentFile(null);
+          setEditorValue("// No file open");
+        }
+        if (found.length) setConflicts((list) => [...list.filter((c) => !found.some((f) => f.filename === c.filename)), ...found]);
+        pushHistory("Reconnected");
       } else {
-        setEditorValue("// Start typing or create a file from the Files pane.");
+        Object.entries(initialFiles).forEach(([fn, content]) => collab.reset(fn, content, Number(versions[fn]) || 0));
+        setFiles(initialFiles);
+        const first = Object.keys(initialFiles)[0];
+        if (first) {
+          setCurrentFile(first);
+          currentFileRef.current = first;
+          setEditorValue(initialFiles[first] || "");
+          autoSetLangFromFilename(first);
+        } else {
+          setEditorValue("// Start typing or create a file from the Files pane.");
+        }
       }
+      joined = true;
+      setConnection("online");
+      setFolders(initialFolders);
       setUsers(initialUsers);
+      setRunConfig(initialRunConfig);
+      setFormatConfig(initialFormatConfig);
+      setFormatters(initialFormatters);
+      setLinters(initialLinters);
+      setChatMessages(chat);
+      setComments(initialComments);
+      setTerminal(initialTerminal);
+      if (initialTerminal?.running) {
+        socket.emit("terminal:attach", { sessionId }, ({ scrollback = "", error }) => {
+          if (!error) terminalRef.current?.reset(scrollback);
+        });
+      }
+      setPeers(Object.fromEntries(presence.filter((p) => p.id !== socket.id).map((p) => [p.id, p])));
+      sendPresenceRef.current();
     });
 
-    socket.on("file:created", ({ filename, content }) => {
-      setFiles((f) => ({ ...f, [filename]: content }));
+    // Recreating a file drops its comments on the server too.
+    socket.on("file:created", ({ filename, content, version }) => {
+      collab.reset(filename, content, version);
+      setComments((list) => list.filter((t) => t.filename !== filename));
       pushHistory(`Created ${filename}`);
     });
 
     socket.on("file:deleted", ({ filename }) => {
+      collab.remove(filename);
+      setComments((list) => list.filter((t) => t.filename !== filename));
       setFiles((f) => {
         const copy = { ...f };
         delete copy[filename];
         return copy;
       });
       pushHistory(`Deleted ${filename}`);
-      if (currentFile === filename) {
+      setPreviewTick((t) => t + 1);
+      if (currentFileRef.current === filename) {
         setCurrentFile(null);
         setEditorValue("// No file open");
       }
     });
 
-    socket.on("file:updated", ({ filename, content }) => {
-      setFiles((f) => ({ ...f, [filename]: content }));
-      if (filename === currentFile) {
-        setEditorValue(content);
+    // Rename a file or a whole folder in every piece of client state.
+    const applyRename = (from, to) => {
+      const rename = (p) => renamePath(p, from, to);
+      collab.filenames().forEach((fn) => { if (rename(fn) !== fn) collab.rename(fn, rename(fn)); });
+      setFiles((f) => Object.fromEntries(Object.entries(f).map(([fn, content]) => [rename(fn), content])));
+      setFolders((list) => list.map(rename));
+      setComments((list) => list.map((t) => ({ ...t, filename: rename(t.filename) })));
+      if (currentFileRef.current) {
+        const moved = rename(currentFileRef.current);
+        currentFileRef.current = moved;
+        setCurrentFile(moved);
       }
+      setPreviewEntry((entry) => (entry ? rename(entry) : entry));
+      setPreviewTick((t) => t + 1);
+      pushHistory(`Renamed ${from} → ${to}`);
+    };
+
+    socket.on("file:renamed", ({ from, to }) => applyRename(from, to));
+    socket.on("folder:renamed", ({ from, to }) => applyRename(from, to));
+
+    socket.on("folder:created", ({ path }) => {
+      setFolders((list) => (list.includes(path) ? list : [...list, path]));
     });
 
+    socket.on("folder:deleted", ({ path }) => {
+      const inside = (p) => p === path || p.startsWith(`${path}/`);
+      collab.filenames().filter(inside).forEach((fn) => collab.remove(fn));
+      setFiles((f) => Object.fromEntries(Object.entries(f).filter(([fn]) => !inside(fn))));
+      setFolders((list) => list.filter((p) => !inside(p)));
+      setComments((list) => list.filter((t) => !inside(t.filename)));
+      if (currentFileRef.current && inside(currentFileRef.current)) {
+        currentFileRef.current = null;
+        setCurrentFile(null);
+        setEditorValue("// No file open");
+      }
+      pushHistory(`Deleted folder ${path}`);
+    });
+
+    socket.on("file:error", ({ error }) => alert(error));
+    socket.on("server:error", ({ error }) => alert(error));
+
+    socket.on("session:role", ({ role: nextRole }) => {
+      setRole(nextRole);
+      pushHistory(`Your role is now ${nextRole}`);
+    });
+
+    socket.on("session:renamed", ({ name }) => {
+      setSessionName(name);
+      pushHistory(`Session renamed to “${name}”`);
+    });
+
+    socket.on("session:locked", ({ locked: lock }) => {
+      setLocked(lock);
+      pushHistory(lock ? `An administrator locked this session read-only${lock.reason ? `: ${lock.reason}` : ""}` : "The session was unlocked");
+    });
+
+    socket.on("rate:limited", ({ error }) => setNotice(error));
+
+    // Errors with a code mean we are not (or no longer) a member of the session.
+    socket.on("auth:error", ({ error, code }) => {
+      if (code) setAccessError(error);
+      else alert(error);
+    });
+
+    socket.on("history:snapshot", (meta) => {
+      if (meta.filename === currentFileRef.current) setSnapshots((list) => [meta, ...list]);
+    });
+
+    socket.on("file:op", ({ filename, version, op }) => collab.remote(filename, version, op));
+    socket.on("file:ack", ({ filename, version }) => {
+      collab.ack(filename, version);
+      setPreviewTick((t) => t + 1);
+    });
+    socket.on("file:sync", ({ filename, content, version }) => collab.reset(filename, content, version));
+
     socket.on("user:join", ({ userName }) => {
       setUsers((u) => Array.from(new Set([...u, userName])));
       pushHistory(`${userName} joined`);
@@ -88,20 +330,211 @@ export default function App() {
       pushHistory(`${userName} left`);
     });
 
+    socket.on("presence:update", (presence) => {
+      setPeers((p) => ({ ...p, [presence.id]: presence }));
+    });
+
+    socket.on("presence:left", ({ id }) => {
+      setPeers((p) => {
+        const copy = { ...p };
+        delete copy[id];
+        return copy;
+      });
+    });
+
+    socket.on("run:started", (run) => {
+      activeRunRef.current = run.runId;
+      setActiveRun(run);
+      const who = run.owner === socket.id ? "Running...\n" : `${run.userName} is running ${run.filename || run.language}\n`;
+      setOutput([{ stream: "status", text: who }]);
+    });
+
+    socket.on("run:output", ({ runId, stream, data }) => {
+      if (runId === activeRunRef.current) appendOutput(stream, data);
+    });
+
+    socket.on("run:exit", (status) => {
+      if (status.runId !== activeRunRef.current) return;
+      activeRunRef.current = null;
+      setActiveRun(null);
+      appendOutput("status", `\n— ${runStatus(status)}\n`);
+    });
+
+    socket.on("run:config", (config) => {
+      setRunConfig(config);
+      pushHistory("Run config updated");
+    });
+
+    socket.on("run:error", ({ error }) => appendOutput("stderr", `${error}\n`));
+
+    socket.on("format:config", (config) => {
+      setFormatConfig(config);
+      pushHistory("Format settings updated");
+    });
+
     socket.on("chat:message", (msg) => {
-      setChatMessages((c) => [...c, msg].slice(-300));
+      setChatMessages((c) => [...c, msg].slice(-200));
+    });
+
+    socket.on("tests:updated", () => setTestsTick((t) => t + 1));
+
+    // Our own anchors already follow our pending edits, so an updated thread keeps them.
+    socket.on("comment:thread", ({ filename, thread }) => {
+      setComments((list) => {
+        const known = list.find((t) => t.id === thread.id);
+        if (!known) return [...list, { ...thread, filename }];
+        return list.map((t) => (t.id === thread.id ? { ...thread, filename, start: t.start, end: t.end } : t));
+      });
     });
+    socket.on("comment:deleted", ({ threadId }) => setComments((list) => list.filter((t) => t.id !== threadId)));
+    socket.on("comment:error", ({ error }) => alert(error));
+
+    socket.on("terminal:started", (running) => {
+      terminalRef.current?.reset();
+      setTerminal((t) => ({ ...t, running }));
+    });
+    socket.on("terminal:output", ({ data }) => terminalRef.current?.write(data));
+    socket.on("terminal:controllers", ({ controllers }) => {
+      setTerminal((t) => (t?.running ? { ...t, running: { ...t.running, controllers } } : t));
+    });
+    socket.on("terminal:exit", (status) => {
+      terminalRef.current?.exit(status);
+      setTerminal((t) => ({ ...t, running: null }));
+    });
+    socket.on("terminal:error", ({ error }) => alert(error));
 
     return () => {
+      socket.off("connect", onConnect);
+      socket.off("disconnect", onDisconnect);
+      socket.io.off("reconnect", dropBuffered);
       socket.off("session:init");
       socket.off("file:created");
       socket.off("file:deleted");
-      socket.off("file:updated");
+      socket.off("file:renamed");
+      socket.off("folder:renamed");
+      socket.off("folder:created");
+      socket.off("folder:deleted");
+      socket.off("file:error");
+      socket.off("server:error");
+      socket.off("session:role");
+      socket.off("session:renamed");
+      socket.off("session:locked");
+      socket.off("rate:limited");
+      socket.off("auth:error");
+      socket.off("history:snapshot");
+      socket.off("file:op");
+      socket.off("file:ack");
+      socket.off("file:sync");
       socket.off("user:join");
       socket.off("user:left");
+      socket.off("presence:update");
+      socket.off("presence:left");
+      socket.off("run:started");
+      socket.off("run:output");
+      socket.off("run:exit");
+      socket.off("run:config");
+      socket.off("run:error");
+      socket.off("format:config");
       socket.off("chat:message");
+      socket.off("tests:updated");
+      socket.off("comment:thread");
+      socket.off("comment:deleted");
+      socket.off("comment:error");
+      socket.off("terminal:started");
+      socket.off("terminal:output");
+      socket.off("terminal:controllers");
+      socket.off("terminal:exit");
+      socket.off("terminal:error");
     };
-  }, [sessionId, userName, currentFile]);
+  }, [sessionId, userName]);
+
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(""), 6000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  // Broadcast our cursor/selection (throttled) whenever it moves or we switch files.
+  useEffect(() => {
+    sendPresenceRef.current = throttle(() => {
+      const editor = editorRef.current;
+      const filename = currentFileRef.current;
+      const selections = editor && filename ? selectionOffsets(editor) : [];
+      socket.emit("presence:update", { sessionId, filename, selections });
+    }, 80);
+  }, [sessionId]);
+
+  useEffect(() => { sendPresenceRef.current(); }, [currentFile]);
+
+  // Select the lines of a chat snippet once its file is showing in the editor.
+  useEffect(() => {
+    const range = pendingRevealRef.current;
+    const editor = editorRef.current;
+    if (!range || range.filename !== currentFile || !editor) return;
+    pendingRevealRef.current = null;
+    selectLines(editor, range.startLine, range.endLine);
+  }, [currentFile, editorValue]);
+
+  // Language servers: markers, hover, completion and go-to-definition.
+  useEffect(() => {
+    if (!monaco || !sessionId || !userName) return;
+    const bridge = new LspBridge(socket, sessionId, monaco, {
+      getEditor: () => editorRef.current,
+      getFilename: () => currentFileRef.current,
+      getContent: (filename) => collabRef.current?.content(filename),
+      onOpenLocation: (filename, line) => openLocationRef.current(filename, line),
+      onStatus: (lang, status) => setLspStatus((s) => ({ ...s, [lang]: status })),
+    });
+    lspRef.current = bridge;
+    return () => {
+      bridge.dispose();
+      lspRef.current = null;
+      setLspStatus({});
+    };
+  }, [monaco, sessionId, userName]);
+
+  useEffect(() => {
+    if (!role) return;
+    lspRef.current?.open(currentFile, language);
+    lspRef.current?.refreshMarkers();
+  }, [currentFile, language, role, monaco]);
+
+  // Lint findings from the last format or save of the open file.
+  useEffect(() => {
+    const model = editorRef.current?.getModel();
+    if (!monaco || !model) return;
+    monaco.editor.setModelMarkers(model, "lint", diagnosticMarkers(monaco, lintResults[currentFile] || []));
+  }, [monaco, currentFile, lintResults]);
+
+  useEffect(() => {
+    cursorsRef.current?.render(Object.values(peers).filter((p) => p.filename && p.filename === currentFile));
+  }, [peers, currentFile]);
+
+  useEffect(() => {
+    commentMarkersRef.current?.render(comments.filter((t) => t.filename === currentFile), activeComment);
+  }, [comments, currentFile, activeComment, editorValue]);
+
+  // Version list of the open file.
+  useEffect(() => {
+    setDiffView(null);
+    if (!currentFile) {
+      setSnapshots([]);
+      return;
+    }
+    let cancelled = false;
+    axios.get(`${BACKEND}/files/${sessionId}/history`, { params: { filename: currentFile } })
+      .then((res) => { if (!cancelled) setSnapshots(res.data.snapshots || []); })
+      .catch((e) => console.error(e));
+    return () => { cancelled = true; };
+  }, [sessionId, currentFile]);
+
+  function appendOutput(stream, text) {
+    setOutput((o) => {
+      const last = o[o.length - 1];
+      if (last && last.stream === stream) return [...o.slice(0, -1), { stream, text: last.text + text }];
+      return [...o, { stream, text }].slice(-500);
+    });
+  }
 
   function pushHistory(text) {
     setHistoryItems((h) => [`${new Date().toLocaleTimeString()} • ${text}`, ...h].slice(0, 200));
@@ -117,10 +550,40 @@ export default function App() {
     else setLanguage("javascript");
   }
 
-  const createFile = () => {
-    const filename = prompt("New filename (e.g. Main.java, index.html):", `file_${Date.now()}.js`);
-    if (!filename) return;
-    socket.emit("file:create", { sessionId, filename, content: `// ${filename}\n` });
+  const createFile = (folder = "") => {
+    const name = prompt(`New file in ${folder || "/"} (e.g. Main.java, src/util.py):`, `file_${Date.now()}.js`);
+    if (!name) return;
+    const filename = folder ? `${folder}/${name}` : name;
+    socket.emit("file:create", { sessionId, filename, content: `// ${basename(filename)}\n` });
+  };
+
+  const createFolder = (parent = "") => {
+    const name = prompt(`New folder in ${parent || "/"}:`);
+    if (!name) return;
+    socket.emit("folder:create", { sessionId, path: parent ? `${parent}/${name}` : name });
+  };
+
+  // Renaming to a path in another folder moves the file.
+  const renameFile = (fn) => {
+    const to = prompt("Rename or move to (full path):", fn);
+    if (to && to !== fn) socket.emit("file:rename", { sessionId, from: fn, to });
+  };
+
+  const renameFolder = (path) => {
+    const to = prompt("Rename or move folder to (full path):", path);
+    if (to && to !== path) socket.emit("folder:rename", { sessionId, from: path, to });
+  };
+
+  const deleteFolder = (path) => {
+    if (!window.confirm(`Delete folder ${path} and everything in it?`)) return;
+    socket.emit("folder:delete", { sessionId, path });
+  };
+
+  // Drag-and-drop from the file tree into `folder` ("" is the root).
+  const moveItem = ({ path, kind }, folder) => {
+    const to = folder ? `${folder}/${basename(path)}` : basename(path);
+    if (to === path || folder === path || folder.startsWith(`${path}/`)) return;
+    socket.emit(kind === "folder" ? "folder:rename" : "file:rename", { sessionId, from: path, to });
   };
 
   const deleteFile = (fn) => {
@@ -131,44 +594,114 @@ export default function App() {
 
   const openFile = (fn) => {
     setCurrentFile(fn);
-    setEditorValue(files[fn] ?? "");
+    currentFileRef.current = fn;
+    setEditorValue(collabRef.current?.content(fn) ?? files[fn] ?? "");
     autoSetLangFromFilename(fn);
   };
 
-  const onEditorChange = (val) => {
+  const onEditorChange = (val, event) => {
+    if (applyingRemoteRef.current) return;
     setEditorValue(val);
-    if (currentFile) socket.emit("file:update", { sessionId, filename: currentFile, content: val });
+    if (!currentFile || !event) return;
+    const op = collabRef.current?.local(currentFile, event.changes);
+    if (op) setComments((list) => list.map((t) => (t.filename === currentFile ? shiftThread(t, op) : t)));
   };
 
   const saveFile = async () => {
     if (!currentFile) return alert("Open or create a file first.");
+    const filename = currentFile;
     try {
-      await axios.post(`${BACKEND}/files/${sessionId}/save`, { filename: currentFile, content: editorValue });
-      pushHistory(`Saved ${currentFile}`);
+      const res = await axios.post(`${BACKEND}/files/${sessionId}/save`, { filename });
+      if (res.data.diagnostics) setLintResults((r) => ({ ...r, [filename]: res.data.diagnostics }));
+      pushHistory(`Saved ${filename}`);
       alert("Saved");
     } catch (e) {
       console.error(e);
-      alert("Save failed — check backend");
+      alert(e.response?.data?.error || "Save failed — check backend");
     }
   };
 
-  const runCode = async () => {
+  // The server formats the file and applies the result as one shared edit,
+  // which arrives here like anyone else's (file:op).
+  const formatFile = async () => {
+    if (!currentFile) return alert("Open or create a file first.");
+    const filename = currentFile;
     try {
-      setOutput("Running...");
-      const res = await axios.post(`${BACKEND}/run`, {
-        sessionId,
-        language: mapLang(language),
-        filename: currentFile,
-        code: editorValue
-      });
-      setOutput(res.data.output || JSON.stringify(res.data));
-      pushHistory(`Ran ${currentFile || "code"}`);
+      const res = await axios.post(`${BACKEND}/files/${sessionId}/format`, { filename });
+      const { formatter, changed, diagnostics } = res.data;
+      setLintResults((r) => ({ ...r, [filename]: diagnostics }));
+      const error = !changed && diagnostics.find((d) => d.severity === 1);
+      if (changed) pushHistory(`Formatted ${filename} with ${formatter}`);
+      else if (error) alert(`${formatter} could not format ${filename}: ${error.message} (line ${error.range.start.line + 1})`);
+    } catch (e) {
+      console.error(e);
+      alert(e.response?.data?.error || "Format failed — check backend");
+    }
+  };
+
+  const saveFormatConfig = (config) => {
+    socket.emit("format:config", { sessionId, config });
+  };
+
+  const compareVersion = async (meta) => {
+    try {
+      const res = await axios.get(`${BACKEND}/files/${sessionId}/history/${meta.id}`, { params: { filename: meta.filename } });
+      setAiReview(false);
+      setDiffView({ filename: meta.filename, snapshot: res.data.snapshot });
     } catch (e) {
       console.error(e);
-      setOutput("Run failed — check backend");
+      alert("Could not load that version");
     }
   };
 
+  const restoreVersion = async () => {
+    const { filename, snapshot } = diffView;
+    if (!window.confirm(`Restore ${filename} to the version from ${new Date(snapshot.time).toLocaleString()}?`)) return;
+    try {
+      await axios.post(`${BACKEND}/files/${sessionId}/history/${snapshot.id}/restore`, { filename });
+      pushHistory(`Restored ${filename} (v${snapshot.version})`);
+      setDiffView(null);
+    } catch (e) {
+      console.error(e);
+      alert(e.response?.data?.error || "Restore failed — check backend");
+    }
+  };
+
+  // HTML pages open in the live preview; everything else streams over the socket
+  // so output appears live and the program can read stdin.
+  const runCode = () => {
+    if (activeRun) return;
+    if (mapLang(language) === "html") return openPreview();
+    socket.emit("run:start", { sessionId, language: mapLang(language), filename: currentFile, code: editorValue, shared: shareRun });
+    pushHistory(`Ran ${currentFile || "code"}`);
+  };
+
+  const openPreview = () => {
+    const isPage = (fn) => /\.html?$/i.test(fn || "");
+    setPreviewEntry([currentFile, runConfig?.entry].find(isPage) || "index.html");
+    setOutput([{ stream: "status", text: "Preview console\n" }]);
+  };
+
+  const onPreviewConsole = useCallback((level, text) => {
+    appendOutput(level === "error" || level === "warn" ? "stderr" : "stdout", `${text}\n`);
+  }, []);
+
+  const saveRunConfig = (config) => {
+    socket.emit("run:config", { sessionId, config });
+  };
+
+  const stopRun = () => {
+    if (activeRun) socket.emit("run:stop", { runId: activeRun.runId });
+  };
+
+  const sendStdin = (text) => {
+    if (activeRun) socket.emit("run:stdin", { runId: activeRun.runId, data: `${text}\n` });
+  };
+
+  const sendEof = () => {
+    if (activeRun) socket.emit("run:stdin", { runId: activeRun.runId, eof: true });
+  };
+
   const mapLang = (l) => {
     if (l === "javascript") return "javascript";
     if (l === "python") return "python";
@@ -179,32 +712,171 @@ export default function App() {
     return l;
   };
 
+  const resolveConflict = (conflict, action) => {
+    if (action === "restore") collabRef.current?.replace(conflict.filename, conflict.local);
+    if (action === "recreate") socket.emit("file:create", { sessionId, filename: conflict.filename, content: conflict.local });
+    setConflicts((list) => list.filter((c) => c !== conflict));
+  };
+
+  // Messages appear once the server echoes them back with an id and timestamp.
   const sendChat = (text) => {
-    if (!text) return;
-    const msg = { sessionId, userName, text, id: uuidv4(), time: Date.now() };
-    socket.emit("chat:message", msg);
-    setChatMessages((c) => [...c, msg]);
+    if (!socket.connected) return alert("You are offline, the message was not sent.");
+    if (text) socket.emit("chat:message", { sessionId, text });
   };
 
+  const sendSnippet = (text) => {
+    const editor = editorRef.current;
+    const selection = editor?.getSelection();
+    if (!currentFile || !selection || selection.isEmpty()) return alert("Select some code in the editor first.");
+    const code = editor.getModel().getValueInRange(selection);
+    const snippet = { filename: currentFile, startLine: selection.startLineNumber, endLine: selection.endLineNumber, language, code };
+    if (!socket.connected) return alert("You are offline, the message was not sent.");
+    socket.emit("chat:message", { sessionId, text, snippet });
+  };
+
+  const openSnippet = ({ filename, startLine, endLine }) => {
+    if (!(filename in files)) return alert(`${filename} no longer exists.`);
+    setDiffView(null);
+    if (filename === currentFile) return selectLines(editorRef.current, startLine, endLine);
+    pendingRevealRef.current = { filename, startLine, endLine };
+    openFile(filename);
+  };
+  // A new thread covers the selected lines, or the cursor's line.
+  const addComment = () => {
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const selection = editor?.getSelection();
+    if (!currentFile || !model || !selection) return;
+    let endLine = selection.endLineNumber;
+    if (endLine > selection.startLineNumber && selection.endColumn === 1) endLine -= 1;
+    const lines = endLine === selection.startLineNumber ? `line ${endLine}` : `lines ${selection.startLineNumber}-${endLine}`;
+    const text = prompt(`Comment on ${basename(currentFile)}, ${lines}:`);
+    if (!text || !text.trim()) return;
+    if (!socket.connected) return alert("You are offline, the comment was not sent.");
+    socket.emit("comment:add", {
+      sessionId,
+      filename: currentFile,
+      start: model.getOffsetAt({ lineNumber: selection.startLineNumber, column: 1 }),
+      end: model.getOffsetAt({ lineNumber: endLine, column: model.getLineMaxColumn(endLine) }),
+      text,
+    });
+  };
+
+  const commentAction = (event, thread, fields = {}) => {
+    if (!socket.connected) return alert("You are offline, try again once reconnected.");
+    socket.emit(event, { sessionId, filename: thread.filename, threadId: thread.id, ...fields });
+  };
+
+  const deleteComment = (thread) => {
+    if (window.confirm("Delete this comment thread with all its replies?")) commentAction("comment:delete", thread);
+  };
+
+  // Go-to-definition into another file; kept in a ref for the LSP bridge.
+  const openLocationRef = useRef(null);
+  openLocationRef.current = (filename, line) => openSnippet({ filename, startLine: line, endLine: line });
+
+  // Streams the reply into the AI panel. The request covers the selection when
+  // there is one, otherwise the whole file; a proposed edit replaces that target.
   const askAI = async () => {
+    if (aiAbortRef.current) return aiAbortRef.current.abort();
+    const question = prompt("Ask the assistant (leave empty for a general review):", "");
+    if (question === null) return;
+    const editor = editorRef.current;
+    const model = editor?.getModel();
+    const sel = editor?.getSelection();
+    const code = model ? model.getValue() : editorValue;
+    const hasSelection = Boolean(model && sel && !sel.isEmpty());
+    const target = hasSelection
+      ? { start: model.getOffsetAt(sel.getStartPosition()), end: model.getOffsetAt(sel.getEndPosition()), text: model.getValueInRange(sel) }
+      : { start: 0, end: code.length, text: code };
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    setAiBusy(true);
+    setAiEdit(null);
+    setAiReview(false);
+    setAiSuggestion("");
     try {
-      setAiSuggestion("Thinking...");
-      const res = await axios.post(`${BACKEND}/ai-suggest`, { code: editorValue });
-      setAiSuggestion(res.data.suggestion || JSON.stringify(res.data));
+      const edit = await streamSuggestion(`${BACKEND}/ai-suggest`, auth.token, {
+        sessionId,
+        filename: currentFile,
+        language: mapLang(language),
+        code,
+        question,
+        selection: hasSelection ? { startLine: sel.startLineNumber, endLine: sel.endLineNumber, text: target.text } : null,
+      }, { signal: controller.signal, onChunk: (text) => setAiSuggestion((s) => s + text) });
+      if (edit != null && currentFile) setAiEdit({ filename: currentFile, target, replacement: edit });
       pushHistory("AI suggestion requested");
     } catch (e) {
-      console.error(e);
-      setAiSuggestion("AI failed. Check backend key/quotas.");
+      if (!controller.signal.aborted) setAiSuggestion((s) => `${s}\n⚠️ ${e.message}`);
+    } finally {
+      aiAbortRef.current = null;
+      setAiBusy(false);
     }
   };
 
+  const reviewAiEdit = () => {
+    setDiffView(null);
+    if (aiEdit.filename !== currentFile) openFile(aiEdit.filename);
+    setAiReview(true);
+  };
+
+  // Applied through the editor model, so it reaches everyone as an ordinary edit.
+  const applyAiEdit = () => {
+    const model = editorRef.current?.getModel();
+    if (!model || aiEdit.filename !== currentFile) return;
+    const proposed = proposedContent(model.getValue(), aiEdit.target, aiEdit.replacement);
+    if (proposed == null) return alert("The code changed since the suggestion was made — ask again.");
+    model.pushEditOperations([], toMonacoEdits(model, diff(model.getValue(), proposed)), () => null);
+    pushHistory(`Applied AI edit to ${aiEdit.filename}`);
+    setAiReview(false);
+    setAiEdit(null);
+  };
+
+  const signOut = () => {
+    setAuth(null);
+    setRole(null);
+    setAccessError("");
+  };
+
+  if (!auth) return <AuthForm backend={BACKEND} onAuth={setAuth} />;
+
+  if (!sessionId) return <Dashboard backend={BACKEND} userName={userName} onOpen={openSession} onSignOut={signOut} />;
+
+  if (accessError) {
+    return (
+      <div className="cc-auth">
+        <div className="cc-auth-card">
+          <div className="cc-brand">CodeCollab</div>
+          <div>{accessError}</div>
+          <div className="cc-empty">Ask the owner of “{sessionId}” for an invite link.</div>
+          <button className="cc-btn" onClick={openDashboard}>Back to your sessions</button>
+          <button className="cc-btn ghost" onClick={signOut}>Sign out</button>
+        </div>
+      </div>
+    );
+  }
+
+  const canEdit = can(role, "edit") && !locked;
+  const canRun = can(role, "run") && !locked;
+  const reviewingAi = Boolean(aiReview && aiEdit && aiEdit.filename === currentFile);
+  const aiProposed = reviewingAi ? proposedContent(editorValue, aiEdit.target, aiEdit.replacement) : null;
+
   return (
     <div className="cc-app">
       <div className="cc-topbar">
         <div className="cc-brand">CodeCollab</div>
         <div className="cc-controls">
-          <div className="cc-pill">Session: <b>{sessionId}</b></div>
-          <div className="cc-pill">You: <b>{userName}</b></div>
+          <button className="cc-btn ghost" onClick={openDashboard} title="Back to your sessions">☰ Sessions</button>
+          <button className="cc-btn ghost" onClick={() => setReplaying(true)} title="Play back how this session was written">⏵ Replay</button>
+          <div className="cc-pill" title={sessionName !== sessionId ? `id: ${sessionId}` : undefined}>Session: <b>{sessionName || sessionId}</b></div>
+          <div className="cc-pill">You: <b>{userName}</b>{role && ` (${role})`}</div>
+          <div className={`cc-pill cc-conn ${connection}`} title={connection === "offline" ? "Edits are kept locally and merged when the connection is back" : undefined}>
+            {CONNECTION_LABELS[connection]}
+          </div>
+          {locked && (
+            <div className="cc-pill cc-locked" title={locked.reason || `Locked by ${locked.by}`}>🔒 Read-only</div>
+          )}
+          {notice && <div className="cc-pill cc-notice">{notice}</div>}
 
           <select className="cc-select" value={language} onChange={(e) => setLanguage(e.target.value)}>
             <option value="javascript">JavaScript</option>
@@ -215,9 +887,21 @@ export default function App() {
             <option value="html">HTML</option>
           </select>
 
-          <button className="cc-btn" onClick={runCode}>Run ▶</button>
-          <button className="cc-btn" onClick={saveFile}>Save 💾</button>
-          <button className="cc-btn ghost" onClick={askAI}>AI Suggest 💡</button>
+          {canRun && (activeRun
+            ? <button className="cc-btn danger" onClick={stopRun}>Stop ■</button>
+            : <button className="cc-btn" onClick={runCode}>Run ▶</button>)}
+          {canRun && (
+            <label className="cc-pill cc-toggle" title="Everyone in the session sees this run's console">
+              <input type="checkbox" checked={shareRun} onChange={(e) => setShareRun(e.target.checked)} /> Share run
+            </label>
+          )}
+          {canEdit && <button className="cc-btn" onClick={saveFile}>Save 💾</button>}
+          {canEdit && <button className="cc-btn ghost" onClick={formatFile}>Format ✨</button>}
+          <button className="cc-btn ghost" onClick={() => (previewEntry ? setPreviewEntry(null) : openPreview())}>
+            {previewEntry ? "Hide preview" : "Preview 🌐"}
+          </button>
+          {canEdit && <button className="cc-btn ghost" onClick={askAI}>{aiBusy ? "Stop AI ■" : "AI Suggest 💡"}</button>}
+          <button className="cc-btn ghost" onClick={signOut}>Sign out</button>
         </div>
       </div>
 
@@ -227,31 +911,73 @@ export default function App() {
           <div className="cc-pane">
             <div className="cc-pane-title">
               <span>Files</span>
-              <button className="cc-small" onClick={createFile}>＋</button>
-            </div>
-            <div className="cc-files">
-              {Object.keys(files).length === 0 && <div className="cc-empty">No files — create one</div>}
-              {Object.keys(files).map((fn) => (
-                <div key={fn} className={`cc-file ${currentFile === fn ? "active" : ""}`}>
-                  <div className="cc-file-name" onClick={() => openFile(fn)}>{fn}</div>
-                  <div className="cc-file-actions">
-                    <button className="tiny" onClick={() => openFile(fn)}>Open</button>
-                    <button className="tiny danger" onClick={() => deleteFile(fn)}>Del</button>
-                  </div>
-                </div>
-              ))}
+              {canEdit && (
+                <span>
+                  <button className="cc-small" title="New file" onClick={() => createFile()}>＋</button>{" "}
+                  <button className="cc-small" title="New folder" onClick={() => createFolder()}>📁</button>
+                </span>
+              )}
             </div>
+            <FileTree
+              readOnly={!canEdit}
+              files={Object.keys(files)}
+              folders={folders}
+              currentFile={currentFile}
+              badges={(fn) => (
+                <span className="cc-file-viewers">
+                  {Object.values(peers).filter((p) => p.filename === fn).map((p) => (
+                    <span key={p.id} className={`cc-viewer cc-color-${colorIndex(p.userName)}`} title={`${p.userName} has this open`}>
+                      {p.userName.slice(0, 1).toUpperCase()}
+                    </span>
+                  ))}
+                </span>
+              )}
+              actions={{
+                open: openFile,
+                delete: deleteFile,
+                rename: renameFile,
+                createFile,
+                createFolder,
+                renameFolder,
+                deleteFolder,
+                move: moveItem,
+              }}
+            />
           </div>
 
+          <RunConfigPane config={runConfig} files={Object.keys(files)} onSave={saveRunConfig} readOnly={!canEdit} />
+
+          <FormatConfigPane config={formatConfig} formatters={formatters} linters={linters} onSave={saveFormatConfig} readOnly={!canEdit} />
+
+          <MembersPane backend={BACKEND} sessionId={sessionId} role={role} refreshKey={users.join(",")} />
+
+          <TransferPane backend={BACKEND} sessionId={sessionId} />
+
           <div className="cc-pane">
             <div className="cc-pane-title">Users</div>
             <div className="cc-users">
-              {users.map((u) => <div className="cc-user" key={u}>{u}</div>)}
+              {users.map((u) => {
+                const openIn = u === userName ? currentFile : Object.values(peers).find((p) => p.userName === u && p.filename)?.filename;
+                return (
+                  <div className="cc-user" key={u}>
+                    <span className={`cc-user-dot cc-color-${colorIndex(u)}`} />
+                    {u}
+                    {openIn && <span className="cc-user-file"> · {openIn}</span>}
+                  </div>
+                );
+              })}
             </div>
           </div>
 
+          <HistoryPane
+            filename={currentFile}
+            snapshots={snapshots}
+            selectedId={diffView?.snapshot.id}
+            onSelect={compareVersion}
+          />
+
           <div className="cc-pane">
-            <div className="cc-pane-title">History</div>
+            <div className="cc-pane-title">Activity</div>
             <div className="cc-history">
               {historyItems.length === 0 && <div className="cc-empty">No recent activity</div>}
               {historyItems.map((h, i) => <div key={i} className="cc-history-item">{h}</div>)}
@@ -261,12 +987,74 @@ export default function App() {
 
         {/* MAIN EDITOR */}
         <main className="cc-main">
+          {conflicts.map((c) => (
+            <div key={c.filename} className={`cc-conflict ${c.type}`}>
+              <span>{conflictText(c)}</span>
+              <span>
+                {c.type === "overwritten" && canEdit && <><button className="tiny" onClick={() => resolveConflict(c, "restore")}>Restore my version</button>{" "}</>}
+                {c.type === "deleted" && canEdit && <><button className="tiny" onClick={() => resolveConflict(c, "recreate")}>Recreate with my version</button>{" "}</>}
+                {c.local != null && <><button className="tiny" onClick={() => navigator.clipboard?.writeText(c.local)}>Copy my version</button>{" "}</>}
+                <button className="tiny" onClick={() => resolveConflict(c)}>Dismiss</button>
+              </span>
+            </div>
+          ))}
           <div className="cc-editor-header">
             <div className="cc-openfile">{currentFile || "No file open"}</div>
+            {lspStatus[language] && (
+              <div className={`cc-lsp ${lspStatus[language].available ? "ok" : "off"}`} title={lspStatus[language].reason || lspStatus[language].command}>
+                {lspStatus[language].available ? `LSP: ${lspStatus[language].command}` : "LSP unavailable"}
+              </div>
+            )}
             <div className="cc-online">{users.length} online</div>
           </div>
 
-          <div className="cc-editor-wrap">
+          {diffView && (
+            <div className="cc-editor-wrap cc-diff">
+              <div className="cc-diff-bar">
+                <span>
+                  {diffView.filename}: v{diffView.snapshot.version} from {new Date(diffView.snapshot.time).toLocaleString()}
+                  {diffView.snapshot.author ? ` by ${diffView.snapshot.author}` : ""} ⟷ current
+                </span>
+                <span>
+                  {canEdit && <><button className="tiny" onClick={restoreVersion}>Restore this version</button>{" "}</>}
+                  <button className="tiny" onClick={() => setDiffView(null)}>Close</button>
+                </span>
+              </div>
+              <DiffEditor
+                height="58vh"
+                theme="vs-dark"
+                language={language}
+                original={diffView.snapshot.content}
+                modified={files[diffView.filename] ?? ""}
+                options={{ readOnly: true, renderSideBySide: true, minimap: { enabled: false }, automaticLayout: true }}
+              />
+            </div>
+          )}
+
+          {reviewingAi && (
+            <div className="cc-editor-wrap cc-diff">
+              <div className="cc-diff-bar">
+                <span>
+                  {aiEdit.filename}: current ⟷ AI suggestion
+                  {aiProposed == null && " — the code changed since the suggestion, ask again"}
+                </span>
+                <span>
+                  {canEdit && aiProposed != null && <><button className="tiny" onClick={applyAiEdit}>Apply edit</button>{" "}</>}
+                  <button className="tiny" onClick={() => setAiReview(false)}>Close</button>
+                </span>
+              </div>
+              <DiffEditor
+                height="58vh"
+                theme="vs-dark"
+                language={language}
+                original={editorValue}
+                modified={aiProposed ?? editorValue}
+                options={{ readOnly: true, renderSideBySide: true, minimap: { enabled: false }, automaticLayout: true }}
+              />
+            </div>
+          )}
+
+          <div className="cc-editor-wrap" style={diffView || reviewingAi ? { display: "none" } : undefined}>
             <Editor
               height="62vh"
               theme="vs-dark"
@@ -274,47 +1062,118 @@ export default function App() {
               value={editorValue}
               onChange={onEditorChange}
               options={{
+                readOnly: !canEdit,
                 minimap: { enabled: false },
+                glyphMargin: true,
                 automaticLayout: true,
                 fontSize: 14,
                 formatOnType: true,
-                tabSize: 2,
+                tabSize: formatConfig?.tabWidth || 2,
                 wordWrap: "off",
                 suggestOnTriggerCharacters: true,
                 quickSuggestions: { other: true, comments: false, strings: true },
                 autoClosingBrackets: "always",
                 autoIndent: "full",
               }}
-              onMount={(editor) => { editorRef.current = editor; }}
+              onMount={(editor, monacoInstance) => {
+                editorRef.current = editor;
+                setMonaco(monacoInstance);
+                cursorsRef.current = new RemoteCursors(editor);
+                commentMarkersRef.current = new CommentMarkers(editor, setActiveComment);
+                editor.onDidChangeCursorSelection(() => sendPresenceRef.current());
+              }}
             />
           </div>
 
+          {previewEntry && (
+            <PreviewPane
+              backend={BACKEND}
+              sessionId={sessionId}
+              pages={Object.keys(files).filter((fn) => /\.html?$/i.test(fn))}
+              entry={previewEntry}
+              onEntry={setPreviewEntry}
+              refreshKey={previewTick}
+              onConsole={onPreviewConsole}
+              onClose={() => setPreviewEntry(null)}
+            />
+          )}
+
           <div className="cc-lower">
             <div className="cc-panel">
-              <div className="cc-panel-title">Output</div>
-              <pre className="cc-panel-body">{output}</pre>
+              <div className="cc-panel-title">
+                Output
+                {activeRun && <span className="cc-run-state"> · running{activeRun.shared ? " (shared)" : ""}</span>}
+              </div>
+              <pre className="cc-panel-body cc-console">
+                {output.map((seg, i) => <span key={i} className={`cc-out-${seg.stream}`}>{seg.text}</span>)}
+              </pre>
+              {activeRun && canRun && (activeRun.owner === socket.id || activeRun.shared) && (
+                <ConsoleInput onSend={sendStdin} onEof={sendEof} />
+              )}
             </div>
 
             <div className="cc-panel">
-              <div className="cc-panel-title">AI Suggestion</div>
+              <div className="cc-panel-title">
+                AI Suggestion
+                {aiEdit && !aiBusy && (
+                  <button className="tiny" onClick={reviewAiEdit}>Review edit for {basename(aiEdit.filename)}</button>
+                )}
+              </div>
               <pre className="cc-panel-body">{aiSuggestion}</pre>
             </div>
           </div>
+
+          <TerminalPane
+            ref={terminalRef}
+            status={terminal}
+            userName={userName}
+            users={users}
+            canManage={can(role, "manage") && !locked}
+            onStart={(cols, rows) => socket.emit("terminal:start", { sessionId, cols, rows })}
+            onStop={() => socket.emit("terminal:stop", { sessionId })}
+            onInput={(data) => socket.emit("terminal:input", { sessionId, data })}
+            onResize={(cols, rows) => socket.emit("terminal:resize", { sessionId, cols, rows })}
+            onGrant={(name, control) => socket.emit("terminal:grant", { sessionId, userName: name, control })}
+          />
+
+          <TestsPane
+            backend={BACKEND}
+            sessionId={sessionId}
+            role={role}
+            language={mapLang(language)}
+            filename={currentFile}
+            refreshKey={testsTick}
+          />
         </main>
 
         {/* RIGHT SIDEBAR */}
         <aside className="cc-rightbar">
-          <div className="cc-pane">
-            <div className="cc-pane-title">Chat</div>
-            <div className="cc-chat-window">
-              {chatMessages.map((m) => (
-                <div key={m.id || m.time} className="cc-chat-message">
-                  <b>{m.userName}:</b> {m.text}
-                </div>
-              ))}
-            </div>
-            <ChatInput onSend={sendChat} />
-          </div>
+          <ChatPane
+            messages={chatMessages}
+            userName={userName}
+            onSend={sendChat}
+            onSnippet={sendSnippet}
+            onOpenSnippet={openSnippet}
+          />
+
+          <CommentsPane
+            threads={comments}
+            currentFile={currentFile}
+            contentOf={(filename) => collabRef.current?.content(filename)}
+            userName={userName}
+            canComment={can(role, "chat")}
+            canManage={can(role, "manage")}
+            activeId={activeComment}
+            onActivate={setActiveComment}
+            onAdd={addComment}
+            onReply={(thread, text) => commentAction("comment:reply", thread, { text })}
+            onResolve={(thread, resolved) => commentAction("comment:resolve", thread, { resolved })}
+            onDelete={deleteComment}
+            onOpen={(thread) => {
+              const lines = threadLines(collabRef.current?.content(thread.filename), thread);
+              openSnippet({ filename: thread.filename, ...lines });
+            }}
+          />
 
           <div className="cc-pane">
             <div className="cc-pane-title">Quick files</div>
@@ -326,27 +1185,68 @@ export default function App() {
           </div>
         </aside>
       </div>
+
+      {replaying && (
+        <ReplayView backend={BACKEND} sessionId={sessionId} formatStatus={runStatus} onClose={() => setReplaying(false)} />
+      )}
     </div>
   );
 }
 
-function ChatInput({ onSend }) {
+const CONNECTION_LABELS = {
+  connecting: "● Connecting…",
+  online: "● Online",
+  offline: "● Offline",
+  resyncing: "● Resyncing…",
+};
+
+function conflictText({ filename, type, authors }) {
+  if (type === "merged") return `Your offline edits to ${filename} were merged with changes by ${authors.join(", ")}.`;
+  if (type === "overwritten") return `${filename} changed too much while you were offline to merge your edits; it now shows the server's version.`;
+  if (type === "deleted") return `${filename} was deleted while you were offline; your edits to it were not saved.`;
+  return `${filename} could not be resynced; your edits are kept and will be sent after the next reconnect.`;
+}
+
+// One-line summary of a finished run for the Output panel.
+function runStatus(r) {
+  let status;
+  if (r.stopped) status = "Stopped";
+  else if (r.timedOut) status = "Timed out";
+  else if (r.truncated) status = "Stopped: output limit reached";
+  else if (r.error) status = `Failed: ${r.error}`;
+  else if (r.stage === "compile") status = `Compilation failed (exit ${r.exitCode})`;
+  else if (r.signal) status = `Killed by ${r.signal}`;
+  else status = `Exited with code ${r.exitCode}`;
+  return `${status}${r.durationMs ? ` · ${r.durationMs} ms` : ""}`;
+}
+
+// Select whole lines startLine..endLine (clamped to the document) and scroll them into view.
+function selectLines(editor, startLine, endLine) {
+  if (!editor) return;
+  const last = editor.getModel()?.getLineCount() || endLine;
+  const end = Math.min(endLine, last);
+  const start = Math.min(startLine, end);
+  editor.setSelection({ startLineNumber: start, startColumn: 1, endLineNumber: end, endColumn: editor.getModel().getLineMaxColumn(end) });
+  editor.revealLinesInCenter(start, end);
+  editor.focus();
+}
+
+function ConsoleInput({ onSend, onEof }) {
   const [text, setText] = useState("");
-  const onEnter = (e) => {
+  const onKeyDown = (e) => {
     if (e.key === "Enter") {
-      handle();
+      onSend(text);
+      setText("");
+      e.preventDefault();
+    } else if (e.key === "d" && e.ctrlKey) {
+      onEof();
       e.preventDefault();
     }
   };
-  const handle = () => {
-    if (!text.trim()) return;
-    onSend(text.trim());
-    setText("");
-  };
   return (
-    <div className="cc-chat-input">
-      <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={onEnter} placeholder="Say something..." />
-      <button onClick={handle}>Send</button>
+    <div className="cc-console-input">
+      <span>›</span>
+      <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={onKeyDown} placeholder="stdin — Enter to send, Ctrl+D for EOF" />
     </div>
   );
 }
@@ -0,0 +1,47 @@
+// src/AuthForm.js
+// Sign-in / sign-up screen shown until the user has a token.
+import React, { useState } from "react";
+import axios from "axios";
+
+export default function AuthForm({ backend, onAuth, notice }) {
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(notice || "");
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    try {
+      const res = await axios.post(`${backend}/auth/${mode}`, { username, password });
+      onAuth({ token: res.data.token, username: res.data.user.username });
+    } catch (err) {
+      setError(err.response?.data?.error || "Could not reach the server");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="cc-auth">
+      <form className="cc-auth-card" onSubmit={submit}>
+        <div className="cc-brand">CodeCollab</div>
+        <input value={username} onChange={(e) => setUsername(e.target.value)} placeholder="Username" autoComplete="username" autoFocus />
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          placeholder="Password (8+ characters)"
+          autoComplete={mode === "login" ? "current-password" : "new-password"}
+        />
+        {error && <div className="cc-auth-error">{error}</div>}
+        <button className="cc-btn" type="submit" disabled={busy}>{mode === "login" ? "Sign in" : "Create account"}</button>
+        <button className="cc-btn ghost" type="button" onClick={() => { setMode(mode === "login" ? "register" : "login"); setError(""); }}>
+          {mode === "login" ? "New here? Create an account" : "Have an account? Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+// src/ChatPane.js
+// Session chat: persisted history, @mentions highlighted for the mentioned user,
+// and code-snippet messages that jump back to the file and lines they came from.
+import React, { useEffect, useRef, useState } from "react";
+
+// Message text with @name tokens wrapped so mentions can be styled.
+function renderText(text, mentions, me) {
+  return text.split(/(@[a-z0-9_.-]{3,32})/gi).map((part, i) => {
+    const name = part.startsWith("@") ? part.slice(1).toLowerCase() : null;
+    if (!name || !mentions.includes(name)) return part;
+    return <span key={i} className={`cc-mention ${name === me ? "me" : ""}`}>{part}</span>;
+  });
+}
+
+export default function ChatPane({ messages, userName, onSend, onSnippet, onOpenSnippet }) {
+  const [text, setText] = useState("");
+  const windowRef = useRef(null);
+
+  useEffect(() => {
+    const el = windowRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [messages]);
+
+  const send = () => {
+    if (!text.trim()) return;
+    onSend(text.trim());
+    setText("");
+  };
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") {
+      send();
+      e.preventDefault();
+    }
+  };
+
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">Chat</div>
+      <div className="cc-chat-window" ref={windowRef}>
+        {messages.length === 0 && <div className="cc-empty">No messages yet</div>}
+        {messages.map((m) => {
+          const mentions = m.mentions || [];
+          return (
+            <div key={m.id} className={`cc-chat-message ${mentions.includes(userName) ? "mentioned" : ""}`}>
+              <b>{m.userName}:</b> {renderText(m.text, mentions, userName)}
+              {m.snippet && (
+                <div className="cc-snippet">
+                  <div className="cc-snippet-link" onClick={() => onOpenSnippet(m.snippet)} title="Open in the editor">
+                    {m.snippet.filename}:{m.snippet.startLine}
+                    {m.snippet.endLine !== m.snippet.startLine && `-${m.snippet.endLine}`}
+                  </div>
+                  <pre>{m.snippet.code}</pre>
+                </div>
+              )}
+              <span className="cc-chat-time">{new Date(m.time).toLocaleTimeString()}</span>
+            </div>
+          );
+        })}
+      </div>
+      <div className="cc-chat-input">
+        <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={onKeyDown} placeholder="Say something... (@name to mention)" />
+        <button onClick={send}>Send</button>
+        <button onClick={() => { onSnippet(text.trim()); setText(""); }} title="Send the editor selection as a snippet">{"</>"}</button>
+      </div>
+    </div>
+  );
+}
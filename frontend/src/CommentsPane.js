@@ -0,0 +1,137 @@
+// src/CommentsPane.js
+// Review comments: threads anchored to line ranges, shown as glyph-margin
+// markers in the editor and listed here with replies and resolve/reopen.
+import React, { useEffect, useRef, useState } from "react";
+import { shiftOffset } from "./ot";
+
+// A thread's anchor after an edit of its file.
+export function shiftThread(thread, op) {
+  const start = shiftOffset(op, thread.start);
+  return { ...thread, start, end: Math.max(start, shiftOffset(op, thread.end)) };
+}
+
+// 1-based first and last line of the thread's range in `content`.
+export function threadLines(content, { start, end }) {
+  const text = content || "";
+  const lineAt = (offset) => text.slice(0, Math.min(offset, text.length)).split("\n").length;
+  return { startLine: lineAt(start), endLine: lineAt(end) };
+}
+
+// Glyph-margin markers for the open file's threads; a click on one calls onOpen(threadId).
+export class CommentMarkers {
+  constructor(editor, onOpen) {
+    this.editor = editor;
+    this.decorations = editor.createDecorationsCollection([]);
+    this.lines = new Map(); // line number -> thread id of the marker drawn there
+    this.listener = editor.onMouseDown((e) => {
+      if (e.target.type !== 2) return; // GUTTER_GLYPH_MARGIN
+      const id = this.lines.get(e.target.position?.lineNumber);
+      if (id) onOpen(id);
+    });
+  }
+
+  render(threads, activeId) {
+    const model = this.editor.getModel();
+    if (!model) return;
+    const content = model.getValue();
+    this.lines.clear();
+    this.decorations.set(threads.map((thread) => {
+      const { startLine, endLine } = threadLines(content, thread);
+      if (!this.lines.has(startLine) || !thread.resolved) this.lines.set(startLine, thread.id);
+      const first = thread.messages[0];
+      return {
+        range: { startLineNumber: startLine, startColumn: 1, endLineNumber: endLine, endColumn: 1 },
+        options: {
+          isWholeLine: true,
+          className: thread.id === activeId ? "cc-comment-range" : undefined,
+          glyphMarginClassName: `cc-comment-glyph ${thread.resolved ? "resolved" : ""}`,
+          glyphMarginHoverMessage: { value: `**${first.author}**: ${first.text}` },
+        },
+      };
+    }));
+  }
+
+  dispose() {
+    this.listener.dispose();
+    this.decorations.clear();
+  }
+}
+
+export default function CommentsPane({ threads, currentFile, contentOf, userName, canComment, canManage, activeId, onActivate, onAdd, onReply, onResolve, onDelete, onOpen }) {
+  const [showResolved, setShowResolved] = useState(false);
+  const [allFiles, setAllFiles] = useState(false);
+  const listRef = useRef(null);
+
+  // Bring a thread picked from its marker into view.
+  useEffect(() => {
+    if (activeId) listRef.current?.querySelector(`[data-thread="${activeId}"]`)?.scrollIntoView({ block: "nearest" });
+  }, [activeId]);
+
+  const open = threads.filter((t) => !t.resolved).length;
+  // The active thread shows even when the filters would hide it.
+  const visible = threads
+    .filter((t) => t.id === activeId || ((allFiles || t.filename === currentFile) && (showResolved || !t.resolved)))
+    .map((t) => ({ ...t, ...threadLines(contentOf(t.filename), t) }))
+    .sort((a, b) => a.filename.localeCompare(b.filename) || a.startLine - b.startLine);
+
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">
+        <span>Comments{open > 0 && <span className="cc-muted"> · {open} open</span>}</span>
+        {canComment && <button className="tiny" onClick={onAdd} disabled={!currentFile} title="Comment on the selected lines">+ Comment</button>}
+      </div>
+      <div className="cc-comment-filters">
+        <label><input type="checkbox" checked={allFiles} onChange={(e) => setAllFiles(e.target.checked)} /> All files</label>
+        <label><input type="checkbox" checked={showResolved} onChange={(e) => setShowResolved(e.target.checked)} /> Resolved</label>
+      </div>
+      <div className="cc-comment-list" ref={listRef}>
+        {visible.length === 0 && <div className="cc-empty">No {showResolved ? "" : "open "}comments{allFiles ? "" : " on this file"}</div>}
+        {visible.map((t) => (
+          <div
+            key={t.id}
+            data-thread={t.id}
+            className={`cc-comment-thread ${t.resolved ? "resolved" : ""} ${t.id === activeId ? "active" : ""}`}
+            onClick={() => onActivate(t.id)}
+          >
+            <div className="cc-snippet-link" onClick={() => onOpen(t)} title="Show in the editor">
+              {t.filename}:{t.startLine}{t.endLine !== t.startLine && `-${t.endLine}`}
+              {t.resolved && <span className="cc-muted"> · resolved{t.resolvedBy ? ` by ${t.resolvedBy}` : ""}</span>}
+            </div>
+            {t.messages.map((m) => (
+              <div key={m.id} className="cc-comment-message">
+                <b>{m.author}:</b> {m.text}
+                <span className="cc-chat-time">{new Date(m.time).toLocaleString()}</span>
+              </div>
+            ))}
+            {canComment && (
+              <ReplyBox
+                onReply={(text) => onReply(t, text)}
+                actions={(
+                  <>
+                    <button className="tiny" onClick={() => onResolve(t, !t.resolved)}>{t.resolved ? "Reopen" : "Resolve"}</button>
+                    {(t.author === userName || canManage) && <button className="tiny danger" onClick={() => onDelete(t)}>Delete</button>}
+                  </>
+                )}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ReplyBox({ onReply, actions }) {
+  const [text, setText] = useState("");
+  const send = () => {
+    if (!text.trim()) return;
+    onReply(text.trim());
+    setText("");
+  };
+  return (
+    <div className="cc-comment-reply">
+      <input value={text} onChange={(e) => setText(e.target.value)} onKeyDown={(e) => e.key === "Enter" && send()} placeholder="Reply…" />
+      {actions}
+    </div>
+  );
+}
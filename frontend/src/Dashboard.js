@@ -0,0 +1,151 @@
+// src/Dashboard.js
+// Landing page: the sessions you own or joined, with create-from-template, join by id, fork, rename, archive and delete.
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { can } from "./auth";
+
+export default function Dashboard({ backend, userName, onOpen, onSignOut }) {
+  const [sessions, setSessions] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [showArchived, setShowArchived] = useState(false);
+  const [name, setName] = useState("");
+  const [template, setTemplate] = useState("blank");
+  const [joinId, setJoinId] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const load = useCallback(() => {
+    axios.get(`${backend}/sessions`)
+      .then((res) => setSessions(res.data.sessions || []))
+      .catch((e) => console.error(e));
+  }, [backend]);
+
+  useEffect(() => {
+    load();
+    axios.get(`${backend}/sessions/templates`)
+      .then((res) => setTemplates(res.data.templates || []))
+      .catch((e) => console.error(e));
+  }, [backend, load]);
+
+  const request = async (task) => {
+    setBusy(true);
+    try {
+      return await task();
+    } catch (e) {
+      alert(e.response?.data?.error || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const create = (e) => {
+    e.preventDefault();
+    request(async () => {
+      const res = await axios.post(`${backend}/sessions`, { name, template });
+      onOpen(res.data.sessionId);
+    });
+  };
+
+  const join = (e) => {
+    e.preventDefault();
+    if (joinId.trim()) onOpen(joinId.trim());
+  };
+
+  const fork = (s) => {
+    const forkName = prompt(`Name for the copy of “${s.name}”:`, `${s.name} (fork)`);
+    if (forkName === null) return;
+    request(async () => {
+      const res = await axios.post(`${backend}/sessions/${s.id}/fork`, { name: forkName });
+      onOpen(res.data.sessionId);
+    });
+  };
+
+  const rename = (s) => {
+    const next = prompt("New name:", s.name);
+    if (next && next !== s.name) request(() => axios.post(`${backend}/sessions/${s.id}/rename`, { name: next }).then(load));
+  };
+
+  const archive = (s) => request(() => axios.post(`${backend}/sessions/${s.id}/archive`, { archived: !s.archived }).then(load));
+
+  const remove = (s) => {
+    if (!window.confirm(`Delete “${s.name}” with all its files, history and chat? This cannot be undone.`)) return;
+    request(() => axios.delete(`${backend}/sessions/${s.id}`).then(load));
+  };
+
+  const visible = (sessions || []).filter((s) => s.archived === showArchived);
+  const archivedCount = (sessions || []).filter((s) => s.archived).length;
+
+  return (
+    <div className="cc-dashboard">
+      <div className="cc-topbar">
+        <div className="cc-brand">CodeCollab</div>
+        <div className="cc-controls">
+          <div className="cc-pill">You: <b>{userName}</b></div>
+          <button className="cc-btn ghost" onClick={onSignOut}>Sign out</button>
+        </div>
+      </div>
+
+      <div className="cc-dash-body">
+        <div className="cc-dash-start">
+          <form className="cc-panel cc-dash-form" onSubmit={create}>
+            <div className="cc-panel-title">New session</div>
+            <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Name (optional)" />
+            <select value={template} onChange={(e) => setTemplate(e.target.value)}>
+              {templates.map((t) => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <button className="cc-btn" type="submit" disabled={busy}>Create</button>
+          </form>
+          <form className="cc-panel cc-dash-form" onSubmit={join}>
+            <div className="cc-panel-title">Join a session</div>
+            <input value={joinId} onChange={(e) => setJoinId(e.target.value)} placeholder="Session id" />
+            <button className="cc-btn ghost" type="submit" disabled={!joinId.trim()}>Join</button>
+          </form>
+        </div>
+
+        <div className="cc-panel cc-dash-list">
+          <div className="cc-panel-title">
+            <span>{showArchived ? "Archived sessions" : "Your sessions"}</span>
+            {(archivedCount > 0 || showArchived) && (
+              <button className="tiny" onClick={() => setShowArchived(!showArchived)}>
+                {showArchived ? "Back to active" : `Archived (${archivedCount})`}
+              </button>
+            )}
+          </div>
+          {sessions === null && <div className="cc-empty">Loading…</div>}
+          {sessions && visible.length === 0 && (
+            <div className="cc-empty">{showArchived ? "No archived sessions" : "No sessions yet — create one or join with an id"}</div>
+          )}
+          {visible.length > 0 && (
+            <table className="cc-grades">
+              <thead><tr><th>Session</th><th>Role</th><th>Files</th><th>Online</th><th>Last joined</th><th /></tr></thead>
+              <tbody>
+                {visible.map((s) => (
+                  <tr key={s.id}>
+                    <td>
+                      <button className="cc-dash-open" onClick={() => onOpen(s.id)}>{s.name}</button>
+                      {s.name !== s.id && <span className="cc-muted"> {s.id}</span>}
+                      {s.forkedFrom && <span className="cc-muted"> · fork of {s.forkedFrom}</span>}
+                    </td>
+                    <td>{s.role}{s.owner !== userName && <span className="cc-muted"> · {s.owner}'s</span>}</td>
+                    <td>{s.files}</td>
+                    <td>{s.online}</td>
+                    <td>{new Date(s.lastJoined).toLocaleString()}</td>
+                    <td className="cc-dash-actions">
+                      <button className="tiny" disabled={busy} onClick={() => fork(s)}>Fork</button>
+                      {can(s.role, "manage") && (
+                        <>
+                          <button className="tiny" disabled={busy} onClick={() => rename(s)}>Rename</button>
+                          <button className="tiny" disabled={busy} onClick={() => archive(s)}>{s.archived ? "Unarchive" : "Archive"}</button>
+                          <button className="tiny danger" disabled={busy} onClick={() => remove(s)}>Delete</button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+// src/FileTree.js
+// Collapsible tree for the Files pane, built from "/"-separated file paths plus
+// explicitly created (possibly empty) folders. Rows can be dragged onto folders to move them.
+import React, { useState } from "react";
+
+export const basename = (p) => p.slice(p.lastIndexOf("/") + 1);
+export const dirname = (p) => (p.includes("/") ? p.slice(0, p.lastIndexOf("/")) : "");
+
+// Path after renaming folder/file `from` to `to` (unchanged when outside it).
+export function renamePath(p, from, to) {
+  if (p === from) return to;
+  return p.startsWith(`${from}/`) ? to + p.slice(from.length) : p;
+}
+
+function buildTree(paths, folders) {
+  const root = { path: "", folders: {}, files: [] };
+  const ensure = (folder) => {
+    let node = root;
+    folder.split("/").filter(Boolean).forEach((part) => {
+      const path = node.path ? `${node.path}/${part}` : part;
+      node.folders[part] = node.folders[part] || { path, folders: {}, files: [] };
+      node = node.folders[part];
+    });
+    return node;
+  };
+  folders.forEach(ensure);
+  paths.forEach((p) => ensure(dirname(p)).files.push(p));
+  return root;
+}
+
+export default function FileTree({ files, folders, currentFile, badges, actions, readOnly = false }) {
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const [dropTarget, setDropTarget] = useState(null);
+  const tree = buildTree(files, folders);
+
+  const toggle = (path) => setCollapsed((c) => {
+    const next = new Set(c);
+    if (next.has(path)) next.delete(path);
+    else next.add(path);
+    return next;
+  });
+
+  const dragProps = (path, kind) => ({
+    draggable: !readOnly,
+    onDragStart: (e) => e.dataTransfer.setData("text/plain", JSON.stringify({ path, kind })),
+  });
+  const dropProps = (folder) => ({
+    onDragOver: (e) => { e.preventDefault(); e.stopPropagation(); setDropTarget(folder); },
+    onDragLeave: () => setDropTarget(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(null);
+      try {
+        actions.move(JSON.parse(e.dataTransfer.getData("text/plain")), folder);
+      } catch {
+        // not one of our rows
+      }
+    },
+  });
+
+  const renderFolder = (node, depth) => (
+    <>
+      {Object.keys(node.folders).sort().map((name) => {
+        const child = node.folders[name];
+        const open = !collapsed.has(child.path);
+        return (
+          <div key={child.path}>
+            <div
+              className={`cc-file cc-folder ${dropTarget === child.path ? "drop" : ""}`}
+              style={{ paddingLeft: 8 + depth * 12 }}
+              {...dragProps(child.path, "folder")}
+              {...dropProps(child.path)}
+            >
+              <div className="cc-file-name" onClick={() => toggle(child.path)}>{open ? "▾" : "▸"} {name}</div>
+              {!readOnly && (
+                <div className="cc-file-actions">
+                  <button className="tiny" title="New file" onClick={() => actions.createFile(child.path)}>＋</button>
+                  <button className="tiny" title="New folder" onClick={() => actions.createFolder(child.path)}>📁</button>
+                  <button className="tiny" title="Rename / move" onClick={() => actions.renameFolder(child.path)}>✎</button>
+                  <button className="tiny danger" onClick={() => actions.deleteFolder(child.path)}>Del</button>
+                </div>
+              )}
+            </div>
+            {open && renderFolder(child, depth + 1)}
+          </div>
+        );
+      })}
+      {node.files.sort().map((fn) => (
+        <div
+          key={fn}
+          className={`cc-file ${currentFile === fn ? "active" : ""}`}
+          style={{ paddingLeft: 8 + depth * 12 }}
+          {...dragProps(fn, "file")}
+        >
+          <div className="cc-file-name" onClick={() => actions.open(fn)}>
+            {basename(fn)}
+            {badges(fn)}
+          </div>
+          {!readOnly && (
+            <div className="cc-file-actions">
+              <button className="tiny" title="Rename / move" onClick={() => actions.rename(fn)}>✎</button>
+              <button className="tiny danger" onClick={() => actions.delete(fn)}>Del</button>
+            </div>
+          )}
+        </div>
+      ))}
+    </>
+  );
+
+  return (
+    <div className={`cc-files ${dropTarget === "" ? "drop" : ""}`} {...dropProps("")}>
+      {files.length === 0 && folders.length === 0 && <div className="cc-empty">No files — create one</div>}
+      {renderFolder(tree, 0)}
+    </div>
+  );
+}
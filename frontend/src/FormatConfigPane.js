@@ -0,0 +1,66 @@
+// src/FormatConfigPane.js
+// Sidebar form for the session's format config: format and lint on save, the
+// Python formatter and line/indent widths, plus which formatters and linters
+// the server has.
+import React, { useEffect, useState } from "react";
+
+const LANGUAGE_NAMES = { javascript: "JS", html: "HTML", css: "CSS", python: "Python", c: "C", cpp: "C++", java: "Java" };
+
+export default function FormatConfigPane({ config, formatters = {}, linters = {}, onSave, readOnly = false }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({ formatOnSave: false, lintOnSave: true, python: "black", printWidth: 80, tabWidth: 2 });
+
+  useEffect(() => {
+    if (config) setDraft(config);
+  }, [config]);
+
+  const set = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+  const save = () => onSave({ ...draft, printWidth: Number(draft.printWidth), tabWidth: Number(draft.tabWidth) });
+
+  const onSaveText = [config?.formatOnSave && "format", config?.lintOnSave && "lint"].filter(Boolean).join(" & ") || "nothing";
+  const missing = Object.keys(LANGUAGE_NAMES).filter((lang) => lang in formatters && !formatters[lang]);
+  const linted = Object.keys(LANGUAGE_NAMES).filter((lang) => linters[lang]);
+
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">
+        <span>Formatting</span>
+        {!readOnly && <button className="cc-small" onClick={() => setOpen((o) => !o)}>{open ? "−" : "✎"}</button>}
+      </div>
+      {(!open || readOnly) && (
+        <div className="cc-runconfig-summary">
+          On save: <b>{onSaveText}</b>
+          {missing.length > 0 && <div>No formatter on the server for {missing.map((l) => LANGUAGE_NAMES[l]).join(", ")}</div>}
+          {config?.lintOnSave && (
+            <div className="cc-muted">
+              Lint covers {linted.length ? linted.map((l) => LANGUAGE_NAMES[l]).join(", ") : "no language on this server"}; other files only get syntax errors from their formatter
+            </div>
+          )}
+        </div>
+      )}
+      {open && !readOnly && (
+        <div className="cc-runconfig">
+          <label className="cc-check">
+            <input type="checkbox" checked={draft.formatOnSave} onChange={set("formatOnSave")} /> Format on save
+          </label>
+          <label className="cc-check">
+            <input type="checkbox" checked={draft.lintOnSave} onChange={set("lintOnSave")} /> Lint on save
+          </label>
+          <label>Python formatter
+            <select value={draft.python} onChange={set("python")}>
+              <option value="black">black</option>
+              <option value="autopep8">autopep8</option>
+            </select>
+          </label>
+          <label>Line width
+            <input type="number" min={40} max={200} value={draft.printWidth} onChange={set("printWidth")} />
+          </label>
+          <label>Indent width
+            <input type="number" min={1} max={8} value={draft.tabWidth} onChange={set("tabWidth")} />
+          </label>
+          <button className="tiny" onClick={save}>Save for everyone</button>
+        </div>
+      )}
+    </div>
+  );
+}
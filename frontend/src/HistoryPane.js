@@ -0,0 +1,28 @@
+// src/HistoryPane.js
+// Server-side version history of the open file; picking a version opens the diff view.
+import React from "react";
+
+const REASONS = { save: "Saved", auto: "Autosave", restore: "Restored" };
+
+export default function HistoryPane({ filename, snapshots, selectedId, onSelect }) {
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">History</div>
+      <div className="cc-history">
+        {!filename && <div className="cc-empty">Open a file to see its versions</div>}
+        {filename && snapshots.length === 0 && <div className="cc-empty">No saved versions yet</div>}
+        {snapshots.map((s) => (
+          <div
+            key={s.id}
+            className={`cc-history-item cc-version ${selectedId === s.id ? "active" : ""}`}
+            onClick={() => onSelect(s)}
+            title="Compare with the current content"
+          >
+            <b>{REASONS[s.reason] || s.reason}</b> · v{s.version}
+            <div>{new Date(s.time).toLocaleString()}{s.author ? ` · ${s.author}` : ""}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
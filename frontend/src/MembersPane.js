@@ -0,0 +1,80 @@
+// src/MembersPane.js
+// Session members and their roles; the owner can change roles, remove members and create invite links.
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { ROLES, can } from "./auth";
+
+const ASSIGNABLE = ROLES.filter((r) => r !== "owner");
+
+export default function MembersPane({ backend, sessionId, role, refreshKey }) {
+  const [members, setMembers] = useState([]);
+  const [inviteRole, setInviteRole] = useState("editor");
+  const [inviteLink, setInviteLink] = useState("");
+  const manage = can(role, "manage");
+
+  const load = useCallback(() => {
+    axios.get(`${backend}/sessions/${sessionId}/members`)
+      .then((res) => setMembers(res.data.members || []))
+      .catch((e) => console.error(e));
+  }, [backend, sessionId]);
+
+  useEffect(() => { if (role) load(); }, [load, role, refreshKey]);
+
+  const request = async (promise) => {
+    try {
+      await promise;
+      load();
+    } catch (e) {
+      alert(e.response?.data?.error || "Request failed");
+    }
+  };
+
+  const changeRole = (username, next) => request(axios.post(`${backend}/sessions/${sessionId}/members`, { username, role: next }));
+  const remove = (username) => {
+    if (window.confirm(`Remove ${username} from this session?`)) request(axios.delete(`${backend}/sessions/${sessionId}/members/${username}`));
+  };
+
+  const createInvite = async () => {
+    try {
+      const res = await axios.post(`${backend}/sessions/${sessionId}/invites`, { role: inviteRole });
+      const url = new URL(window.location.href);
+      url.search = new URLSearchParams({ session: sessionId, invite: res.data.token }).toString();
+      setInviteLink(url.toString());
+      navigator.clipboard?.writeText(url.toString()).catch(() => {});
+    } catch (e) {
+      alert(e.response?.data?.error || "Could not create an invite");
+    }
+  };
+
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">Members</div>
+      <div className="cc-members">
+        {members.map((m) => (
+          <div key={m.username} className="cc-member">
+            <span className={m.online ? "cc-member-online" : ""}>{m.username}</span>
+            {manage && m.role !== "owner" ? (
+              <span>
+                <select value={m.role} onChange={(e) => changeRole(m.username, e.target.value)}>
+                  {ASSIGNABLE.map((r) => <option key={r} value={r}>{r}</option>)}
+                </select>{" "}
+                <button className="tiny danger" onClick={() => remove(m.username)}>✕</button>
+              </span>
+            ) : (
+              <span className="cc-member-role">{m.role}</span>
+            )}
+          </div>
+        ))}
+      </div>
+      {manage && (
+        <div className="cc-invite">
+          <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+            {ASSIGNABLE.map((r) => <option key={r} value={r}>{r}</option>)}
+          </select>
+          <button className="tiny" onClick={createInvite}>Create invite link</button>
+          {inviteLink && <input readOnly value={inviteLink} onFocus={(e) => e.target.select()} title="Copied to clipboard" />}
+        </div>
+      )}
+    </div>
+  );
+}
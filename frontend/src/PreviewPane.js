@@ -0,0 +1,66 @@
+// src/PreviewPane.js
+// Live preview of the session's HTML pages in a sandboxed iframe. Pages are served
+// by the backend's /preview route, reload shortly after any file changes and report
+// their console output and errors through postMessage.
+import React, { useEffect, useRef, useState } from "react";
+import axios from "axios";
+
+const TOKEN_REFRESH_MS = 45 * 60 * 1000; // preview tokens live for an hour
+
+export default function PreviewPane({ backend, sessionId, pages, entry, onEntry, refreshKey, onConsole, onClose }) {
+  const [token, setToken] = useState(null);
+  const [nonce, setNonce] = useState(0);
+  const iframeRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchToken = () => axios.post(`${backend}/preview/${sessionId}/token`)
+      .then((res) => { if (!cancelled) setToken(res.data.token); })
+      .catch((e) => console.error(e));
+    fetchToken();
+    const timer = setInterval(fetchToken, TOKEN_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [backend, sessionId]);
+
+  // Debounced so a burst of keystrokes causes a single reload.
+  useEffect(() => {
+    const timer = setTimeout(() => setNonce((n) => n + 1), 500);
+    return () => clearTimeout(timer);
+  }, [refreshKey]);
+
+  useEffect(() => {
+    const onMessage = (e) => {
+      if (e.source !== iframeRef.current?.contentWindow || e.data?.source !== "codecollab-preview") return;
+      onConsole(e.data.level, e.data.text);
+    };
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, [onConsole]);
+
+  const src = token && entry
+    ? `${backend}/preview/${encodeURIComponent(sessionId)}/${token}/${entry.split("/").map(encodeURIComponent).join("/")}`
+    : null;
+
+  return (
+    <div className="cc-panel cc-preview">
+      <div className="cc-panel-title">
+        Preview
+        <span>
+          <select value={entry || ""} onChange={(e) => onEntry(e.target.value)}>
+            {!pages.includes(entry) && <option value={entry || ""}>{entry || "(no page)"}</option>}
+            {pages.map((p) => <option key={p} value={p}>{p}</option>)}
+          </select>{" "}
+          <button className="tiny" onClick={() => setNonce((n) => n + 1)} title="Reload">⟳</button>{" "}
+          {src && <a className="tiny" href={src} target="_blank" rel="noreferrer">Open ↗</a>}{" "}
+          <button className="tiny" onClick={onClose}>Close</button>
+        </span>
+      </div>
+      {src
+        ? <iframe key={nonce} ref={iframeRef} title="Preview" src={src} sandbox="allow-scripts allow-forms allow-modals allow-popups" />
+        : <div className="cc-empty">Loading preview…</div>}
+    </div>
+  );
+}
@@ -0,0 +1,163 @@
+// src/ReplayView.js
+// Session replay: plays back the session's timeline (edits, files, runs, chat)
+// with play/pause, speed and a scrubber, and exports it or opens an export.
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import Editor from "@monaco-editor/react";
+import axios from "axios";
+import { Replay } from "./timeline";
+
+const SPEEDS = [1, 2, 4, 8, 16];
+const TICK_MS = 50;
+
+export default function ReplayView({ backend, sessionId, formatStatus, onClose }) {
+  const [data, setData] = useState(null); // { sessionId, name, exportedAt, base, events }
+  const [error, setError] = useState("");
+  const [pos, setPos] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(4);
+  const [pinned, setPinned] = useState(null); // file picked by hand; otherwise follow the edits
+  const logRef = useRef(null);
+
+  useEffect(() => {
+    axios.get(`${backend}/sessions/${sessionId}/timeline`)
+      .then((res) => setData(res.data))
+      .catch((e) => setError(e.response?.data?.error || "Could not load the timeline"));
+  }, [backend, sessionId]);
+
+  const replay = useMemo(() => (data ? new Replay(data) : null), [data]);
+
+  useEffect(() => {
+    if (!playing || !replay) return;
+    const timer = setInterval(() => {
+      setPos((p) => {
+        const next = Math.min(replay.duration, p + TICK_MS * speed);
+        if (next >= replay.duration) setPlaying(false);
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, replay]);
+
+  const index = replay ? replay.indexAt(pos) : -1;
+  const files = useMemo(() => (replay ? replay.filesAt(index) : {}), [replay, index]);
+  const time = replay ? replay.timeAt(pos) : 0;
+  const log = useMemo(() => (replay ? replay.log(time) : []), [replay, time]);
+  const touched = replay ? replay.lastTouched(index) : null;
+  const shown = pinned && pinned in files ? pinned : (touched && touched.filename in files ? touched.filename : Object.keys(files)[0]);
+
+  useEffect(() => {
+    const el = logRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [log.length]);
+
+  const togglePlay = () => {
+    if (!playing && pos >= replay.duration) setPos(0);
+    setPlaying(!playing);
+  };
+
+  const exportJson = () => {
+    const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${data.sessionId}-timeline.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openJson = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text()
+      .then((text) => {
+        const loaded = JSON.parse(text);
+        if (!loaded || !Array.isArray(loaded.events)) throw new Error("not a timeline");
+        setPlaying(false);
+        setPos(0);
+        setPinned(null);
+        setData(loaded);
+      })
+      .catch(() => alert("That file is not an exported session timeline."));
+  };
+
+  return (
+    <div className="cc-replay">
+      <div className="cc-topbar">
+        <div className="cc-brand">Replay{data ? `: ${data.name}` : ""}</div>
+        <div className="cc-controls">
+          <label className="cc-btn ghost" title="Open an exported timeline">
+            Open… <input type="file" accept="application/json,.json" hidden onChange={openJson} />
+          </label>
+          <button className="cc-btn ghost" onClick={exportJson} disabled={!data}>Export JSON</button>
+          <button className="cc-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {error && <div className="cc-empty">{error}</div>}
+      {!error && !replay && <div className="cc-empty">Loading…</div>}
+      {replay && (
+        <>
+          <div className="cc-replay-controls">
+            <button className="cc-btn small" onClick={togglePlay} disabled={!replay.events.length}>{playing ? "❚❚ Pause" : "▶ Play"}</button>
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+              {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+            </select>
+            <input
+              type="range"
+              min={0}
+              max={replay.duration}
+              value={pos}
+              onChange={(e) => setPos(Number(e.target.value))}
+              disabled={!replay.events.length}
+            />
+            <span className="cc-muted">
+              {time ? new Date(time).toLocaleString() : ""} · event {index + 1}/{replay.events.length}
+            </span>
+          </div>
+
+          <div className="cc-replay-body">
+            <div className="cc-panel cc-replay-files">
+              <div className="cc-panel-title">Files</div>
+              {Object.keys(files).sort().map((f) => (
+                <div key={f} className={`cc-quick-file ${f === shown ? "active" : ""}`} onClick={() => setPinned(f)}>{f}</div>
+              ))}
+              {pinned && <button className="tiny" onClick={() => setPinned(null)}>Follow edits</button>}
+            </div>
+
+            <div className="cc-replay-editor">
+              <div className="cc-diff-bar">
+                <span>{shown || "No files"}</span>
+                <span className="cc-muted">{touched && touched.filename === shown && touched.userName ? `last edit by ${touched.userName}` : ""}</span>
+              </div>
+              <Editor
+                height="70vh"
+                theme="vs-dark"
+                path={`replay/${shown || ""}`}
+                value={shown ? files[shown] : ""}
+                options={{ readOnly: true, minimap: { enabled: false }, automaticLayout: true, fontSize: 14 }}
+              />
+            </div>
+
+            <div className="cc-panel cc-replay-log">
+              <div className="cc-panel-title">Chat & runs</div>
+              <pre className="cc-panel-body cc-console" ref={logRef}>
+                {log.length === 0 && <span className="cc-muted">Nothing yet</span>}
+                {log.map((entry, i) => <LogEntry key={i} entry={entry} formatStatus={formatStatus} />)}
+              </pre>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function LogEntry({ entry, formatStatus }) {
+  if (entry.kind === "chat") return <span className="cc-replay-chat"><b>{entry.message.userName}:</b> {entry.message.text}{"\n"}</span>;
+  if (entry.kind === "run") return <span className="cc-out-status">▶ {entry.userName} ran {entry.filename || entry.language}{"\n"}</span>;
+  if (entry.kind === "output") return <span className={`cc-out-${entry.stream}`}>{entry.data}</span>;
+  const { status } = entry;
+  const note = status.outputPrivate ? ", private run: output not recorded" : status.outputTruncated ? ", output cut short in the recording" : "";
+  return <span className="cc-out-status">{"\n"}[{formatStatus(status)}{note}]{"\n"}</span>;
+}
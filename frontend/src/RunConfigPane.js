@@ -0,0 +1,68 @@
+// src/RunConfigPane.js
+// Sidebar form for the session's shared run config (entry point, flags, args, env).
+import React, { useEffect, useState } from "react";
+
+const toEnvText = (env = {}) => Object.entries(env).map(([k, v]) => `${k}=${v}`).join("\n");
+
+function parseEnv(text) {
+  const env = {};
+  text.split("\n").map((l) => l.trim()).filter(Boolean).forEach((line) => {
+    const eq = line.indexOf("=");
+    if (eq > 0) env[line.slice(0, eq).trim()] = line.slice(eq + 1);
+  });
+  return env;
+}
+
+export default function RunConfigPane({ config, files, onSave, readOnly = false }) {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState({ entry: "", compilerFlags: "", args: "", envText: "" });
+
+  useEffect(() => {
+    setDraft({
+      entry: config?.entry || "",
+      compilerFlags: config?.compilerFlags || "",
+      args: config?.args || "",
+      envText: toEnvText(config?.env),
+    });
+  }, [config]);
+
+  const set = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+  const save = () => {
+    onSave({ entry: draft.entry, compilerFlags: draft.compilerFlags, args: draft.args, env: parseEnv(draft.envText) });
+  };
+
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">
+        <span>Run config</span>
+        {!readOnly && <button className="cc-small" onClick={() => setOpen((o) => !o)}>{open ? "−" : "✎"}</button>}
+      </div>
+      {(!open || readOnly) && (
+        <div className="cc-runconfig-summary">
+          Entry: <b>{config?.entry || "current file"}</b>
+          {config?.args && <> · args <code>{config.args}</code></>}
+        </div>
+      )}
+      {open && !readOnly && (
+        <div className="cc-runconfig">
+          <label>Entry point
+            <select value={draft.entry} onChange={set("entry")}>
+              <option value="">(current file)</option>
+              {files.map((f) => <option key={f} value={f}>{f}</option>)}
+            </select>
+          </label>
+          <label>Compiler flags
+            <input value={draft.compilerFlags} onChange={set("compilerFlags")} placeholder="-O2 -Wall -lm" />
+          </label>
+          <label>Program arguments
+            <input value={draft.args} onChange={set("args")} placeholder={'input.txt "two words"'} />
+          </label>
+          <label>Environment (KEY=value per line)
+            <textarea rows={3} value={draft.envText} onChange={set("envText")} />
+          </label>
+          <button className="tiny" onClick={save}>Save for everyone</button>
+        </div>
+      )}
+    </div>
+  );
+}
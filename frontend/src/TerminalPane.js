@@ -0,0 +1,133 @@
+// src/TerminalPane.js
+// Shared terminal: the session's shell rendered with xterm.js. The owner starts
+// and stops it and picks who else may type; everyone else watches.
+import React, { useEffect, useImperativeHandle, useRef, useState } from "react";
+import { Terminal } from "@xterm/xterm";
+import { FitAddon } from "@xterm/addon-fit";
+import "@xterm/xterm/css/xterm.css";
+
+const EXIT_REASONS = {
+  stopped: "Terminal stopped",
+  idle: "Terminal closed after being idle",
+  limit: "Terminal reached its time limit",
+};
+
+export function terminalExitText({ reason, exitCode }) {
+  return EXIT_REASONS[reason] || `Shell exited${exitCode ? ` with code ${exitCode}` : ""}`;
+}
+
+// `ref` gets { write(data), reset(scrollback), exit(status) } for the socket handlers in App.
+export default function TerminalPane({ ref, status, userName, users, canManage, onStart, onStop, onInput, onResize, onGrant }) {
+  const [collapsed, setCollapsed] = useState(null); // null: open while a terminal runs
+  const hostRef = useRef(null);
+  const termRef = useRef(null);
+  const fitRef = useRef(null);
+  const handlersRef = useRef({});
+  const running = status?.running || null;
+  const canControl = Boolean(running) && (canManage || running.controllers.includes(userName));
+  const open = collapsed == null ? Boolean(running) : !collapsed;
+
+  // xterm listens once; these change with every render.
+  useEffect(() => {
+    handlersRef.current = { onInput, onResize, canControl };
+  });
+
+  useEffect(() => {
+    const term = new Terminal({
+      fontFamily: "Consolas, Monaco, monospace",
+      fontSize: 13,
+      scrollback: 5000,
+      theme: { background: "#071114" },
+    });
+    const fit = new FitAddon();
+    term.loadAddon(fit);
+    term.open(hostRef.current);
+    term.onData((data) => {
+      if (handlersRef.current.canControl) handlersRef.current.onInput(data);
+    });
+    termRef.current = term;
+    fitRef.current = fit;
+    return () => term.dispose();
+  }, []);
+
+  useEffect(() => {
+    if (termRef.current) termRef.current.options.disableStdin = !canControl;
+  }, [canControl]);
+
+  // Fit to the pane whenever it is shown or resized; the shell takes the size
+  // of whoever controls it.
+  useEffect(() => {
+    if (!open) return;
+    const fitNow = () => {
+      if (!fitRef.current.proposeDimensions()) return;
+      fitRef.current.fit();
+      if (handlersRef.current.canControl) handlersRef.current.onResize(termRef.current.cols, termRef.current.rows);
+    };
+    fitNow();
+    const observer = new ResizeObserver(fitNow);
+    observer.observe(hostRef.current);
+    return () => observer.disconnect();
+  }, [open, canControl]);
+
+  useImperativeHandle(ref, () => ({
+    write: (data) => termRef.current?.write(data),
+    reset: (scrollback = "") => {
+      termRef.current?.reset();
+      termRef.current?.write(scrollback);
+    },
+    exit: (exitStatus) => termRef.current?.write(`\r\n\x1b[2m[${terminalExitText(exitStatus)}]\x1b[0m\r\n`),
+  }), []);
+
+  const start = () => {
+    setCollapsed(false);
+    onStart(termRef.current.cols, termRef.current.rows);
+  };
+
+  const grantable = running ? users.filter((u) => u !== userName && !running.controllers.includes(u)) : [];
+  const limits = status?.limits;
+
+  return (
+    <div className="cc-panel cc-terminal">
+      <div className="cc-panel-title">
+        <span className="cc-terminal-toggle" onClick={() => setCollapsed(open)}>
+          {open ? "▾" : "▸"} Terminal
+          {running && <span className="cc-run-state"> · started by {running.startedBy}</span>}
+        </span>
+        <span className="cc-terminal-actions">
+          {status && !status.available && <span className="cc-muted">{status.reason}</span>}
+          {canManage && status?.available && !running && (
+            <button
+              className="tiny"
+              onClick={start}
+              title={limits ? `Runs in the session's sandbox and closes after ${Math.round(limits.idleMs / 60000)} min without activity` : ""}
+            >
+              Start
+            </button>
+          )}
+          {canManage && running && <button className="tiny danger" onClick={onStop}>Stop</button>}
+        </span>
+      </div>
+
+      <div className="cc-terminal-body" hidden={!open}>
+        {running && (
+          <div className="cc-terminal-control">
+            {canControl ? <span>You can type here.</span> : <span className="cc-muted">Watching — ask the owner for control.</span>}
+            {running.controllers.map((u) => (
+              <span key={u} className="cc-terminal-controller">
+                {u}
+                {canManage && <button className="tiny" onClick={() => onGrant(u, false)} title="Take back control">×</button>}
+              </span>
+            ))}
+            {canManage && grantable.length > 0 && (
+              <select value="" onChange={(e) => onGrant(e.target.value, true)}>
+                <option value="">Give control to…</option>
+                {grantable.map((u) => <option key={u} value={u}>{u}</option>)}
+              </select>
+            )}
+          </div>
+        )}
+        <div className="cc-terminal-screen" ref={hostRef} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+// src/TestsPane.js
+// Session test suite: run it and see per-test results; owners also edit the tests (hidden ones included) and see grades.
+import React, { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import { can } from "./auth";
+
+const STATUS_ICONS = { passed: "✓", failed: "✗", error: "!", timeout: "⏱", "compile-error": "⚠", skipped: "–" };
+
+const newTest = (kind) => (kind === "unit"
+  ? { kind, name: "", hidden: false, points: 1, files: { "test_main.py": "" } }
+  : { kind, name: "", hidden: false, points: 1, stdin: "", expected: "", compare: "trim" });
+
+export default function TestsPane({ backend, sessionId, role, language, filename, refreshKey }) {
+  const [tests, setTests] = useState([]);
+  const [hiddenCount, setHiddenCount] = useState(0);
+  const [report, setReport] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [draft, setDraft] = useState(null); // tests being edited, null when not editing
+  const [grades, setGrades] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const manage = can(role, "manage");
+
+  const load = useCallback(() => {
+    axios.get(`${backend}/sessions/${sessionId}/tests`)
+      .then((res) => {
+        setTests(res.data.tests || []);
+        setHiddenCount(res.data.hidden || 0);
+      })
+      .catch((e) => console.error(e));
+  }, [backend, sessionId]);
+
+  useEffect(() => { if (role) load(); }, [load, role, refreshKey]);
+
+  const run = async () => {
+    setRunning(true);
+    try {
+      const res = await axios.post(`${backend}/sessions/${sessionId}/tests/run`, { language, filename });
+      setReport(res.data);
+    } catch (e) {
+      alert(e.response?.data?.error || "Could not run the tests");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const save = async () => {
+    try {
+      const res = await axios.post(`${backend}/sessions/${sessionId}/tests`, { tests: draft });
+      setTests(res.data.tests);
+      setHiddenCount(res.data.hidden);
+      setDraft(null);
+    } catch (e) {
+      alert(e.response?.data?.error || "Could not save the tests");
+    }
+  };
+
+  const toggleGrades = async () => {
+    if (grades) return setGrades(null);
+    try {
+      const res = await axios.get(`${backend}/sessions/${sessionId}/tests/results`);
+      setGrades(res.data.grades || []);
+    } catch (e) {
+      alert(e.response?.data?.error || "Could not load grades");
+    }
+  };
+
+  const total = tests.length + (manage ? 0 : hiddenCount);
+
+  return (
+    <div className="cc-panel cc-tests">
+      <div className="cc-panel-title">
+        <span>Tests {total > 0 && <span className="cc-muted">({total}{hiddenCount ? `, ${hiddenCount} hidden` : ""})</span>}</span>
+        <span>
+          {manage && <button className="tiny" onClick={() => setDraft(draft ? null : tests)}>{draft ? "Cancel" : "Edit tests"}</button>}{" "}
+          {manage && <button className="tiny" onClick={toggleGrades}>{grades ? "Hide grades" : "Grades"}</button>}{" "}
+          {can(role, "run") && (
+            <button className="tiny" onClick={run} disabled={running || total === 0}>{running ? "Running…" : "Run tests"}</button>
+          )}
+        </span>
+      </div>
+
+      {draft && <TestEditor draft={draft} setDraft={setDraft} onSave={save} />}
+
+      {grades && (
+        <table className="cc-grades">
+          <thead><tr><th>Member</th><th>Passed</th><th>Score</th><th>Last run</th></tr></thead>
+          <tbody>
+            {grades.length === 0 && <tr><td colSpan={4} className="cc-empty">Nobody has run the tests yet</td></tr>}
+            {grades.map((g) => (
+              <tr key={g.userName}>
+                <td>{g.userName}</td>
+                <td>{g.passed}/{g.total}</td>
+                <td>{g.score}/{g.maxScore}</td>
+                <td>{new Date(g.time).toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {report && (
+        <div className="cc-test-report">
+          <div className={`cc-test-summary ${report.passed === report.total ? "ok" : "bad"}`}>
+            {report.passed}/{report.total} passed · {report.score}/{report.maxScore} points · {report.durationMs} ms
+            {!manage && report.hidden.total > 0 && <> · hidden tests: {report.hidden.passed}/{report.hidden.total} passed</>}
+          </div>
+          {report.results.map((r) => (
+            <div key={r.id} className={`cc-test-result ${r.status}`}>
+              <div className="cc-test-row" onClick={() => setExpanded(expanded === r.id ? null : r.id)}>
+                <span>{STATUS_ICONS[r.status] || "?"} {r.name}{r.hidden && <span className="cc-muted"> (hidden)</span>}</span>
+                <span className="cc-muted">{r.status} · {r.durationMs} ms</span>
+              </div>
+              {expanded === r.id && <TestDetails result={r} />}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TestDetails({ result }) {
+  if (result.kind === "unit") {
+    return (
+      <div className="cc-test-details">
+        {result.cases.map((c, i) => (
+          <div key={i} className={`cc-test-case ${c.status}`}>
+            {STATUS_ICONS[c.status]} {c.group ? `${c.group} › ` : ""}{c.name} <span className="cc-muted">{c.durationMs} ms</span>
+            {c.message && <pre>{c.message}</pre>}
+          </div>
+        ))}
+        {result.status !== "passed" && result.output && <pre>{result.output}</pre>}
+      </div>
+    );
+  }
+  return (
+    <div className="cc-test-details">
+      {result.stdin && <><div className="cc-muted">Input</div><pre>{result.stdin}</pre></>}
+      {result.diff.length > 0 && (
+        <table className="cc-test-diff">
+          <thead><tr><th>Line</th><th>Expected</th><th>Actual</th></tr></thead>
+          <tbody>
+            {result.diff.map((d) => (
+              <tr key={d.line}>
+                <td>{d.line}</td>
+                <td><code>{d.expected ?? "(missing)"}</code></td>
+                <td><code>{d.actual ?? "(missing)"}</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {result.stderr && <><div className="cc-muted">Errors (exit {result.exitCode ?? "–"})</div><pre>{result.stderr}</pre></>}
+    </div>
+  );
+}
+
+// Owner's editor for the whole suite; saved in one request.
+function TestEditor({ draft, setDraft, onSave }) {
+  const update = (index, changes) => setDraft((list) => list.map((t, i) => (i === index ? { ...t, ...changes } : t)));
+  const remove = (index) => setDraft((list) => list.filter((_, i) => i !== index));
+  const updateFile = (index, oldName, name, content) => {
+    const files = Object.fromEntries(Object.entries(draft[index].files).map(([fn, c]) => (fn === oldName ? [name, content] : [fn, c])));
+    update(index, { files });
+  };
+
+  return (
+    <div className="cc-test-editor">
+      {draft.map((t, i) => (
+        <div key={t.id || i} className="cc-test-edit">
+          <div className="cc-test-edit-row">
+            <input value={t.name} placeholder={`Test ${i + 1}`} onChange={(e) => update(i, { name: e.target.value })} />
+            <label title="Only owners see hidden tests; others see how many passed">
+              <input type="checkbox" checked={t.hidden} onChange={(e) => update(i, { hidden: e.target.checked })} /> hidden
+            </label>
+            <label>points <input type="number" min={0} value={t.points} onChange={(e) => update(i, { points: Number(e.target.value) })} /></label>
+            <button className="tiny danger" onClick={() => remove(i)}>✕</button>
+          </div>
+          {t.kind === "io" ? (
+            <div className="cc-test-edit-io">
+              <textarea rows={3} placeholder="stdin" value={t.stdin} onChange={(e) => update(i, { stdin: e.target.value })} />
+              <textarea rows={3} placeholder="expected stdout" value={t.expected} onChange={(e) => update(i, { expected: e.target.value })} />
+              <label>
+                <input type="checkbox" checked={t.compare === "exact"} onChange={(e) => update(i, { compare: e.target.checked ? "exact" : "trim" })} /> exact whitespace
+              </label>
+            </div>
+          ) : (
+            Object.entries(t.files).map(([fn, content]) => (
+              <div key={i + fn} className="cc-test-edit-file">
+                <input value={fn} placeholder="test_main.py, main.test.js, MainTest.java" onChange={(e) => updateFile(i, fn, e.target.value, content)} />
+                <textarea rows={6} value={content} onChange={(e) => updateFile(i, fn, fn, e.target.value)} />
+              </div>
+            ))
+          )}
+        </div>
+      ))}
+      <div>
+        <button className="tiny" onClick={() => setDraft((list) => [...list, newTest("io")])}>+ Input/output test</button>{" "}
+        <button className="tiny" onClick={() => setDraft((list) => [...list, newTest("unit")])}>+ Unit test file</button>{" "}
+        <button className="tiny" onClick={onSave}>Save tests</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+// src/TransferPane.js
+// Download the session as a zip or as a git repository of its saved history,
+// and start a new session from an uploaded zip or folder.
+import React, { useRef, useState } from "react";
+import axios from "axios";
+
+const MAX_UPLOAD_FILE_BYTES = 1024 * 1024;
+
+async function download(url, fallbackName) {
+  const res = await axios.get(url, { responseType: "blob" });
+  const match = /filename="([^"]+)"/.exec(res.headers["content-disposition"] || "");
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(res.data);
+  link.download = match ? match[1] : fallbackName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+export default function TransferPane({ backend, sessionId }) {
+  const [busy, setBusy] = useState(false);
+  const zipInput = useRef(null);
+  const folderInput = useRef(null);
+
+  const run = async (task) => {
+    setBusy(true);
+    try {
+      await task();
+    } catch (e) {
+      const data = e.response?.data;
+      // Blob responses carry their JSON error as text.
+      const error = data instanceof Blob ? JSON.parse(await data.text()).error : data?.error;
+      alert(error || e.message || "Request failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Uploads then switches to the new session.
+  const importInto = (body, headers) => run(async () => {
+    const name = prompt("Name for the new session (leave empty for a random one):", "");
+    if (name === null) return;
+    const res = await axios.post(`${backend}/sessions/import`, body, { headers, params: name ? { sessionId: name } : {} });
+    const { sessionId: created, files, skipped } = res.data;
+    alert(`Imported ${files} file(s) into "${created}"${skipped.length ? `, skipped ${skipped.length} binary file(s)` : ""}.`);
+    window.location.search = new URLSearchParams({ session: created }).toString();
+  });
+
+  const onZip = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) importInto(file, { "Content-Type": "application/zip" });
+  };
+
+  const onFolder = async (e) => {
+    const list = Array.from(e.target.files).filter((f) => f.size <= MAX_UPLOAD_FILE_BYTES);
+    e.target.value = "";
+    if (!list.length) return;
+    const files = {};
+    await Promise.all(list.map(async (f) => { files[f.webkitRelativePath || f.name] = await f.text(); }));
+    importInto({ files });
+  };
+
+  return (
+    <div className="cc-pane">
+      <div className="cc-pane-title">Import / export</div>
+      <div className="cc-transfer">
+        <button className="tiny" disabled={busy} onClick={() => run(() => download(`${backend}/files/${sessionId}/export.zip`, `${sessionId}.zip`))}>
+          ⬇ Zip
+        </button>
+        <button
+          className="tiny"
+          disabled={busy}
+          title="Bare git repository with one commit per saved version"
+          onClick={() => run(() => download(`${backend}/files/${sessionId}/export.git.tar.gz`, `${sessionId}.git.tar.gz`))}
+        >
+          ⬇ Git repo
+        </button>
+        <button className="tiny" disabled={busy} onClick={() => zipInput.current.click()}>⬆ New from zip</button>
+        <button className="tiny" disabled={busy} onClick={() => folderInput.current.click()}>⬆ New from folder</button>
+        <input ref={zipInput} type="file" accept=".zip,application/zip" hidden onChange={onZip} />
+        <input ref={folderInput} type="file" webkitdirectory="" multiple hidden onChange={onFolder} />
+      </div>
+    </div>
+  );
+}
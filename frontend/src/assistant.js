@@ -0,0 +1,50 @@
+// src/assistant.js
+// Client side of the streamed /ai-suggest endpoint.
+
+// POSTs the request and feeds reply text to onChunk as it arrives.
+// Resolves with the proposed edit (or null); rejects on HTTP or assistant errors.
+export async function streamSuggestion(url, token, body, { signal, onChunk }) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body),
+    signal,
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed (${res.status})`);
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = "";
+  let edit = null;
+  const handle = (line) => {
+    const msg = JSON.parse(line);
+    if (msg.type === "chunk") onChunk(msg.text);
+    else if (msg.type === "done") edit = msg.edit;
+    else if (msg.type === "error") throw new Error(msg.error);
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.filter(Boolean).forEach(handle);
+  }
+  if (buffered.trim()) handle(buffered);
+  return edit;
+}
+
+// Full file content after putting `replacement` where `target` was, or null
+// when the target text cannot be found unambiguously any more.
+// target: { start, end, text } — offsets into the content the suggestion was made for.
+export function proposedContent(content, target, replacement) {
+  let at = target.start;
+  if (content.slice(target.start, target.end) !== target.text) {
+    at = content.indexOf(target.text);
+    if (at < 0 || !target.text || content.indexOf(target.text, at + 1) >= 0) return null;
+  }
+  return content.slice(0, at) + replacement + content.slice(at + target.text.length);
+}
@@ -0,0 +1,30 @@
+// src/auth.js
+// Stored sign-in and the role → permission table (mirror of backend/auth.js — keep them in sync).
+const STORAGE_KEY = "codecollab.auth";
+
+const PERMISSIONS = {
+  owner: ["read", "chat", "edit", "run", "manage"],
+  editor: ["read", "chat", "edit", "run"],
+  runner: ["read", "chat", "run"],
+  viewer: ["read", "chat"],
+};
+export const ROLES = Object.keys(PERMISSIONS);
+
+export function can(role, permission) {
+  return Boolean(role && PERMISSIONS[role] && PERMISSIONS[role].includes(permission));
+}
+
+// { token, username } or null.
+export function loadAuth() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && stored.token && stored.username ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveAuth(auth) {
+  if (auth) localStorage.setItem(STORAGE_KEY, JSON.stringify(auth));
+  else localStorage.removeItem(STORAGE_KEY);
+}
@@ -0,0 +1,282 @@
+// src/collab.js
+// Client half of the file sync protocol. Each file keeps the last server
+// version it has seen, at most one operation in flight (awaiting `file:ack`)
+// and a buffer of local edits composed while waiting.
+// While the socket is down the in-flight op is held back; after a reconnect
+// `resume` replays what the server committed meanwhile (an entry carrying our
+// op id is the missing ack) and sends the rebased local edits.
+// Remote ops and acks are applied strictly in version order: one that arrives
+// early (across instances, or for a file created elsewhere that is not loaded
+// yet) waits for the versions before it, and a gap that does not fill within GAP_TIMEOUT_MS is fetched with
+// file:catchup.
+import { apply, compose, transform, fromChanges, isNoop, diff } from "./ot";
+
+const GAP_TIMEOUT_MS = 2000;
+const EARLY_TTL_MS = 10000;
+
+const opId = () => Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+
+export default class CollabClient {
+  constructor(socket, sessionId, onChange, onConflict = () => {}) {
+    this.socket = socket;
+    this.sessionId = sessionId;
+    this.onChange = onChange; // (filename, content, op | null) — op is null for a full reset
+    this.onConflict = onConflict; // (conflict) — a resync after a gap overwrote local edits, see resume()
+    this.docs = new Map();
+    this.early = new Map(); // filename -> [{ version, op, t }] for files not loaded yet
+  }
+
+  // Remote ops newer than `version` that arrived before the file was (re)loaded
+  // are replayed on top of it.
+  reset(filename, content, version = 0) {
+    const old = this.docs.get(filename);
+    const early = [
+      ...(old ? [...old.pending].filter(([, e]) => !e.ack).map(([v, e]) => ({ version: v, op: e.op })) : []),
+      ...(this.early.get(filename) || []).filter((e) => Date.now() - e.t < EARLY_TTL_MS),
+    ].filter((e) => e.version > version);
+    if (old) clearTimeout(old.gapTimer);
+    this.early.delete(filename);
+    const doc = {
+      content, version, inflight: null, inflightId: null, sentOn: null, buffer: null, resyncing: false, queue: [], pending: new Map(), gapTimer: null,
+    };
+    this.docs.set(filename, doc);
+    this.onChange(filename, content, null);
+    early.forEach((e) => doc.pending.set(e.version, { op: e.op }));
+    this.drain(filename, doc);
+  }
+
+  remove(filename) {
+    clearTimeout(this.docs.get(filename)?.gapTimer);
+    this.docs.delete(filename);
+    this.early.delete(filename);
+  }
+
+  // An op still unacknowledged when the rename arrives was (or will be) dropped
+  // by the server as targeting a missing file, so re-send it under the new name.
+  rename(from, to) {
+    const doc = this.docs.get(from);
+    if (!doc) return;
+    this.docs.delete(from);
+    this.docs.set(to, doc);
+    if (doc.inflight) {
+      const op = doc.buffer ? compose(doc.inflight, doc.buffer) : doc.inflight;
+      doc.buffer = null;
+      this.send(to, doc, op);
+    }
+  }
+
+  filenames() {
+    return [...this.docs.keys()];
+  }
+
+  content(filename) {
+    return this.docs.get(filename)?.content;
+  }
+
+  // Whether the file has edits the server has not acknowledged.
+  pending(filename) {
+    const doc = this.docs.get(filename);
+    return Boolean(doc && (doc.inflight || doc.buffer));
+  }
+
+  // Replace the whole text as a local edit (restoring offline work after a conflict).
+  replace(filename, text) {
+    const doc = this.docs.get(filename);
+    if (!doc) return;
+    const op = diff(doc.content, text);
+    if (isNoop(op)) return;
+    this.edit(filename, doc, op);
+    this.onChange(filename, doc.content, op);
+  }
+
+  // Local edit from Monaco's onChange event; returns the op, if anything changed.
+  local(filename, changes) {
+    const doc = this.docs.get(filename);
+    if (!doc) return null;
+    const op = fromChanges(changes, doc.content.length);
+    if (isNoop(op)) return null;
+    this.edit(filename, doc, op);
+    return op;
+  }
+
+  edit(filename, doc, op) {
+    doc.content = apply(doc.content, op);
+    if (doc.inflight) doc.buffer = doc.buffer ? compose(doc.buffer, op) : op;
+    else this.send(filename, doc, op);
+  }
+
+  // Offline (or mid-resync) the op stays in flight unsent; resume() sends it.
+  // `sentOn` is the connection the op went out on; after a reconnect it is sent again.
+  send(filename, doc, op, id = opId()) {
+    doc.inflight = op;
+    doc.inflightId = id;
+    doc.sentOn = null;
+    if (!this.socket.connected || doc.resyncing) return;
+    this.socket.emit("file:op", { sessionId: this.sessionId, filename, version: doc.version, op, id });
+    doc.sentOn = this.socket.id;
+  }
+
+  ack(filename, version) {
+    const doc = this.docs.get(filename);
+    if (!doc || version <= doc.version) return; // already settled by catchUp()
+    doc.pending.set(version, { ack: true });
+    this.drain(filename, doc);
+  }
+
+  // Operation committed by someone else.
+  remote(filename, version, op) {
+    const doc = this.docs.get(filename);
+    if (!doc) {
+      const early = (this.early.get(filename) || []).filter((e) => Date.now() - e.t < EARLY_TTL_MS);
+      this.early.set(filename, [...early, { version, op, t: Date.now() }].slice(-200));
+      return;
+    }
+    if (doc.resyncing) return doc.queue.push({ version, op });
+    if (version <= doc.version) return; // already replayed by resume()
+    doc.pending.set(version, { op });
+    this.drain(filename, doc);
+  }
+
+  // Apply whatever directly follows doc.version; a gap left behind is given
+  // GAP_TIMEOUT_MS to fill before the missing ops are fetched.
+  drain(filename, doc) {
+    while (doc.pending.has(doc.version + 1)) {
+      const next = doc.pending.get(doc.version + 1);
+      doc.pending.delete(doc.version + 1);
+      doc.version += 1;
+      if (next.ack) this.acknowledged(filename, doc);
+      else this.applyRemote(filename, doc, next.op);
+    }
+    if (!doc.pending.size) {
+      clearTimeout(doc.gapTimer);
+      doc.gapTimer = null;
+    } else if (!doc.gapTimer) {
+      doc.gapTimer = setTimeout(() => this.fillGap(filename, doc), GAP_TIMEOUT_MS);
+    }
+  }
+
+  async fillGap(filename, doc) {
+    doc.gapTimer = null;
+    if (this.docs.get(filename) !== doc || !doc.pending.size) return;
+    // Offline: resume() catches up after the reconnect.
+    if (doc.resyncing || !this.socket.connected) return this.drain(filename, doc);
+    const conflict = await this.catchUp(filename, doc);
+    if (conflict && (conflict.type === "overwritten" || conflict.type === "deleted")) this.onConflict(conflict);
+  }
+
+  acknowledged(filename, doc) {
+    doc.inflight = null;
+    doc.sentOn = null;
+    if (doc.buffer) {
+      const next = doc.buffer;
+      doc.buffer = null;
+      this.send(filename, doc, next);
+    }
+  }
+
+  // Rebase a remote op over our unacknowledged edits and apply it.
+  applyRemote(filename, doc, op) {
+    if (doc.inflight) [doc.inflight, op] = transform(doc.inflight, op);
+    if (doc.buffer) [doc.buffer, op] = transform(doc.buffer, op);
+    doc.content = apply(doc.content, op);
+    this.onChange(filename, doc.content, op);
+  }
+
+  // Rejoined after a reconnect; `files` and `versions` are the server's state.
+  // Files without local edits are reloaded, the others rebased over the ops
+  // they missed. Resolves with the files where both sides changed:
+  // [{ filename, type: "merged", authors } | { filename, type: "overwritten" | "deleted", local }
+  // | { filename, type: "failed" }].
+  async resume(files, versions) {
+    const conflicts = [];
+    for (const [filename, doc] of this.docs) {
+      if (!(filename in files) && (doc.inflight || doc.buffer)) conflicts.push({ filename, type: "deleted", local: doc.content });
+      if (!(filename in files)) this.remove(filename);
+    }
+    await Promise.all(Object.entries(files).map(async ([filename, content]) => {
+      const version = Number(versions[filename]) || 0;
+      const doc = this.docs.get(filename);
+      if (!doc || !(doc.inflight || doc.buffer)) return this.reset(filename, content, version);
+      const conflict = await this.catchUp(filename, doc);
+      if (conflict) conflicts.push(conflict);
+    }));
+    return conflicts;
+  }
+
+  async catchUp(filename, doc) {
+    doc.resyncing = true;
+    doc.queue = [];
+    let res;
+    try {
+      res = await this.socket.timeout(10000).emitWithAck("file:catchup", { sessionId: this.sessionId, filename, version: doc.version });
+    } catch {
+      res = { failed: true };
+    }
+    doc.resyncing = false;
+    if (res.missing) {
+      this.remove(filename);
+      return { filename, type: "deleted", local: doc.content };
+    }
+    // Kept as they are; the next reconnect (or gap timeout) tries again.
+    if (res.failed) {
+      this.drain(filename, doc);
+      return { filename, type: "failed" };
+    }
+    if (res.resync) {
+      const local = doc.content;
+      this.reset(filename, res.content, res.version);
+      return { filename, type: "overwritten", local };
+    }
+    const authors = new Set();
+    for (const entry of res.entries) {
+      if (doc.inflightId && entry.id === doc.inflightId) {
+        // Our in-flight op made it before the drop; the buffer is next.
+        doc.version = entry.version;
+        doc.inflight = doc.buffer;
+        doc.inflightId = null;
+        doc.sentOn = null;
+        doc.buffer = null;
+      } else {
+        if (entry.userName) authors.add(entry.userName);
+        this.remote(filename, entry.version, entry.op);
+      }
+    }
+    doc.queue.splice(0).forEach(({ version, op }) => this.remote(filename, version, op));
+    for (const version of doc.pending.keys()) {
+      if (version <= doc.version) doc.pending.delete(version);
+    }
+    this.drain(filename, doc);
+    // Still awaiting its ack on this connection: sending it again would apply it twice.
+    if (doc.inflight && doc.sentOn !== this.socket.id) this.send(filename, doc, doc.inflight, doc.inflightId || undefined);
+    return authors.size ? { filename, type: "merged", authors: [...authors] } : null;
+  }
+}
+
+// Turn an operation into Monaco edits; all ranges refer to the model before the edit.
+export function toMonacoEdits(model, op) {
+  const edits = [];
+  let index = 0;
+  let pending = null; // { start, end, text } — an insert and delete at one spot become one replace
+  const flush = () => {
+    if (!pending) return;
+    const range = rangeOf(model.getPositionAt(pending.start), model.getPositionAt(pending.end));
+    edits.push({ range, text: pending.text });
+    pending = null;
+  };
+  for (const c of op) {
+    if (typeof c === "number" && c > 0) {
+      flush();
+      index += c;
+      continue;
+    }
+    if (!pending) pending = { start: index, end: index, text: "" };
+    if (typeof c === "string") pending.text += c;
+    else { index -= c; pending.end = index; }
+  }
+  flush();
+  return edits;
+}
+
+function rangeOf(from, to) {
+  return { startLineNumber: from.lineNumber, startColumn: from.column, endLineNumber: to.lineNumber, endColumn: to.column };
+}
@@ -0,0 +1,239 @@
+import CollabClient from "./collab";
+import { apply, transform, diff } from "./ot";
+
+const FILE = "a.txt";
+
+// The server half as in backend/server.js: an op is rebased over the log since
+// its base version and committed; acks and broadcasts wait in each socket's
+// inbox so a test decides when (and in what order) they arrive.
+class FakeServer {
+  constructor(content = "") {
+    this.content = content;
+    this.log = []; // [{ op, id, userName }], entry i produced version i + 1
+    this.sockets = [];
+  }
+
+  get version() {
+    return this.log.length;
+  }
+
+  connect(id) {
+    const socket = new FakeSocket(this, id);
+    this.sockets.push(socket);
+    return socket;
+  }
+
+  receive(from, { version, op, id }) {
+    for (const entry of this.log.slice(version)) op = transform(op, entry.op)[0];
+    this.content = apply(this.content, op);
+    this.log.push({ op, id, userName: from.userName });
+    from.inbox.push({ type: "ack", version: this.version });
+    this.sockets.filter((s) => s !== from).forEach((s) => s.inbox.push({ type: "op", version: this.version, op }));
+  }
+
+  catchup(version) {
+    return { version: this.version, entries: this.log.slice(version).map((e, i) => ({ ...e, version: version + i + 1 })) };
+  }
+}
+
+class FakeSocket {
+  constructor(server, userName) {
+    this.server = server;
+    this.userName = userName;
+    this.id = `${userName}-1`;
+    this.connected = true;
+    this.inbox = [];
+    this.emitted = [];
+  }
+
+  emit(event, payload) {
+    this.emitted.push({ event, payload });
+    if (event === "file:op" && this.server) this.server.receive(this, payload);
+  }
+
+  timeout() {
+    return {
+      emitWithAck: async (event, payload) => {
+        this.emitted.push({ event, payload });
+        return this.server.catchup(payload.version);
+      },
+    };
+  }
+
+  // Hand the next `count` queued messages to the client.
+  deliver(client, count = this.inbox.length) {
+    this.inbox.splice(0, count).forEach((m) => (m.type === "ack" ? client.ack(FILE, m.version) : client.remote(FILE, m.version, m.op)));
+  }
+
+  reconnect() {
+    this.connected = true;
+    this.id = `${this.userName}-${Number(this.id.split("-")[1]) + 1}`;
+  }
+}
+
+function client(socket, content = "", version = 0) {
+  const collab = new CollabClient(socket, "s", () => {});
+  collab.reset(FILE, content, version);
+  return collab;
+}
+
+function edit(collab, change) {
+  const text = collab.content(FILE);
+  collab.replace(FILE, change(text));
+}
+
+// Let awaited acks (emitWithAck) resolve.
+async function settle() {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+}
+
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("two clients typing at once converge with the server", () => {
+  const rand = random(3);
+  for (let round = 0; round < 50; round++) {
+    const server = new FakeServer("shared text\n");
+    const sockets = [server.connect("ann"), server.connect("bob")];
+    const clients = sockets.map((s) => client(s, server.content));
+    for (let step = 0; step < 40; step++) {
+      const i = Math.floor(rand() * 2);
+      if (rand() < 0.5) {
+        const at = Math.floor(rand() * (clients[i].content(FILE).length + 1));
+        edit(clients[i], (t) => t.slice(0, at) + "xy"[i] + t.slice(at + (rand() < 0.3 ? 1 : 0)));
+      } else {
+        sockets[i].deliver(clients[i], 1);
+      }
+    }
+    while (sockets.some((s) => s.inbox.length)) sockets.forEach((s, i) => s.deliver(clients[i]));
+    clients.forEach((c) => expect(c.content(FILE)).toBe(server.content));
+    clients.forEach((c) => expect(c.pending(FILE)).toBe(false));
+  }
+});
+
+test("edits made while an op is in flight go out together after its ack", () => {
+  const server = new FakeServer("abc");
+  const socket = server.connect("ann");
+  const collab = client(socket, "abc");
+  edit(collab, (t) => `${t}1`);
+  edit(collab, (t) => `${t}2`);
+  edit(collab, (t) => `${t}3`);
+  expect(socket.emitted.filter((e) => e.event === "file:op")).toHaveLength(1);
+  socket.deliver(collab);
+  const ops = socket.emitted.filter((e) => e.event === "file:op").map((e) => e.payload);
+  expect(ops).toHaveLength(2);
+  expect(ops[1].version).toBe(1);
+  socket.deliver(collab);
+  expect(server.content).toBe("abc123");
+  expect(collab.pending(FILE)).toBe(false);
+});
+
+test("ops that arrive out of order wait for the versions before them", () => {
+  const server = new FakeServer("");
+  const writer = server.connect("ann");
+  const reader = server.connect("bob");
+  const writerClient = client(writer);
+  const readerClient = client(reader);
+  ["a", "b", "c"].forEach((ch) => {
+    edit(writerClient, (t) => t + ch);
+    writer.deliver(writerClient);
+  });
+  const [first, second, third] = reader.inbox.splice(0);
+  reader.inbox.push(third, first);
+  reader.deliver(readerClient);
+  expect(readerClient.content(FILE)).toBe("a");
+  reader.inbox.push(second);
+  reader.deliver(readerClient);
+  expect(readerClient.content(FILE)).toBe("abc");
+});
+
+test("a gap that does not fill is fetched with file:catchup", async () => {
+  jest.useFakeTimers();
+  const server = new FakeServer("");
+  const writer = server.connect("ann");
+  const reader = server.connect("bob");
+  const writerClient = client(writer);
+  const readerClient = client(reader);
+  ["a", "b", "c"].forEach((ch) => {
+    edit(writerClient, (t) => t + ch);
+    writer.deliver(writerClient);
+  });
+  reader.inbox.splice(0, 2); // lost
+  reader.deliver(readerClient);
+  expect(readerClient.content(FILE)).toBe("");
+  jest.advanceTimersByTime(2000);
+  await settle();
+  expect(reader.emitted.map((e) => e.event)).toContain("file:catchup");
+  expect(readerClient.content(FILE)).toBe("abc");
+});
+
+test("after a reconnect the op that made it counts as acknowledged and the rest is rebased", async () => {
+  const server = new FakeServer("base\n");
+  const ann = server.connect("ann");
+  const bob = server.connect("bob");
+  const annClient = client(ann, "base\n");
+  const bobClient = client(bob, "base\n");
+
+  edit(annClient, (t) => `${t}sent`); // committed, but the ack is lost with the connection
+  ann.inbox.splice(0);
+  ann.connected = false;
+  edit(annClient, (t) => `${t} offline`);
+  edit(bobClient, (t) => `bob ${t}`);
+  bob.deliver(bobClient);
+  ann.inbox.splice(0); // missed while offline
+
+  ann.reconnect();
+  const conflicts = await annClient.resume({ [FILE]: server.content }, { [FILE]: server.version });
+  expect(conflicts).toEqual([{ filename: FILE, type: "merged", authors: ["bob"] }]);
+  ann.deliver(annClient);
+  bob.deliver(bobClient);
+  expect(server.content).toBe("bob base\nsent offline");
+  expect(annClient.content(FILE)).toBe(server.content);
+  expect(bobClient.content(FILE)).toBe(server.content);
+  // "sent" was not applied twice.
+  expect(server.log).toHaveLength(3);
+});
+
+test("edits the server can no longer rebase are reported as overwritten", async () => {
+  const server = new FakeServer("old");
+  const ann = server.connect("ann");
+  const annClient = client(ann, "old");
+  ann.connected = false;
+  edit(annClient, (t) => `${t} mine`);
+  server.catchup = () => ({ resync: true, content: "theirs", version: 900 });
+  ann.reconnect();
+  const conflicts = await annClient.resume({ [FILE]: "theirs" }, { [FILE]: 900 });
+  expect(conflicts).toEqual([{ filename: FILE, type: "overwritten", local: "old mine" }]);
+  expect(annClient.content(FILE)).toBe("theirs");
+  expect(annClient.pending(FILE)).toBe(false);
+});
+
+test("a rename re-sends the unacknowledged op under the new name", () => {
+  const socket = new FakeSocket(null, "ann");
+  const collab = client(socket, "text");
+  edit(collab, (t) => `${t}1`);
+  edit(collab, (t) => `${t}2`);
+  collab.rename(FILE, "b.txt");
+  const last = socket.emitted[socket.emitted.length - 1].payload;
+  expect(last.filename).toBe("b.txt");
+  expect(last.version).toBe(0);
+  expect(apply("text", last.op)).toBe("text12");
+  expect(collab.content("b.txt")).toBe("text12");
+  expect(collab.content(FILE)).toBeUndefined();
+});
+
+test("ops for a file not loaded yet are replayed on top of it", () => {
+  const collab = new CollabClient(new FakeSocket(null, "ann"), "s", () => {});
+  collab.remote("new.txt", 1, diff("hi", "hi!"));
+  collab.remote("new.txt", 2, diff("hi!", "hi!?"));
+  collab.reset("new.txt", "hi!", 1);
+  expect(collab.content("new.txt")).toBe("hi!?");
+});
@@ -0,0 +1,167 @@
+// src/lsp.js
+// Monaco side of the language-server bridge (backend/lsp.js, lsp:* socket events):
+// diagnostics become markers, and hover, completion and go-to-definition providers
+// are registered for Python, C/C++ and Java. Positions are 0-based on the wire.
+
+const LANGUAGES = ["python", "c", "cpp", "java"];
+const REQUEST_TIMEOUT_MS = 8000;
+const SCHEME = "codecollab";
+
+// LSP CompletionItemKind values, in order from 1.
+const COMPLETION_KINDS = [
+  "Text", "Method", "Function", "Constructor", "Field", "Variable", "Class", "Interface", "Module", "Property",
+  "Unit", "Value", "Enum", "Keyword", "Snippet", "Color", "File", "Reference", "Folder", "EnumMember",
+  "Constant", "Struct", "Event", "Operator", "TypeParameter",
+];
+
+const toRange = ({ start, end }) => ({
+  startLineNumber: start.line + 1,
+  startColumn: start.character + 1,
+  endLineNumber: end.line + 1,
+  endColumn: end.character + 1,
+});
+
+// Monaco markers for LSP-shaped diagnostics (also used for lint findings from
+// the format service).
+export function diagnosticMarkers(monaco, diagnostics) {
+  const { MarkerSeverity } = monaco;
+  const severities = [null, MarkerSeverity.Error, MarkerSeverity.Warning, MarkerSeverity.Info, MarkerSeverity.Hint];
+  return diagnostics.map((d) => ({
+    ...toRange(d.range),
+    severity: severities[d.severity] || MarkerSeverity.Error,
+    message: d.message,
+    source: d.source,
+    code: d.code == null ? undefined : String(d.code),
+  }));
+}
+
+function markdown(content) {
+  if (!content) return null;
+  if (typeof content === "string") return { value: content };
+  if (content.language) return { value: `\`\`\`${content.language}\n${content.value}\n\`\`\`` };
+  return { value: content.value || "" };
+}
+
+export default class LspBridge {
+  // hooks: getEditor(), getFilename(), getContent(filename),
+  // onOpenLocation(filename, line), onStatus(language, status)
+  constructor(socket, sessionId, monaco, hooks) {
+    this.socket = socket;
+    this.sessionId = sessionId;
+    this.monaco = monaco;
+    this.hooks = hooks;
+    this.diagnostics = new Map(); // filename → LSP diagnostics
+    this.started = new Set(); // languages whose server has been requested
+    this.onDiagnostics = ({ filename, diagnostics }) => {
+      this.diagnostics.set(filename, diagnostics);
+      if (filename === hooks.getFilename()) this.refreshMarkers();
+    };
+    socket.on("lsp:diagnostics", this.onDiagnostics);
+
+    const { languages, editor } = monaco;
+    this.disposables = LANGUAGES.flatMap((lang) => [
+      languages.registerHoverProvider(lang, { provideHover: (model, position) => this.hover(model, position) }),
+      languages.registerCompletionItemProvider(lang, {
+        triggerCharacters: [".", ":", ">"],
+        provideCompletionItems: (model, position) => this.complete(model, position),
+      }),
+      languages.registerDefinitionProvider(lang, { provideDefinition: (model, position) => this.definition(model, position) }),
+    ]);
+    // Definitions in other session files open them in the main editor.
+    if (editor.registerEditorOpener) {
+      this.disposables.push(editor.registerEditorOpener({
+        openCodeEditor: (source, resource, selection) => {
+          if (resource.scheme !== SCHEME) return false;
+          hooks.onOpenLocation(resource.path.replace(/^\//, ""), selection?.startLineNumber || selection?.lineNumber || 1);
+          return true;
+        },
+      }));
+    }
+  }
+
+  dispose() {
+    this.socket.off("lsp:diagnostics", this.onDiagnostics);
+    this.disposables.forEach((d) => d.dispose());
+    const model = this.hooks.getEditor()?.getModel();
+    if (model) this.monaco.editor.setModelMarkers(model, "lsp", []);
+    this.monaco.editor.getModels().filter((m) => m.uri.scheme === SCHEME).forEach((m) => m.dispose());
+  }
+
+  // Ask for the server of `language` once; diagnostics follow as they are published.
+  open(filename, language) {
+    if (!filename || !LANGUAGES.includes(language) || this.started.has(language)) return;
+    this.started.add(language);
+    this.socket.timeout(60000).emit("lsp:open", { sessionId: this.sessionId, filename }, (err, status) => {
+      // Not answered or rate limited: try again on the next open.
+      if (err || status.error) this.started.delete(language);
+      const result = err ? { available: false, reason: "Language server did not respond" } : status.error ? { available: false, reason: status.error } : status;
+      Object.entries(result.diagnostics || {}).forEach(([fn, diagnostics]) => this.diagnostics.set(fn, diagnostics));
+      this.refreshMarkers();
+      this.hooks.onStatus(language, result);
+    });
+  }
+
+  refreshMarkers() {
+    const model = this.hooks.getEditor()?.getModel();
+    if (!model) return;
+    const markers = diagnosticMarkers(this.monaco, this.diagnostics.get(this.hooks.getFilename()) || []);
+    this.monaco.editor.setModelMarkers(model, "lsp", markers);
+  }
+
+  // Requests only make sense for the main editor's model, which holds the open file.
+  request(kind, model, position) {
+    const filename = this.hooks.getFilename();
+    if (!filename || model !== this.hooks.getEditor()?.getModel()) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      this.socket.timeout(REQUEST_TIMEOUT_MS).emit("lsp:request", {
+        sessionId: this.sessionId,
+        filename,
+        kind,
+        position: { line: position.lineNumber - 1, character: position.column - 1 },
+      }, (err, res) => resolve(err || !res || res.error ? null : res.result));
+    });
+  }
+
+  async hover(model, position) {
+    const result = await this.request("hover", model, position);
+    if (!result) return null;
+    const contents = (Array.isArray(result.contents) ? result.contents : [result.contents]).map(markdown).filter(Boolean);
+    return { contents, range: result.range ? toRange(result.range) : undefined };
+  }
+
+  async complete(model, position) {
+    const items = await this.request("completion", model, position);
+    if (!items) return { suggestions: [] };
+    const { CompletionItemKind, CompletionItemInsertTextRule } = this.monaco.languages;
+    const word = model.getWordUntilPosition(position);
+    const defaultRange = { startLineNumber: position.lineNumber, endLineNumber: position.lineNumber, startColumn: word.startColumn, endColumn: word.endColumn };
+    return {
+      suggestions: items.map((item) => ({
+        label: item.label,
+        kind: CompletionItemKind[COMPLETION_KINDS[item.kind - 1]] ?? CompletionItemKind.Text,
+        detail: item.detail,
+        documentation: markdown(item.documentation) || undefined,
+        sortText: item.sortText,
+        filterText: item.filterText,
+        insertText: item.insertText,
+        insertTextRules: item.insertTextFormat === 2 ? CompletionItemInsertTextRule.InsertAsSnippet : undefined,
+        range: item.range ? toRange(item.range) : defaultRange,
+      })),
+    };
+  }
+
+  // Other files get a read-only shadow model so Monaco can peek into them.
+  async definition(model, position) {
+    const locations = await this.request("definition", model, position);
+    if (!locations) return null;
+    const current = this.hooks.getFilename();
+    return locations.map(({ filename, range }) => {
+      if (filename === current) return { uri: model.uri, range: toRange(range) };
+      const uri = this.monaco.Uri.from({ scheme: SCHEME, path: `/${filename}` });
+      const content = this.hooks.getContent(filename) ?? "";
+      const shadow = this.monaco.editor.getModel(uri) || this.monaco.editor.createModel(content, model.getLanguageId(), uri);
+      if (shadow.getValue() !== content) shadow.setValue(content);
+      return { uri, range: toRange(range) };
+    });
+  }
+}
@@ -0,0 +1,179 @@
+// src/ot.js
+// Plain-text operational transformation used by the file sync protocol.
+// Mirror of backend/ot.js (see the component format described there) — keep them in sync.
+
+const isRetain = (c) => typeof c === "number" && c > 0;
+const isDelete = (c) => typeof c === "number" && c < 0;
+const isInsert = (c) => typeof c === "string";
+
+// Append a component, merging with the tail and keeping inserts before deletes
+// so equivalent operations always have the same shape.
+function push(op, c) {
+  if (c === 0 || c === "" || c == null) return op;
+  const last = op[op.length - 1];
+  if (isInsert(c)) {
+    if (isInsert(last)) op[op.length - 1] = last + c;
+    else if (isDelete(last)) {
+      if (isInsert(op[op.length - 2])) op[op.length - 2] += c;
+      else op.splice(op.length - 1, 0, c);
+    } else op.push(c);
+  } else if (typeof last === "number" && (last > 0) === (c > 0)) {
+    op[op.length - 1] = last + c;
+  } else {
+    op.push(c);
+  }
+  return op;
+}
+
+function isValid(op) {
+  return Array.isArray(op) && op.every((c) => (isInsert(c) && c.length > 0) || (Number.isInteger(c) && c !== 0));
+}
+
+function isNoop(op) {
+  return op.every(isRetain);
+}
+
+function baseLength(op) {
+  return op.reduce((n, c) => (isInsert(c) ? n : n + Math.abs(c)), 0);
+}
+
+function targetLength(op) {
+  return op.reduce((n, c) => (isDelete(c) ? n : n + (isInsert(c) ? c.length : c)), 0);
+}
+
+function apply(doc, op) {
+  if (baseLength(op) !== doc.length) throw new Error("Operation does not match document length");
+  let out = "";
+  let i = 0;
+  for (const c of op) {
+    if (isInsert(c)) out += c;
+    else if (isRetain(c)) { out += doc.slice(i, i + c); i += c; }
+    else i -= c;
+  }
+  return out;
+}
+
+// Single operation equivalent to applying `a` then `b`.
+function compose(a, b) {
+  if (targetLength(a) !== baseLength(b)) throw new Error("Operations cannot be composed");
+  const op = [];
+  let i1 = 0, i2 = 0;
+  let o1 = a[i1++], o2 = b[i2++];
+  while (o1 !== undefined || o2 !== undefined) {
+    if (isDelete(o1)) { push(op, o1); o1 = a[i1++]; continue; }
+    if (isInsert(o2)) { push(op, o2); o2 = b[i2++]; continue; }
+    if (o1 === undefined || o2 === undefined) throw new Error("Operations cannot be composed");
+
+    if (isRetain(o1) && isRetain(o2)) {
+      const min = Math.min(o1, o2);
+      push(op, min);
+      if (o1 > o2) { o1 -= o2; o2 = b[i2++]; }
+      else if (o1 === o2) { o1 = a[i1++]; o2 = b[i2++]; }
+      else { o2 -= o1; o1 = a[i1++]; }
+    } else if (isInsert(o1) && isDelete(o2)) {
+      if (o1.length > -o2) { o1 = o1.slice(-o2); o2 = b[i2++]; }
+      else if (o1.length === -o2) { o1 = a[i1++]; o2 = b[i2++]; }
+      else { o2 += o1.length; o1 = a[i1++]; }
+    } else if (isInsert(o1) && isRetain(o2)) {
+      if (o1.length > o2) { push(op, o1.slice(0, o2)); o1 = o1.slice(o2); o2 = b[i2++]; }
+      else if (o1.length === o2) { push(op, o1); o1 = a[i1++]; o2 = b[i2++]; }
+      else { push(op, o1); o2 -= o1.length; o1 = a[i1++]; }
+    } else {
+      // retain in a, delete in b
+      if (o1 > -o2) { push(op, o2); o1 += o2; o2 = b[i2++]; }
+      else if (o1 === -o2) { push(op, o2); o1 = a[i1++]; o2 = b[i2++]; }
+      else { push(op, -o1); o2 += o1; o1 = a[i1++]; }
+    }
+  }
+  return op;
+}
+
+// Given concurrent `a` and `b` on the same document, returns [a', b'] such that
+// apply(apply(doc, a), b') === apply(apply(doc, b), a'). Inserts from `a` win ties.
+function transform(a, b) {
+  if (baseLength(a) !== baseLength(b)) throw new Error("Operations are not concurrent");
+  const a1 = [], b1 = [];
+  let i1 = 0, i2 = 0;
+  let o1 = a[i1++], o2 = b[i2++];
+  while (o1 !== undefined || o2 !== undefined) {
+    if (isInsert(o1)) { push(a1, o1); push(b1, o1.length); o1 = a[i1++]; continue; }
+    if (isInsert(o2)) { push(a1, o2.length); push(b1, o2); o2 = b[i2++]; continue; }
+    if (o1 === undefined || o2 === undefined) throw new Error("Operations are not concurrent");
+
+    if (isRetain(o1) && isRetain(o2)) {
+      const min = Math.min(o1, o2);
+      push(a1, min); push(b1, min);
+      if (o1 > o2) { o1 -= o2; o2 = b[i2++]; }
+      else if (o1 === o2) { o1 = a[i1++]; o2 = b[i2++]; }
+      else { o2 -= o1; o1 = a[i1++]; }
+    } else if (isDelete(o1) && isDelete(o2)) {
+      if (-o1 > -o2) { o1 -= o2; o2 = b[i2++]; }
+      else if (o1 === o2) { o1 = a[i1++]; o2 = b[i2++]; }
+      else { o2 -= o1; o1 = a[i1++]; }
+    } else if (isDelete(o1) && isRetain(o2)) {
+      const min = Math.min(-o1, o2);
+      push(a1, -min);
+      if (-o1 > o2) { o1 += o2; o2 = b[i2++]; }
+      else if (-o1 === o2) { o1 = a[i1++]; o2 = b[i2++]; }
+      else { o2 += o1; o1 = a[i1++]; }
+    } else {
+      // retain in a, delete in b
+      const min = Math.min(o1, -o2);
+      push(b1, -min);
+      if (o1 > -o2) { o1 += o2; o2 = b[i2++]; }
+      else if (o1 === -o2) { o1 = a[i1++]; o2 = b[i2++]; }
+      else { o2 += o1; o1 = a[i1++]; }
+    }
+  }
+  return [a1, b1];
+}
+
+// Monaco content-change events: every range refers to the text before the event.
+function fromChanges(changes, docLength) {
+  const op = [];
+  let pos = 0;
+  [...changes].sort((x, y) => x.rangeOffset - y.rangeOffset).forEach((ch) => {
+    push(op, ch.rangeOffset - pos);
+    push(op, ch.text);
+    push(op, -ch.rangeLength);
+    pos = ch.rangeOffset + ch.rangeLength;
+  });
+  push(op, docLength - pos);
+  return op;
+}
+
+// Smallest single-region operation turning `from` into `to`.
+function diff(from, to) {
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) start++;
+  let end = 0;
+  while (
+    end < from.length - start && end < to.length - start &&
+    from[from.length - 1 - end] === to[to.length - 1 - end]
+  ) end++;
+  const op = [];
+  push(op, start);
+  push(op, to.slice(start, to.length - end));
+  push(op, -(from.length - start - end));
+  push(op, end);
+  return op;
+}
+
+// Move a document offset through an operation; text inserted exactly at the
+// offset ends up before it.
+function shiftOffset(op, offset) {
+  let pos = 0;
+  let shifted = offset;
+  for (const c of op) {
+    if (pos > offset) break;
+    if (isInsert(c)) shifted += c.length;
+    else if (c > 0) pos += c;
+    else {
+      shifted -= Math.min(-c, Math.max(0, offset - pos));
+      pos -= c;
+    }
+  }
+  return shifted;
+}
+
+export { isValid, isNoop, baseLength, targetLength, apply, compose, transform, fromChanges, diff, shiftOffset };
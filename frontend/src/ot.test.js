@@ -0,0 +1,60 @@
+import { apply, compose, transform, fromChanges, diff, isNoop, shiftOffset } from "./ot";
+
+// Small deterministic PRNG so failures reproduce.
+function random(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+function randomEdit(rand, doc) {
+  let text = doc;
+  for (let i = Math.floor(rand() * 3) + 1; i > 0; i--) {
+    const at = Math.floor(rand() * (text.length + 1));
+    const cut = Math.floor(rand() * Math.min(4, text.length - at + 1));
+    const insert = Array.from({ length: Math.floor(rand() * 4) }, () => "ab\ncd é"[Math.floor(rand() * 7)]).join("");
+    text = text.slice(0, at) + insert + text.slice(at + cut);
+  }
+  return diff(doc, text);
+}
+
+test("transform converges for random concurrent edits", () => {
+  const rand = random(7);
+  for (let i = 0; i < 300; i++) {
+    const doc = randomEdit(rand, "")[0] || "";
+    const a = randomEdit(rand, doc);
+    const b = randomEdit(rand, doc);
+    const [a2, b2] = transform(a, b);
+    expect(apply(apply(doc, a), b2)).toBe(apply(apply(doc, b), a2));
+  }
+});
+
+test("compose applies both edits in order", () => {
+  const rand = random(11);
+  for (let i = 0; i < 200; i++) {
+    const doc = "hello world\nsecond line";
+    const a = randomEdit(rand, doc);
+    const b = randomEdit(rand, apply(doc, a));
+    expect(apply(doc, compose(a, b))).toBe(apply(apply(doc, a), b));
+  }
+});
+
+test("fromChanges turns Monaco's change events into one op", () => {
+  // Monaco reports every range against the model before the edit.
+  const changes = [
+    { rangeOffset: 6, rangeLength: 5, text: "there" },
+    { rangeOffset: 0, rangeLength: 0, text: ">> " },
+  ];
+  expect(apply("hello world!", fromChanges(changes, 12))).toBe(">> hello there!");
+  expect(isNoop(fromChanges([], 4))).toBe(true);
+});
+
+test("shiftOffset follows inserts and deletes before it", () => {
+  const op = [1, "X", 2, -2, 1]; // "abcdef" -> "aXbcf"
+  expect(apply("abcdef", op)).toBe("aXbcf");
+  expect(shiftOffset(op, 0)).toBe(0);
+  expect(shiftOffset(op, 2)).toBe(3);
+  expect(shiftOffset(op, 4)).toBe(4);
+  expect(shiftOffset(op, 6)).toBe(5);
+});
@@ -0,0 +1,122 @@
+// src/presence.js
+// Remote cursors/selections for the Monaco editor and helpers for presence events.
+
+const PALETTE_SIZE = 8;
+
+// Stable colour slot per user name (matches .cc-color-N in App.css).
+export function colorIndex(name = "") {
+  let h = 0;
+  for (let i = 0; i < name.length; i++) h = (h * 31 + name.charCodeAt(i)) | 0;
+  return Math.abs(h) % PALETTE_SIZE;
+}
+
+// Leading + trailing throttle so the last cursor position is always sent.
+export function throttle(fn, ms) {
+  let last = 0;
+  let timer = null;
+  let pendingArgs = null;
+  const fire = () => {
+    last = Date.now();
+    timer = null;
+    fn(...pendingArgs);
+  };
+  return (...args) => {
+    pendingArgs = args;
+    const wait = ms - (Date.now() - last);
+    if (wait <= 0) fire();
+    else if (!timer) timer = setTimeout(fire, wait);
+  };
+}
+
+// Current editor selections as document offsets.
+export function selectionOffsets(editor) {
+  const model = editor.getModel();
+  if (!model) return [];
+  return editor.getSelections().map((s) => ({
+    anchor: model.getOffsetAt(s.getSelectionStart()),
+    head: model.getOffsetAt(s.getPosition()),
+  }));
+}
+
+// Draws other participants' cursors, selections and name labels.
+export class RemoteCursors {
+  constructor(editor) {
+    this.editor = editor;
+    this.decorations = editor.createDecorationsCollection([]);
+    this.widgets = new Map();
+  }
+
+  render(peers) {
+    const model = this.editor.getModel();
+    if (!model) return;
+    const max = model.getValueLength();
+    const clamp = (n) => Math.max(0, Math.min(max, Number(n) || 0));
+    const decorations = [];
+    const seen = new Set();
+
+    peers.forEach((peer) => {
+      const color = colorIndex(peer.userName);
+      (peer.selections || []).forEach((sel, i) => {
+        const anchor = model.getPositionAt(clamp(sel.anchor));
+        const head = model.getPositionAt(clamp(sel.head));
+        const [start, end] = clamp(sel.anchor) <= clamp(sel.head) ? [anchor, head] : [head, anchor];
+        if (clamp(sel.anchor) !== clamp(sel.head)) {
+          decorations.push({
+            range: rangeOf(start, end),
+            options: { className: `cc-remote-selection cc-color-${color}`, stickiness: 1 },
+          });
+        }
+        decorations.push({
+          range: rangeOf(head, head),
+          options: {
+            beforeContentClassName: `cc-remote-cursor cc-color-${color}`,
+            hoverMessage: { value: peer.userName },
+            stickiness: 1,
+          },
+        });
+        if (i === 0) {
+          seen.add(peer.id);
+          this.placeLabel(peer, head, color);
+        }
+      });
+    });
+
+    this.decorations.set(decorations);
+    for (const [id, widget] of this.widgets) {
+      if (!seen.has(id)) {
+        this.editor.removeContentWidget(widget);
+        this.widgets.delete(id);
+      }
+    }
+  }
+
+  placeLabel(peer, position, color) {
+    let widget = this.widgets.get(peer.id);
+    if (!widget) {
+      const node = document.createElement("div");
+      widget = {
+        node,
+        position,
+        getId: () => `cc-remote-label-${peer.id}`,
+        getDomNode: () => node,
+        getPosition: () => ({ position: widget.position, preference: [1, 2] }), // ABOVE, BELOW
+      };
+      this.widgets.set(peer.id, widget);
+      this.editor.addContentWidget(widget);
+    }
+    widget.node.className = `cc-remote-label cc-color-${color}`;
+    widget.node.textContent = peer.userName;
+    widget.position = position;
+    this.editor.layoutContentWidget(widget);
+  }
+
+  dispose() {
+    this.decorations.clear();
+    for (const widget of this.widgets.values()) this.editor.removeContentWidget(widget);
+    this.widgets.clear();
+  }
+}
+
+function rangeOf(from, to) {
+  return { startLineNumber: from.lineNumber, startColumn: from.column, endLineNumber: to.lineNumber, endColumn: to.column };
+}
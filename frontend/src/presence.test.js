@@ -0,0 +1,71 @@
+import { colorIndex, throttle, RemoteCursors } from "./presence";
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("colorIndex gives each name a stable slot in the palette", () => {
+  ["ann", "bob", "", "a much longer user name"].forEach((name) => {
+    const slot = colorIndex(name);
+    expect(slot).toBe(colorIndex(name));
+    expect(slot).toBeGreaterThanOrEqual(0);
+    expect(slot).toBeLessThan(8);
+  });
+});
+
+test("throttle fires at once, then once more with the last arguments", () => {
+  jest.useFakeTimers();
+  const fn = jest.fn();
+  const send = throttle(fn, 100);
+  send(1);
+  send(2);
+  send(3);
+  expect(fn.mock.calls).toEqual([[1]]);
+  jest.advanceTimersByTime(100);
+  expect(fn.mock.calls).toEqual([[1], [3]]);
+  jest.advanceTimersByTime(1000);
+  expect(fn).toHaveBeenCalledTimes(2);
+});
+
+// Just enough of a Monaco editor over a single line of text.
+function fakeEditor(text) {
+  const editor = {
+    decorations: [],
+    widgets: new Set(),
+    getModel: () => ({
+      getValueLength: () => text.length,
+      getPositionAt: (offset) => ({ lineNumber: 1, column: offset + 1 }),
+    }),
+    createDecorationsCollection: () => ({
+      set: (d) => { editor.decorations = d; },
+      clear: () => { editor.decorations = []; },
+    }),
+    addContentWidget: (w) => editor.widgets.add(w),
+    removeContentWidget: (w) => editor.widgets.delete(w),
+    layoutContentWidget: () => {},
+  };
+  return editor;
+}
+
+test("RemoteCursors draws a cursor per selection and one label per peer", () => {
+  const editor = fakeEditor("hello world");
+  const cursors = new RemoteCursors(editor);
+  cursors.render([
+    { id: "p1", userName: "ann", selections: [{ anchor: 0, head: 5 }, { anchor: 8, head: 8 }] },
+    { id: "p2", userName: "bob", selections: [{ anchor: 99, head: 99 }] },
+  ]);
+  const selections = editor.decorations.filter((d) => d.options.className);
+  const carets = editor.decorations.filter((d) => d.options.beforeContentClassName);
+  expect(selections).toHaveLength(1);
+  expect(selections[0].range).toEqual({ startLineNumber: 1, startColumn: 1, endLineNumber: 1, endColumn: 6 });
+  expect(carets).toHaveLength(3);
+  // Offsets past the end are clamped to it.
+  expect(carets[2].range.startColumn).toBe(12);
+  expect([...editor.widgets].map((w) => w.getDomNode().textContent)).toEqual(["ann", "bob"]);
+
+  cursors.render([{ id: "p2", userName: "bob", selections: [{ anchor: 1, head: 1 }] }]);
+  expect([...editor.widgets].map((w) => w.getDomNode().textContent)).toEqual(["bob"]);
+  cursors.dispose();
+  expect(editor.widgets.size).toBe(0);
+  expect(editor.decorations).toEqual([]);
+});
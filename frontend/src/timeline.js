@@ -0,0 +1,112 @@
+// src/timeline.js
+// Session replay: rebuilding file contents from the timeline served by
+// GET /sessions/:id/timeline. applyEvent mirrors backend/timeline.js (event
+// format described there) — keep them in sync.
+import { apply } from "./ot";
+
+// Idle stretches longer than this play back as this long.
+const IDLE_CAP_MS = 2000;
+const CHECKPOINT_EVERY = 200;
+
+export function applyEvent(files, event) {
+  switch (event.type) {
+    case "create":
+      files[event.filename] = event.content;
+      break;
+    case "edit":
+      if (files[event.filename] == null) break;
+      try {
+        files[event.filename] = apply(files[event.filename], event.op);
+      } catch {
+        // Keep the content as it was.
+      }
+      break;
+    case "delete":
+      event.filenames.forEach((f) => { delete files[f]; });
+      break;
+    case "rename": {
+      const moved = event.pairs.map(([from, to]) => [to, files[from]]);
+      event.pairs.forEach(([from]) => { delete files[from]; });
+      moved.forEach(([to, content]) => { if (content != null) files[to] = content; });
+      break;
+    }
+    default:
+  }
+  return files;
+}
+
+// Playback clock and random access into a timeline ({ base, events }).
+// Positions are milliseconds of playback, idle gaps capped at IDLE_CAP_MS.
+export class Replay {
+  constructor({ base, events }) {
+    this.base = base || { t: 0, files: {} };
+    this.events = events || [];
+    this.at = []; // playback position of each event
+    let pos = 0;
+    this.events.forEach((e, i) => {
+      if (i > 0) pos += Math.min(Math.max(0, e.t - this.events[i - 1].t), IDLE_CAP_MS);
+      this.at.push(pos);
+    });
+    this.duration = pos;
+    this.checkpoints = new Map([[-1, { ...this.base.files }]]); // index of last applied event -> files
+  }
+
+  // Index of the last event at or before `pos`, -1 before the first.
+  indexAt(pos) {
+    let lo = 0;
+    let hi = this.events.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.at[mid] <= pos) {
+        found = mid;
+        lo = mid + 1;
+      } else hi = mid - 1;
+    }
+    return found;
+  }
+
+  // Wall-clock time shown at `pos`.
+  timeAt(pos) {
+    const i = this.indexAt(pos);
+    if (i < 0) return this.base.t || this.events[0]?.t || 0;
+    return this.events[i].t + (pos - this.at[i]);
+  }
+
+  // Files after event `index`, from the nearest checkpoint before it.
+  filesAt(index) {
+    let from = -1;
+    for (const k of this.checkpoints.keys()) if (k <= index && k > from) from = k;
+    const files = { ...this.checkpoints.get(from) };
+    for (let i = from + 1; i <= index; i++) {
+      applyEvent(files, this.events[i]);
+      if ((i + 1) % CHECKPOINT_EVERY === 0 && !this.checkpoints.has(i)) this.checkpoints.set(i, { ...files });
+    }
+    return files;
+  }
+
+  // Chat messages, runs and their output up to wall-clock time `t`, oldest first:
+  // [{ t, kind: "chat" | "run" | "output" | "exit", ... }]. Output is recorded
+  // with the run's exit, so a run still going at `t` shows what it printed so far.
+  log(t) {
+    const entries = [];
+    for (const e of this.events) {
+      if (e.type === "exit") e.output.forEach((o) => { if (o.t <= t) entries.push({ t: o.t, kind: "output", stream: o.stream, data: o.data }); });
+      if (e.t > t) continue;
+      if (e.type === "chat") entries.push({ t: e.t, kind: "chat", message: e.message });
+      if (e.type === "run") entries.push({ t: e.t, kind: "run", userName: e.userName, language: e.language, filename: e.filename });
+      if (e.type === "exit") entries.push({ t: e.t, kind: "exit", status: e });
+    }
+    return entries.sort((a, b) => a.t - b.t);
+  }
+
+  // The file most recently created or edited up to event `index`, and by whom.
+  lastTouched(index) {
+    for (let i = index; i >= 0; i--) {
+      const e = this.events[i];
+      if (e.type === "edit" || e.type === "create") return { filename: e.filename, userName: e.userName || null };
+      if (e.type === "rename") return { filename: e.pairs[0][1], userName: e.userName || null };
+    }
+    return null;
+  }
+}
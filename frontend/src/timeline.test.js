@@ -0,0 +1,65 @@
+import { applyEvent, Replay } from "./timeline";
+import { diff } from "./ot";
+
+const edit = (t, filename, from, to, userName = "ann") => ({ t, type: "edit", filename, op: diff(from, to), userName });
+
+test("applyEvent creates, edits, renames and deletes files", () => {
+  const files = {};
+  applyEvent(files, { type: "create", filename: "a.py", content: "x = 1\n" });
+  applyEvent(files, edit(0, "a.py", "x = 1\n", "x = 2\n"));
+  // An edit made for other content leaves the file as it was.
+  applyEvent(files, edit(0, "a.py", "something else", "y"));
+  applyEvent(files, edit(0, "missing.py", "", "y"));
+  expect(files).toEqual({ "a.py": "x = 2\n" });
+
+  applyEvent(files, { type: "create", filename: "b.py", content: "b" });
+  applyEvent(files, { type: "rename", pairs: [["a.py", "b.py"], ["b.py", "c.py"]] });
+  expect(files).toEqual({ "b.py": "x = 2\n", "c.py": "b" });
+  applyEvent(files, { type: "delete", filenames: ["b.py"] });
+  expect(files).toEqual({ "c.py": "b" });
+});
+
+test("Replay caps idle gaps and finds files at any position", () => {
+  const events = [
+    { t: 1000, type: "create", filename: "a.txt", content: "" },
+    edit(1500, "a.txt", "", "a"),
+    edit(60000, "a.txt", "a", "ab", "bob"),
+    { t: 60100, type: "chat", message: { text: "hi" } },
+  ];
+  const replay = new Replay({ base: { t: 900, files: { "old.txt": "o" } }, events });
+  expect(replay.duration).toBe(500 + 2000 + 100);
+  expect(replay.indexAt(-1)).toBe(-1);
+  expect(replay.indexAt(499)).toBe(0);
+  expect(replay.indexAt(2500)).toBe(2);
+  expect(replay.timeAt(600)).toBe(1600);
+  expect(replay.filesAt(-1)).toEqual({ "old.txt": "o" });
+  expect(replay.filesAt(1)).toEqual({ "old.txt": "o", "a.txt": "a" });
+  expect(replay.filesAt(3)).toEqual({ "old.txt": "o", "a.txt": "ab" });
+  expect(replay.lastTouched(3)).toEqual({ filename: "a.txt", userName: "bob" });
+});
+
+test("Replay checkpoints long timelines without changing the result", () => {
+  let text = "";
+  const events = [{ t: 0, type: "create", filename: "a.txt", content: "" }];
+  for (let i = 1; i <= 450; i++) {
+    events.push(edit(i, "a.txt", text, `${text}${i % 10}`));
+    text += i % 10;
+  }
+  const replay = new Replay({ events });
+  expect(replay.filesAt(450)["a.txt"]).toBe(text);
+  expect(replay.checkpoints.size).toBeGreaterThan(1);
+  // From a checkpoint, forwards and backwards.
+  expect(replay.filesAt(449)["a.txt"]).toBe(text.slice(0, 449));
+  expect(replay.filesAt(10)["a.txt"]).toBe(text.slice(0, 10));
+});
+
+test("Replay.log shows runs, chat and output up to a time", () => {
+  const events = [
+    { t: 10, type: "run", userName: "ann", language: "python", filename: "a.py" },
+    { t: 20, type: "chat", message: { text: "running" } },
+    { t: 40, type: "exit", ok: true, output: [{ t: 15, stream: "stdout", data: "1\n" }, { t: 30, stream: "stdout", data: "2\n" }] },
+  ];
+  const replay = new Replay({ events });
+  expect(replay.log(25).map((e) => e.kind)).toEqual(["run", "output", "chat"]);
+  expect(replay.log(50).map((e) => e.kind)).toEqual(["run", "output", "chat", "output", "exit"]);
+});